@@ -0,0 +1,525 @@
+// Loan charts
+// DOM-free chart data for the loan calculator: each chart is described once as labels and datasets, which the
+// page draws with Chart.js and which buildChartSvg turns into a standalone SVG file.
+//
+//     import { buildLoanChart, buildChartSvg } from './loan-charts.mjs';
+//
+//     const chart = buildLoanChart('cumulative', results.schedule, { periodsPerYear: 12 });
+//     const svg = buildChartSvg(chart, { formatTick: value => '$' + value });
+//
+// Colors are 'r, g, b' strings so each renderer can pick its own opacity. Titles and labels are in the display
+// language (see translate).
+// Invalid input throws an Error whose message starts with "Invalid input:".
+
+import {
+    currentCurrency,
+    getCurrencyMinorUnits,
+    toMinorUnits,
+    fromMinorUnits,
+    formatCurrency,
+    formatDate,
+    formatPercent,
+    formatPayoffTime
+} from './loan-core.mjs';
+import { translate } from './loan-i18n.mjs';
+
+// Charts offered for a loan and their display names
+export const loanChartTypes = {
+    'breakdown': 'Payment breakdown',
+    'cumulative': 'Cumulative interest vs. principal',
+    'equity': 'Equity growth',
+    'composition': 'Payment composition',
+    'extra': 'With vs. without extra payments',
+    'invest': 'Prepay vs. invest'
+};
+
+// How finely a chart shows the schedule. Automatic shows each payment for short loans and each year otherwise.
+export const chartGranularities = {
+    'auto': 'Automatic',
+    'payment': 'Each payment',
+    'year': 'Each year'
+};
+
+// Schedules with more payments than this are shown per year when the granularity is automatic
+export const autoYearlyThreshold = 60;
+
+// Colors shared by the charts
+const chartColors = {
+    principal: '16, 185, 129',
+    interest: '239, 68, 68',
+    balance: '37, 99, 235',
+    prepayment: '245, 158, 11',
+    escrow: '139, 92, 246',
+    pmi: '236, 72, 153',
+    hoa: '100, 116, 139'
+};
+
+/**
+ * Sums a schedule per payment or per loan year, keeping the running totals and the balance at the end of each point
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {Object} [options] - Optional settings:
+ *   - granularity: One of the keys of chartGranularities (defaults to 'auto')
+ *   - periodsPerYear: The number of payments per year (defaults to 12)
+ *   - homeValue: The value of the home at the start, to project its value and the equity at each point
+ *   - appreciationRate: How much the home's value grows per year, as a percentage (defaults to 0)
+ *   - currency: The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - granularity: 'payment' or 'year'
+ *   - points: Array of { label, paymentNumber and date (of the last payment in the point), principal (without
+ *     prepayments), interest, prepayment, escrow (taxes and insurance), pmi, hoa, balance, cumulativeInterest,
+ *     cumulativePrincipal }, plus homeValue and equity when a home value is given
+ */
+export function aggregateSchedule(schedule, options = {}) {
+    const granularity = options.granularity || 'auto';
+    const periodsPerYear = options.periodsPerYear || 12;
+    const appreciationRate = options.appreciationRate || 0;
+    if (!chartGranularities[granularity]) {
+        throw new Error(`Invalid input: Unknown chart granularity "${granularity}"`);
+    }
+    if (options.homeValue != null && !(options.homeValue > 0)) {
+        throw new Error('Invalid input: The home value must be positive');
+    }
+
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    const yearly = granularity === 'year' || (granularity === 'auto' && schedule.length > autoYearlyThreshold);
+    const sumFields = ['principal', 'interest', 'prepayment', 'escrow', 'pmi', 'hoa'];
+
+    const points = [];
+    const running = { interest: 0, principal: 0 };
+    let current = null;
+    schedule.forEach(payment => {
+        // Years are counted from the start of the loan, like the term
+        const key = yearly ? Math.floor((payment.paymentNumber - 1) / periodsPerYear) : payment.paymentNumber;
+        if (!current || current.key !== key) {
+            const label = yearly ? translate('Year {year}', { year: key + 1 }) : translate('Payment {payment}', { payment: payment.paymentNumber });
+            current = { key: key, label: label, units: {} };
+            sumFields.forEach(field => {
+                current.units[field] = 0;
+            });
+            points.push(current);
+        }
+
+        current.units.principal += toMinor(payment.principalPaid) - toMinor(payment.prepaymentPaid);
+        current.units.interest += toMinor(payment.interestPaid);
+        current.units.prepayment += toMinor(payment.prepaymentPaid);
+        current.units.escrow += toMinor(payment.taxPaid) + toMinor(payment.insurancePaid);
+        current.units.pmi += toMinor(payment.pmiPaid);
+        current.units.hoa += toMinor(payment.hoaPaid);
+        running.interest += toMinor(payment.interestPaid);
+        running.principal += toMinor(payment.principalPaid);
+        current.paymentNumber = payment.paymentNumber;
+        current.date = payment.date;
+        current.balance = payment.remainingBalance;
+        current.cumulativeInterest = toMain(running.interest);
+        current.cumulativePrincipal = toMain(running.principal);
+    });
+
+    return {
+        granularity: yearly ? 'year' : 'payment',
+        points: points.map(point => {
+            const result = {
+                label: point.label,
+                paymentNumber: point.paymentNumber,
+                date: point.date,
+                balance: point.balance,
+                cumulativeInterest: point.cumulativeInterest,
+                cumulativePrincipal: point.cumulativePrincipal
+            };
+            sumFields.forEach(field => {
+                result[field] = toMain(point.units[field]);
+            });
+            if (options.homeValue != null) {
+                const years = point.paymentNumber / periodsPerYear;
+                result.homeValue = toMain(toMinor(options.homeValue * Math.pow(1 + appreciationRate / 100, years)));
+                result.equity = toMain(toMinor(result.homeValue) - toMinor(point.balance));
+            }
+            return result;
+        })
+    };
+}
+
+/**
+ * Finds the payment after which the principal paid so far overtakes the interest paid so far
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @returns {number} The index of that payment in the schedule, or -1 if the interest stays ahead for the whole loan
+ */
+export function findCumulativeCrossover(schedule) {
+    let interest = 0;
+    let principal = 0;
+    return schedule.findIndex(payment => {
+        interest += toMinorUnits(payment.interestPaid);
+        principal += toMinorUnits(payment.principalPaid);
+        return principal >= interest;
+    });
+}
+
+/**
+ * Describes one of the loan charts as labels and datasets
+ * @param {string} type - One of the keys of loanChartTypes
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {Object} [options] - Optional settings:
+ *   - granularity, periodsPerYear, currency: See aggregateSchedule
+ *   - homeValue: The home's value at the start for the equity chart (defaults to the loan principal)
+ *   - appreciationRate: How much the home's value grows per year for the equity chart, as a percentage
+ *   - baselineSchedule: For the 'extra' chart, the schedule of the same loan without extra payments or prepayments
+ *   - investment: For the 'invest' chart, the analysis from comparePrepayingWithInvesting
+ * @returns {Object} The chart: { type, title, description, xTitle, labels, axes, datasets }, where axes maps the
+ *   'y' (left) and optional 'y1' (right) axis ids to { title, stacked } and each dataset is
+ *   { label, data, color, kind ('bar', 'line' or 'area'), axis, plus optional dashed and points flags }.
+ *   Stacked axes stack their bars and areas; data values are null where a dataset has no point.
+ */
+export function buildLoanChart(type, schedule, options = {}) {
+    if (!loanChartTypes[type]) {
+        throw new Error(`Invalid input: Unknown chart "${type}"`);
+    }
+    if (schedule.length === 0) {
+        throw new Error('Invalid input: The schedule has no payments');
+    }
+
+    const principal = schedule[0].remainingBalance + schedule[0].principalPaid;
+    const homeValue = options.homeValue > 0 ? options.homeValue : principal;
+    const aggregated = aggregateSchedule(schedule, {
+        granularity: options.granularity,
+        periodsPerYear: options.periodsPerYear,
+        currency: options.currency,
+        homeValue: homeValue,
+        appreciationRate: options.appreciationRate
+    });
+    const points = aggregated.points;
+    const pick = field => points.map(point => point[field]);
+    const chart = {
+        type: type,
+        title: translate(loanChartTypes[type]),
+        description: '',
+        xTitle: translate(aggregated.granularity === 'year' ? 'Year' : 'Payment Number'),
+        labels: pick('label'),
+        axes: { y: { title: translate('Amount'), stacked: false } },
+        datasets: []
+    };
+    const axis = (title, stacked) => ({ title: translate(title), stacked: stacked });
+    const dataset = (label, data, color, kind, extra = {}) => ({ label: translate(label), data: data, color: color, kind: kind, axis: 'y', ...extra });
+
+    switch (type) {
+        case 'breakdown': {
+            // Principal and interest bars under the remaining balance, with any prepayments, taxes,
+            // insurance, PMI and HOA dues stacked on top
+            chart.title = translate('Payment Breakdown Over Time');
+            chart.axes = { y: axis('Remaining Balance', false), y1: axis('Amount Paid', true) };
+            chart.datasets = [
+                dataset('Principal Paid', pick('principal'), chartColors.principal, 'bar', { axis: 'y1' }),
+                dataset('Interest Paid', pick('interest'), chartColors.interest, 'bar', { axis: 'y1' }),
+                dataset('Remaining Balance', pick('balance'), chartColors.balance, 'line'),
+                schedule.some(payment => payment.prepaymentPaid > 0) && dataset('Prepayment', pick('prepayment'), chartColors.prepayment, 'bar', { axis: 'y1' }),
+                schedule.some(payment => payment.taxPaid > 0 || payment.insurancePaid > 0) && dataset('Taxes & Insurance', pick('escrow'), chartColors.escrow, 'bar', { axis: 'y1' }),
+                schedule.some(payment => payment.pmiPaid > 0) && dataset('PMI', pick('pmi'), chartColors.pmi, 'bar', { axis: 'y1' }),
+                schedule.some(payment => payment.hoaPaid > 0) && dataset('HOA Dues', pick('hoa'), chartColors.hoa, 'bar', { axis: 'y1' })
+            ].filter(Boolean);
+            break;
+        }
+        case 'cumulative': {
+            // Mark the point that contains the payment where principal overtakes interest
+            const crossover = findCumulativeCrossover(schedule);
+            const crossoverPayment = crossover >= 0 ? schedule[crossover] : null;
+            const crossoverPoint = crossoverPayment ? points.findIndex(point => point.paymentNumber >= crossoverPayment.paymentNumber) : -1;
+            chart.title = translate('Cumulative Interest vs. Principal');
+            chart.axes = { y: axis('Total Paid', false) };
+            chart.datasets = [
+                dataset('Total Interest', pick('cumulativeInterest'), chartColors.interest, 'line'),
+                dataset('Total Principal', pick('cumulativePrincipal'), chartColors.principal, 'line')
+            ];
+            if (crossoverPayment) {
+                chart.datasets.push(dataset('Crossover', points.map((point, index) => (index === crossoverPoint ? point.cumulativePrincipal : null)),
+                    chartColors.balance, 'line', { points: true }));
+                chart.description = translate('The principal paid overtakes the interest paid with payment {payment}, on {date}.',
+                    { payment: crossoverPayment.paymentNumber, date: formatDate(crossoverPayment.date) });
+            } else {
+                chart.description = translate('The interest paid stays ahead of the principal paid for the whole loan.');
+            }
+            break;
+        }
+        case 'equity': {
+            const appreciation = options.appreciationRate || 0;
+            chart.title = translate('Equity Growth');
+            chart.axes = { y: axis('Amount', false) };
+            chart.datasets = [
+                dataset('Equity', pick('equity'), chartColors.principal, 'area'),
+                dataset('Home Value', pick('homeValue'), chartColors.escrow, 'line'),
+                dataset('Remaining Balance', pick('balance'), chartColors.balance, 'line')
+            ];
+            const params = { value: formatCurrency(homeValue), rate: formatPercent(appreciation) };
+            if (options.homeValue > 0) {
+                chart.description = appreciation !== 0
+                    ? translate('Starting from a home value of {value}, growing {rate} a year.', params)
+                    : translate('Starting from a home value of {value}, with no appreciation.', params);
+            } else {
+                chart.description = appreciation !== 0
+                    ? translate('Taking the home\'s value as the loan amount of {value}, growing {rate} a year.', params)
+                    : translate('Taking the home\'s value as the loan amount of {value}, with no appreciation.', params);
+            }
+            break;
+        }
+        case 'composition': {
+            chart.title = translate('Payment Composition');
+            chart.axes = { y: axis('Amount Paid', true) };
+            chart.datasets = [
+                dataset('Interest', pick('interest'), chartColors.interest, 'area'),
+                dataset('Principal', pick('principal'), chartColors.principal, 'area'),
+                schedule.some(payment => payment.prepaymentPaid > 0) && dataset('Prepayment', pick('prepayment'), chartColors.prepayment, 'area')
+            ].filter(Boolean);
+            break;
+        }
+        case 'extra': {
+            chart.title = translate('Balance With vs. Without Extra Payments');
+            chart.axes = { y: axis('Remaining Balance', false) };
+            chart.datasets = [dataset('With Extra Payments', pick('balance'), chartColors.balance, 'line')];
+            if (!options.baselineSchedule) {
+                chart.description = translate('Add an extra monthly payment or a prepayment to compare it with the standard payments.');
+                break;
+            }
+
+            // Show both loans at the same granularity, running the shorter one out at a zero balance
+            const baseline = aggregateSchedule(options.baselineSchedule, {
+                granularity: aggregated.granularity,
+                periodsPerYear: options.periodsPerYear,
+                currency: options.currency
+            }).points;
+            if (baseline.length > points.length) {
+                chart.labels = baseline.map(point => point.label);
+                chart.datasets[0].data = chart.labels.map((label, index) => (index < points.length ? points[index].balance : 0));
+            }
+            chart.datasets.push(dataset('Without Extra Payments', baseline.map(point => point.balance), chartColors.hoa, 'line', { dashed: true }));
+
+            const lastPayment = schedule[schedule.length - 1];
+            const baselineLastPayment = options.baselineSchedule[options.baselineSchedule.length - 1];
+            const periodsPerYear = options.periodsPerYear || 12;
+            const monthsSaved = Math.round((baselineLastPayment.paymentNumber - lastPayment.paymentNumber) * 12 / periodsPerYear);
+            const interestSaved = fromMinorUnits(
+                options.baselineSchedule.reduce((total, payment) => total + toMinorUnits(payment.interestPaid), 0)
+                - schedule.reduce((total, payment) => total + toMinorUnits(payment.interestPaid), 0));
+            chart.description = translate('The extra payments pay the loan off {time} sooner and save {amount} of interest.',
+                { time: formatPayoffTime(monthsSaved), amount: formatCurrency(interestSaved) });
+            break;
+        }
+        case 'invest': {
+            chart.title = translate('Net Worth: Prepay vs. Invest');
+            chart.axes = { y: axis('Net Worth', false) };
+            const analysis = options.investment;
+            if (!analysis) {
+                chart.datasets = [dataset('Remaining Balance', pick('balance'), chartColors.balance, 'line')];
+                chart.description = translate('Add an extra payment or a prepayment and an expected investment return to compare prepaying the loan with investing the difference.');
+                break;
+            }
+
+            // The net worth runs on past the prepaid loan's payoff, to the payoff of the loan without extra
+            // payments. Per year, each point is the net worth at the end of the loan year.
+            const periodsPerYear = options.periodsPerYear || 12;
+            const yearly = aggregated.granularity === 'year';
+            const investPoints = analysis.points.filter((point, index) => !yearly
+                || point.paymentNumber % periodsPerYear === 0
+                || index === analysis.points.length - 1);
+            const pickInvest = field => investPoints.map(point => point[field]);
+            chart.labels = investPoints.map(point => (yearly
+                ? translate('Year {year}', { year: Math.ceil(point.paymentNumber / periodsPerYear) })
+                : translate('Payment {payment}', { payment: point.paymentNumber })));
+            chart.datasets = [
+                dataset('Prepay the loan', pickInvest('prepay'), chartColors.balance, 'line'),
+                dataset('Invest the difference', pickInvest('invest'), chartColors.principal, 'line'),
+                analysis.inflationRate !== 0 && dataset('Prepay the loan (real)', pickInvest('realPrepay'), chartColors.balance, 'line', { dashed: true }),
+                analysis.inflationRate !== 0 && dataset('Invest the difference (real)', pickInvest('realInvest'), chartColors.principal, 'line', { dashed: true })
+            ].filter(Boolean);
+
+            const params = {
+                strategy: translate(analysis.leader === 'invest' ? 'Investing the difference' : 'Prepaying the loan'),
+                amount: formatCurrency(analysis.advantage),
+                real: formatCurrency(analysis.realAdvantage)
+            };
+            if (!analysis.leader) {
+                chart.description = translate('Prepaying the loan and investing the difference end up level.');
+            } else if (analysis.crossover) {
+                const crossoverPoint = investPoints.findIndex(point => point.paymentNumber >= analysis.crossover.paymentNumber);
+                chart.datasets.push(dataset('Crossover', investPoints.map((point, index) => (index === crossoverPoint ? point[analysis.leader] : null)),
+                    chartColors.prepayment, 'line', { points: true }));
+                chart.description = translate('{strategy} takes the lead for good with payment {payment}, on {date}, and ends {amount} ahead ({real} in today\'s money).',
+                    { ...params, payment: analysis.crossover.paymentNumber, date: formatDate(analysis.crossover.date) });
+            } else {
+                chart.description = translate('{strategy} stays ahead throughout and ends {amount} ahead ({real} in today\'s money).', params);
+            }
+            break;
+        }
+    }
+    return chart;
+}
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Picks round tick values covering a range, e.g. 0, 50,000, 100,000 ... for 0 to 230,000
+ * @param {number} min - The lowest value to cover
+ * @param {number} max - The highest value to cover
+ * @param {number} [count=5] - About how many intervals to use
+ * @returns {Array} The tick values, from lowest to highest
+ */
+function getNiceTicks(min, max, count = 5) {
+    if (max <= min) {
+        max = min + 1;
+    }
+    const roughStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= roughStep);
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick < max + step / 2; tick += step) {
+        ticks.push(Math.round(tick / step) * step);
+    }
+    return ticks;
+}
+
+/**
+ * Draws a chart (see buildLoanChart) as a standalone SVG document
+ * @param {Object} chart - The chart to draw
+ * @param {Object} [options] - Optional settings:
+ *   - width, height: The size of the image in pixels (defaults to 960 by 540)
+ *   - formatTick: Formats the values on the y axes (defaults to plain numbers)
+ * @returns {string} The SVG document
+ */
+export function buildChartSvg(chart, options = {}) {
+    const width = options.width || 960;
+    const height = options.height || 540;
+    const formatTick = options.formatTick || (value => String(value));
+    const axisIds = Object.keys(chart.axes);
+    const margin = { top: 96, right: chart.axes.y1 ? 110 : 40, bottom: 96, left: 110 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const count = chart.labels.length;
+    const band = plotWidth / Math.max(count, 1);
+    const x = index => margin.left + (index + 0.5) * band;
+
+    // Work out the range of each axis, adding up the bars and areas of stacked axes
+    const scales = {};
+    const stackTops = {};
+    axisIds.forEach(axisId => {
+        const datasets = chart.datasets.filter(dataset => dataset.axis === axisId);
+        const values = [0];
+        if (chart.axes[axisId].stacked) {
+            for (let index = 0; index < count; index++) {
+                values.push(datasets.filter(dataset => dataset.kind !== 'line').reduce((total, dataset) => total + (dataset.data[index] || 0), 0));
+            }
+        }
+        datasets.forEach(dataset => dataset.data.forEach(value => {
+            if (value !== null) values.push(value);
+        }));
+        const ticks = getNiceTicks(Math.min(...values), Math.max(...values));
+        const low = ticks[0];
+        const high = ticks[ticks.length - 1];
+        scales[axisId] = { ticks: ticks, y: value => margin.top + plotHeight - (value - low) / (high - low) * plotHeight };
+        stackTops[axisId] = new Array(count).fill(0);
+    });
+
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`,
+        `<title>${escapeXml(chart.title)}</title>`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        `<text x="${width / 2}" y="32" text-anchor="middle" font-size="18" font-weight="700" fill="#1e293b">${escapeXml(chart.title)}</text>`
+    ];
+
+    // Legend, centered under the title
+    const legendWidths = chart.datasets.map(dataset => 28 + dataset.label.length * 7);
+    let legendX = (width - legendWidths.reduce((total, itemWidth) => total + itemWidth, 0)) / 2;
+    chart.datasets.forEach((dataset, index) => {
+        parts.push(`<rect x="${legendX.toFixed(1)}" y="50" width="14" height="14" fill="rgb(${dataset.color})"/>`);
+        parts.push(`<text x="${(legendX + 20).toFixed(1)}" y="62" fill="#475569">${escapeXml(dataset.label)}</text>`);
+        legendX += legendWidths[index];
+    });
+
+    // Grid lines and tick labels: the left axis on the left, the right axis on the right
+    axisIds.forEach(axisId => {
+        const isLeft = axisId === 'y';
+        scales[axisId].ticks.forEach(tick => {
+            const y = scales[axisId].y(tick).toFixed(1);
+            if (isLeft) {
+                parts.push(`<line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" stroke="#e2e8f0"/>`);
+            }
+            parts.push(`<text x="${isLeft ? margin.left - 8 : width - margin.right + 8}" y="${y}" dy="4" text-anchor="${isLeft ? 'end' : 'start'}" fill="#475569">${escapeXml(formatTick(tick))}</text>`);
+        });
+        const titleX = isLeft ? 20 : width - 20;
+        parts.push(`<text x="${titleX}" y="${margin.top + plotHeight / 2}" text-anchor="middle" transform="rotate(${isLeft ? -90 : 90} ${titleX} ${margin.top + plotHeight / 2})" fill="#1e293b">${escapeXml(chart.axes[axisId].title)}</text>`);
+    });
+
+    // Category labels, thinned out to about 20 and slanted like the on-screen chart
+    const labelStep = Math.ceil(count / 20);
+    chart.labels.forEach((label, index) => {
+        if (index % labelStep !== 0) return;
+        const labelY = margin.top + plotHeight + 16;
+        parts.push(`<text x="${x(index).toFixed(1)}" y="${labelY}" text-anchor="end" transform="rotate(-45 ${x(index).toFixed(1)} ${labelY})" fill="#475569">${escapeXml(label)}</text>`);
+    });
+    parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 12}" text-anchor="middle" fill="#1e293b">${escapeXml(chart.xTitle)}</text>`);
+
+    // Bars and areas first, stacked on their axis if it is stacked, then the lines on top
+    const barDatasets = chart.datasets.filter(dataset => dataset.kind === 'bar');
+    chart.datasets.filter(dataset => dataset.kind !== 'line').forEach(dataset => {
+        const scale = scales[dataset.axis];
+        const stacked = chart.axes[dataset.axis].stacked;
+        const bases = dataset.data.map((value, index) => (stacked ? stackTops[dataset.axis][index] : 0));
+        const tops = dataset.data.map((value, index) => bases[index] + (value || 0));
+        if (stacked) {
+            stackTops[dataset.axis] = tops;
+        }
+
+        if (dataset.kind === 'bar') {
+            const barWidth = band * 0.8 / (stacked ? 1 : barDatasets.length);
+            const offset = stacked ? 0 : barDatasets.indexOf(dataset) * barWidth;
+            dataset.data.forEach((value, index) => {
+                if (!value) return;
+                const top = scale.y(Math.max(tops[index], bases[index]));
+                const barHeight = Math.abs(scale.y(bases[index]) - scale.y(tops[index]));
+                parts.push(`<rect x="${(x(index) - band * 0.4 + offset).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="rgb(${dataset.color})" fill-opacity="0.7"/>`);
+            });
+        } else {
+            const upper = tops.map((value, index) => `${x(index).toFixed(1)},${scale.y(value).toFixed(1)}`);
+            const lower = bases.map((value, index) => `${x(index).toFixed(1)},${scale.y(value).toFixed(1)}`).reverse();
+            parts.push(`<polygon points="${upper.concat(lower).join(' ')}" fill="rgb(${dataset.color})" fill-opacity="0.35" stroke="rgb(${dataset.color})" stroke-width="1"/>`);
+        }
+    });
+    chart.datasets.filter(dataset => dataset.kind === 'line').forEach(dataset => {
+        const scale = scales[dataset.axis];
+        const coordinates = dataset.data.map((value, index) => (value === null ? null : `${x(index).toFixed(1)},${scale.y(value).toFixed(1)}`));
+        if (dataset.points) {
+            coordinates.filter(Boolean).forEach(point => {
+                const [cx, cy] = point.split(',');
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="6" fill="rgb(${dataset.color})"/>`);
+            });
+            return;
+        }
+
+        // Break the line wherever the dataset has no value
+        const segments = [[]];
+        coordinates.forEach(point => {
+            if (point === null) {
+                segments.push([]);
+            } else {
+                segments[segments.length - 1].push(point);
+            }
+        });
+        segments.filter(segment => segment.length > 0).forEach(segment => {
+            parts.push(`<polyline points="${segment.join(' ')}" fill="none" stroke="rgb(${dataset.color})" stroke-width="3"${dataset.dashed ? ' stroke-dasharray="8 6"' : ''}/>`);
+        });
+    });
+
+    parts.push(`<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#94a3b8"/>`);
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
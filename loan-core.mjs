@@ -0,0 +1,3022 @@
+// Loan calculation core
+// DOM-free amortization, refinance, scenario comparison, debt payoff and goal-seek calculations,
+// plus the formatters and export document builders. The module only depends on the translations (for the
+// text of the descriptions and exports) and runs unchanged in the browser and in Node:
+//
+//     import { calculateAmortization, formatCurrency } from './loan-core.mjs';
+//
+//     const results = calculateAmortization(300000, 6, 30, 200, new Date(2025, 0, 1));
+//     console.log(formatCurrency(results.totalInterestSaved));
+//
+// Amounts are in the currency's main unit, rates are annual percentages and dates are local Dates.
+// Invalid input throws an InputError whose message starts with "Invalid input:" and whose field names the
+// argument (or option) at fault, so a form can show the message next to the right input.
+
+import { translate } from './loan-i18n.mjs';
+
+/**
+ * An error for input a calculation cannot use
+ */
+export class InputError extends Error {
+    /**
+     * @param {string} message - What is wrong, starting with "Invalid input:". Values that vary are written as
+     *     {name} placeholders, so the message can be translated (see translateError in loan-i18n.mjs)
+     * @param {string|null} [field] - The argument or option at fault (e.g., 'principal' or 'extraMonthlyPayment'),
+     *     or null if the problem is not with one input
+     * @param {number|null} [index] - For list inputs (prepayments, debts, payments), the position of the item at fault
+     * @param {Object} [params] - Values for the placeholders: numbers, text, or lists of text
+     */
+    constructor(message, field = null, index = null, params = {}) {
+        super(message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        }));
+        this.name = 'InputError';
+        this.template = message;
+        this.field = field;
+        this.index = index;
+        this.params = params;
+    }
+}
+
+// Default locale and currency for the formatters (see setCurrentLocale and setCurrentCurrency)
+export let currentLocale = 'en-US';
+export let currentCurrency = 'USD';
+
+// Currency mapping: locale code -> { symbol, currency code }. The locales the calculator offered before the
+// currency could be chosen on its own; links and saved loans from then name one of these as their currency.
+export const currencyMap = {
+    'en-US': { symbol: '$', currency: 'USD' },
+    'de-DE': { symbol: '€', currency: 'EUR' },
+    'en-GB': { symbol: '£', currency: 'GBP' },
+    'en-IN': { symbol: '₹', currency: 'INR' },
+    'ja-JP': { symbol: '¥', currency: 'JPY' }
+};
+
+/**
+ * Sets the locale that the formatters and parseNumber use by default. The currency is set separately
+ * (see setCurrentCurrency).
+ * @param {string} locale - A BCP 47 locale tag the runtime supports (e.g., 'de-DE')
+ * @returns {boolean} True if the locale is supported and was applied
+ */
+export function setCurrentLocale(locale) {
+    let supported;
+    try {
+        supported = Intl.NumberFormat.supportedLocalesOf(locale);
+    } catch (error) {
+        return false;
+    }
+    if (typeof locale !== 'string' || supported.length === 0) return false;
+
+    currentLocale = locale;
+    return true;
+}
+
+/**
+ * Sets the currency that the calculations and formatters use by default
+ * @param {string} currency - An ISO 4217 currency code (e.g., 'EUR')
+ * @returns {boolean} True if the currency is known and was applied
+ */
+export function setCurrentCurrency(currency) {
+    if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false;
+    try {
+        getCurrencyMinorUnits(currency);
+    } catch (error) {
+        return false;
+    }
+
+    currentCurrency = currency;
+    return true;
+}
+
+// Lender rounding rules for the periodic payment. Interest is always rounded to the nearest
+// minor unit; the final payment settles whatever is left, so every rule pays the loan off exactly.
+export const paymentRoundingModes = {
+    'nearest': { label: 'Round to the nearest cent' },
+    'truncate': { label: 'Truncate to the cent' },
+    'up': { label: 'Round up to the next cent' },
+    'up-whole': { label: 'Round up to the next whole unit' }
+};
+
+/**
+ * Looks up how many minor units (decimal places) a currency uses, e.g. 2 for USD and 0 for JPY
+ * @param {string} [currency] - The ISO 4217 currency code (defaults to currentCurrency)
+ * @returns {number} The number of decimal places
+ */
+export function getCurrencyMinorUnits(currency = currentCurrency) {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+        throw new InputError('Invalid input: Unknown currency "{currency}"', 'currency', null, { currency: currency });
+    }
+}
+
+/**
+ * Converts an amount to a whole number of minor units (e.g. dollars to cents), rounding to the nearest unit
+ * @param {number} amount - The amount in the currency's main unit
+ * @param {number} [minorUnits=2] - The number of decimal places of the currency
+ * @returns {number} The amount in minor units
+ */
+export function toMinorUnits(amount, minorUnits = 2) {
+    return Math.round(amount * Math.pow(10, minorUnits));
+}
+
+/**
+ * Converts a whole number of minor units back to the currency's main unit (e.g. cents to dollars)
+ * @param {number} units - The amount in minor units
+ * @param {number} [minorUnits=2] - The number of decimal places of the currency
+ * @returns {number} The amount in the main unit
+ */
+export function fromMinorUnits(units, minorUnits = 2) {
+    return units / Math.pow(10, minorUnits);
+}
+
+/**
+ * Rounds a payment to a whole number of minor units using a lender rounding rule
+ * @param {number} amount - The unrounded payment in the currency's main unit
+ * @param {string} [mode='nearest'] - The rounding rule, one of the keys of paymentRoundingModes
+ * @param {number} [minorUnits=2] - The number of decimal places of the currency
+ * @returns {number} The rounded payment in minor units
+ */
+export function roundPayment(amount, mode = 'nearest', minorUnits = 2) {
+    const factor = Math.pow(10, minorUnits);
+
+    // The small tolerance keeps amounts such as 1199.1 (stored as 1199.0999…) from rounding a unit off
+    switch (mode) {
+        case 'truncate': return Math.floor(amount * factor + 1e-6);
+        case 'up': return Math.ceil(amount * factor - 1e-6);
+        case 'up-whole': return Math.ceil(amount - 1e-9) * factor;
+        default: return Math.round(amount * factor);
+    }
+}
+
+/**
+ * Calculates the amortization schedule and returns key metrics
+ * @param {number} principal - The loan principal amount (P)
+ * @param {number} annualRate - The annual interest rate as a percentage (r)
+ * @param {number} termYears - The loan term in years (n)
+ * @param {number} [extraMonthlyPayment=0] - Optional extra monthly payment amount (spread evenly over the
+ *   payments of each month for non-monthly frequencies)
+ * @param {Date} [startDate] - Optional start date for the loan (defaults to current date)
+ * @param {Object} [options] - Optional advanced settings:
+ *   - frequency: Payment frequency, one of the keys of paymentFrequencies (defaults to 'monthly')
+ *   - prepayments: Array of prepayment objects (see getPrepaymentDue), applied in addition to extraMonthlyPayment
+ *   - rateSchedule: Adjustable-rate settings (see getAdjustedArmRate); annualRate is then the initial (teaser) rate
+ *   - escrow: Property tax, insurance, PMI and HOA settings (see getEscrowCosts), added to each payment
+ *   - includeComparisons: Set to false to skip the comparison runs behind prepaymentSavings, worstCase and
+ *     frequencyComparison (defaults to true)
+ *   - paymentRounding: How the periodic payment is rounded, one of the keys of paymentRoundingModes
+ *     (defaults to 'nearest')
+ *   - interestConvention: How interest accrues between payments, one of the keys of interestConventions
+ *     (defaults to 'standard')
+ *   - currency: The currency code whose minor units the amounts are kept in (defaults to currentCurrency)
+ *   - periodicPayment: A fixed payment to make instead of the level payment for the term, such as the payment
+ *     a borrower is already making (the last scheduled payment still settles whatever is left)
+ *   - fees: The prepaid finance charges behind loanCost: { originationFee, points (as a percentage of the
+ *     principal), otherCharges }
+ *   - loanStructure: For interest-only and balloon loans, { interestOnlyMonths, amortizationYears }: the first
+ *     interestOnlyMonths only pay the interest, and the payments after them amortize the balance over
+ *     amortizationYears (defaults to the rest of the term). termYears is then the maturity, so an amortization
+ *     term that runs past it leaves a balloon payment due with the last payment
+ *   - recastPaymentNumber: Recasts the loan after this payment: the balance left once the payment and its
+ *     prepayments are made is re-amortized over the rest of the amortization term, lowering the payment instead
+ *     of shortening the term (ignored during an interest-only period, whose payment already follows the balance)
+ * @returns {Object} An object containing:
+ *   - monthsToPayoff: Total number of months to pay off the loan
+ *   - paymentsToPayoff: Total number of payments to pay off the loan
+ *   - totalInterestPaid: Total interest paid over the life of the loan
+ *   - totalInterestSaved: Total interest saved compared to no extra payments
+ *   - periodicPayment: Standard payment amount per period (the initial payment for adjustable-rate loans)
+ *   - monthlyPayment: The periodic payment expressed per month (equal to periodicPayment for monthly loans)
+ *   - maxPeriodicPayment: Highest scheduled payment per period over the life of the loan
+ *   - frequency: The payment frequency key
+ *   - interestConvention: The interest convention key
+ *   - schedule: Array of payment objects with payment number, date, interest rate, scheduled payment, interest paid,
+ *     principal paid (including any prepayment), prepayment paid, tax/insurance/PMI/HOA paid, total payment,
+ *     remaining balance, and rateChanged/paymentChanged flags for the rows where an adjustable rate resets or
+ *     the interest-only period ends. Rows also carry an interestOnly flag and the balloonPaid on top of the
+ *     scheduled payment when a balloon payment is due (0 otherwise).
+ *     With a day-count convention, rows also carry the daysInPeriod the interest accrued over (counted from the
+ *     start date or the previous payment) and the accruedInterest for those days; both are null otherwise.
+ *     Amounts are exact to the currency's minor unit: the principal paid adds up to the principal, and the
+ *     last scheduled payment settles whatever is left after rounding.
+ *   - rateAdjustments: Array of { paymentNumber, date, annualRate, periodicPayment } for each rate reset
+ *   - prepaymentSavings: Array with the total paid and interest saved for each prepayment (see calculatePrepaymentSavings)
+ *   - worstCase: For adjustable-rate loans with caps, the { maxRate, maxPeriodicPayment, totalInterestPaid,
+ *     monthsToPayoff } of the path where every reset rises by the full cap (null otherwise)
+ *   - frequencyComparison: For non-monthly frequencies, the { monthsSaved, interestSaved } compared with paying
+ *     the same loan monthly (null otherwise)
+ *   - escrowSummary: With escrow settings, the first payment's { principalAndInterest, propertyTax, insurance, pmi,
+ *     hoa, totalPayment }, the { totalTaxes, totalInsurance, totalPmi, totalHoa } over the loan and the
+ *     pmiCancellation { paymentNumber, date } of the last payment with PMI (null otherwise)
+ *   - loanCost: The APR, amount financed, finance charge and total of payments of the scheduled payments,
+ *     without the extra payments and prepayments (see calculateLoanCost); null when includeComparisons is false
+ *   - loanStructure: With loanStructure settings, the { interestOnlyPayments, interestOnlyPayment } of the
+ *     interest-only period, the amortizationYears the payments after it are based on, the amortizationStart { paymentNumber, date, periodicPayment } of the first payment
+ *     after it (null without one, or when the loan is paid off before it ends) and the balloon { paymentNumber,
+ *     date, amount, totalPayment } due at maturity (null when the loan is paid off by its payments); null otherwise
+ */
+export function calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment = 0, startDate = new Date(), options = {}) {
+    const frequencyKey = options.frequency || 'monthly';
+    const frequency = paymentFrequencies[frequencyKey];
+    const prepayments = options.prepayments || [];
+    const rateSchedule = options.rateSchedule || null;
+    const escrow = options.escrow || null;
+    const includeComparisons = options.includeComparisons !== false;
+    const paymentRounding = options.paymentRounding || 'nearest';
+    const conventionKey = options.interestConvention || 'standard';
+    const convention = interestConventions[conventionKey];
+    const loanStructure = options.loanStructure || null;
+
+    // Validate inputs
+    if (!(principal > 0) || !isFinite(principal)) {
+        throw new InputError('Invalid input: The principal must be a positive number', 'principal');
+    }
+    if (!(annualRate >= 0 && annualRate <= 100)) {
+        throw new InputError('Invalid input: The interest rate must be between 0% and 100%', 'annualRate');
+    }
+    if (!(termYears > 0 && termYears <= 100)) {
+        throw new InputError('Invalid input: The term must be more than 0 and at most 100 years', 'termYears');
+    }
+    if (!(extraMonthlyPayment >= 0) || !isFinite(extraMonthlyPayment)) {
+        throw new InputError('Invalid input: The extra payment must be zero or more', 'extraMonthlyPayment');
+    }
+    if (!(startDate instanceof Date) || isNaN(startDate)) {
+        throw new InputError('Invalid input: The start date is not a valid date', 'startDate');
+    }
+    if (!frequency) {
+        throw new InputError('Invalid input: Unknown payment frequency "{frequency}"', 'frequency', null, { frequency: frequencyKey });
+    }
+    if (Math.round(termYears * frequency.periodsPerYear) < 1) {
+        throw new InputError('Invalid input: The term is too short for a single payment', 'termYears');
+    }
+    const invalidPrepayment = prepayments.findIndex(prepayment => !(prepayment.amount > 0) || !prepaymentTypes[prepayment.type]);
+    if (invalidPrepayment !== -1) {
+        throw new InputError('Invalid input: Each prepayment needs a known type and a positive amount', 'prepayments', invalidPrepayment);
+    }
+    if (rateSchedule && !(rateSchedule.fixedMonths >= 1 && rateSchedule.adjustmentMonths >= 1)) {
+        throw new InputError('Invalid input: The initial fixed period and adjustment interval must be at least one month',
+            rateSchedule.fixedMonths >= 1 ? 'adjustmentMonths' : 'fixedMonths');
+    }
+    const negativeEscrow = escrow ? ['homeValue', 'propertyTax', 'insurance', 'pmiRate', 'hoaDues'].find(key => escrow[key] < 0) : null;
+    if (negativeEscrow) {
+        throw new InputError('Invalid input: Home value, taxes, insurance, PMI and HOA dues cannot be negative', negativeEscrow);
+    }
+    if (escrow && escrow.pmiRate > 0 && !(escrow.homeValue > 0)) {
+        throw new InputError('Invalid input: A home value is needed to work out when PMI cancels', 'homeValue');
+    }
+    if (!paymentRoundingModes[paymentRounding]) {
+        throw new InputError('Invalid input: Unknown payment rounding rule "{rule}"', 'paymentRounding', null, { rule: paymentRounding });
+    }
+    if (!convention) {
+        throw new InputError('Invalid input: Unknown interest convention "{convention}"', 'interestConvention', null, { convention: conventionKey });
+    }
+    if (options.periodicPayment != null && !(options.periodicPayment > 0)) {
+        throw new InputError('Invalid input: The payment must be positive', 'periodicPayment');
+    }
+    if (options.recastPaymentNumber != null && !(Number.isInteger(options.recastPaymentNumber) && options.recastPaymentNumber >= 1)) {
+        throw new InputError('Invalid input: The loan can only be recast after a whole number of payments', 'recastPaymentNumber');
+    }
+    const fees = options.fees || {};
+    const negativeFee = ['originationFee', 'points', 'otherCharges'].find(key => fees[key] != null && !(fees[key] >= 0));
+    if (negativeFee) {
+        throw new InputError('Invalid input: Fees and points cannot be negative', negativeFee);
+    }
+    const interestOnlyMonths = loanStructure ? loanStructure.interestOnlyMonths || 0 : 0;
+    if (!(interestOnlyMonths >= 0) || !isFinite(interestOnlyMonths)) {
+        throw new InputError('Invalid input: The interest-only period must be zero or more months', 'interestOnlyMonths');
+    }
+    if (loanStructure && loanStructure.amortizationYears != null && !(loanStructure.amortizationYears > 0 && loanStructure.amortizationYears <= 100)) {
+        throw new InputError('Invalid input: The amortization term must be more than 0 and at most 100 years', 'amortizationYears');
+    }
+
+    // Money is kept in whole minor units (e.g. cents) so every amount is exact
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    if (toMinor(principal) <= 0) {
+        throw new InputError('Invalid input: The principal must be at least the smallest unit of the currency', 'principal');
+    }
+
+    const periodsPerYear = frequency.periodsPerYear;
+    const totalPayments = Math.round(termYears * periodsPerYear);
+
+    // Interest-only and balloon loans amortize over a different term than the loan runs for. Payments are
+    // scheduled to repay the balance by amortizationEnd, and whatever is left at maturity is the balloon.
+    const interestOnlyPayments = Math.round(interestOnlyMonths * periodsPerYear / 12);
+    if (interestOnlyPayments > totalPayments) {
+        throw new InputError('Invalid input: The interest-only period cannot be longer than the term', 'interestOnlyMonths');
+    }
+    const amortizationYears = loanStructure && loanStructure.amortizationYears != null
+        ? loanStructure.amortizationYears
+        : (totalPayments - interestOnlyPayments) / periodsPerYear;
+    const amortizationEnd = interestOnlyPayments < totalPayments
+        ? interestOnlyPayments + Math.round(amortizationYears * periodsPerYear)
+        : totalPayments;
+    if (amortizationEnd < totalPayments) {
+        throw new InputError('Invalid input: The amortization term cannot end before the loan matures', 'amortizationYears');
+    }
+    const hasBalloon = interestOnlyPayments === totalPayments || amortizationEnd > totalPayments;
+    const getInterestOnlyPayment = (balanceUnits, rate) =>
+        toMain(Math.round(balanceUnits * getScheduledPeriodicRate(conventionKey, rate, periodsPerYear)));
+
+    // The annual rate changes over time for adjustable-rate loans
+    let currentAnnualRate = annualRate;
+
+    // The extra monthly payment is spread over the payments in a month
+    const extraPeriodicPayment = Math.round(toMinor(extraMonthlyPayment) * 12 / periodsPerYear);
+
+    // Calculate standard payment per period, unless a fixed payment is given. Interest-only loans start out
+    // paying just the interest.
+    const amortizingPayment = options.periodicPayment != null
+        ? toMain(toMinor(options.periodicPayment))
+        : calculatePeriodicPayment(principal, annualRate, amortizationYears, frequencyKey, options);
+    const periodicPayment = interestOnlyPayments > 0 ? getInterestOnlyPayment(toMinor(principal), annualRate) : amortizingPayment;
+    let currentPayment = periodicPayment;
+    let maxPeriodicPayment = periodicPayment;
+    const rateAdjustments = [];
+    let amortizationStart = null;
+    let balloon = null;
+    let paymentRecast = false;
+
+    // Whether extra payments or prepayments have paid the balance down faster than the current payment
+    // would, since that payment was worked out
+    let paidAhead = false;
+
+    // Simulate the loan payment-by-payment with extra payments
+    let balance = toMinor(principal);
+    let totalInterestPaid = 0;
+    let paymentsToPayoff = 0;
+    let previousPaymentDate = new Date(startDate);
+    const schedule = []; // Array to store payment-by-payment data
+
+    // Track which one-time prepayments have been applied, the last year each yearly prepayment
+    // was applied, and how much each prepayment contributed
+    const appliedOneTimePrepayments = new Set();
+    const lastYearlyPrepaymentYears = new Map();
+    const prepaymentTotals = prepayments.map(() => 0);
+
+    // PMI is charged until the balance drops to the cancellation loan-to-value ratio
+    let pmiActive = escrow ? isPmiRequired(escrow, principal) : false;
+    let pmiCancellation = null;
+    const escrowTotals = { propertyTax: 0, insurance: 0, pmi: 0, hoa: 0 };
+
+    while (balance > 0) { // Ends by the last scheduled payment, which settles the balance
+        paymentsToPayoff++;
+        const paymentNumber = paymentsToPayoff;
+        const currentPaymentDate = getPaymentDate(startDate, paymentNumber, frequencyKey);
+        
+        // Adjustable-rate loans reset the rate and re-amortize the balance over the remaining term
+        let rateChanged = false;
+        let paymentChanged = paymentRecast;
+        paymentRecast = false;
+        const interestOnly = paymentNumber <= interestOnlyPayments;
+        const resetIndex = rateSchedule && paymentNumber <= totalPayments ? getArmResetIndex(rateSchedule, paymentNumber, periodsPerYear) : -1;
+        if (resetIndex >= 0) {
+            const adjustedRate = getAdjustedArmRate(rateSchedule, annualRate, currentAnnualRate, resetIndex);
+            rateChanged = adjustedRate !== currentAnnualRate;
+            currentAnnualRate = adjustedRate;
+            
+            // The payment is only worked out again if something changed: re-amortizing the same balance at the
+            // same rate can come out a minor unit either side of the current payment
+            const remainingYears = (amortizationEnd - paymentNumber + 1) / periodsPerYear;
+            let adjustedPayment = currentPayment;
+            if (rateChanged || paidAhead || paymentNumber === interestOnlyPayments + 1) {
+                adjustedPayment = interestOnly
+                    ? getInterestOnlyPayment(balance, currentAnnualRate)
+                    : calculatePeriodicPayment(toMain(balance), currentAnnualRate, remainingYears, frequencyKey, options);
+            }
+            paymentChanged = adjustedPayment !== currentPayment;
+            currentPayment = adjustedPayment;
+            paidAhead = false;
+            maxPeriodicPayment = Math.max(maxPeriodicPayment, currentPayment);
+            
+            if (rateChanged || paymentChanged) {
+                rateAdjustments.push({
+                    paymentNumber: paymentNumber,
+                    date: new Date(currentPaymentDate),
+                    annualRate: currentAnnualRate,
+                    periodicPayment: currentPayment
+                });
+            }
+        }
+        
+        // The payment jumps once the interest-only period ends and the balance starts to amortize
+        if (interestOnlyPayments > 0 && paymentNumber === interestOnlyPayments + 1) {
+            if (resetIndex < 0) {
+                const adjustedPayment = options.periodicPayment != null
+                    ? amortizingPayment
+                    : calculatePeriodicPayment(toMain(balance), currentAnnualRate, amortizationYears, frequencyKey, options);
+                paymentChanged = adjustedPayment !== currentPayment;
+                currentPayment = adjustedPayment;
+                maxPeriodicPayment = Math.max(maxPeriodicPayment, currentPayment);
+            }
+            amortizationStart = { paymentNumber: paymentNumber, date: new Date(currentPaymentDate), periodicPayment: currentPayment };
+        }
+        
+        // Apply the standard payment plus the extra payment: interest first, then principal. Interest-only
+        // payments cover exactly the interest accrued over the period.
+        // The last scheduled payment settles the balance, whatever the rounding left over.
+        const accrual = getPeriodInterestRate(conventionKey, currentAnnualRate, periodsPerYear, previousPaymentDate, currentPaymentDate);
+        const scheduledPayment = interestOnly ? Math.round(balance * accrual.rate) : toMinor(currentPayment);
+        const payment = paymentNumber >= totalPayments ? Infinity : scheduledPayment + extraPeriodicPayment;
+        const period = amortizePeriod(balance, accrual.rate, payment);
+        
+        // Whatever the last payment settles beyond the scheduled payment is the balloon
+        const balloonPaid = hasBalloon && paymentNumber >= totalPayments
+            ? Math.max(0, period.interest + period.principal - scheduledPayment - extraPeriodicPayment)
+            : 0;
+        if (balloonPaid > 0) {
+            balloon = {
+                paymentNumber: paymentNumber,
+                date: new Date(currentPaymentDate),
+                amount: toMain(balloonPaid),
+                totalPayment: toMain(period.interest + period.principal)
+            };
+        }
+        const periodInterest = period.interest;
+        totalInterestPaid += periodInterest;
+        let totalPrincipalPayment = period.principal;
+        
+        // Apply any prepayments due this period, never paying down more than the remaining balance
+        let prepaymentPayment = 0;
+        prepayments.forEach((prepayment, index) => {
+            if (prepayment.type === 'one-time' && appliedOneTimePrepayments.has(index)) return;
+            if (prepayment.type === 'yearly' && lastYearlyPrepaymentYears.get(index) === currentPaymentDate.getFullYear()) return;
+            
+            const due = toMinor(getPrepaymentDue(prepayment, paymentNumber, currentPaymentDate, periodsPerYear));
+            const applied = Math.min(due, Math.max(0, period.remainingBalance - prepaymentPayment));
+            if (due > 0 && prepayment.type === 'one-time') {
+                appliedOneTimePrepayments.add(index);
+            }
+            if (due > 0 && prepayment.type === 'yearly') {
+                lastYearlyPrepaymentYears.set(index, currentPaymentDate.getFullYear());
+            }
+            prepaymentPayment += applied;
+            prepaymentTotals[index] += applied;
+        });
+        totalPrincipalPayment += prepaymentPayment;
+        const remainingBalance = period.remainingBalance - prepaymentPayment;
+        if (extraPeriodicPayment > 0 || prepaymentPayment > 0) {
+            paidAhead = true;
+        }
+        
+        // Add taxes, insurance, PMI and HOA dues on top of principal and interest
+        const escrowCosts = escrow ? getEscrowCosts(escrow, principal, periodsPerYear, pmiActive, minorUnits) : null;
+        if (escrowCosts) {
+            Object.keys(escrowTotals).forEach(key => {
+                escrowTotals[key] += escrowCosts[key];
+            });
+        }
+        if (pmiActive && !isPmiRequired(escrow, toMain(remainingBalance))) {
+            pmiActive = false;
+            pmiCancellation = { paymentNumber: paymentNumber, date: new Date(currentPaymentDate) };
+        }
+        const taxPaid = escrowCosts ? escrowCosts.propertyTax : 0;
+        const insurancePaid = escrowCosts ? escrowCosts.insurance : 0;
+        const pmiPaid = escrowCosts ? escrowCosts.pmi : 0;
+        const hoaPaid = escrowCosts ? escrowCosts.hoa : 0;
+        const totalPayment = periodInterest + totalPrincipalPayment + taxPaid + insurancePaid + pmiPaid + hoaPaid;
+        
+        // Add payment object to schedule, converted back to the currency's main unit
+        schedule.push({
+            paymentNumber: paymentNumber,
+            date: currentPaymentDate,
+            interestRate: currentAnnualRate,
+            scheduledPayment: interestOnly ? toMain(scheduledPayment) : currentPayment,
+            rateChanged: rateChanged,
+            paymentChanged: paymentChanged,
+            interestOnly: interestOnly,
+            balloonPaid: toMain(balloonPaid),
+            daysInPeriod: accrual.days,
+            accruedInterest: accrual.days !== null ? toMain(periodInterest) : null,
+            interestPaid: toMain(periodInterest),
+            principalPaid: toMain(totalPrincipalPayment),
+            prepaymentPaid: toMain(prepaymentPayment),
+            taxPaid: toMain(taxPaid),
+            insurancePaid: toMain(insurancePaid),
+            pmiPaid: toMain(pmiPaid),
+            hoaPaid: toMain(hoaPaid),
+            totalPayment: toMain(totalPayment),
+            remainingBalance: toMain(remainingBalance)
+        });
+        
+        // A recast re-amortizes what is left over the rest of the term, from the next payment on
+        if (paymentNumber === options.recastPaymentNumber && !interestOnly && remainingBalance > 0 && paymentNumber < totalPayments) {
+            const recastPayment = calculatePeriodicPayment(toMain(remainingBalance), currentAnnualRate,
+                (amortizationEnd - paymentNumber) / periodsPerYear, frequencyKey, options);
+            paymentRecast = recastPayment !== currentPayment;
+            currentPayment = recastPayment;
+            paidAhead = false;
+        }
+        
+        // Update balance for next iteration
+        balance = remainingBalance;
+        previousPaymentDate = currentPaymentDate;
+    }
+
+    // Express the payoff time in months (exact for monthly payments)
+    const monthsToPayoff = Math.ceil(paymentsToPayoff * 12 / periodsPerYear - 1e-9);
+
+    // Convert the interest total back to the currency's main unit
+    totalInterestPaid = toMain(totalInterestPaid);
+    
+    // Calculate interest saved against the same loan without any extra payments or prepayments
+    let totalInterestSaved = 0;
+    let scheduleWithoutExtra = schedule;
+    if (extraMonthlyPayment > 0 || prepayments.length > 0) {
+        const withoutExtra = calculateAmortization(principal, annualRate, termYears, 0, startDate, {
+            ...options,
+            prepayments: [],
+            includeComparisons: false
+        });
+        totalInterestSaved = toMain(Math.max(0, toMinor(withoutExtra.totalInterestPaid) - toMinor(totalInterestPaid)));
+        scheduleWithoutExtra = withoutExtra.schedule;
+    }
+
+    // Work out how much interest each prepayment saved
+    let prepaymentSavings = [];
+    if (prepayments.length > 0 && includeComparisons) {
+        prepaymentSavings = calculatePrepaymentSavings(principal, annualRate, termYears, extraMonthlyPayment, startDate, options)
+            .map((saving, index) => ({
+                ...saving,
+                totalPaid: toMain(prepaymentTotals[index])
+            }));
+    }
+
+    // For adjustable-rate loans, also run the path where every reset rises by the full cap
+    let worstCase = null;
+    if (rateSchedule && includeComparisons && hasArmRateCeiling(rateSchedule)) {
+        const worstCaseResults = calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment, startDate, {
+            ...options,
+            rateSchedule: { ...rateSchedule, worstCase: true },
+            includeComparisons: false
+        });
+        worstCase = {
+            maxRate: Math.max(annualRate, ...worstCaseResults.rateAdjustments.map(adjustment => adjustment.annualRate)),
+            maxPeriodicPayment: worstCaseResults.maxPeriodicPayment,
+            totalInterestPaid: worstCaseResults.totalInterestPaid,
+            monthsToPayoff: worstCaseResults.monthsToPayoff
+        };
+    }
+
+    // For other payment frequencies, compare against paying the same loan monthly
+    let frequencyComparison = null;
+    if (frequencyKey !== 'monthly' && includeComparisons) {
+        const monthlyResults = calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment, startDate, {
+            ...options,
+            frequency: 'monthly',
+            includeComparisons: false
+        });
+        frequencyComparison = {
+            monthsSaved: monthlyResults.monthsToPayoff - monthsToPayoff,
+            interestSaved: toMain(toMinor(monthlyResults.totalInterestPaid) - toMinor(totalInterestPaid))
+        };
+    }
+
+    // Summarize the full payment (principal, interest, taxes, insurance, PMI and HOA)
+    let escrowSummary = null;
+    if (escrow) {
+        const firstCosts = getEscrowCosts(escrow, principal, periodsPerYear, isPmiRequired(escrow, principal), minorUnits);
+        escrowSummary = {
+            principalAndInterest: periodicPayment,
+            propertyTax: toMain(firstCosts.propertyTax),
+            insurance: toMain(firstCosts.insurance),
+            pmi: toMain(firstCosts.pmi),
+            hoa: toMain(firstCosts.hoa),
+            totalPayment: toMain(toMinor(periodicPayment) + firstCosts.propertyTax + firstCosts.insurance + firstCosts.pmi + firstCosts.hoa),
+            totalTaxes: toMain(escrowTotals.propertyTax),
+            totalInsurance: toMain(escrowTotals.insurance),
+            totalPmi: toMain(escrowTotals.pmi),
+            totalHoa: toMain(escrowTotals.hoa),
+            pmiCancellation: pmiCancellation
+        };
+    }
+
+    // The cost of credit is disclosed for the payments the borrower agrees to, so extra payments are left out
+    let loanCost = null;
+    if (includeComparisons) {
+        const prepaidFinanceCharges = toMinor(fees.originationFee || 0) + toMinor(principal * (fees.points || 0) / 100) +
+            toMinor(fees.otherCharges || 0);
+        loanCost = calculateLoanCost(scheduleWithoutExtra, principal, toMain(prepaidFinanceCharges), {
+            periodsPerYear: periodsPerYear,
+            currency: options.currency
+        });
+    }
+
+    return {
+        monthsToPayoff: monthsToPayoff,
+        paymentsToPayoff: paymentsToPayoff,
+        totalInterestPaid: totalInterestPaid,
+        totalInterestSaved: totalInterestSaved,
+        periodicPayment: periodicPayment,
+        monthlyPayment: toMain(Math.round(toMinor(periodicPayment) * periodsPerYear / 12)),
+        maxPeriodicPayment: maxPeriodicPayment,
+        frequency: frequencyKey,
+        interestConvention: conventionKey,
+        schedule: schedule, // Return the detailed payment schedule
+        rateAdjustments: rateAdjustments,
+        prepaymentSavings: prepaymentSavings,
+        worstCase: worstCase,
+        frequencyComparison: frequencyComparison,
+        escrowSummary: escrowSummary,
+        loanCost: loanCost,
+        loanStructure: loanStructure ? {
+            interestOnlyPayments: interestOnlyPayments,
+            interestOnlyPayment: interestOnlyPayments > 0 ? periodicPayment : null,
+            amortizationYears: interestOnlyPayments < totalPayments ? amortizationYears : null,
+            amortizationStart: amortizationStart,
+            balloon: balloon
+        } : null
+    };
+}
+
+/**
+ * Applies one payment to a balance: interest accrues first and the rest of the payment reduces the
+ * principal, never by more than the balance (so the final payment only covers what is left).
+ * All amounts are whole minor units (e.g. cents); the interest is rounded to the nearest unit.
+ * @param {number} balance - The balance before the payment, in minor units
+ * @param {number} periodicRate - The interest rate for the period as a decimal
+ * @param {number} payment - The payment amount in minor units (Infinity pays off the whole balance)
+ * @returns {Object} The { interest, principal, remainingBalance } for the period, in minor units
+ */
+export function amortizePeriod(balance, periodicRate, payment) {
+    const interest = Math.round(balance * periodicRate);
+    const principal = Math.min(payment - interest, balance);
+    
+    return {
+        interest: interest,
+        principal: principal,
+        remainingBalance: balance - principal
+    };
+}
+
+/**
+ * Works out the taxes, insurance, PMI and HOA dues paid with each payment
+ * @param {Object} escrow - The escrow settings:
+ *   - homeValue: The home value, used for the loan-to-value ratio
+ *   - propertyTax: Annual property tax
+ *   - insurance: Annual homeowners insurance premium
+ *   - pmiRate: Annual PMI premium as a percentage of the original loan amount
+ *   - pmiCancelLtv: Loan-to-value percentage at which PMI cancels, 78 (automatic) or 80 (on request); defaults to 78
+ *   - hoaDues: Monthly HOA dues
+ * @param {number} principal - The original loan principal, which the PMI premium is based on
+ * @param {number} periodsPerYear - Number of payments per year
+ * @param {boolean} pmiActive - Whether PMI is still charged on this payment
+ * @param {number} [minorUnits=2] - The number of decimal places of the currency
+ * @returns {Object} The { propertyTax, insurance, pmi, hoa } amounts for one payment, in minor units
+ */
+function getEscrowCosts(escrow, principal, periodsPerYear, pmiActive, minorUnits = 2) {
+    const perPayment = annualAmount => toMinorUnits((annualAmount || 0) / periodsPerYear, minorUnits);
+    
+    return {
+        propertyTax: perPayment(escrow.propertyTax),
+        insurance: perPayment(escrow.insurance),
+        pmi: pmiActive ? perPayment(principal * (escrow.pmiRate || 0) / 100) : 0,
+        hoa: perPayment((escrow.hoaDues || 0) * 12)
+    };
+}
+
+/**
+ * Checks whether PMI is still required at a given balance
+ * @param {Object} escrow - The escrow settings (see getEscrowCosts)
+ * @param {number} balance - The loan balance
+ * @returns {boolean} True if the loan-to-value ratio is above the PMI cancellation threshold
+ */
+function isPmiRequired(escrow, balance) {
+    if (!(escrow.pmiRate > 0) || !(escrow.homeValue > 0)) return false;
+    return balance / escrow.homeValue * 100 > (escrow.pmiCancelLtv || 78);
+}
+
+// Supported payment frequencies. Weekly and bi-weekly payments are intervalDays apart; accelerated
+// frequencies pay the monthly payment divided by acceleratedDivisor, which adds up to one extra
+// monthly payment per year.
+export const paymentFrequencies = {
+    'monthly': { label: 'Monthly', periodsPerYear: 12 },
+    'semi-monthly': { label: 'Semi-Monthly', periodsPerYear: 24 },
+    'bi-weekly': { label: 'Bi-Weekly', periodsPerYear: 26, intervalDays: 14 },
+    'accelerated-bi-weekly': { label: 'Accelerated Bi-Weekly', periodsPerYear: 26, intervalDays: 14, acceleratedDivisor: 2 },
+    'weekly': { label: 'Weekly', periodsPerYear: 52, intervalDays: 7 },
+    'accelerated-weekly': { label: 'Accelerated Weekly', periodsPerYear: 52, intervalDays: 7, acceleratedDivisor: 4 }
+};
+
+/**
+ * Calculates the standard payment per period for a loan at a given payment frequency
+ * @param {number} principal - The loan principal amount
+ * @param {number} annualRate - The annual interest rate as a percentage
+ * @param {number} termYears - The loan term in years
+ * @param {string} [frequency='monthly'] - The payment frequency key (see paymentFrequencies)
+ * @param {Object} [options] - Optional { paymentRounding, currency, interestConvention } settings (see calculateAmortization)
+ * @returns {number} The payment per period, rounded to the currency's minor unit with the rounding rule
+ */
+export function calculatePeriodicPayment(principal, annualRate, termYears, frequency = 'monthly', options = {}) {
+    const { periodsPerYear, acceleratedDivisor } = paymentFrequencies[frequency];
+    const rounding = options.paymentRounding || 'nearest';
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    const convention = options.interestConvention || 'standard';
+    
+    if (acceleratedDivisor) {
+        const monthlyRate = getScheduledPeriodicRate(convention, annualRate, 12);
+        const monthlyPayment = calculateLevelPayment(principal, monthlyRate, Math.round(termYears * 12), rounding, minorUnits);
+        return fromMinorUnits(roundPayment(monthlyPayment / acceleratedDivisor, rounding, minorUnits), minorUnits);
+    }
+    
+    const periodicRate = getScheduledPeriodicRate(convention, annualRate, periodsPerYear);
+    return calculateLevelPayment(principal, periodicRate, Math.round(termYears * periodsPerYear), rounding, minorUnits);
+}
+
+// Supported interest conventions. Day-count conventions accrue interest over the actual dates of each
+// period: dayCount says how the days are counted and daysInYear what they are divided by (the actual length
+// of each calendar year when it is not set). Canadian mortgages compound semi-annually instead.
+export const interestConventions = {
+    'standard': { label: 'Standard (annual rate ÷ payments per year)' },
+    'actual/365': { label: 'Actual/365', dayCount: 'actual', daysInYear: 365 },
+    'actual/360': { label: 'Actual/360', dayCount: 'actual', daysInYear: 360 },
+    '30/360': { label: '30/360', dayCount: '30/360', daysInYear: 360 },
+    'daily-simple': { label: 'Daily simple interest (Actual/Actual)', dayCount: 'actual' },
+    'canadian': { label: 'Canadian (compounded semi-annually)', compoundingPerYear: 2 }
+};
+
+// Average length of a calendar year in days, including leap years
+const averageDaysInYear = 365.25;
+
+/**
+ * Works out the nominal interest rate per payment period that level payments are based on
+ * @param {string} convention - The interest convention key (see interestConventions)
+ * @param {number} annualRate - The annual interest rate as a percentage
+ * @param {number} periodsPerYear - Number of payments per year
+ * @returns {number} The periodic rate as a decimal
+ */
+function getScheduledPeriodicRate(convention, annualRate, periodsPerYear) {
+    const { compoundingPerYear, dayCount, daysInYear } = interestConventions[convention];
+    
+    if (compoundingPerYear) {
+        // The effective rate per payment of a rate compounded compoundingPerYear times a year
+        return Math.pow(1 + annualRate / 100 / compoundingPerYear, compoundingPerYear / periodsPerYear) - 1;
+    }
+    if (dayCount === 'actual' && daysInYear) {
+        // An average period has 365.25 / periodsPerYear actual days, so Actual/360 charges more than the nominal rate
+        return annualRate / 100 * (averageDaysInYear / periodsPerYear) / daysInYear;
+    }
+    
+    return (annualRate / 100) / periodsPerYear;
+}
+
+/**
+ * Counts the days between two dates using a day-count method
+ * @param {Date} startDate - The first date (interest accrues from this day)
+ * @param {Date} endDate - The last date (interest accrues up to, but not including, this day)
+ * @param {string} [dayCount='actual'] - 'actual' for calendar days or '30/360' for the US 30/360 (bond basis) rule,
+ *   which treats every month as 30 days
+ * @returns {number} The number of days
+ * @throws {InputError} If the end date is not after the start date
+ */
+export function countDays(startDate, endDate, dayCount = 'actual') {
+    // Compare calendar dates at UTC midnight so daylight saving changes do not shift the count
+    const toUtcDay = date => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const calendarDays = Math.round((toUtcDay(endDate) - toUtcDay(startDate)) / 86400000);
+    if (!(calendarDays > 0)) {
+        throw new InputError('Invalid input: A payment period must end after it starts', 'startDate');
+    }
+    
+    if (dayCount === '30/360') {
+        const startDay = Math.min(startDate.getDate(), 30);
+        const endDay = startDay === 30 && endDate.getDate() === 31 ? 30 : endDate.getDate();
+        return (endDate.getFullYear() - startDate.getFullYear()) * 360
+            + (endDate.getMonth() - startDate.getMonth()) * 30
+            + (endDay - startDay);
+    }
+    return calendarDays;
+}
+
+/**
+ * Works out the interest rate that applies to one payment period under an interest convention
+ * @param {string} convention - The interest convention key (see interestConventions)
+ * @param {number} annualRate - The annual interest rate as a percentage
+ * @param {number} periodsPerYear - Number of payments per year
+ * @param {Date} periodStart - The start date or the date of the previous payment
+ * @param {Date} periodEnd - The date of the payment
+ * @returns {Object} The { rate, days } for the period, where rate is a decimal and days is the number of days
+ *   the interest accrued over (null for conventions that charge a fixed rate per payment period)
+ * @throws {InputError} If a day-count convention is given a period that does not end after it starts
+ */
+export function getPeriodInterestRate(convention, annualRate, periodsPerYear, periodStart, periodEnd) {
+    const { dayCount, daysInYear } = interestConventions[convention];
+    
+    if (!dayCount) {
+        return { rate: getScheduledPeriodicRate(convention, annualRate, periodsPerYear), days: null };
+    }
+    
+    const days = countDays(periodStart, periodEnd, dayCount);
+    if (daysInYear) {
+        return { rate: annualRate / 100 * days / daysInYear, days: days };
+    }
+    
+    // Actual/Actual: the days in each calendar year are divided by that year's length
+    let yearFraction = 0;
+    let segmentStart = new Date(periodStart);
+    while (segmentStart < periodEnd) {
+        const year = segmentStart.getFullYear();
+        const nextYear = new Date(year + 1, 0, 1);
+        const segmentEnd = nextYear < periodEnd ? nextYear : periodEnd;
+        yearFraction += countDays(segmentStart, segmentEnd) / countDays(new Date(year, 0, 1), nextYear);
+        segmentStart = segmentEnd;
+    }
+    return { rate: annualRate / 100 * yearFraction, days: days };
+}
+
+/**
+ * Calculates the date of a payment. Monthly payments fall on the first of the month, semi-monthly payments on
+ * the 1st and 15th (starting with the first of those after the start date), and weekly and bi-weekly payments
+ * every 7 or 14 days from the start date.
+ * @param {Date} startDate - The start date for the loan
+ * @param {number} paymentNumber - The payment number (1-based)
+ * @param {string} [frequency='monthly'] - The payment frequency key (see paymentFrequencies)
+ * @returns {Date} The payment date
+ */
+export function getPaymentDate(startDate, paymentNumber, frequency = 'monthly') {
+    const { periodsPerYear, intervalDays } = paymentFrequencies[frequency];
+    const date = new Date(startDate);
+    
+    if (intervalDays) {
+        date.setDate(date.getDate() + paymentNumber * intervalDays);
+    } else if (periodsPerYear === 24) {
+        // The 1st and 15th of each month, counted from the 15th of the start month (or the 1st of the next
+        // month for loans starting on or after the 15th)
+        const slot = paymentNumber - 1 + (date.getDate() >= 15 ? 1 : 0);
+        date.setDate(1);
+        date.setMonth(date.getMonth() + Math.floor((slot + 1) / 2));
+        date.setDate(slot % 2 === 0 ? 15 : 1);
+    } else {
+        // First payment is 1 month after start date
+        // Use EDATE logic: add the payment number of months to the first of the start month
+        date.setDate(1); // Set to first of the month for consistency
+        date.setMonth(date.getMonth() + paymentNumber);
+    }
+    
+    return date;
+}
+
+/**
+ * Calculates the level payment that pays off a balance over a number of payments, using the formula:
+ * M = P * (r * (1 + r)^n) / ((1 + r)^n - 1)
+ * @param {number} principal - The balance to pay off (P)
+ * @param {number} periodicRate - The interest rate per payment period as a decimal (r)
+ * @param {number} numberOfPayments - The number of payments (n)
+ * @param {string} [rounding='nearest'] - The rounding rule, one of the keys of paymentRoundingModes
+ * @param {number} [minorUnits=2] - The number of decimal places of the currency
+ * @returns {number} The payment, rounded to the currency's minor unit with the rounding rule
+ */
+function calculateLevelPayment(principal, periodicRate, numberOfPayments, rounding = 'nearest', minorUnits = 2) {
+    let payment;
+    
+    if (periodicRate === 0) {
+        // Handle zero interest case (simple division)
+        payment = principal / numberOfPayments;
+    } else {
+        const compoundFactor = Math.pow(1 + periodicRate, numberOfPayments);
+        payment = principal * (periodicRate * compoundFactor) / (compoundFactor - 1);
+    }
+    
+    return fromMinorUnits(roundPayment(payment, rounding, minorUnits), minorUnits);
+}
+
+/**
+ * Works out whether a payment is an adjustable-rate reset and, if so, which one
+ * @param {Object} rateSchedule - The adjustable-rate settings (see getAdjustedArmRate)
+ * @param {number} paymentNumber - The payment number (1-based)
+ * @param {number} [periodsPerYear=12] - Number of payments per year
+ * @returns {number} The 0-based index of the reset, or -1 if the rate does not reset on this payment
+ */
+function getArmResetIndex(rateSchedule, paymentNumber, periodsPerYear = 12) {
+    // Convert the fixed period and adjustment interval from months to payments
+    const fixedPayments = Math.round(rateSchedule.fixedMonths * periodsPerYear / 12);
+    const adjustmentPayments = Math.max(1, Math.round(rateSchedule.adjustmentMonths * periodsPerYear / 12));
+    
+    const paymentsSinceFirstReset = paymentNumber - fixedPayments - 1;
+    if (paymentsSinceFirstReset < 0 || paymentsSinceFirstReset % adjustmentPayments !== 0) {
+        return -1;
+    }
+    return paymentsSinceFirstReset / adjustmentPayments;
+}
+
+/**
+ * Checks whether an adjustable-rate loan has a cap that limits how high the rate can go,
+ * which is needed for a meaningful worst case
+ * @param {Object} rateSchedule - The adjustable-rate settings (see getAdjustedArmRate)
+ * @returns {boolean} True if the rate increases are capped
+ */
+function hasArmRateCeiling(rateSchedule) {
+    return rateSchedule.periodicCap != null || rateSchedule.lifetimeCap != null;
+}
+
+/**
+ * Calculates the interest rate after an adjustable-rate reset
+ * @param {Object} rateSchedule - The adjustable-rate settings:
+ *   - fixedMonths: Length of the initial fixed-rate period in months (e.g. 60 for a 5/1 ARM)
+ *   - adjustmentMonths: Months between resets after the fixed period (e.g. 12 for a 5/1 ARM, 6 for a 7/6 ARM)
+ *   - indexRate: The expected index rate as a percentage, or an array with one value per reset (the last value repeats)
+ *   - margin: The margin added to the index, as a percentage
+ *   - initialCap: Optional maximum change at the first reset, in percentage points (defaults to periodicCap)
+ *   - periodicCap: Optional maximum change at each later reset, in percentage points
+ *   - lifetimeCap: Optional maximum increase over the initial rate, in percentage points
+ *   - floorRate: Optional lowest rate the loan can reset to, as a percentage (defaults to 0)
+ *   - worstCase: Set to true to ignore the index and raise the rate by the full cap at every reset
+ * @param {number} initialRate - The initial annual rate as a percentage
+ * @param {number} previousRate - The annual rate before this reset as a percentage
+ * @param {number} resetIndex - The 0-based index of the reset
+ * @returns {number} The new annual rate as a percentage
+ */
+export function getAdjustedArmRate(rateSchedule, initialRate, previousRate, resetIndex) {
+    const periodicCap = resetIndex === 0 && rateSchedule.initialCap != null
+        ? rateSchedule.initialCap
+        : (rateSchedule.periodicCap != null ? rateSchedule.periodicCap : Infinity);
+    const ceiling = rateSchedule.lifetimeCap != null ? initialRate + rateSchedule.lifetimeCap : Infinity;
+    const floor = rateSchedule.floorRate != null ? rateSchedule.floorRate : 0;
+    
+    let targetRate;
+    if (rateSchedule.worstCase) {
+        targetRate = Infinity;
+    } else {
+        const indexRates = [].concat(rateSchedule.indexRate);
+        targetRate = indexRates[Math.min(resetIndex, indexRates.length - 1)] + (rateSchedule.margin || 0);
+    }
+    
+    // Apply the periodic cap (in both directions), then the lifetime cap and the floor
+    let rate = Math.min(Math.max(targetRate, previousRate - periodicCap), previousRate + periodicCap);
+    rate = Math.min(Math.max(rate, floor), ceiling);
+    
+    // Avoid floating point noise such as 7.000000000001
+    return Math.round(rate * 1000) / 1000;
+}
+
+// Supported prepayment types and their display names
+export const prepaymentTypes = {
+    'one-time': 'One-time lump sum',
+    'yearly': 'Recurring yearly',
+    'step-up': 'Stepped-up monthly extra'
+};
+
+/**
+ * Works out how much of a prepayment is due on a given payment
+ * @param {Object} prepayment - The prepayment, one of:
+ *   - { type: 'one-time', amount, paymentNumber } or { type: 'one-time', amount, date }: paid once, on the given payment
+ *     number or on the first payment on or after the given date
+ *   - { type: 'yearly', amount, month, startYear? }: paid every year on the payment in the given month (1-12),
+ *     optionally starting in startYear
+ *   - { type: 'step-up', amount, stepAmount, stepMonths = 12, startPayment = 1 }: a monthly extra amount that starts at
+ *     amount in month startPayment and grows by stepAmount every stepMonths months (spread evenly over the
+ *     payments of each month for non-monthly frequencies)
+ * @param {number} paymentNumber - The payment number (1-based)
+ * @param {Date} paymentDate - The date of the payment
+ * @param {number} [periodsPerYear=12] - Number of payments per year
+ * @returns {number} The prepayment amount due on this payment (0 if none)
+ */
+export function getPrepaymentDue(prepayment, paymentNumber, paymentDate, periodsPerYear = 12) {
+    switch (prepayment.type) {
+        case 'one-time':
+            if (prepayment.date) {
+                return paymentDate >= prepayment.date ? prepayment.amount : 0;
+            }
+            return paymentNumber === prepayment.paymentNumber ? prepayment.amount : 0;
+        case 'yearly':
+            if (paymentDate.getMonth() + 1 !== prepayment.month) return 0;
+            if (prepayment.startYear && paymentDate.getFullYear() < prepayment.startYear) return 0;
+            return prepayment.amount;
+        case 'step-up': {
+            const startPayment = prepayment.startPayment || 1;
+            const month = Math.floor((paymentNumber - 1) * 12 / periodsPerYear) + 1;
+            if (month < startPayment) return 0;
+            const steps = Math.floor((month - startPayment) / (prepayment.stepMonths || 12));
+            return (prepayment.amount + steps * (prepayment.stepAmount || 0)) * 12 / periodsPerYear;
+        }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Attributes the interest saved by a list of prepayments to each prepayment. Prepayments are added one at a time
+ * in list order and each one is credited with the interest it saves on top of the ones before it, so the
+ * individual savings add up to the total saved by all prepayments together.
+ * @param {number} principal - The loan principal amount
+ * @param {number} annualRate - The annual interest rate as a percentage
+ * @param {number} termYears - The loan term in years
+ * @param {number} extraMonthlyPayment - The constant extra monthly payment
+ * @param {Date} startDate - The start date for the loan
+ * @param {Object} options - The options passed to calculateAmortization (including prepayments)
+ * @returns {Array} Array of { prepayment, interestSaved } objects, in the same order as options.prepayments
+ */
+function calculatePrepaymentSavings(principal, annualRate, termYears, extraMonthlyPayment, startDate, options) {
+    const prepayments = options.prepayments || [];
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    let previousInterest = null;
+
+    return prepayments.map((prepayment, index) => {
+        if (previousInterest === null) {
+            previousInterest = calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment, startDate, {
+                ...options,
+                prepayments: [],
+                includeComparisons: false
+            }).totalInterestPaid;
+        }
+
+        const interest = calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment, startDate, {
+            ...options,
+            prepayments: prepayments.slice(0, index + 1),
+            includeComparisons: false
+        }).totalInterestPaid;
+
+        const interestSaved = fromMinorUnits(toMinorUnits(previousInterest, minorUnits) - toMinorUnits(interest, minorUnits), minorUnits);
+        previousInterest = interest;
+        return { prepayment: prepayment, interestSaved: interestSaved };
+    });
+}
+
+/**
+ * Works out the cost of credit the way a Truth in Lending disclosure states it. The APR is the actuarial
+ * rate at which the scheduled payments are worth the amount financed, with the payments taken as equally
+ * spaced unit periods apart (the periodic rate times the payments per year). Mortgage insurance (PMI) is
+ * part of the cost of credit; taxes, homeowners insurance and HOA dues are not.
+ * @param {Array} schedule - The scheduled payments from calculateAmortization, without extra payments
+ * @param {number} principal - The loan amount
+ * @param {number} [prepaidFinanceCharges] - Fees and points charged for the loan, whether paid at closing
+ *   or added to the loan (defaults to none)
+ * @param {Object} [options] - Optional settings:
+ *   - periodsPerYear: Number of payments per year (defaults to 12)
+ *   - currency: The currency code whose minor units the amounts are kept in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - apr: The annual percentage rate as a percentage, to three decimal places
+ *   - amountFinanced: The loan amount less the prepaid finance charges
+ *   - prepaidFinanceCharges: The fees and points
+ *   - totalOfPayments: The scheduled payments of principal, interest and PMI added up
+ *   - financeCharge: What the credit costs: the total of payments less the amount financed
+ */
+export function calculateLoanCost(schedule, principal, prepaidFinanceCharges = 0, options = {}) {
+    const periodsPerYear = options.periodsPerYear || 12;
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    if (!(prepaidFinanceCharges >= 0)) {
+        throw new InputError('Invalid input: Fees and points cannot be negative', 'prepaidFinanceCharges');
+    }
+    const amountFinanced = toMinor(principal) - toMinor(prepaidFinanceCharges);
+    if (amountFinanced <= 0) {
+        throw new InputError('Invalid input: The fees and points must be less than the loan amount', 'prepaidFinanceCharges');
+    }
+    
+    const payments = schedule.map(row => toMinor(row.interestPaid) + toMinor(row.principalPaid) + toMinor(row.pmiPaid || 0));
+    const totalOfPayments = payments.reduce((total, payment) => total + payment, 0);
+    
+    // The payments are worth less the higher the rate, so the APR is the lowest rate at which they are worth
+    // no more than the amount financed (within half a minor unit)
+    const presentValue = apr => {
+        const periodicRate = apr / 100 / periodsPerYear;
+        return payments.reduce((total, payment, index) => total + payment / Math.pow(1 + periodicRate, index + 1), 0);
+    };
+    const apr = solveByBisection(rate => presentValue(rate) <= amountFinanced + 0.5, 0, 100, { precision: 0.0001 });
+    if (apr === null) {
+        throw new InputError('Invalid input: The fees and points are too high for an APR under 100%', 'prepaidFinanceCharges');
+    }
+    
+    return {
+        apr: Math.round(apr * 1000) / 1000,
+        amountFinanced: toMain(amountFinanced),
+        prepaidFinanceCharges: toMain(toMinor(prepaidFinanceCharges)),
+        totalOfPayments: toMain(totalOfPayments),
+        financeCharge: toMain(totalOfPayments - amountFinanced)
+    };
+}
+
+/**
+ * Formats a number as currency using the selected locale
+ * @param {number} amount - The amount to format
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @param {string} [currency] - Optional currency override (defaults to currentCurrency)
+ * @returns {string} Formatted currency string with the currency's own decimal places (e.g., "$1,234.56" or "￥1,235")
+ */
+export function formatCurrency(amount, locale = currentLocale, currency = currentCurrency) {
+    const minorUnits = getCurrencyMinorUnits(currency);
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: minorUnits,
+        maximumFractionDigits: minorUnits
+    }).format(amount);
+}
+
+/**
+ * Formats an annual interest rate using the selected locale
+ * @param {number} rate - The rate as a percentage (e.g., 6.5 for 6.5%)
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} Formatted percentage string (e.g., "6.5%")
+ */
+export function formatPercent(rate, locale = currentLocale) {
+    return new Intl.NumberFormat(locale, {
+        style: 'percent',
+        maximumFractionDigits: 3
+    }).format(rate / 100);
+}
+
+/**
+ * Converts total months to a human-readable format in the selected locale
+ * @param {number} totalMonths - Total number of months
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} Formatted string (e.g., "5 years and 3 months" or "11 months"; "5 Jahre und 3 Monate" in German)
+ */
+export function formatPayoffTime(totalMonths, locale = currentLocale) {
+    const years = Math.floor(totalMonths / 12);
+    const months = totalMonths % 12;
+    const formatUnit = (value, unit) => new Intl.NumberFormat(locale, { style: 'unit', unit: unit, unitDisplay: 'long' }).format(value);
+
+    if (years === 0) {
+        return formatUnit(months, 'month');
+    } else if (months === 0) {
+        return formatUnit(years, 'year');
+    }
+    return new Intl.ListFormat(locale, { type: 'conjunction' }).format([formatUnit(years, 'year'), formatUnit(months, 'month')]);
+}
+
+/**
+ * Formats a date as a short numeric date in the selected locale
+ * @param {Date} date - The date to format
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} Formatted date string (e.g., "03/05/2024" in en-US or "05.03.2024" in de-DE)
+ */
+export function formatDate(date, locale = currentLocale) {
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Looks up the symbol a locale shows for a currency
+ * @param {string} [currency] - The ISO 4217 currency code (defaults to currentCurrency)
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The symbol (e.g., "$", "€" or "CHF")
+ */
+export function getCurrencySymbol(currency = currentCurrency, locale = currentLocale) {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency: currency }).formatToParts(0);
+    const symbol = parts.find(part => part.type === 'currency');
+    return symbol ? symbol.value : currency;
+}
+
+/**
+ * Parses a number typed in the selected locale's notation (e.g., "1,234.56" in en-US, "1.234,56" in de-DE,
+ * "12,34,567" in en-IN or "1'234.56" in de-CH). Digits may be grouped or not. A lone group separator that
+ * does not sit between groups of digits is read as the decimal separator, so "6.5" still means 6.5 in de-DE.
+ * @param {string|number} value - The text to parse
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {number} The number, or NaN if the text is empty or not a number
+ */
+export function parseNumber(value, locale = currentLocale) {
+    if (typeof value === 'number') return value;
+
+    const parts = new Intl.NumberFormat(locale).formatToParts(-1234567.5);
+    const decimal = (parts.find(part => part.type === 'decimal') || { value: '.' }).value;
+    const group = (parts.find(part => part.type === 'group') || { value: ',' }).value;
+    // Spaces of any width, and straight or typographic apostrophes, stand in for each other as separators
+    const normalizeSeparator = separator => (/^\s$/.test(separator) ? ' ' : /^['’]$/.test(separator) ? "'" : separator);
+    const decimalSeparator = normalizeSeparator(decimal);
+    const groupSeparator = normalizeSeparator(group);
+
+    let text = String(value === null || value === undefined ? '' : value).trim()
+        .replace(/\s/g, ' ')
+        .replace(/’/g, "'")
+        .replace(/^[\u2212\u2013]/, '-');
+    const sign = text.startsWith('-') ? -1 : 1;
+    text = text.replace(/^[-+]/, '');
+
+    // The lowest group has three digits; higher ones have as many as the locale uses (two in en-IN), or three
+    const groupSizes = parts.filter(part => part.type === 'integer').map(part => part.value.length);
+    const higherGroupSize = groupSizes.length > 2 ? groupSizes[1] : 3;
+    const isGrouped = (integerPart, separator) => {
+        const groups = integerPart.split(separator);
+        if (groups.length === 1) return true;
+        const [first, ...rest] = groups;
+        return first.length >= 1 && first.length <= Math.max(3, higherGroupSize)
+            && [higherGroupSize, 3].some(size => rest.slice(0, -1).every(digits => digits.length === size))
+            && rest[rest.length - 1].length === 3;
+    };
+
+    let integerPart = text;
+    let fractionPart = '';
+    const decimalIndex = text.lastIndexOf(decimalSeparator);
+    if (decimalIndex !== -1) {
+        integerPart = text.slice(0, decimalIndex);
+        fractionPart = text.slice(decimalIndex + 1);
+    } else if (text.split(groupSeparator).length === 2 && !isGrouped(text, groupSeparator)) {
+        // One group separator in a place no grouping would put it: the decimal point of another notation
+        [integerPart, fractionPart] = text.split(groupSeparator);
+        return /^\d*$/.test(integerPart) && /^\d+$/.test(fractionPart) ? sign * Number(`${integerPart || '0'}.${fractionPart}`) : NaN;
+    }
+
+    if (!/^\d*$/.test(fractionPart) || (decimalIndex !== -1 && integerPart === '' && fractionPart === '')) return NaN;
+    if (!isGrouped(integerPart, groupSeparator)) return NaN;
+    const digits = integerPart.split(groupSeparator).join('');
+    if (!/^\d*$/.test(digits) || (digits === '' && fractionPart === '')) return NaN;
+
+    return sign * Number(`${digits || '0'}.${fractionPart || '0'}`);
+}
+
+/**
+ * Formats a number the way parseNumber reads it back in the selected locale, for writing into a form field
+ * @param {number} value - The number
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The number without grouping (e.g., "6.125" in en-US or "6,125" in de-DE), or '' if it is not finite
+ */
+export function formatInputNumber(value, locale = currentLocale) {
+    if (!isFinite(value)) return '';
+    return new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 10 }).format(value);
+}
+
+/**
+ * Parses the value of a date input (YYYY-MM-DD) as a local date
+ * @param {string} value - The input value
+ * @returns {Date|null} The parsed date, or null if the value is empty or invalid
+ */
+export function parseDateInput(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Describes a prepayment in words, in the display language
+ * @param {Object} prepayment - The prepayment (see getPrepaymentDue)
+ * @returns {string} Description (e.g., "$2,000.00 every March")
+ */
+export function describePrepayment(prepayment) {
+    const amount = formatCurrency(prepayment.amount);
+
+    switch (prepayment.type) {
+        case 'one-time':
+            return prepayment.date
+                ? translate('{amount} on {date}', { amount: amount, date: formatDate(prepayment.date) })
+                : translate('{amount} with payment #{number}', { amount: amount, number: prepayment.paymentNumber });
+        case 'yearly': {
+            const month = new Date(2000, prepayment.month - 1, 1).toLocaleString(currentLocale, { month: 'long' });
+            return prepayment.startYear
+                ? translate('{amount} every {month} from {year}', { amount: amount, month: month, year: String(prepayment.startYear) })
+                : translate('{amount} every {month}', { amount: amount, month: month });
+        }
+        case 'step-up':
+            return translate(
+                { one: '{amount}/month, rising by {step} every {count} month', other: '{amount}/month, rising by {step} every {count} months' },
+                { amount: amount, step: formatCurrency(prepayment.stepAmount || 0), count: prepayment.stepMonths || 12 }
+            );
+        default:
+            return amount;
+    }
+}
+
+/**
+ * Describes adjustable-rate settings in words, in the display language
+ * @param {Object} rateSchedule - The adjustable-rate settings (see getAdjustedArmRate)
+ * @returns {string} Description (e.g., "Adjustable: fixed 60 months, then every 12 months at index 4% + margin 2.75%")
+ */
+export function describeRateSchedule(rateSchedule) {
+    const caps = [
+        rateSchedule.initialCap != null ? translate('initial cap {rate}', { rate: formatPercent(rateSchedule.initialCap) }) : null,
+        rateSchedule.periodicCap != null ? translate('periodic cap {rate}', { rate: formatPercent(rateSchedule.periodicCap) }) : null,
+        rateSchedule.lifetimeCap != null ? translate('lifetime cap {rate}', { rate: formatPercent(rateSchedule.lifetimeCap) }) : null,
+        rateSchedule.floorRate != null ? translate('floor {rate}', { rate: formatPercent(rateSchedule.floorRate) }) : null
+    ].filter(Boolean);
+    const description = translate('Adjustable: fixed {fixedMonths} months, then every {adjustmentMonths} months at index {index} + margin {margin}', {
+        fixedMonths: rateSchedule.fixedMonths,
+        adjustmentMonths: rateSchedule.adjustmentMonths,
+        index: formatPercent([].concat(rateSchedule.indexRate)[0]),
+        margin: formatPercent(rateSchedule.margin || 0)
+    });
+    
+    return caps.length > 0 ? `${description} (${caps.join(', ')})` : description;
+}
+
+/**
+ * Calculates the monthly payment for a loan, or the payment per period for other payment frequencies
+ * @param {number} principal - The loan principal amount
+ * @param {number} annualRate - The annual interest rate as a percentage
+ * @param {number} termYears - The loan term in years
+ * @param {string} [frequency='monthly'] - The payment frequency key (see paymentFrequencies)
+ * @returns {number} The payment amount per period
+ */
+export function calculateMonthlyPayment(principal, annualRate, termYears, frequency = 'monthly') {
+    if (principal <= 0 || termYears <= 0) {
+        return 0;
+    }
+    
+    return calculatePeriodicPayment(principal, annualRate, termYears, frequency);
+}
+
+/**
+ * Calculates the refinance break-even point
+ * @param {number} originalMonthlyPayment - The original loan's monthly payment
+ * @param {number} newMonthlyPayment - The new loan's monthly payment
+ * @param {number} closingCosts - The total refinance closing costs
+ * @param {number} [remainingMonths] - Optional number of months left on the original loan
+ * @param {Object} [options] - Optional settings:
+ *   - currency: The currency code whose minor units the amounts are kept in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - breakEvenMonths: Number of months to break even (null if no savings)
+ *   - monthlySavings: Monthly savings amount
+ *   - totalSavingsOverRemainingTerm: Total savings over the remaining loan term, net of closing costs
+ *     (null if remainingMonths is not given)
+ *   - isValid: Whether the refinance makes financial sense
+ */
+export function calculateRefinanceBreakEven(originalMonthlyPayment, newMonthlyPayment, closingCosts, remainingMonths, options = {}) {
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    // Validate inputs
+    if (!(originalMonthlyPayment > 0)) {
+        throw new InputError('Invalid input: Monthly payments must be positive and closing costs must be non-negative', 'originalMonthlyPayment');
+    }
+    if (!(newMonthlyPayment >= 0)) {
+        throw new InputError('Invalid input: Monthly payments must be positive and closing costs must be non-negative', 'newMonthlyPayment');
+    }
+    if (!(closingCosts >= 0)) {
+        throw new InputError('Invalid input: Monthly payments must be positive and closing costs must be non-negative', 'closingCosts');
+    }
+    
+    // Calculate monthly savings, in minor units
+    const monthlySavings = toMinor(originalMonthlyPayment) - toMinor(newMonthlyPayment);
+    
+    // If there are no savings or negative savings, refinancing doesn't make sense
+    if (monthlySavings <= 0) {
+        return {
+            breakEvenMonths: null,
+            monthlySavings: toMain(monthlySavings),
+            totalSavingsOverRemainingTerm: null,
+            isValid: false
+        };
+    }
+    
+    // Calculate break-even point: closing costs divided by monthly savings
+    const breakEvenMonths = toMinor(closingCosts) / monthlySavings;
+    
+    // Round the months to 2 decimal places
+    const roundedBreakEvenMonths = Math.round(breakEvenMonths * 100) / 100;
+    
+    return {
+        breakEvenMonths: roundedBreakEvenMonths,
+        monthlySavings: toMain(monthlySavings),
+        totalSavingsOverRemainingTerm: remainingMonths > 0
+            ? toMain(Math.round(monthlySavings * remainingMonths) - toMinor(closingCosts))
+            : null,
+        isValid: true
+    };
+}
+
+/**
+ * Analyzes refinancing the original loan part-way through its schedule
+ * @param {Object} original - The original loan:
+ *   - schedule: The original amortization schedule from calculateAmortization
+ *   - principal: The original loan principal
+ *   - startDate: The original loan start date
+ *   - monthlyPayment: The original standard monthly payment (or its monthly equivalent)
+ *   - currency: Optional currency code the amounts are in (defaults to currentCurrency)
+ * @param {number} paymentsMade - Number of original payments already made; the balance after the last
+ *   of them is refinanced on its payment date
+ * @param {Object} refinance - The new loan:
+ *   - annualRate: The new annual interest rate as a percentage
+ *   - termYears: The new loan term in years
+ *   - closingCosts: Closing costs (fees) for the new loan
+ *   - points: Optional discount points as a percentage of the new loan amount
+ *   - cashOut: Optional cash taken out on top of the current balance
+ *   - rollInCosts: Whether the closing costs and points are added to the new loan instead of paid upfront
+ *   - discountRate: Optional annual discount rate (%) for the net present value (defaults to the new rate)
+ * @returns {Object} An object containing:
+ *   - paymentsMade, refinanceDate, currentBalance, remainingPayments (left on the original loan)
+ *   - newLoanAmount, pointsCost, upfrontCosts, financedCosts, cashOut
+ *   - currentMonthlyPayment, newMonthlyPayment, monthlySavings
+ *   - remainingInterestCurrent, totalInterestNew, interestDifference: Interest left on the original loan,
+ *     interest on the new loan, and how much less interest the new loan costs (negative if more)
+ *   - lifetimeSavings: Remaining original payments minus the new payments and upfront costs, plus the cash out
+ *   - netPresentValue: The same savings discounted to the refinance date at discountRate
+ *   - discountRate: The discount rate used
+ *   - breakEvenMonths, breakEvenDate: When the payments saved plus the difference in loan balances first
+ *     cover all refinance costs (null if they never do)
+ *   - newSchedule: The amortization schedule of the new loan
+ *   - newLoanCost: The APR, amount financed, finance charge and total of payments of the new loan, with the
+ *     closing costs and points as its prepaid finance charges (see calculateLoanCost), to compare offers by
+ *   - isValid: Whether the refinance breaks even before the original loan is paid off
+ */
+export function calculateRefinanceAnalysis(original, paymentsMade, refinance) {
+    const schedule = original.schedule;
+    const closingCosts = refinance.closingCosts || 0;
+    const points = refinance.points || 0;
+    const cashOut = refinance.cashOut || 0;
+    const currency = original.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    // Validate inputs
+    const negativeCost = [['closingCosts', closingCosts], ['points', points], ['cashOut', cashOut]].find(([, value]) => !(value >= 0));
+    if (negativeCost) {
+        throw new InputError('Invalid input: Closing costs, points and cash out must be non-negative', negativeCost[0]);
+    }
+    if (points >= 100) {
+        throw new InputError('Invalid input: Points must be less than 100% of the loan', 'points');
+    }
+    if (!Number.isInteger(paymentsMade) || paymentsMade < 0 || paymentsMade >= schedule.length) {
+        throw new InputError('Invalid input: Payments already made must be between 0 and {max}', 'paymentsMade', null, { max: schedule.length - 1 });
+    }
+    
+    // Where the borrower stands on the original loan
+    const lastPaid = paymentsMade > 0 ? schedule[paymentsMade - 1] : null;
+    const refinanceDate = lastPaid ? new Date(lastPaid.date) : new Date(original.startDate);
+    const currentBalance = lastPaid ? lastPaid.remainingBalance : original.principal;
+    const remainingSchedule = schedule.slice(paymentsMade);
+    
+    // Money is kept in whole minor units (e.g. cents) so every amount is exact. Points are charged on the
+    // new loan amount, so rolling them in grows the loan they are charged on.
+    const baseUnits = toMinor(currentBalance) + toMinor(cashOut);
+    const closingCostUnits = toMinor(closingCosts);
+    const newLoanUnits = refinance.rollInCosts
+        ? Math.round((baseUnits + closingCostUnits) / (1 - points / 100))
+        : baseUnits;
+    const pointsUnits = Math.round(newLoanUnits * points / 100);
+    const financedUnits = refinance.rollInCosts ? newLoanUnits - baseUnits : 0;
+    const upfrontUnits = refinance.rollInCosts ? 0 : closingCostUnits + pointsUnits;
+    const newLoanAmount = toMain(newLoanUnits);
+    const upfrontCosts = toMain(upfrontUnits);
+    
+    const newLoan = calculateAmortization(newLoanAmount, refinance.annualRate, refinance.termYears, 0, refinanceDate, {
+        includeComparisons: false,
+        currency: currency
+    });
+    const newSchedule = newLoan.schedule;
+    const newLoanCost = calculateLoanCost(newSchedule, newLoanAmount, toMain(closingCostUnits + pointsUnits), { currency: currency });
+    
+    const paymentUnits = payment => toMinor(payment.interestPaid) + toMinor(payment.principalPaid);
+    const sum = (rows, value) => rows.reduce((total, row) => total + value(row), 0);
+    const remainingInterestUnits = sum(remainingSchedule, row => toMinor(row.interestPaid));
+    const remainingPaymentUnits = sum(remainingSchedule, paymentUnits);
+    const newPaymentUnits = sum(newSchedule, paymentUnits);
+    const cashOutUnits = toMinor(cashOut);
+    
+    // Discount every payment back to the refinance date
+    const discountRate = refinance.discountRate != null ? refinance.discountRate : refinance.annualRate;
+    const millisecondsPerYear = 365.25 * 24 * 60 * 60 * 1000;
+    const presentValue = rows => sum(rows, row => {
+        const years = (row.date - refinanceDate) / millisecondsPerYear;
+        return paymentUnits(row) / Math.pow(1 + discountRate / 100, years);
+    });
+    const netPresentValueUnits = cashOutUnits - upfrontUnits + presentValue(remainingSchedule) - presentValue(newSchedule);
+    
+    // Break even once the payments saved plus the difference in balances cover the refinance costs.
+    // Cash out raises the new balance by the amount received, so it does not count towards breaking even.
+    let breakEvenMonths = null;
+    let breakEvenDate = null;
+    let originalIndex = 0;
+    let newIndex = 0;
+    let originalPaid = 0;
+    let newPaid = 0;
+    let originalBalance = toMinor(currentBalance);
+    let newBalance = newLoanUnits;
+    const horizonMonths = Math.max(remainingSchedule.length, newSchedule.length);
+    for (let month = 1; month <= horizonMonths; month++) {
+        const boundary = getPaymentDate(refinanceDate, month);
+        while (originalIndex < remainingSchedule.length && remainingSchedule[originalIndex].date <= boundary) {
+            originalPaid += paymentUnits(remainingSchedule[originalIndex]);
+            originalBalance = toMinor(remainingSchedule[originalIndex].remainingBalance);
+            originalIndex++;
+        }
+        while (newIndex < newSchedule.length && newSchedule[newIndex].date <= boundary) {
+            newPaid += paymentUnits(newSchedule[newIndex]);
+            newBalance = toMinor(newSchedule[newIndex].remainingBalance);
+            newIndex++;
+        }
+        
+        const netPosition = cashOutUnits - upfrontUnits + (originalPaid - newPaid) + (originalBalance - newBalance);
+        if (netPosition >= 0) {
+            breakEvenMonths = month;
+            breakEvenDate = boundary;
+            break;
+        }
+    }
+    
+    return {
+        paymentsMade: paymentsMade,
+        refinanceDate: refinanceDate,
+        currentBalance: currentBalance,
+        remainingPayments: remainingSchedule.length,
+        newLoanAmount: newLoanAmount,
+        pointsCost: toMain(pointsUnits),
+        upfrontCosts: upfrontCosts,
+        financedCosts: toMain(financedUnits),
+        cashOut: cashOut,
+        currentMonthlyPayment: original.monthlyPayment,
+        newMonthlyPayment: newLoan.monthlyPayment,
+        monthlySavings: toMain(toMinor(original.monthlyPayment) - toMinor(newLoan.monthlyPayment)),
+        remainingInterestCurrent: toMain(remainingInterestUnits),
+        totalInterestNew: newLoan.totalInterestPaid,
+        interestDifference: toMain(remainingInterestUnits - toMinor(newLoan.totalInterestPaid)),
+        lifetimeSavings: toMain(remainingPaymentUnits - newPaymentUnits - upfrontUnits + cashOutUnits),
+        netPresentValue: toMain(Math.round(netPresentValueUnits)),
+        discountRate: discountRate,
+        breakEvenMonths: breakEvenMonths,
+        breakEvenDate: breakEvenDate,
+        newSchedule: newSchedule,
+        newLoanCost: newLoanCost,
+        isValid: breakEvenMonths !== null && breakEvenMonths <= remainingSchedule.length
+    };
+}
+
+// What a lump sum paid towards a loan can do, in the order they are compared
+export const lumpSumOutcomes = {
+    'none': 'No lump sum',
+    'prepay': 'Keep the payment',
+    'recast': 'Recast',
+    'refinance': 'Refinance'
+};
+
+/**
+ * Compares the ways of using a lump sum on a loan: prepaying it and keeping the payment, which shortens the
+ * term; recasting, where the lender re-amortizes the lower balance over the remaining term for a fee; and
+ * refinancing what is left at a new rate. Everything is compared from the lump-sum payment on, against
+ * carrying on without the lump sum. Extra monthly payments carry over to every outcome, the refinance included.
+ * @param {Object} calculation - The inputs and results of the loan calculation (see lastLoanCalculation)
+ * @param {number} paymentNumber - The payment the lump sum is paid with
+ * @param {number} lumpSum - The lump sum
+ * @param {Object} [options] - Optional settings:
+ *   - recastFee: What the lender charges to recast the loan
+ *   - refinance: The { annualRate, termYears, closingCosts, points } of a monthly refinance taken out on the
+ *     date of the lump sum, with the costs paid upfront (the refinance is left out without them)
+ *   - currency: The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - lumpSum, paymentNumber, date: The lump sum, the payment it is paid with and that payment's date
+ *   - balance: The balance left once the lump sum is paid
+ *   - outcomes: One object per compared outcome, keyed by type (see lumpSumOutcomes), with the monthlyPayment
+ *     (the monthly equivalent of the payment from then on, including the extra monthly payment),
+ *     interestPaid from then on, costs (fees, closing costs and points), totalCost (interest plus costs),
+ *     payoffDate, monthsToPayoff from the lump sum, isBaseline and the { monthlyPayment, interestPaid,
+ *     totalCost, monthsToPayoff } deltas from carrying on without the lump sum (positive when higher or later)
+ *   - refinanceBreakEven: The refinance break-even against the payment without the lump sum (see
+ *     calculateRefinanceBreakEven), or null without a refinance
+ */
+export function compareLumpSumOptions(calculation, paymentNumber, lumpSum, options = {}) {
+    const { inputs, results } = calculation;
+    const { principal, annualRate, termYears, extraMonthlyPayment = 0, startDate, prepayments = [], ...loanOptions } = inputs;
+    const schedule = results.schedule;
+    const recastFee = options.recastFee || 0;
+    const refinance = options.refinance || null;
+    const currency = options.currency || loanOptions.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    // Validate inputs
+    if (!Number.isInteger(paymentNumber) || paymentNumber < 1 || paymentNumber >= schedule.length) {
+        throw new InputError('Invalid input: The lump sum must be paid with one of payments 1 to {max}', 'paymentNumber', null, { max: schedule.length - 1 });
+    }
+    const lumpSumPayment = schedule[paymentNumber - 1];
+    if (!(lumpSum > 0) || toMinor(lumpSum) >= toMinor(lumpSumPayment.remainingBalance)) {
+        throw new InputError('Invalid input: The lump sum must be more than 0 and less than the balance it pays down', 'lumpSum');
+    }
+    if (!(recastFee >= 0)) {
+        throw new InputError('Invalid input: The recast fee cannot be negative', 'recastFee');
+    }
+    const negativeCost = refinance ? ['closingCosts', 'points'].find(key => refinance[key] != null && !(refinance[key] >= 0)) : null;
+    if (negativeCost) {
+        throw new InputError('Invalid input: Closing costs and points must be non-negative', negativeCost);
+    }
+    
+    const periodsPerYear = paymentFrequencies[results.frequency].periodsPerYear;
+    const balance = toMain(toMinor(lumpSumPayment.remainingBalance) - toMinor(lumpSum));
+    const lumpSumPrepayment = { type: 'one-time', amount: lumpSum, paymentNumber: paymentNumber };
+    const runLoan = extraOptions => calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment, startDate, {
+        ...loanOptions,
+        currency: currency,
+        prepayments: [...prepayments, lumpSumPrepayment],
+        includeComparisons: false,
+        ...extraOptions
+    });
+    
+    /**
+     * Sums up the payments of a schedule from the lump sum on
+     * @param {Array} rows - The schedule rows after the lump sum
+     * @param {number} rowsPerYear - The payments per year of the schedule
+     * @param {number} costs - The fees paid for the outcome
+     * @returns {Object} The outcome without its type and deltas
+     */
+    const summarize = (rows, rowsPerYear, costs) => {
+        const interestPaid = rows.reduce((total, row) => total + toMinor(row.interestPaid), 0);
+        const payment = rows.length > 0 ? toMinor(rows[0].scheduledPayment) : 0;
+        return {
+            monthlyPayment: toMain(Math.round(payment * rowsPerYear / 12) + toMinor(extraMonthlyPayment)),
+            interestPaid: toMain(interestPaid),
+            costs: toMain(toMinor(costs)),
+            totalCost: toMain(interestPaid + toMinor(costs)),
+            payoffDate: rows.length > 0 ? rows[rows.length - 1].date : new Date(lumpSumPayment.date),
+            monthsToPayoff: Math.ceil(rows.length * 12 / rowsPerYear - 1e-9)
+        };
+    };
+    const rowsAfterLumpSum = rows => rows.slice(paymentNumber);
+    
+    const outcomes = {
+        'none': summarize(rowsAfterLumpSum(schedule), periodsPerYear, 0),
+        'prepay': summarize(rowsAfterLumpSum(runLoan({}).schedule), periodsPerYear, 0),
+        'recast': summarize(rowsAfterLumpSum(runLoan({ recastPaymentNumber: paymentNumber }).schedule), periodsPerYear, recastFee)
+    };
+    
+    let refinanceBreakEven = null;
+    if (refinance) {
+        const newLoan = calculateAmortization(balance, refinance.annualRate, refinance.termYears, extraMonthlyPayment,
+            new Date(lumpSumPayment.date), { currency: currency, includeComparisons: false });
+        const costs = toMain(toMinor(refinance.closingCosts || 0) + toMinor(balance * (refinance.points || 0) / 100));
+        outcomes.refinance = summarize(newLoan.schedule, 12, costs);
+        refinanceBreakEven = calculateRefinanceBreakEven(
+            toMain(toMinor(outcomes.none.monthlyPayment) - toMinor(extraMonthlyPayment)),
+            newLoan.monthlyPayment,
+            costs,
+            outcomes.none.monthsToPayoff,
+            { currency: currency }
+        );
+    }
+    
+    const baseline = outcomes.none;
+    const difference = (value, baselineValue) => toMain(toMinor(value) - toMinor(baselineValue));
+    return {
+        lumpSum: toMain(toMinor(lumpSum)),
+        paymentNumber: paymentNumber,
+        date: new Date(lumpSumPayment.date),
+        balance: balance,
+        outcomes: Object.keys(lumpSumOutcomes).filter(type => outcomes[type]).map(type => ({
+            type: type,
+            ...outcomes[type],
+            isBaseline: type === 'none',
+            deltas: {
+                monthlyPayment: difference(outcomes[type].monthlyPayment, baseline.monthlyPayment),
+                interestPaid: difference(outcomes[type].interestPaid, baseline.interestPaid),
+                totalCost: difference(outcomes[type].totalCost, baseline.totalCost),
+                monthsToPayoff: outcomes[type].monthsToPayoff - baseline.monthsToPayoff
+            }
+        })),
+        refinanceBreakEven: refinanceBreakEven
+    };
+}
+
+// The two ways of using the extra payments weighed by comparePrepayingWithInvesting
+export const prepayInvestStrategies = {
+    'prepay': 'Prepay the loan',
+    'invest': 'Invest the difference'
+};
+
+/**
+ * Weighs paying the extra payments and prepayments into the loan against investing them instead. Both
+ * strategies spend the same each period: the larger of the two loans' payments (principal, interest and PMI).
+ * Whatever a strategy does not pay into its loan is invested, so once the prepaid loan is paid off its whole
+ * payment goes into investments too. Net worth is the investments, less the tax due on their gains if they
+ * were sold, less the loan balance. Real figures are in money of the loan's start, deflated by the inflation rate.
+ * @param {Object} calculation - The inputs and results of the loan calculation (see lastLoanCalculation)
+ * @param {Object} options - Settings:
+ *   - investmentReturn: The expected yearly return on investments, as a percentage
+ *   - taxRate: The tax on investment gains when they are sold, as a percentage (defaults to 0)
+ *   - inflationRate: The yearly inflation rate, as a percentage (defaults to 0)
+ *   - currency: The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - investmentReturn, taxRate, inflationRate: The rates compared with
+ *   - points: One { paymentNumber, date, prepay, invest, realPrepay, realInvest } per payment up to the later
+ *     payoff, with each strategy's net worth after that payment, nominal and real
+ *   - strategies: One object per strategy, keyed by type (see prepayInvestStrategies), with the totalInterest
+ *     and realTotalInterest paid, the payoffDate and monthsToPayoff of its loan, and its netWorth and
+ *     realNetWorth at the end
+ *   - finalPayment: The { amount, realAmount, date } of the last scheduled payment without the extra payments
+ *   - leader: The strategy ahead at the end ('prepay' or 'invest'), or null when they end up level
+ *   - advantage, realAdvantage: How far the leader is ahead at the end, nominal and real
+ *   - crossover: The { paymentNumber, date, leader } of the payment after which the final leader took the lead
+ *     for good, or null when it leads from the start
+ */
+export function comparePrepayingWithInvesting(calculation, options) {
+    const { inputs, results } = calculation;
+    const { principal, annualRate, termYears, extraMonthlyPayment = 0, startDate, prepayments = [], ...loanOptions } = inputs;
+    const investmentReturn = options.investmentReturn;
+    const taxRate = options.taxRate || 0;
+    const inflationRate = options.inflationRate || 0;
+    const currency = options.currency || loanOptions.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    // Validate inputs
+    if (!(extraMonthlyPayment > 0) && prepayments.length === 0) {
+        throw new InputError('Invalid input: Enter an extra monthly payment or a prepayment to compare prepaying with investing', 'extraMonthlyPayment');
+    }
+    if (!(investmentReturn > -100 && investmentReturn <= 100)) {
+        throw new InputError('Invalid input: The investment return must be more than -100% and at most 100%', 'investmentReturn');
+    }
+    if (!(taxRate >= 0 && taxRate < 100)) {
+        throw new InputError('Invalid input: The tax rate must be at least 0% and less than 100%', 'taxRate');
+    }
+    if (!(inflationRate > -100 && inflationRate <= 100)) {
+        throw new InputError('Invalid input: The inflation rate must be more than -100% and at most 100%', 'inflationRate');
+    }
+    
+    const periodsPerYear = paymentFrequencies[results.frequency].periodsPerYear;
+    const schedules = {
+        prepay: results.schedule,
+        invest: calculateAmortization(principal, annualRate, termYears, 0, startDate, {
+            ...loanOptions,
+            currency: currency,
+            includeComparisons: false
+        }).schedule
+    };
+    const strategies = Object.keys(prepayInvestStrategies);
+    const periods = Math.max(schedules.prepay.length, schedules.invest.length);
+    const growth = Math.pow(1 + investmentReturn / 100, 1 / periodsPerYear) - 1;
+    const deflator = period => Math.pow(1 + inflationRate / 100, period / periodsPerYear);
+    
+    // Each strategy's investments, what was put into them and its loan's interest so far, in minor units
+    const state = {};
+    strategies.forEach(strategy => {
+        state[strategy] = { investments: 0, basis: 0, interest: 0, realInterest: 0, netWorth: 0 };
+    });
+    const points = [];
+    let lastLeader = null;
+    let leaderSince = 0;
+    
+    for (let period = 1; period <= periods; period++) {
+        const rows = {};
+        const outflows = {};
+        strategies.forEach(strategy => {
+            const row = schedules[strategy][period - 1];
+            rows[strategy] = row;
+            outflows[strategy] = row ? toMinor(row.interestPaid) + toMinor(row.principalPaid) + toMinor(row.pmiPaid) : 0;
+        });
+        const budget = Math.max(...strategies.map(strategy => outflows[strategy]));
+        const realFactor = deflator(period);
+        
+        strategies.forEach(strategy => {
+            const current = state[strategy];
+            const row = rows[strategy];
+            const contribution = budget - outflows[strategy];
+            current.investments = current.investments * (1 + growth) + contribution;
+            current.basis += contribution;
+            if (row) {
+                current.interest += toMinor(row.interestPaid);
+                current.realInterest += toMinor(row.interestPaid) / realFactor;
+            }
+            
+            // Gains are taxed when they are sold; losses are not credited
+            const tax = Math.max(0, current.investments - current.basis) * taxRate / 100;
+            const balance = row ? toMinor(row.remainingBalance) : 0;
+            current.netWorth = Math.round(current.investments - tax) - balance;
+        });
+        points.push({
+            paymentNumber: period,
+            date: (rows.invest || rows.prepay).date,
+            prepay: toMain(state.prepay.netWorth),
+            invest: toMain(state.invest.netWorth),
+            realPrepay: toMain(Math.round(state.prepay.netWorth / realFactor)),
+            realInvest: toMain(Math.round(state.invest.netWorth / realFactor))
+        });
+        
+        // Differences of a unit or less are rounding, not a change of lead
+        const difference = state.invest.netWorth - state.prepay.netWorth;
+        const leader = Math.abs(difference) <= 1 ? lastLeader : (difference > 0 ? 'invest' : 'prepay');
+        if (leader !== lastLeader) {
+            leaderSince = lastLeader ? period : 0;
+            lastLeader = leader;
+        }
+    }
+    
+    const finalDifference = state.invest.netWorth - state.prepay.netWorth;
+    const finalRealFactor = deflator(periods);
+    const leader = Math.abs(finalDifference) <= 1 ? null : lastLeader;
+    const lastInvestPayment = schedules.invest[schedules.invest.length - 1];
+    const finalPayment = toMinor(lastInvestPayment.scheduledPayment);
+    const crossoverPoint = leader && leaderSince > 0 ? points[leaderSince - 1] : null;
+    
+    const summaries = {};
+    strategies.forEach(strategy => {
+        const schedule = schedules[strategy];
+        const current = state[strategy];
+        summaries[strategy] = {
+            totalInterest: toMain(current.interest),
+            realTotalInterest: toMain(Math.round(current.realInterest)),
+            payoffDate: new Date(schedule[schedule.length - 1].date),
+            monthsToPayoff: Math.ceil(schedule.length * 12 / periodsPerYear - 1e-9),
+            netWorth: toMain(current.netWorth),
+            realNetWorth: toMain(Math.round(current.netWorth / finalRealFactor))
+        };
+    });
+    
+    return {
+        investmentReturn: investmentReturn,
+        taxRate: taxRate,
+        inflationRate: inflationRate,
+        points: points,
+        strategies: summaries,
+        finalPayment: {
+            amount: toMain(finalPayment),
+            realAmount: toMain(Math.round(finalPayment / deflator(schedules.invest.length))),
+            date: new Date(lastInvestPayment.date)
+        },
+        leader: leader,
+        advantage: toMain(Math.abs(finalDifference)),
+        realAdvantage: toMain(Math.round(Math.abs(finalDifference) / finalRealFactor)),
+        crossover: crossoverPoint ? { paymentNumber: crossoverPoint.paymentNumber, date: crossoverPoint.date, leader: leader } : null
+    };
+}
+
+/**
+ * Groups a schedule by calendar year, with the running totals of interest and principal paid
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {string} [currency] - The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Array} Array of year objects with the year, its payments (the schedule rows, each with the
+ *   payment of principal and interest and the cumulativeInterest and cumulativePrincipal paid so far),
+ *   the year's totals of payment, interestPaid, principalPaid, prepaymentPaid, taxPaid, insurancePaid,
+ *   pmiPaid, hoaPaid and totalPayment, and the cumulativeInterest, cumulativePrincipal and
+ *   remainingBalance at the end of the year
+ */
+export function groupScheduleByYear(schedule, currency = currentCurrency) {
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    const totalFields = ['payment', 'interestPaid', 'principalPaid', 'prepaymentPaid', 'taxPaid', 'insurancePaid', 'pmiPaid', 'hoaPaid', 'totalPayment'];
+
+    const years = [];
+    let cumulativeInterest = 0;
+    let cumulativePrincipal = 0;
+    let current = null;
+    let totals = null;
+    schedule.forEach(row => {
+        const year = row.date.getFullYear();
+        if (!current || current.year !== year) {
+            current = { year: year, payments: [] };
+            totals = {};
+            totalFields.forEach(field => {
+                totals[field] = 0;
+            });
+            years.push(current);
+        }
+
+        cumulativeInterest += toMinor(row.interestPaid);
+        cumulativePrincipal += toMinor(row.principalPaid);
+        const payment = { ...row, payment: toMain(toMinor(row.interestPaid) + toMinor(row.principalPaid)) };
+        payment.cumulativeInterest = toMain(cumulativeInterest);
+        payment.cumulativePrincipal = toMain(cumulativePrincipal);
+        current.payments.push(payment);
+
+        totalFields.forEach(field => {
+            totals[field] += toMinor(payment[field]);
+            current[field] = toMain(totals[field]);
+        });
+        current.cumulativeInterest = payment.cumulativeInterest;
+        current.cumulativePrincipal = payment.cumulativePrincipal;
+        current.remainingBalance = row.remainingBalance;
+    });
+    return years;
+}
+
+/**
+ * Sums a schedule into yearly interest statements for tax season, by calendar year like a lender's year-end
+ * statement, with an optional estimate of what deducting the interest saves. Itemizing only pays off to the
+ * extent the interest and other itemized deductions add up to more than the standard deduction, so the
+ * estimate saves the marginal tax rate on that excess, up to the interest itself.
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {Object} [options] - Optional settings:
+ *   - deduction: The { marginalRate (a percentage), standardDeduction, otherDeductions } to estimate the tax
+ *     savings with, where otherDeductions are the year's other itemized deductions, such as property taxes
+ *   - currency: The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - years: One statement per calendar year with the year, its payments (the schedule rows), the
+ *     firstPaymentNumber and lastPaymentNumber, the interestPaid, principalPaid (prepayments included),
+ *     prepaymentPaid, pmiPaid and taxPaid, the startingBalance and endingBalance, and with a deduction the
+ *     itemizedDeductions, whether itemizing beats the standard deduction (itemizes), the taxSavings and the
+ *     afterTaxInterest (null without a deduction)
+ *   - totals: The { interestPaid, principalPaid, taxSavings, afterTaxInterest } over all years (the last two
+ *     null without a deduction)
+ */
+export function calculateInterestStatements(schedule, options = {}) {
+    const deduction = options.deduction || null;
+    const currency = options.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    // Validate inputs
+    if (deduction) {
+        if (!(deduction.marginalRate >= 0 && deduction.marginalRate <= 100)) {
+            throw new InputError('Invalid input: The marginal tax rate must be between 0% and 100%', 'marginalRate');
+        }
+        const negativeDeduction = ['standardDeduction', 'otherDeductions'].find(key => deduction[key] != null && !(deduction[key] >= 0));
+        if (negativeDeduction) {
+            throw new InputError('Invalid input: Deductions cannot be negative', negativeDeduction);
+        }
+    }
+    
+    const totals = { interestPaid: 0, principalPaid: 0, taxSavings: 0, afterTaxInterest: 0 };
+    let startingBalance = schedule.length > 0 ? toMinor(schedule[0].remainingBalance) + toMinor(schedule[0].principalPaid) : 0;
+    const years = groupScheduleByYear(schedule, currency).map(year => {
+        const interest = toMinor(year.interestPaid);
+        const statement = {
+            year: year.year,
+            payments: year.payments,
+            firstPaymentNumber: year.payments[0].paymentNumber,
+            lastPaymentNumber: year.payments[year.payments.length - 1].paymentNumber,
+            interestPaid: year.interestPaid,
+            principalPaid: year.principalPaid,
+            prepaymentPaid: year.prepaymentPaid,
+            pmiPaid: year.pmiPaid,
+            taxPaid: year.taxPaid,
+            startingBalance: toMain(startingBalance),
+            endingBalance: year.remainingBalance,
+            itemizedDeductions: null,
+            itemizes: null,
+            taxSavings: null,
+            afterTaxInterest: null
+        };
+        startingBalance = toMinor(year.remainingBalance);
+        totals.interestPaid += interest;
+        totals.principalPaid += toMinor(year.principalPaid);
+        
+        if (deduction) {
+            const itemized = interest + toMinor(deduction.otherDeductions || 0);
+            const excess = Math.max(0, Math.min(interest, itemized - toMinor(deduction.standardDeduction || 0)));
+            const taxSavings = Math.round(excess * deduction.marginalRate / 100);
+            statement.itemizedDeductions = toMain(itemized);
+            statement.itemizes = excess > 0;
+            statement.taxSavings = toMain(taxSavings);
+            statement.afterTaxInterest = toMain(interest - taxSavings);
+            totals.taxSavings += taxSavings;
+            totals.afterTaxInterest += interest - taxSavings;
+        }
+        return statement;
+    });
+    
+    return {
+        years: years,
+        totals: {
+            interestPaid: toMain(totals.interestPaid),
+            principalPaid: toMain(totals.principalPaid),
+            taxSavings: deduction ? toMain(totals.taxSavings) : null,
+            afterTaxInterest: deduction ? toMain(totals.afterTaxInterest) : null
+        }
+    };
+}
+
+/**
+ * Finds the first payment after which the equity in the home reaches a share of its value
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {number} homeValue - The value of the home (use the principal to track the share of the loan paid off)
+ * @param {number} thresholdPercent - The equity share to reach, as a percentage (e.g., 20)
+ * @returns {number} The index of that payment in the schedule, or -1 if the equity never reaches the share
+ */
+export function findEquityThreshold(schedule, homeValue, thresholdPercent) {
+    if (!(homeValue > 0)) {
+        throw new InputError('Invalid input: The home value must be positive and the equity share zero or more', 'homeValue');
+    }
+    if (!(thresholdPercent >= 0)) {
+        throw new InputError('Invalid input: The home value must be positive and the equity share zero or more', 'thresholdPercent');
+    }
+    return schedule.findIndex(payment => (homeValue - payment.remainingBalance) / homeValue * 100 >= thresholdPercent - 1e-9);
+}
+
+/**
+ * Counts the payments of a schedule that are due on or before a date
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {Date} [date] - The date (defaults to today)
+ * @returns {number} The number of payments made by that date
+ */
+export function countPaymentsMade(schedule, date = new Date()) {
+    return schedule.filter(payment => payment.date <= date).length;
+}
+
+/**
+ * Replays the payments actually made on a loan and compares them with its planned schedule.
+ * Each payment counts towards the first due date on or after it. On every due date the period's
+ * interest is charged and the payments are applied to interest first (including any interest left
+ * unpaid by missed or partial payments), then to principal. The loan is then projected from its
+ * true balance, paying the planned payment from the next due date on.
+ * @param {Object} calculation - The planned loan: { inputs, results } (see lastLoanCalculation), where inputs has
+ *   the principal, annualRate, termYears, extraMonthlyPayment, startDate and the frequency, paymentRounding,
+ *   interestConvention and currency options, and results is the matching calculateAmortization result
+ * @param {Array} payments - The payments made, as { date, amount } objects with the principal and interest paid
+ *   (taxes, insurance, PMI and HOA dues left out); an amount of 0 records a missed payment
+ * @param {Date} [asOfDate] - The date to compare on (defaults to today); later payments are ignored
+ * @returns {Object} An object containing:
+ *   - asOfDate, periodsElapsed: The comparison date and the number of due dates replayed
+ *   - ledger: Per due date, the { paymentNumber, dueDate, plannedPayment, amountPaid, status ('paid', 'extra',
+ *     'partial' or 'missed'), interestCharged, interestPaid, principalPaid, unpaidInterest, remainingBalance,
+ *     plannedBalance, balanceVariance }
+ *   - currentBalance, pastDueInterest: What is owed now, and how much of the interest charged is still unpaid
+ *   - plannedBalance, balanceVariance: The balance the plan expected by now, and how far the current balance is
+ *     above it (negative when ahead of plan)
+ *   - interestChargedToDate, plannedInterestToDate, interestVariance
+ *   - totalPaidToDate, plannedPaidToDate
+ *   - missedPayments, partialPayments: The number of due dates with no payment or less than planned
+ *   - reamortizedPayment: The payment that would still pay the loan off by the end of its term (null once the
+ *     term is over or the loan is paid off)
+ *   - projection: The calculateAmortization result from the current balance, paying the planned payment
+ *     (null if the loan is paid off or the payment no longer covers the interest, or would take over 100 years)
+ *   - plannedPayoffDate, projectedPayoffDate, payoffVarianceMonths: When the loan was planned to and is now projected
+ *     to be paid off, and how many months later that is (negative when earlier)
+ *   - plannedTotalInterest, projectedTotalInterest, lifetimeInterestVariance: Interest over the whole loan, as
+ *     planned and as charged so far plus projected
+ */
+export function compareActualPayments(calculation, payments, asOfDate = new Date()) {
+    const { inputs, results } = calculation;
+    const frequency = results.frequency;
+    const periodsPerYear = paymentFrequencies[frequency].periodsPerYear;
+    const convention = inputs.interestConvention || 'standard';
+    const currency = inputs.currency || currentCurrency;
+    const moneyOptions = {
+        frequency: frequency,
+        paymentRounding: inputs.paymentRounding,
+        interestConvention: convention,
+        currency: currency
+    };
+
+    // Validate inputs
+    const invalidPayment = payments.findIndex(payment => !(payment.date instanceof Date) || isNaN(payment.date) || !(payment.amount >= 0));
+    if (invalidPayment !== -1) {
+        throw new InputError('Invalid input: Each payment needs a date and an amount of zero or more', 'payments', invalidPayment);
+    }
+    const earlyPayment = payments.findIndex(payment => payment.date < inputs.startDate);
+    if (earlyPayment !== -1) {
+        throw new InputError('Invalid input: Payments cannot be dated before the loan starts on {date}',
+            'payments', earlyPayment, { date: formatDate(inputs.startDate) });
+    }
+
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    const planned = results.schedule;
+    const plannedPayment = index => planned[index] ? toMinor(planned[index].interestPaid + planned[index].principalPaid) : 0;
+    const pendingPayments = payments
+        .filter(payment => payment.date <= asOfDate)
+        .sort((a, b) => a.date - b.date);
+
+    // Replay every due date up to the comparison date, plus the next one if it has already been paid towards
+    const ledger = [];
+    let balance = toMinor(inputs.principal);
+    let unpaidInterest = 0;
+    let previousDueDate = new Date(inputs.startDate);
+    let currentRate = inputs.annualRate;
+    const totals = { interestCharged: 0, paid: 0, plannedInterest: 0, plannedPaid: 0, missed: 0, partial: 0 };
+    for (let paymentNumber = 1; balance > 0 || unpaidInterest > 0; paymentNumber++) {
+        const dueDate = getPaymentDate(inputs.startDate, paymentNumber, frequency);
+        const periodPayments = [];
+        while (pendingPayments.length > 0 && pendingPayments[0].date <= dueDate) {
+            periodPayments.push(pendingPayments.shift());
+        }
+        if (dueDate > asOfDate && periodPayments.length === 0) break;
+
+        const plannedRow = planned[paymentNumber - 1];
+        currentRate = plannedRow ? plannedRow.interestRate : currentRate;
+        const accrual = getPeriodInterestRate(convention, currentRate, periodsPerYear, previousDueDate, dueDate);
+        const interestCharged = Math.round(balance * accrual.rate);
+        const amountPaid = periodPayments.reduce((total, payment) => total + toMinor(payment.amount), 0);
+        const interestDue = unpaidInterest + interestCharged;
+        const interestPaid = Math.min(interestDue, amountPaid);
+        const principalPaid = Math.min(amountPaid - interestPaid, balance);
+        unpaidInterest = interestDue - interestPaid;
+        balance -= principalPaid;
+
+        const expected = plannedPayment(paymentNumber - 1);
+        let status = 'paid';
+        if (amountPaid === 0) {
+            status = 'missed';
+            totals.missed++;
+        } else if (amountPaid < expected) {
+            status = 'partial';
+            totals.partial++;
+        } else if (amountPaid > expected) {
+            status = 'extra';
+        }
+
+        totals.interestCharged += interestCharged;
+        totals.paid += interestPaid + principalPaid;
+        totals.plannedInterest += plannedRow ? toMinor(plannedRow.interestPaid) : 0;
+        totals.plannedPaid += expected;
+        const plannedBalance = plannedRow ? toMinor(plannedRow.remainingBalance) : 0;
+        ledger.push({
+            paymentNumber: paymentNumber,
+            dueDate: dueDate,
+            plannedPayment: toMain(expected),
+            amountPaid: toMain(amountPaid),
+            status: status,
+            interestCharged: toMain(interestCharged),
+            interestPaid: toMain(interestPaid),
+            principalPaid: toMain(principalPaid),
+            unpaidInterest: toMain(unpaidInterest),
+            remainingBalance: toMain(balance),
+            plannedBalance: toMain(plannedBalance),
+            balanceVariance: toMain(balance + unpaidInterest - plannedBalance)
+        });
+        previousDueDate = dueDate;
+    }
+
+    const periodsElapsed = ledger.length;
+    const lastRow = ledger[periodsElapsed - 1];
+    const plannedBalance = lastRow ? toMinor(lastRow.plannedBalance) : toMinor(inputs.principal);
+    const owed = balance + unpaidInterest;
+
+    // Keep paying the planned payment from the true balance, re-amortizing any unpaid interest into it
+    let projection = null;
+    let reamortizedPayment = null;
+    const currentPayment = planned.length > 0 ? planned[Math.min(periodsElapsed, planned.length - 1)].scheduledPayment : results.periodicPayment;
+    const regularPayment = toMinor(currentPayment) + Math.round(toMinor(inputs.extraMonthlyPayment || 0) * 12 / periodsPerYear);
+    if (owed > 0) {
+        const remainingPeriods = Math.round(inputs.termYears * periodsPerYear) - periodsElapsed;
+        if (remainingPeriods > 0) {
+            reamortizedPayment = calculatePeriodicPayment(toMain(owed), currentRate, remainingPeriods / periodsPerYear, frequency, moneyOptions);
+        }
+
+        // Work out how many payments the regular payment needs. The last one settles any difference, so a
+        // sliver of a payment left by rounding the payment is folded into it rather than adding a payment.
+        const periodicRate = getScheduledPeriodicRate(convention, currentRate, periodsPerYear);
+        const periodsNeeded = periodicRate > 0
+            ? -Math.log(1 - periodicRate * owed / regularPayment) / Math.log(1 + periodicRate)
+            : owed / regularPayment;
+        if (Number.isFinite(periodsNeeded) && periodsNeeded <= 100 * periodsPerYear) {
+            projection = calculateAmortization(toMain(owed), currentRate, Math.max(1, Math.ceil(periodsNeeded - 0.05)) / periodsPerYear,
+                inputs.extraMonthlyPayment || 0, previousDueDate, {
+                    ...moneyOptions,
+                    periodicPayment: currentPayment,
+                    includeComparisons: false
+                });
+        }
+    }
+
+    const plannedPayoffDate = planned.length > 0 ? planned[planned.length - 1].date : new Date(inputs.startDate);
+    let projectedPayoffDate = null;
+    if (owed === 0) {
+        projectedPayoffDate = lastRow ? lastRow.dueDate : new Date(inputs.startDate);
+    } else if (projection) {
+        projectedPayoffDate = projection.schedule[projection.schedule.length - 1].date;
+    }
+    const monthsBetween = (from, to) => (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+    const projectedTotalInterest = projection || owed === 0
+        ? toMain(totals.interestCharged + (projection ? toMinor(projection.totalInterestPaid) : 0))
+        : null;
+
+    return {
+        asOfDate: asOfDate,
+        periodsElapsed: periodsElapsed,
+        ledger: ledger,
+        currentBalance: toMain(balance),
+        pastDueInterest: toMain(unpaidInterest),
+        plannedBalance: toMain(plannedBalance),
+        balanceVariance: toMain(owed - plannedBalance),
+        interestChargedToDate: toMain(totals.interestCharged),
+        plannedInterestToDate: toMain(totals.plannedInterest),
+        interestVariance: toMain(totals.interestCharged - totals.plannedInterest),
+        totalPaidToDate: toMain(totals.paid),
+        plannedPaidToDate: toMain(totals.plannedPaid),
+        missedPayments: totals.missed,
+        partialPayments: totals.partial,
+        reamortizedPayment: reamortizedPayment,
+        projection: projection,
+        plannedPayoffDate: plannedPayoffDate,
+        projectedPayoffDate: projectedPayoffDate,
+        payoffVarianceMonths: projectedPayoffDate ? monthsBetween(plannedPayoffDate, projectedPayoffDate) : null,
+        plannedTotalInterest: results.totalInterestPaid,
+        projectedTotalInterest: projectedTotalInterest,
+        lifetimeInterestVariance: projectedTotalInterest !== null
+            ? toMain(toMinor(projectedTotalInterest) - toMinor(results.totalInterestPaid))
+            : null
+    };
+}
+
+/**
+ * Calculates several loan scenarios and compares each of them with a baseline scenario
+ * @param {Array} scenarios - Array of scenario objects:
+ *   - name: The scenario name
+ *   - principal, annualRate, termYears: The loan principal, annual interest rate (%) and term in years
+ *   - extraMonthlyPayment: Optional extra monthly payment
+ *   - frequency: Optional payment frequency (defaults to 'monthly')
+ * @param {number} [baselineIndex=0] - Index of the scenario the others are compared with
+ * @param {Date} [startDate] - Start date shared by all scenarios (defaults to current date)
+ * @param {Object} [options] - Optional settings:
+ *   - currency: The currency code the amounts are in (defaults to currentCurrency)
+ * @returns {Array} One object per scenario with:
+ *   - name, isBaseline, frequency
+ *   - monthlyPayment: The monthly equivalent of the payment (including the extra monthly payment)
+ *   - totalInterestPaid, totalCost (principal plus interest), payoffDate, monthsToPayoff
+ *   - schedule: The amortization schedule from calculateAmortization
+ *   - deltas: The { monthlyPayment, totalInterestPaid, totalCost, monthsToPayoff } differences from the baseline
+ *     (positive when the scenario is higher or later)
+ */
+export function compareScenarios(scenarios, baselineIndex = 0, startDate = new Date(), options = {}) {
+    const currency = options.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    if (scenarios.length === 0) return [];
+    if (baselineIndex < 0 || baselineIndex >= scenarios.length) {
+        throw new InputError('Invalid input: The baseline must be one of the scenarios', 'baselineIndex');
+    }
+    
+    const calculated = scenarios.map(scenario => {
+        const extraMonthlyPayment = scenario.extraMonthlyPayment || 0;
+        const results = calculateAmortization(
+            scenario.principal,
+            scenario.annualRate,
+            scenario.termYears,
+            extraMonthlyPayment,
+            startDate,
+            { frequency: scenario.frequency || 'monthly', currency: currency, includeComparisons: false }
+        );
+        const lastPayment = results.schedule[results.schedule.length - 1];
+        
+        return {
+            name: scenario.name,
+            frequency: results.frequency,
+            monthlyPayment: toMain(toMinor(results.monthlyPayment) + toMinor(extraMonthlyPayment)),
+            totalInterestPaid: results.totalInterestPaid,
+            totalCost: toMain(toMinor(scenario.principal) + toMinor(results.totalInterestPaid)),
+            payoffDate: lastPayment ? lastPayment.date : new Date(startDate),
+            monthsToPayoff: results.monthsToPayoff,
+            schedule: results.schedule
+        };
+    });
+    
+    const baseline = calculated[baselineIndex];
+    return calculated.map((scenario, index) => ({
+        ...scenario,
+        isBaseline: index === baselineIndex,
+        deltas: {
+            monthlyPayment: toMain(toMinor(scenario.monthlyPayment) - toMinor(baseline.monthlyPayment)),
+            totalInterestPaid: toMain(toMinor(scenario.totalInterestPaid) - toMinor(baseline.totalInterestPaid)),
+            totalCost: toMain(toMinor(scenario.totalCost) - toMinor(baseline.totalCost)),
+            monthsToPayoff: scenario.monthsToPayoff - baseline.monthsToPayoff
+        }
+    }));
+}
+
+// Goal-seek unknowns: the input solved for, and the inputs each one needs
+export const goalSeekUnknowns = {
+    'principal': { label: 'Maximum Loan Amount', inputs: ['annualRate', 'termYears', 'monthlyPayment'] },
+    'rate': { label: 'Highest Affordable Rate', inputs: ['principal', 'termYears', 'monthlyPayment'] },
+    'term': { label: 'Shortest Affordable Term', inputs: ['principal', 'annualRate', 'monthlyPayment'] },
+    'extra': { label: 'Extra Monthly Payment Needed', inputs: ['principal', 'annualRate', 'termYears', 'targetPayoffDate'] },
+    'payoffDate': { label: 'Payoff Date', inputs: ['principal', 'annualRate', 'termYears', 'extraMonthlyPayment'] }
+};
+
+// How the goal-seek inputs are named in error messages
+const goalSeekInputLabels = {
+    principal: 'the loan amount',
+    annualRate: 'the interest rate',
+    termYears: 'the loan term',
+    extraMonthlyPayment: 'the extra monthly payment',
+    monthlyPayment: 'the monthly payment budget',
+    targetPayoffDate: 'the target payoff date'
+};
+
+// Debt-to-income limits (%) commonly used for conventional mortgages
+export const debtToIncomeLimits = {
+    frontEnd: 28, // Housing payment as a share of gross monthly income
+    backEnd: 36 // Housing payment plus other debt payments as a share of gross monthly income
+};
+
+/**
+ * Finds where a monotonic condition switches between true and false, by bisection
+ * @param {Function} isSatisfied - Tests a value; must switch between true and false at most once over the range
+ * @param {number} low - Lower end of the range to search
+ * @param {number} high - Upper end of the range to search
+ * @param {Object} [options] - Optional settings:
+ *   - precision: Width of the final interval (defaults to 0.01)
+ *   - maximize: Set to true when the condition holds below the switch and the largest satisfying value is
+ *     wanted; by default it holds above the switch and the smallest satisfying value is returned
+ * @returns {number|null} The satisfying value closest to the switch, or null if no value in the range satisfies
+ */
+export function solveByBisection(isSatisfied, low, high, options = {}) {
+    const precision = options.precision || 0.01;
+    const maximize = options.maximize === true;
+    
+    // The satisfying end of the range decides whether there is anything to find
+    if (maximize ? !isSatisfied(low) : !isSatisfied(high)) return null;
+    if (maximize ? isSatisfied(high) : isSatisfied(low)) return maximize ? high : low;
+    
+    // Keep the satisfying end in "good" and the other end in "bad" until they are within the precision
+    let good = maximize ? low : high;
+    let bad = maximize ? high : low;
+    for (let iteration = 0; iteration < 200 && Math.abs(good - bad) > precision; iteration++) {
+        const middle = (good + bad) / 2;
+        if (isSatisfied(middle)) {
+            good = middle;
+        } else {
+            bad = middle;
+        }
+    }
+    
+    // Snap to the precision without crossing the switch
+    const snapped = maximize ? Math.floor(good / precision) * precision : Math.ceil(good / precision) * precision;
+    const rounded = Math.round(snapped / precision) * precision;
+    return isSatisfied(rounded) ? Math.round(rounded * 1e6) / 1e6 : Math.round(good * 1e6) / 1e6;
+}
+
+/**
+ * Solves for one unknown loan input (goal seek), numerically against calculateAmortization:
+ *   - principal: The largest loan whose standard monthly payment fits the monthly payment budget
+ *   - rate: The highest annual rate at which the loan's standard monthly payment fits the budget
+ *   - term: The shortest term (in whole months) at which the loan's standard monthly payment fits the budget
+ *   - extra: The smallest extra monthly payment that pays the loan off by the target payoff date
+ *   - payoffDate: When the loan is paid off with the given extra monthly payment
+ * @param {string} unknown - One of the keys of goalSeekUnknowns
+ * @param {Object} known - The known inputs: principal, annualRate, termYears, extraMonthlyPayment,
+ *   monthlyPayment (the standard monthly payment budget) and targetPayoffDate, as needed by the unknown, and
+ *   optionally the currency the amounts are in (defaults to currentCurrency)
+ * @param {Date} [startDate] - Optional start date for the loan (defaults to current date)
+ * @returns {Object} An object containing:
+ *   - unknown, value: The unknown and its solved value (a Date for payoffDate)
+ *   - loan: The complete { principal, annualRate, termYears, extraMonthlyPayment } with the solved value
+ *   - results: The calculateAmortization results for that loan
+ */
+export function solveForUnknown(unknown, known, startDate = new Date()) {
+    const goal = goalSeekUnknowns[unknown];
+    if (!goal) {
+        throw new InputError('Invalid input: Unknown goal "{goal}"', 'unknown', null, { goal: unknown });
+    }
+    const missing = goal.inputs.filter(input => input === 'targetPayoffDate'
+        ? !(known.targetPayoffDate instanceof Date) || isNaN(known.targetPayoffDate)
+        : known[input] === null || !(known[input] >= 0));
+    if (missing.length > 0) {
+        throw new InputError('Invalid input: Enter {inputs} to solve for the {goal}', missing[0], null, {
+            inputs: missing.map(input => goalSeekInputLabels[input]),
+            goal: goal.label.toLowerCase()
+        });
+    }
+    
+    // Amounts are solved to the currency's minor unit (cents, or whole yen)
+    const currency = known.currency || currentCurrency;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const precision = fromMinorUnits(1, minorUnits);
+    const roundAmount = amount => fromMinorUnits(toMinorUnits(amount, minorUnits), minorUnits);
+    
+    const loan = {
+        principal: known.principal,
+        annualRate: known.annualRate,
+        termYears: known.termYears,
+        extraMonthlyPayment: unknown === 'payoffDate' ? known.extraMonthlyPayment || 0 : 0
+    };
+    const run = overrides => {
+        const inputs = { ...loan, ...overrides };
+        return calculateAmortization(inputs.principal, inputs.annualRate, inputs.termYears, inputs.extraMonthlyPayment, startDate, {
+            currency: currency,
+            includeComparisons: false
+        });
+    };
+    const fitsBudget = overrides => run(overrides).monthlyPayment <= known.monthlyPayment;
+    
+    let value = null;
+    switch (unknown) {
+        case 'principal':
+            // At 0% the payment is principal / months, so no affordable loan is larger than budget * months
+            value = solveByBisection(principal => fitsBudget({ principal: principal }),
+                1, known.monthlyPayment * Math.round(known.termYears * 12), { precision: precision, maximize: true });
+            if (value === null) {
+                throw new InputError('Invalid input: The monthly payment budget is too low for any loan at this rate and term', 'monthlyPayment');
+            }
+            value = roundAmount(value);
+            loan.principal = value;
+            break;
+        case 'rate':
+            value = solveByBisection(annualRate => fitsBudget({ annualRate: annualRate }), 0, 100, { precision: 0.001, maximize: true });
+            if (value === null) {
+                throw new InputError('Invalid input: The monthly payment budget does not cover this loan even at 0% interest', 'monthlyPayment');
+            }
+            loan.annualRate = value;
+            break;
+        case 'term': {
+            const months = solveByBisection(termMonths => fitsBudget({ termYears: termMonths / 12 }), 1, 600, { precision: 1 });
+            if (months === null) {
+                throw new InputError('Invalid input: The monthly payment budget does not pay off this loan within 50 years', 'monthlyPayment');
+            }
+            value = months / 12;
+            loan.termYears = value;
+            break;
+        }
+        case 'extra': {
+            const targetMonths = (known.targetPayoffDate.getFullYear() - startDate.getFullYear()) * 12 +
+                known.targetPayoffDate.getMonth() - startDate.getMonth();
+            if (targetMonths < 1) {
+                throw new InputError('Invalid input: The target payoff date must be after the loan start date', 'targetPayoffDate');
+            }
+            value = roundAmount(solveByBisection(extra => run({ extraMonthlyPayment: extra }).monthsToPayoff <= targetMonths,
+                0, known.principal, { precision: precision }));
+            loan.extraMonthlyPayment = value;
+            break;
+        }
+        default:
+            break;
+    }
+    
+    const results = run({});
+    if (unknown === 'payoffDate') {
+        value = results.schedule[results.schedule.length - 1].date;
+    }
+    
+    return {
+        unknown: unknown,
+        value: value,
+        loan: loan,
+        results: results
+    };
+}
+
+/**
+ * Checks a housing payment against the debt-to-income limits
+ * @param {number} housingPayment - The monthly housing payment
+ * @param {number} otherMonthlyDebts - Monthly payments on other debts (car loans, student loans, cards)
+ * @param {number} grossMonthlyIncome - Gross (pre-tax) monthly income
+ * @param {Object} [options] - Optional settings:
+ *   - currency: The currency code whose minor units the amounts are kept in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - frontEndRatio, backEndRatio: The housing and total debt payments as a percentage of income
+ *   - maxHousingPayment: The largest housing payment within both limits
+ *   - isWithinLimits: Whether both ratios are within debtToIncomeLimits
+ */
+export function calculateDebtToIncome(housingPayment, otherMonthlyDebts, grossMonthlyIncome, options = {}) {
+    const minorUnits = getCurrencyMinorUnits(options.currency || currentCurrency);
+    
+    if (!(grossMonthlyIncome > 0)) {
+        throw new InputError('Invalid input: Income must be positive and payments must be non-negative', 'grossMonthlyIncome');
+    }
+    if (!(housingPayment >= 0)) {
+        throw new InputError('Invalid input: Income must be positive and payments must be non-negative', 'housingPayment');
+    }
+    if (!(otherMonthlyDebts >= 0)) {
+        throw new InputError('Invalid input: Income must be positive and payments must be non-negative', 'otherMonthlyDebts');
+    }
+    
+    const frontEndRatio = Math.round(housingPayment / grossMonthlyIncome * 10000) / 100;
+    const backEndRatio = Math.round((housingPayment + otherMonthlyDebts) / grossMonthlyIncome * 10000) / 100;
+    const maxHousingPayment = Math.max(0, Math.min(
+        grossMonthlyIncome * debtToIncomeLimits.frontEnd / 100,
+        grossMonthlyIncome * debtToIncomeLimits.backEnd / 100 - otherMonthlyDebts
+    ));
+    
+    return {
+        frontEndRatio: frontEndRatio,
+        backEndRatio: backEndRatio,
+        maxHousingPayment: fromMinorUnits(toMinorUnits(maxHousingPayment, minorUnits), minorUnits),
+        isWithinLimits: frontEndRatio <= debtToIncomeLimits.frontEnd && backEndRatio <= debtToIncomeLimits.backEnd
+    };
+}
+
+// Debt payoff strategies: how the debts are ranked for any money left after the minimum payments
+export const debtStrategies = {
+    'avalanche': { label: 'Avalanche (highest APR first)' },
+    'snowball': { label: 'Snowball (smallest balance first)' },
+    'custom': { label: 'Custom order' }
+};
+
+/**
+ * Ranks debts for a payoff strategy
+ * @param {Array} debts - Array of debt objects (see calculateDebtPayoff)
+ * @param {string} strategy - One of the keys of debtStrategies
+ * @returns {Array} The indexes of the debts, in the order they receive the money left after the minimums
+ */
+function getDebtPayoffOrder(debts, strategy) {
+    const indexes = debts.map((debt, index) => index);
+    if (strategy === 'avalanche') {
+        return indexes.sort((a, b) => debts[b].apr - debts[a].apr || debts[a].balance - debts[b].balance);
+    }
+    if (strategy === 'snowball') {
+        return indexes.sort((a, b) => debts[a].balance - debts[b].balance || debts[b].apr - debts[a].apr);
+    }
+    return indexes;
+}
+
+/**
+ * Simulates paying off several debts with a fixed monthly budget. Every debt gets its minimum payment,
+ * and the rest of the budget (including the minimums freed up by debts already paid off) goes to the
+ * first unpaid debt in the strategy's order.
+ * @param {Array} debts - Array of debt objects with { name, balance, apr (annual %), minimumPayment };
+ *   for the 'custom' strategy, the array order is the payoff order
+ * @param {number} monthlyBudget - The total amount paid towards all debts each month
+ * @param {string} [strategy='avalanche'] - One of the keys of debtStrategies
+ * @param {Date} [startDate] - Optional start date (defaults to current date)
+ * @param {string} [currency] - The currency code whose minor units the amounts are kept in (defaults to currentCurrency)
+ * @returns {Object} An object containing:
+ *   - strategy, order: The strategy and the payoff order as debt indexes
+ *   - monthsToPayoff, payoffDate: When the last debt is paid off
+ *   - totalInterestPaid, totalPaid
+ *   - debts: Per debt, the { name, payoffMonth, payoffDate, totalInterestPaid, totalPaid }
+ *   - timeline: Per month, the { month, date, balances (per debt), payments (per debt), totalBalance }
+ */
+export function calculateDebtPayoff(debts, monthlyBudget, strategy = 'avalanche', startDate = new Date(), currency = currentCurrency) {
+    // Validate inputs
+    if (!debtStrategies[strategy]) {
+        throw new InputError('Invalid input: Unknown payoff strategy "{strategy}"', 'strategy', null, { strategy: strategy });
+    }
+    if (debts.length === 0) {
+        throw new InputError('Invalid input: Add at least one debt', 'debts');
+    }
+    const invalidDebt = debts.findIndex(debt => !(debt.balance > 0) || !(debt.apr >= 0) || !(debt.minimumPayment >= 0));
+    if (invalidDebt !== -1) {
+        throw new InputError('Invalid input: Each debt needs a positive balance and a non-negative APR and minimum payment',
+            'debts', invalidDebt);
+    }
+    const totalMinimums = debts.reduce((total, debt) => total + debt.minimumPayment, 0);
+    if (!(monthlyBudget >= totalMinimums)) {
+        throw new InputError('Invalid input: The monthly budget must cover the minimum payments of {amount}',
+            'monthlyBudget', null, { amount: formatCurrency(totalMinimums, currentLocale, currency) });
+    }
+    
+    // Money is kept in whole minor units (e.g. cents) so every amount is exact
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const toMinor = amount => toMinorUnits(amount, minorUnits);
+    const toMain = units => fromMinorUnits(units, minorUnits);
+    
+    const order = getDebtPayoffOrder(debts, strategy);
+    const budget = toMinor(monthlyBudget);
+    const balances = debts.map(debt => toMinor(debt.balance));
+    const interestTotals = debts.map(() => 0);
+    const paidTotals = debts.map(() => 0);
+    const payoffMonths = debts.map(() => null);
+    const timeline = [];
+    const maxMonths = 1200; // Safety limit for budgets that never pay the debts off
+    
+    let month = 0;
+    while (balances.some(balance => balance > 0)) {
+        month++;
+        if (month > maxMonths) {
+            throw new InputError('Invalid input: The monthly budget is too low to ever pay off these debts', 'monthlyBudget');
+        }
+        
+        // Minimum payments first, using the same interest-then-principal step as calculateAmortization
+        const periods = balances.map((balance, index) => balance > 0
+            ? amortizePeriod(balance, debts[index].apr / 100 / 12, toMinor(debts[index].minimumPayment))
+            : null);
+        let available = budget - periods.reduce((total, period) => total + (period ? period.interest + period.principal : 0), 0);
+        
+        // Then the rest of the budget, in strategy order
+        order.forEach(index => {
+            const period = periods[index];
+            if (!period || available <= 0) return;
+            const extra = Math.min(available, period.remainingBalance);
+            period.principal += extra;
+            period.remainingBalance -= extra;
+            available -= extra;
+        });
+        
+        const payments = periods.map((period, index) => {
+            if (!period) return 0;
+            interestTotals[index] += period.interest;
+            balances[index] = period.remainingBalance;
+            if (balances[index] <= 0 && payoffMonths[index] === null) {
+                payoffMonths[index] = month;
+            }
+            const payment = period.interest + period.principal;
+            paidTotals[index] += payment;
+            return toMain(payment);
+        });
+        
+        timeline.push({
+            month: month,
+            date: getPaymentDate(startDate, month),
+            balances: balances.map(toMain),
+            payments: payments,
+            totalBalance: toMain(balances.reduce((total, balance) => total + balance, 0))
+        });
+    }
+    
+    return {
+        strategy: strategy,
+        order: order,
+        monthsToPayoff: month,
+        payoffDate: getPaymentDate(startDate, month),
+        totalInterestPaid: toMain(interestTotals.reduce((total, interest) => total + interest, 0)),
+        totalPaid: toMain(paidTotals.reduce((total, paid) => total + paid, 0)),
+        debts: debts.map((debt, index) => ({
+            name: debt.name,
+            payoffMonth: payoffMonths[index],
+            payoffDate: getPaymentDate(startDate, payoffMonths[index]),
+            totalInterestPaid: toMain(interestTotals[index]),
+            totalPaid: toMain(paidTotals[index])
+        })),
+        timeline: timeline
+    };
+}
+
+/**
+ * Formats a date as an ISO 8601 calendar date (YYYY-MM-DD) in local time
+ * @param {Date} date - The date to format
+ * @returns {string} Formatted date string
+ */
+export function formatIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Formats a number for the exports using the selected locale, without grouping separators
+ * @param {number} value - The number to format
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @param {number} [fractionDigits=2] - Number of decimal places
+ * @returns {string} Formatted number string (e.g., "1234.56" or "1234,56")
+ */
+function formatExportNumber(value, locale = currentLocale, fractionDigits = 2) {
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+        useGrouping: false
+    }).format(value);
+}
+
+/**
+ * Picks the CSV field delimiter for a locale. Locales that use a decimal comma
+ * (e.g. de-DE) get a semicolon so spreadsheet apps split the columns correctly.
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The delimiter character
+ */
+function getCsvDelimiter(locale = currentLocale) {
+    const decimalPart = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal');
+    return decimalPart && decimalPart.value === ',' ? ';' : ',';
+}
+
+/**
+ * Escapes a value for use inside HTML or XML markup
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Lists the amortization schedule columns to export. Optional columns (days in the period, rate resets,
+ * prepayments, balloon payments, taxes, insurance, PMI and HOA dues) are only included when the schedule uses them.
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @returns {Array} Array of { label, type, value } column definitions, where type is one of
+ *   'integer', 'date', 'percent' or 'money' and value maps a payment object to the cell value
+ */
+export function getScheduleExportColumns(schedule) {
+    const hasDayCount = schedule.some(payment => payment.daysInPeriod != null);
+    const hasRateChanges = schedule.some(payment => payment.rateChanged || payment.paymentChanged);
+    const hasPrepayments = schedule.some(payment => payment.prepaymentPaid > 0);
+    const hasBalloon = schedule.some(payment => payment.balloonPaid > 0);
+    const hasTax = schedule.some(payment => payment.taxPaid > 0);
+    const hasInsurance = schedule.some(payment => payment.insurancePaid > 0);
+    const hasPmi = schedule.some(payment => payment.pmiPaid > 0);
+    const hasHoa = schedule.some(payment => payment.hoaPaid > 0);
+
+    return [
+        { label: 'Payment #', type: 'integer', value: payment => payment.paymentNumber },
+        { label: 'Date', type: 'date', value: payment => payment.date },
+        ...(hasDayCount ? [{ label: 'Days', type: 'integer', value: payment => payment.daysInPeriod }] : []),
+        ...(hasRateChanges ? [
+            { label: 'Interest Rate', type: 'percent', value: payment => payment.interestRate },
+            { label: 'Scheduled Payment', type: 'money', value: payment => payment.scheduledPayment }
+        ] : []),
+        hasDayCount
+            ? { label: 'Accrued Interest', type: 'money', value: payment => payment.accruedInterest }
+            : { label: 'Interest Paid', type: 'money', value: payment => payment.interestPaid },
+        { label: 'Principal Paid', type: 'money', value: payment => payment.principalPaid },
+        ...(hasPrepayments ? [
+            { label: 'Prepayment', type: 'money', value: payment => payment.prepaymentPaid }
+        ] : []),
+        ...(hasBalloon ? [{ label: 'Balloon Payment', type: 'money', value: payment => payment.balloonPaid }] : []),
+        ...(hasTax ? [{ label: 'Property Tax', type: 'money', value: payment => payment.taxPaid }] : []),
+        ...(hasInsurance ? [{ label: 'Homeowners Insurance', type: 'money', value: payment => payment.insurancePaid }] : []),
+        ...(hasPmi ? [{ label: 'PMI', type: 'money', value: payment => payment.pmiPaid }] : []),
+        ...(hasHoa ? [{ label: 'HOA Dues', type: 'money', value: payment => payment.hoaPaid }] : []),
+        ...(hasTax || hasInsurance || hasPmi || hasHoa ? [
+            { label: 'Total Payment', type: 'money', value: payment => payment.totalPayment }
+        ] : []),
+        { label: 'Remaining Balance', type: 'money', value: payment => payment.remainingBalance }
+    ];
+}
+
+/**
+ * Builds the header of an exported schedule column in the display language, including its unit
+ * @param {Object} column - The column definition from getScheduleExportColumns
+ * @param {string} currency - The currency code
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The column header (e.g., "Interest Paid (USD)")
+ */
+function getExportColumnHeader(column, currency, locale = currentLocale) {
+    const label = translate(column.label, {}, locale);
+    if (column.type === 'money') return `${label} (${currency})`;
+    if (column.type === 'percent') return `${label} (%)`;
+    return label;
+}
+
+/**
+ * Builds a CSV document for the amortization schedule, with the headers in the locale's language
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @param {string} [currency] - Optional currency override (defaults to currentCurrency)
+ * @returns {string} The CSV content
+ */
+export function buildScheduleCsv(schedule, locale = currentLocale, currency = currentCurrency) {
+    const delimiter = getCsvDelimiter(locale);
+    const escapeField = field => {
+        const text = String(field);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const formatField = (column, value) => {
+        switch (column.type) {
+            case 'date': return formatIsoDate(value);
+            case 'money': return formatExportNumber(value, locale, getCurrencyMinorUnits(currency));
+            case 'percent': return formatExportNumber(value, locale, 3);
+            default: return value;
+        }
+    };
+
+    const columns = getScheduleExportColumns(schedule);
+    const rows = [columns.map(column => getExportColumnHeader(column, currency, locale))];
+
+    schedule.forEach(payment => {
+        rows.push(columns.map(column => formatField(column, column.value(payment))));
+    });
+
+    return rows.map(row => row.map(escapeField).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Builds a CSV document for one year's interest statement: the year's totals, then its payments
+ * @param {Object} statement - One of the years from calculateInterestStatements
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @param {string} [currency] - Optional currency override (defaults to currentCurrency)
+ * @returns {string} The CSV content
+ */
+export function buildInterestStatementCsv(statement, locale = currentLocale, currency = currentCurrency) {
+    const label = text => translate(text, {}, locale);
+    const money = (text, amount) => [`${label(text)} (${currency})`, formatExportNumber(amount, locale, getCurrencyMinorUnits(currency))];
+    const summaryRows = [
+        [label('Year'), statement.year],
+        [label('Payments'), `${statement.firstPaymentNumber}-${statement.lastPaymentNumber}`],
+        money('Interest Paid', statement.interestPaid),
+        money('Principal Paid', statement.principalPaid),
+        ...(statement.taxPaid > 0 ? [money('Property Tax', statement.taxPaid)] : []),
+        ...(statement.pmiPaid > 0 ? [money('PMI', statement.pmiPaid)] : []),
+        money('Starting Balance', statement.startingBalance),
+        money('Ending Balance', statement.endingBalance),
+        ...(statement.taxSavings !== null ? [
+            money('Itemized Deductions', statement.itemizedDeductions),
+            money('Estimated Tax Savings', statement.taxSavings),
+            money('After-Tax Interest', statement.afterTaxInterest)
+        ] : [])
+    ];
+    const delimiter = getCsvDelimiter(locale);
+    const summary = summaryRows.map(row => row.join(delimiter)).join('\r\n');
+    return `${summary}\r\n\r\n${buildScheduleCsv(statement.payments, locale, currency)}`;
+}
+
+/**
+ * Builds a SpreadsheetML (Excel 2003 XML) workbook for the amortization schedule, in the display language.
+ * Amounts are written as numeric cells and dates as real date cells, so the file
+ * opens in Excel, LibreOffice and Google Sheets without any text-to-number cleanup.
+ * @param {Object} calculation - The inputs and results of a loan calculation (see lastLoanCalculation)
+ * @param {string} [currency] - Optional currency override (defaults to currentCurrency)
+ * @returns {string} The workbook XML
+ */
+export function buildScheduleSpreadsheet(calculation, currency = currentCurrency) {
+    const { inputs, results } = calculation;
+    const minorUnits = getCurrencyMinorUnits(currency);
+    const frequency = translate(paymentFrequencies[results.frequency].label);
+    const stringCell = value => `<Cell><Data ss:Type="String">${escapeHtml(value)}</Data></Cell>`;
+    const numberCell = (value, style) => `<Cell${style ? ` ss:StyleID="${style}"` : ''}><Data ss:Type="Number">${value}</Data></Cell>`;
+    const dateCell = date => `<Cell ss:StyleID="isoDate"><Data ss:Type="DateTime">${formatIsoDate(date)}T00:00:00.000</Data></Cell>`;
+    const row = cells => `<Row>${cells.join('')}</Row>`;
+    const scheduleCell = (column, value) => {
+        switch (column.type) {
+            case 'date': return dateCell(value);
+            case 'money': return numberCell(value, 'money');
+            case 'percent': return numberCell(value, 'rate');
+            default: return numberCell(value);
+        }
+    };
+
+    const summaryRows = [
+        row([stringCell(translate('Loan Principal')), numberCell(inputs.principal, 'money')]),
+        row([stringCell(translate('Annual Interest Rate (%)')), numberCell(inputs.annualRate)]),
+        row([stringCell(translate('Loan Term (years)')), numberCell(inputs.termYears)]),
+        row([stringCell(translate('Extra Monthly Payment')), numberCell(inputs.extraMonthlyPayment, 'money')]),
+        row([stringCell(translate('Loan Start Date')), dateCell(inputs.startDate)]),
+        row([stringCell(translate('Payment Frequency')), stringCell(translate(paymentFrequencies[results.frequency].label))]),
+        row([stringCell(translate('Payment Rounding')), stringCell(translate(paymentRoundingModes[inputs.paymentRounding || 'nearest'].label))]),
+        row([stringCell(translate('Interest Calculation')), stringCell(translate(interestConventions[results.interestConvention].label))]),
+        ...(inputs.rateSchedule ? [row([stringCell(translate('Rate Type')), stringCell(describeRateSchedule(inputs.rateSchedule))])] : []),
+        ...(results.loanStructure ? [
+            row([stringCell(translate('Interest-Only Period (months)')), numberCell(inputs.loanStructure.interestOnlyMonths || 0)]),
+            ...(results.loanStructure.amortizationYears !== null ? [
+                row([stringCell(translate('Amortization Term (years)')), numberCell(results.loanStructure.amortizationYears)])
+            ] : [])
+        ] : []),
+        row([stringCell(translate('Currency')), stringCell(currency)]),
+        row([stringCell(translate('Standard {frequency} Payment', { frequency: frequency })), numberCell(results.periodicPayment, 'money')]),
+        row([stringCell(translate('Payoff Time (months)')), numberCell(results.monthsToPayoff)]),
+        row([stringCell(translate('Total Interest Paid')), numberCell(results.totalInterestPaid, 'money')]),
+        row([stringCell(translate('Total Interest Saved')), numberCell(results.totalInterestSaved, 'money')]),
+        ...(results.worstCase ? [
+            row([stringCell(translate('Worst-Case Payment')), numberCell(results.worstCase.maxPeriodicPayment, 'money')]),
+            row([stringCell(translate('Worst-Case Total Interest')), numberCell(results.worstCase.totalInterestPaid, 'money')])
+        ] : []),
+        ...(results.loanStructure && results.loanStructure.amortizationStart ? [
+            row([stringCell(translate('Amortizing Payment')), numberCell(results.loanStructure.amortizationStart.periodicPayment, 'money')]),
+            row([stringCell(translate('Amortizing Payment Starts')), dateCell(results.loanStructure.amortizationStart.date)])
+        ] : []),
+        ...(results.loanStructure && results.loanStructure.balloon ? [
+            row([stringCell(translate('Balloon Payment')), numberCell(results.loanStructure.balloon.amount, 'money')]),
+            row([stringCell(translate('Balloon Payment Due')), dateCell(results.loanStructure.balloon.date)])
+        ] : []),
+        ...(results.escrowSummary ? [
+            row([stringCell(translate('Home Value')), numberCell(inputs.escrow.homeValue, 'money')]),
+            row([stringCell(translate('Total {frequency} Payment (PITI)', { frequency: frequency })), numberCell(results.escrowSummary.totalPayment, 'money')]),
+            row([stringCell(translate('Total Property Tax')), numberCell(results.escrowSummary.totalTaxes, 'money')]),
+            row([stringCell(translate('Total Homeowners Insurance')), numberCell(results.escrowSummary.totalInsurance, 'money')]),
+            row([stringCell(translate('Total PMI')), numberCell(results.escrowSummary.totalPmi, 'money')]),
+            row([stringCell(translate('Total HOA Dues')), numberCell(results.escrowSummary.totalHoa, 'money')]),
+            ...(results.escrowSummary.pmiCancellation ? [
+                row([stringCell(translate('PMI Removed')), dateCell(results.escrowSummary.pmiCancellation.date)])
+            ] : [])
+        ] : []),
+        ...(results.loanCost ? [
+            row([stringCell(translate('Prepaid Finance Charges')), numberCell(results.loanCost.prepaidFinanceCharges, 'money')]),
+            row([stringCell(translate('Annual Percentage Rate (APR, %)')), numberCell(results.loanCost.apr, 'rate')]),
+            row([stringCell(translate('Finance Charge')), numberCell(results.loanCost.financeCharge, 'money')]),
+            row([stringCell(translate('Amount Financed')), numberCell(results.loanCost.amountFinanced, 'money')]),
+            row([stringCell(translate('Total of Payments')), numberCell(results.loanCost.totalOfPayments, 'money')])
+        ] : []),
+        ...(results.prepaymentSavings || []).map(saving => row([
+            stringCell(translate('Prepayment: {description}', { description: describePrepayment(saving.prepayment) })),
+            numberCell(saving.totalPaid, 'money'),
+            stringCell(translate('Interest Saved')),
+            numberCell(saving.interestSaved, 'money')
+        ]))
+    ];
+
+    const columns = getScheduleExportColumns(results.schedule);
+    const scheduleRows = [row(columns.map(column => stringCell(getExportColumnHeader(column, currency))))];
+    results.schedule.forEach(payment => {
+        scheduleRows.push(row(columns.map(column => scheduleCell(column, column.value(payment)))));
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?mso-application progid="Excel.Sheet"?>',
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+        '<Styles>',
+        `<Style ss:ID="money"><NumberFormat ss:Format="#,##0${minorUnits > 0 ? '.' + '0'.repeat(minorUnits) : ''}"/></Style>`,
+        '<Style ss:ID="rate"><NumberFormat ss:Format="0.000"/></Style>',
+        '<Style ss:ID="isoDate"><NumberFormat ss:Format="yyyy\\-mm\\-dd"/></Style>',
+        '</Styles>',
+        `<Worksheet ss:Name="${escapeHtml(translate('Summary'))}"><Table>${summaryRows.join('')}</Table></Worksheet>`,
+        `<Worksheet ss:Name="${escapeHtml(translate('Schedule'))}"><Table>${scheduleRows.join('')}</Table></Worksheet>`,
+        '</Workbook>'
+    ].join('\n');
+}
+
+/**
+ * Builds a standalone, print-ready HTML report with the loan inputs, the summary,
+ * a static image of the chart and the full amortization schedule, in the display language
+ * @param {Object} calculation - The inputs and results of a loan calculation (see lastLoanCalculation)
+ * @param {string} [chartImage] - Optional data URL of the chart image
+ * @param {string} [chartTitle] - Optional title of the chart (defaults to the payment breakdown chart)
+ * @returns {string} The report HTML document
+ */
+export function buildPrintableReport(calculation, chartImage, chartTitle = translate('Payment Breakdown Over Time')) {
+    const { inputs, results } = calculation;
+    const columns = getScheduleExportColumns(results.schedule);
+    const frequency = translate(paymentFrequencies[results.frequency].label);
+    const formatCell = (column, value) => {
+        switch (column.type) {
+            case 'date': return formatDate(value);
+            case 'money': return formatCurrency(value);
+            case 'percent': return formatPercent(value);
+            default: return value;
+        }
+    };
+    const definitionRow = (label, value) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+    const inputRows = [
+        definitionRow(translate('Loan Principal'), formatCurrency(inputs.principal)),
+        definitionRow(translate('Annual Interest Rate'), formatPercent(inputs.annualRate)),
+        definitionRow(translate('Loan Term'), formatPayoffTime(inputs.termYears * 12)),
+        definitionRow(translate('Extra Monthly Payment'), formatCurrency(inputs.extraMonthlyPayment)),
+        definitionRow(translate('Loan Start Date'), formatDate(inputs.startDate)),
+        definitionRow(translate('Payment Frequency'), frequency),
+        definitionRow(translate('Payment Rounding'), translate(paymentRoundingModes[inputs.paymentRounding || 'nearest'].label)),
+        definitionRow(translate('Interest Calculation'), translate(interestConventions[results.interestConvention].label)),
+        ...(inputs.rateSchedule ? [definitionRow(translate('Rate Type'), describeRateSchedule(inputs.rateSchedule))] : []),
+        ...(results.loanStructure ? [
+            definitionRow(translate('Interest-Only Period'), formatPayoffTime(inputs.loanStructure.interestOnlyMonths || 0)),
+            ...(results.loanStructure.amortizationYears !== null ? [
+                definitionRow(translate('Amortization Term'), formatPayoffTime(results.loanStructure.amortizationYears * 12))
+            ] : [])
+        ] : []),
+        ...(inputs.escrow ? [
+            definitionRow(translate('Home Value'), formatCurrency(inputs.escrow.homeValue)),
+            definitionRow(translate('Annual Property Tax'), formatCurrency(inputs.escrow.propertyTax)),
+            definitionRow(translate('Annual Homeowners Insurance'), formatCurrency(inputs.escrow.insurance)),
+            definitionRow(translate('PMI'), translate('{rate} until {ltv}% LTV', { rate: formatPercent(inputs.escrow.pmiRate), ltv: inputs.escrow.pmiCancelLtv })),
+            definitionRow(translate('Monthly HOA Dues'), formatCurrency(inputs.escrow.hoaDues))
+        ] : []),
+        ...(inputs.fees ? [
+            definitionRow(translate('Origination Fee'), formatCurrency(inputs.fees.originationFee || 0)),
+            definitionRow(translate('Discount Points'), formatPercent(inputs.fees.points || 0)),
+            definitionRow(translate('Other Finance Charges'), formatCurrency(inputs.fees.otherCharges || 0))
+        ] : []),
+        ...(results.prepaymentSavings || []).map(saving => definitionRow(
+            translate(prepaymentTypes[saving.prepayment.type]),
+            translate('{description} (saves {amount} interest)', { description: describePrepayment(saving.prepayment), amount: formatCurrency(saving.interestSaved) })
+        ))
+    ].join('');
+
+    const summaryRows = [
+        definitionRow(translate('Standard {frequency} Payment', { frequency: frequency }), formatCurrency(results.periodicPayment)),
+        definitionRow(translate('New Payoff Time'), formatPayoffTime(results.monthsToPayoff)),
+        definitionRow(translate('Total Interest Paid'), formatCurrency(results.totalInterestPaid)),
+        definitionRow(translate('Total Interest Saved'), formatCurrency(results.totalInterestSaved)),
+        ...(results.worstCase ? [
+            definitionRow(translate('Worst-Case Payment'), formatCurrency(results.worstCase.maxPeriodicPayment)),
+            definitionRow(translate('Worst-Case Total Interest'), formatCurrency(results.worstCase.totalInterestPaid))
+        ] : []),
+        ...(results.loanStructure && results.loanStructure.amortizationStart ? [
+            definitionRow(translate('Amortizing Payment'), translate('{amount} from {date}', {
+                amount: formatCurrency(results.loanStructure.amortizationStart.periodicPayment),
+                date: formatDate(results.loanStructure.amortizationStart.date)
+            }))
+        ] : []),
+        ...(results.loanStructure && results.loanStructure.balloon ? [
+            definitionRow(translate('Balloon Payment'), translate('{amount} due {date}', {
+                amount: formatCurrency(results.loanStructure.balloon.amount),
+                date: formatDate(results.loanStructure.balloon.date)
+            }))
+        ] : []),
+        ...(results.escrowSummary ? [
+            definitionRow(translate('Total {frequency} Payment (PITI)', { frequency: frequency }), formatCurrency(results.escrowSummary.totalPayment)),
+            definitionRow(translate('Total Taxes, Insurance & Fees'), formatCurrency(
+                results.escrowSummary.totalTaxes + results.escrowSummary.totalInsurance +
+                results.escrowSummary.totalPmi + results.escrowSummary.totalHoa
+            )),
+            ...(results.escrowSummary.pmiCancellation ? [
+                definitionRow(translate('PMI Removed'), formatDate(results.escrowSummary.pmiCancellation.date))
+            ] : [])
+        ] : []),
+        ...(results.loanCost ? [
+            definitionRow(translate('Annual Percentage Rate (APR)'), formatPercent(results.loanCost.apr)),
+            definitionRow(translate('Finance Charge'), formatCurrency(results.loanCost.financeCharge)),
+            definitionRow(translate('Amount Financed'), formatCurrency(results.loanCost.amountFinanced)),
+            definitionRow(translate('Total of Payments'), formatCurrency(results.loanCost.totalOfPayments))
+        ] : [])
+    ].join('');
+
+    const scheduleRows = results.schedule.map(payment => `<tr>${
+        columns.map(column => `<td>${escapeHtml(formatCell(column, column.value(payment)))}</td>`).join('')
+    }</tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(currentLocale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(translate('Loan Amortization Report'))}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1e293b; margin: 2rem; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.125rem; margin: 1.5rem 0 0.5rem; }
+        .generated { color: #64748b; font-size: 0.875rem; }
+        .summary-tables { display: flex; gap: 2rem; flex-wrap: wrap; }
+        table { border-collapse: collapse; font-size: 0.8125rem; font-variant-numeric: tabular-nums; }
+        th, td { padding: 0.375rem 0.75rem; border-bottom: 1px solid #e2e8f0; text-align: left; }
+        thead th { background: #2563eb; color: #fff; }
+        th[scope="row"] { color: #64748b; font-weight: 600; }
+        .schedule { width: 100%; }
+        img { max-width: 100%; }
+        @media print {
+            body { margin: 0; }
+            thead { display: table-header-group; }
+            tr { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(translate('Loan Amortization Report'))}</h1>
+    <p class="generated">${escapeHtml(translate('Generated {date}', { date: formatDate(new Date()) }))} &middot; ${escapeHtml(currentCurrency)}</p>
+    <div class="summary-tables">
+        <section>
+            <h2>${escapeHtml(translate('Loan Details'))}</h2>
+            <table>${inputRows}</table>
+        </section>
+        <section>
+            <h2>${escapeHtml(translate('Summary'))}</h2>
+            <table>${summaryRows}</table>
+        </section>
+    </div>
+    ${chartImage ? `<h2>${escapeHtml(chartTitle)}</h2><img src="${chartImage}" alt="${escapeHtml(translate('{title} chart', { title: chartTitle }))}">` : ''}
+    <h2>${escapeHtml(translate('Amortization Schedule'))}</h2>
+    <table class="schedule">
+        <thead>
+            <tr>${columns.map(column => `<th scope="col">${escapeHtml(translate(column.label))}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${scheduleRows}</tbody>
+    </table>
+</body>
+</html>`;
+}
@@ -0,0 +1,841 @@
+// Translations
+// Looks up the UI text of the calculator in the display language, and lists the display locales and
+// currencies the page offers. DOM-free, so the catalogs can be checked in Node:
+//
+//     import { translate } from './loan-i18n.mjs';
+//
+//     translate('Loan Principal', {}, 'de-DE');                                         // "Darlehensbetrag"
+//     translate({ one: '{count} payment', other: '{count} payments' }, { count: 3 });   // "3 payments"
+//
+// Messages are identified by their English text, which is also what is shown when a language has no
+// translation for them. {name} placeholders are filled in from the params; numbers are formatted for the
+// locale. A message whose wording depends on a {count} is given as its English plural forms, keyed by
+// Intl.PluralRules category ('one' and 'other'); catalogs translate it under its 'other' form, with the
+// plural forms their own language needs.
+
+import { currentLocale, currencyMap, InputError } from './loan-core.mjs';
+
+// Display locales offered by the page -> the currency usually used there (the default until one is chosen).
+// Only English, the language of the messages, and languages with a catalog in translations are offered.
+export const displayLocales = {
+    'en-US': 'USD',
+    'en-GB': 'GBP',
+    'en-CA': 'CAD',
+    'en-AU': 'AUD',
+    'en-IN': 'INR',
+    'de-DE': 'EUR',
+    'de-AT': 'EUR',
+    'de-CH': 'CHF'
+};
+
+// Translated UI text: language -> English message -> translation (or plural forms, see translate)
+export const translations = {
+    de: {
+        // Page and tabs
+        'Amortization Calculator with Extra Payments | Save Interest & Pay Off Your Loan Early': 'Tilgungsrechner mit Sondertilgungen | Zinsen sparen und den Kredit früher abbezahlen',
+        'Accelerated Loan Payoff Calculator: Visualize Savings from Extra Payments': 'Rechner für schnellere Kredittilgung: So viel sparen Sie mit Sondertilgungen',
+        'Language & Region': 'Sprache & Region',
+        'Loan Calculator': 'Kreditrechner',
+        'Refinance Analysis': 'Umschuldung',
+        'Compare Scenarios': 'Szenarien vergleichen',
+        'Debt Planner': 'Schuldenplaner',
+        'Affordability': 'Finanzierbarkeit',
+        'Payment Tracker': 'Zahlungsverfolgung',
+        'Saved Loans': 'Gespeicherte Kredite',
+        'Privacy Policy': 'Datenschutz',
+        'Terms of Service': 'Nutzungsbedingungen',
+        'Affiliate Disclosure': 'Hinweis zu Partnerlinks',
+        '© 2025 Accelerated Loan Payoff Calculator. All rights reserved.': '© 2025 Accelerated Loan Payoff Calculator. Alle Rechte vorbehalten.',
+
+        // Loan calculator
+        'Currency': 'Währung',
+        'Loan Principal': 'Darlehensbetrag',
+        'Annual Interest Rate': 'Jährlicher Zinssatz',
+        'Loan Term in Years': 'Laufzeit in Jahren',
+        'years': 'Jahre',
+        'Payment Frequency': 'Zahlungsrhythmus',
+        'Monthly': 'Monatlich',
+        'Semi-monthly (1st & 15th)': 'Halbmonatlich (1. und 15.)',
+        'Bi-weekly': 'Zweiwöchentlich',
+        'Accelerated bi-weekly': 'Beschleunigt zweiwöchentlich',
+        'Weekly': 'Wöchentlich',
+        'Accelerated weekly': 'Beschleunigt wöchentlich',
+        'Semi-monthly': 'Halbmonatlich',
+        'Semi-Monthly': 'Halbmonatlich',
+        'Bi-Weekly': 'Zweiwöchentlich',
+        'Accelerated Bi-Weekly': 'Beschleunigt zweiwöchentlich',
+        'Accelerated Weekly': 'Beschleunigt wöchentlich',
+        'Accelerated payments are half (bi-weekly) or a quarter (weekly) of the monthly payment': 'Beschleunigte Zahlungen betragen die Hälfte (zweiwöchentlich) oder ein Viertel (wöchentlich) der Monatsrate',
+        'Payment Rounding': 'Rundung der Rate',
+        'Round to the nearest cent': 'Auf den nächsten Cent runden',
+        'Truncate to the cent': 'Auf den Cent abschneiden',
+        'Round up to the next cent': 'Auf den nächsten Cent aufrunden',
+        'Round up to the next whole unit': 'Auf die nächste ganze Einheit aufrunden',
+        'How your lender rounds the payment; the final payment settles any remaining cents': 'Wie Ihr Kreditgeber die Rate rundet; die letzte Zahlung gleicht verbleibende Cents aus',
+        'Interest Calculation': 'Zinsberechnung',
+        'Standard (annual rate ÷ payments per year)': 'Standard (Jahreszins ÷ Zahlungen pro Jahr)',
+        'Actual/365': 'Act/365',
+        'Actual/360': 'Act/360',
+        'Daily simple interest (auto and student loans)': 'Tägliche einfache Zinsen (Auto- und Studienkredite)',
+        'Canadian mortgage (compounded semi-annually)': 'Kanadische Hypothek (halbjährliche Verzinsung)',
+        'Day-count methods charge interest for the actual days between payments': 'Tageszählmethoden berechnen Zinsen für die tatsächlichen Tage zwischen den Zahlungen',
+        'Rate Type': 'Zinsart',
+        'Fixed rate': 'Festzins',
+        'Adjustable rate (ARM)': 'Variabler Zins (ARM)',
+        'Adjustable Rate Schedule': 'Zinsanpassungen',
+        'The annual interest rate above is the initial (teaser) rate.': 'Der oben angegebene Jahreszins ist der anfängliche (Lock-)Zins.',
+        'ARM Type': 'ARM-Typ',
+        '5/1 ARM': '5/1 ARM',
+        '7/1 ARM': '7/1 ARM',
+        '10/1 ARM': '10/1 ARM',
+        '5/6 ARM': '5/6 ARM',
+        '7/6 ARM': '7/6 ARM',
+        '10/6 ARM': '10/6 ARM',
+        'Custom': 'Benutzerdefiniert',
+        'Initial Fixed Period': 'Anfängliche Zinsbindung',
+        'months': 'Monate',
+        'Adjusts Every': 'Anpassung alle',
+        'Expected Index Rate': 'Erwarteter Referenzzins',
+        'Margin': 'Aufschlag',
+        'Initial Adjustment Cap': 'Obergrenze der ersten Anpassung',
+        'Periodic Cap': 'Obergrenze je Anpassung',
+        'Lifetime Cap': 'Obergrenze über die Laufzeit',
+        'Rate Floor': 'Zinsuntergrenze',
+        'Interest-Only & Balloon': 'Tilgungsfreie Zeit & Schlussrate',
+        'Optional. For loans that pay only interest at first, or that amortize over a longer term than they run for and end with a balloon payment.': 'Optional. Für Kredite, bei denen anfangs nur Zinsen gezahlt werden oder deren Raten auf einer längeren Laufzeit beruhen, sodass am Ende eine Schlussrate fällig wird.',
+        'Interest-Only Period': 'Tilgungsfreie Zeit',
+        'The payments only cover the interest for this long': 'So lange decken die Raten nur die Zinsen',
+        'Amortization Term': 'Tilgungsdauer',
+        'Rest of the term': 'Restlaufzeit',
+        'The term the payments are based on. A term longer than the loan leaves a balloon payment due at maturity.': 'Die Laufzeit, nach der sich die Raten richten. Ist sie länger als der Kredit läuft, bleibt bei Fälligkeit eine Schlussrate offen.',
+        'Optional Extra Monthly Payment': 'Optionale monatliche Sondertilgung',
+        'Loan Start Date': 'Kreditbeginn',
+        'Prepayments & Lump Sums': 'Sondertilgungen & Einmalzahlungen',
+        '+ Add Prepayment': '+ Sondertilgung hinzufügen',
+        'Bonuses, tax refunds or other lump sums paid on top of the regular payment': 'Boni, Steuererstattungen oder andere Einmalbeträge zusätzlich zur regulären Rate',
+        'Taxes, Insurance, PMI & HOA': 'Steuern, Versicherung, PMI & Hausgeld',
+        'Optional. Added on top of principal and interest to show the full monthly housing payment (PITI).': 'Optional. Wird zu Tilgung und Zinsen addiert, um die gesamte monatliche Wohnkostenbelastung (PITI) zu zeigen.',
+        'Home Value': 'Immobilienwert',
+        'Used for the loan-to-value ratio': 'Für den Beleihungsauslauf',
+        'Annual Property Tax': 'Jährliche Grundsteuer',
+        'Annual Homeowners Insurance': 'Jährliche Gebäudeversicherung',
+        'PMI Rate': 'PMI-Satz',
+        'Yearly premium as a share of the loan amount': 'Jahresprämie als Anteil am Darlehensbetrag',
+        'PMI Cancels At': 'PMI endet bei',
+        '78% LTV (automatic)': '78 % Beleihungsauslauf (automatisch)',
+        '80% LTV (on request)': '80 % Beleihungsauslauf (auf Antrag)',
+        'Monthly HOA Dues': 'Monatliches Hausgeld',
+        'Loan Fees & Points': 'Kreditgebühren & Punkte',
+        'Optional. What the lender charges to make the loan, used for the annual percentage rate (APR).': 'Optional. Was der Kreditgeber für den Kredit berechnet; fließt in den effektiven Jahreszins ein.',
+        'Origination Fee': 'Bearbeitungsgebühr',
+        'One point costs 1% of the loan amount': 'Ein Punkt kostet 1 % des Darlehensbetrags',
+        'Other Finance Charges': 'Sonstige Kreditkosten',
+        'Underwriting, processing and other lender fees. Title, appraisal and escrow costs are not finance charges.': 'Prüfungs-, Bearbeitungs- und andere Gebühren des Kreditgebers. Grundbuch-, Gutachter- und Treuhandkosten zählen nicht zu den Kreditkosten.',
+        'Calculate Payoff': 'Tilgung berechnen',
+        'Annual interest rate slider': 'Schieberegler für den Jahreszins',
+        'Loan term slider': 'Schieberegler für die Laufzeit',
+        'None': 'Keine',
+        'Extra monthly payment slider': 'Schieberegler für die monatliche Sondertilgung',
+        'Based on today\'s date': 'Ausgehend vom heutigen Datum',
+
+        // Prepayment rows
+        'One-time lump sum': 'Einmalige Sondertilgung',
+        'Recurring yearly': 'Jährlich wiederkehrend',
+        'Stepped-up monthly extra': 'Steigende monatliche Sondertilgung',
+        'January': 'Januar',
+        'February': 'Februar',
+        'March': 'März',
+        'April': 'April',
+        'May': 'Mai',
+        'June': 'Juni',
+        'July': 'Juli',
+        'August': 'August',
+        'September': 'September',
+        'October': 'Oktober',
+        'November': 'November',
+        'December': 'Dezember',
+        'Prepayment type': 'Art der Sondertilgung',
+        'Amount': 'Betrag',
+        'Prepayment amount': 'Betrag der Sondertilgung',
+        'Payment number': 'Zahlungsnummer',
+        'Or prepayment date': 'Oder Datum der Sondertilgung',
+        'Month paid each year': 'Monat der jährlichen Zahlung',
+        'From year': 'Ab Jahr',
+        'First year paid': 'Erstes Zahlungsjahr',
+        'Increase by': 'Erhöhen um',
+        'Increase amount': 'Erhöhungsbetrag',
+        'Every N months': 'Alle N Monate',
+        'Increase every N months': 'Erhöhung alle N Monate',
+        'Remove prepayment': 'Sondertilgung entfernen',
+        '{amount} on {date}': '{amount} am {date}',
+        '{amount} with payment #{number}': '{amount} mit Zahlung Nr. {number}',
+        '{amount} every {month}': '{amount} jeden {month}',
+        '{amount} every {month} from {year}': '{amount} jeden {month} ab {year}',
+        '{amount}/month, rising by {step} every {count} months': {
+            one: '{amount}/Monat, steigt nach je {count} Monat um {step}',
+            other: '{amount}/Monat, steigt nach je {count} Monaten um {step}'
+        },
+        'Adjustable: fixed {fixedMonths} months, then every {adjustmentMonths} months at index {index} + margin {margin}': 'Variabel: {fixedMonths} Monate fest, danach alle {adjustmentMonths} Monate zum Referenzzins {index} + Aufschlag {margin}',
+        'initial cap {rate}': 'erste Anpassung höchstens {rate}',
+        'periodic cap {rate}': 'je Anpassung höchstens {rate}',
+        'lifetime cap {rate}': 'über die Laufzeit höchstens {rate}',
+        'floor {rate}': 'mindestens {rate}',
+
+        // Loan results
+        'Loan Calculation Results': 'Ergebnisse der Kreditberechnung',
+        'Standard {frequency} Payment': 'Reguläre Rate ({frequency})',
+        'Total {frequency} Payment': 'Gesamtrate ({frequency})',
+        'New Payoff Time': 'Neue Tilgungsdauer',
+        'Total Interest Saved': 'Gesparte Zinsen insgesamt',
+        'By making extra payments': 'Durch Sondertilgungen',
+        'Total Taxes, Insurance & Fees': 'Steuern, Versicherung & Gebühren insgesamt',
+        'Over the life of the loan': 'Über die gesamte Laufzeit',
+        'PMI Removed': 'PMI entfällt',
+        'Time Saved vs. Monthly': 'Zeitersparnis gegenüber monatlich',
+        'Interest Saved vs. Monthly': 'Zinsersparnis gegenüber monatlich',
+        'Payment After First Reset': 'Rate nach der ersten Anpassung',
+        'Highest Expected Payment': 'Höchste erwartete Rate',
+        'Worst-Case Payment': 'Rate im ungünstigsten Fall',
+        'Interest-Only Payment': 'Zinsrate',
+        'Payment After Interest-Only Period': 'Rate nach der tilgungsfreien Zeit',
+        'Balloon Payment': 'Schlussrate',
+        'Interest Saved per Prepayment': 'Zinsersparnis je Sondertilgung',
+        'Prepayment': 'Sondertilgung',
+        'Interest Saved': 'Gesparte Zinsen',
+        'Prepay or Invest the Extra Payments': 'Sondertilgungen leisten oder anlegen',
+        'The interest saved is not the whole story: the extra payments could have been invested instead. Compare the net worth of prepaying the loan with investing the difference, before and after inflation.': 'Die gesparten Zinsen sind nicht alles: Die Sondertilgungen hätten auch angelegt werden können. Vergleichen Sie das Vermögen beim Tilgen des Kredits mit dem beim Anlegen der Differenz, vor und nach Inflation.',
+        'Expected Investment Return': 'Erwartete Rendite',
+        'Per year, before tax': 'Pro Jahr, vor Steuern',
+        'Tax on Investment Gains': 'Steuer auf Kapitalerträge',
+        'Paid on the gains when the investments are sold': 'Fällig auf die Gewinne, wenn die Anlagen verkauft werden',
+        'Inflation Rate': 'Inflationsrate',
+        'Real figures are in today\'s money': 'Reale Werte sind in heutigem Geld',
+        'Compare Prepaying and Investing': 'Tilgen und Anlegen vergleichen',
+        'Ahead at Payoff': 'Vorn bei Tilgung',
+        'Real Interest When Prepaying': 'Reale Zinsen beim Tilgen',
+        'Real Interest When Investing': 'Reale Zinsen beim Anlegen',
+        'Last Payment in Today\'s Money': 'Letzte Rate in heutigem Geld',
+        'Prepay the loan': 'Kredit tilgen',
+        'Invest the difference': 'Differenz anlegen',
+        'Level': 'Gleichauf',
+        'By {amount} on {date}, or {real} in today\'s money': 'Um {amount} am {date}, oder {real} in heutigem Geld',
+        'Both end with a net worth of {amount} on {date}': 'Beide enden am {date} mit einem Vermögen von {amount}',
+        '{strategy} takes the lead for good with payment {payment}': '{strategy} geht mit Zahlung {payment} dauerhaft in Führung',
+        'The leader stays ahead throughout': 'Die vordere Strategie liegt durchgehend vorn',
+        '{amount} before inflation, paid off on {date}': '{amount} vor Inflation, getilgt am {date}',
+        'The {amount} payment due on {date}': 'Die am {date} fällige Rate von {amount}',
+        'Annual Percentage Rate (APR)': 'Effektiver Jahreszins',
+        'Interest rate {rate}, with the fees and points spread over the loan': 'Sollzins {rate}, mit den Gebühren und Punkten über die Laufzeit verteilt',
+        'Finance Charge': 'Kreditkosten',
+        'What the loan costs: interest, PMI, fees and points': 'Was der Kredit kostet: Zinsen, PMI, Gebühren und Punkte',
+        'Amount Financed': 'Nettodarlehensbetrag',
+        'The loan amount less the fees and points': 'Der Darlehensbetrag abzüglich der Gebühren und Punkte',
+        'Total of Payments': 'Gesamtbetrag der Zahlungen',
+        'The scheduled payments, without extra payments': 'Die planmäßigen Zahlungen, ohne Sondertilgungen',
+        'For the first {count} payments': { one: 'Für {count} Zahlung', other: 'Für die ersten {count} Zahlungen' },
+        'The payments amortize from the start': 'Die Raten tilgen von Anfang an',
+        'From {date}, {amount} more per payment': 'Ab {date}, {amount} mehr je Zahlung',
+        'The loan is interest-only until it matures': 'Der Kredit ist bis zur Fälligkeit tilgungsfrei',
+        'The loan is paid off before the interest-only period ends': 'Der Kredit ist vor dem Ende der tilgungsfreien Zeit getilgt',
+        'There is no interest-only period': 'Es gibt keine tilgungsfreie Zeit',
+        'Due {date}, on top of the last payment of {amount}': 'Fällig am {date}, zusätzlich zur letzten Rate von {amount}',
+        'The payments pay off the loan by maturity': 'Die Raten tilgen den Kredit bis zur Fälligkeit',
+        '{amount} principal & interest': '{amount} Tilgung & Zinsen',
+        '{amount} tax': '{amount} Steuern',
+        '{amount} insurance': '{amount} Versicherung',
+        '{amount} PMI': '{amount} PMI',
+        '{amount} HOA': '{amount} Hausgeld',
+        'After payment {payment}, with {amount} PMI paid': 'Nach Zahlung {payment}, mit {amount} gezahlter PMI',
+        'N/A': 'k. A.',
+        'PMI is paid until the loan is paid off': 'PMI wird bis zur vollständigen Tilgung gezahlt',
+        'No PMI is charged on this loan': 'Für diesen Kredit fällt keine PMI an',
+        '{frequency} payments of {payment} vs. {monthly} a month': 'Zahlungen ({frequency}) von {payment} statt {monthly} im Monat',
+        'From {date} at {rate}': 'Ab {date} zu {rate}',
+        'The rate does not change': 'Der Zinssatz ändert sich nicht',
+        'At {rate}, with {amount} total interest': 'Zu {rate}, mit {amount} Zinsen insgesamt',
+        'Enter a periodic or lifetime cap to see the worst case': 'Geben Sie eine Obergrenze je Anpassung oder über die Laufzeit ein, um den ungünstigsten Fall zu sehen',
+        'The extra payment cannot be more than the loan principal': 'Die Sondertilgung darf nicht höher als der Darlehensbetrag sein',
+
+        // Charts
+        'Chart': 'Diagramm',
+        'Payment breakdown': 'Aufteilung der Zahlungen',
+        'Cumulative interest vs. principal': 'Kumulierte Zinsen und Tilgung',
+        'Equity growth': 'Eigenkapitalaufbau',
+        'Payment composition': 'Zusammensetzung der Zahlungen',
+        'With vs. without extra payments': 'Mit und ohne Sondertilgungen',
+        'Prepay vs. invest': 'Tilgen oder anlegen',
+        'Show': 'Anzeigen',
+        'Automatic': 'Automatisch',
+        'Each payment': 'Jede Zahlung',
+        'Each year': 'Jedes Jahr',
+        'Home Value Growth': 'Wertsteigerung der Immobilie',
+        'Download PNG': 'PNG herunterladen',
+        'Download SVG': 'SVG herunterladen',
+        'Year {year}': 'Jahr {year}',
+        'Payment {payment}': 'Zahlung {payment}',
+        'Year': 'Jahr',
+        'Payment Number': 'Zahlungsnummer',
+        'Payment Breakdown Over Time': 'Aufteilung der Zahlungen im Zeitverlauf',
+        'Amount Paid': 'Gezahlter Betrag',
+        'HOA Dues': 'Hausgeld',
+        'Cumulative Interest vs. Principal': 'Kumulierte Zinsen und Tilgung',
+        'Crossover': 'Schnittpunkt',
+        'The principal paid overtakes the interest paid with payment {payment}, on {date}.': 'Die gezahlte Tilgung überholt die gezahlten Zinsen mit Zahlung {payment} am {date}.',
+        'The interest paid stays ahead of the principal paid for the whole loan.': 'Die gezahlten Zinsen bleiben über die gesamte Laufzeit höher als die gezahlte Tilgung.',
+        'Equity Growth': 'Eigenkapitalaufbau',
+        'Equity': 'Eigenkapital',
+        'Starting from a home value of {value}, growing {rate} a year.': 'Ausgehend von einem Immobilienwert von {value}, mit {rate} Wertsteigerung pro Jahr.',
+        'Starting from a home value of {value}, with no appreciation.': 'Ausgehend von einem Immobilienwert von {value}, ohne Wertsteigerung.',
+        'Taking the home\'s value as the loan amount of {value}, growing {rate} a year.': 'Als Immobilienwert gilt der Darlehensbetrag von {value}, mit {rate} Wertsteigerung pro Jahr.',
+        'Taking the home\'s value as the loan amount of {value}, with no appreciation.': 'Als Immobilienwert gilt der Darlehensbetrag von {value}, ohne Wertsteigerung.',
+        'Payment Composition': 'Zusammensetzung der Zahlungen',
+        'Balance With vs. Without Extra Payments': 'Restschuld mit und ohne Sondertilgungen',
+        'With Extra Payments': 'Mit Sondertilgungen',
+        'Without Extra Payments': 'Ohne Sondertilgungen',
+        'Add an extra monthly payment or a prepayment to compare it with the standard payments.': 'Fügen Sie eine monatliche Sondertilgung oder eine Einmalzahlung hinzu, um sie mit den regulären Raten zu vergleichen.',
+        'The extra payments pay the loan off {time} sooner and save {amount} of interest.': 'Die Sondertilgungen tilgen den Kredit {time} früher und sparen {amount} Zinsen.',
+        'Net Worth: Prepay vs. Invest': 'Vermögen: Tilgen oder anlegen',
+        'Net Worth': 'Vermögen',
+        'Prepay the loan (real)': 'Kredit tilgen (real)',
+        'Invest the difference (real)': 'Differenz anlegen (real)',
+        'Prepaying the loan': 'Das Tilgen des Kredits',
+        'Investing the difference': 'Das Anlegen der Differenz',
+        'Add an extra payment or a prepayment and an expected investment return to compare prepaying the loan with investing the difference.': 'Fügen Sie eine Sondertilgung und eine erwartete Rendite hinzu, um das Tilgen des Kredits mit dem Anlegen der Differenz zu vergleichen.',
+        'Prepaying the loan and investing the difference end up level.': 'Das Tilgen des Kredits und das Anlegen der Differenz enden gleichauf.',
+        '{strategy} takes the lead for good with payment {payment}, on {date}, and ends {amount} ahead ({real} in today\'s money).': '{strategy} geht mit Zahlung {payment} am {date} dauerhaft in Führung und liegt am Ende {amount} vorn ({real} in heutigem Geld).',
+        '{strategy} stays ahead throughout and ends {amount} ahead ({real} in today\'s money).': '{strategy} liegt durchgehend vorn und am Ende {amount} voraus ({real} in heutigem Geld).',
+
+        // Amortization schedule
+        'Amortization Schedule': 'Tilgungsplan',
+        'Expand All Years': 'Alle Jahre aufklappen',
+        'Collapse All Years': 'Alle Jahre zuklappen',
+        'Jump to Date': 'Zu Datum springen',
+        'Go': 'Los',
+        'Highlight Equity Reaching': 'Eigenkapital hervorheben ab',
+        'Payments grouped by year, with the year\'s totals on each year row. Use the arrow keys to move between rows, and Enter, or the left and right arrows, to collapse or expand a year.': 'Zahlungen nach Jahren gruppiert, mit den Jahressummen in jeder Jahreszeile. Mit den Pfeiltasten wechseln Sie zwischen den Zeilen; mit der Eingabetaste oder den Pfeiltasten links und rechts klappen Sie ein Jahr zu oder auf.',
+        'Date': 'Datum',
+        'Days': 'Tage',
+        'Rate / Payment': 'Zins / Rate',
+        'Payment': 'Zahlung',
+        'Principal Paid': 'Gezahlte Tilgung',
+        'Interest Paid': 'Gezahlte Zinsen',
+        'Accrued Interest': 'Aufgelaufene Zinsen',
+        'Total Principal': 'Tilgung insgesamt',
+        'Taxes & Insurance': 'Steuern & Versicherung',
+        'PMI': 'PMI',
+        'HOA': 'Hausgeld',
+        'Total Payment': 'Gesamtzahlung',
+        'Remaining Balance': 'Restschuld',
+        'Rate reset': 'Zinsanpassung',
+        'New payment': 'Neue Rate',
+        'Balloon payment': 'Schlussrate',
+        '{year} ({count} payments)': { one: '{year} ({count} Zahlung)', other: '{year} ({count} Zahlungen)' },
+        'Your equity reaches {share} of the home\'s value with payment {payment}, on {date}.': 'Ihr Eigenkapital erreicht {share} des Immobilienwerts mit Zahlung {payment} am {date}.',
+        '{share} of the loan is paid off with payment {payment}, on {date}.': '{share} des Kredits sind mit Zahlung {payment} am {date} getilgt.',
+
+        // Yearly interest statements
+        'Yearly Interest Statements': 'Jährliche Zinsbescheinigungen',
+        'The interest, principal and balance of each calendar year, as on your lender\'s year-end statement. Enter your marginal tax rate to estimate what deducting the interest saves.': 'Zinsen, Tilgung und Restschuld jedes Kalenderjahres, wie auf der Jahresbescheinigung Ihres Kreditgebers. Geben Sie Ihren Grenzsteuersatz ein, um abzuschätzen, was der Abzug der Zinsen spart.',
+        'Marginal Tax Rate': 'Grenzsteuersatz',
+        'Leave blank to skip the deduction estimate': 'Leer lassen, um die Abzugsschätzung zu überspringen',
+        'Standard Deduction': 'Pauschbetrag',
+        'Itemizing only saves tax above this amount': 'Einzelnachweise sparen erst oberhalb dieses Betrags Steuern',
+        'Other Itemized Deductions': 'Weitere abziehbare Ausgaben',
+        'Per year, such as property taxes and donations': 'Pro Jahr, etwa Grundsteuer und Spenden',
+        'Payments': 'Zahlungen',
+        'Ending Balance': 'Restschuld am Jahresende',
+        'Tax Savings': 'Steuerersparnis',
+        'After-Tax Interest': 'Zinsen nach Steuern',
+        'Statement': 'Bescheinigung',
+        'Download the {year} statement as CSV': 'Bescheinigung {year} als CSV herunterladen',
+        'Over the whole loan: {interest} of interest and {principal} of principal.': 'Über die gesamte Laufzeit: {interest} Zinsen und {principal} Tilgung.',
+        'Deducting the interest saves an estimated {savings} of tax, for an after-tax interest cost of {amount}.': 'Der Abzug der Zinsen spart schätzungsweise {savings} Steuern; die Zinsen kosten nach Steuern {amount}.',
+        'Itemizing beats the standard deduction in {count} of the {years} years.': 'Einzelnachweise übertreffen den Pauschbetrag in {count} von {years} Jahren.',
+        'Export & Share': 'Exportieren & Teilen',
+        'Download CSV': 'CSV herunterladen',
+        'Download Excel': 'Excel herunterladen',
+        'Download Report': 'Bericht herunterladen',
+        'Print / Save as PDF': 'Drucken / Als PDF speichern',
+        'Copy Share Link': 'Link zum Teilen kopieren',
+        'Link Copied!': 'Link kopiert!',
+        'Copy this link to share the scenario:': 'Kopieren Sie diesen Link, um das Szenario zu teilen:',
+        'Please calculate your loan first': 'Bitte berechnen Sie zuerst Ihren Kredit',
+        'Please allow pop-ups for this site to print the report': 'Bitte erlauben Sie Pop-ups für diese Seite, um den Bericht zu drucken',
+        'Loan Amortization Report': 'Tilgungsbericht',
+        'Generated {date}': 'Erstellt am {date}',
+        'Loan Details': 'Kreditdaten',
+        'Summary': 'Übersicht',
+        'Schedule': 'Tilgungsplan',
+        '{title} chart': 'Diagramm: {title}',
+        'Annual Interest Rate (%)': 'Jährlicher Zinssatz (%)',
+        'Loan Term (years)': 'Laufzeit (Jahre)',
+        'Interest-Only Period (months)': 'Tilgungsfreie Zeit (Monate)',
+        'Amortization Term (years)': 'Tilgungsdauer (Jahre)',
+        'Payoff Time (months)': 'Tilgungsdauer (Monate)',
+        'Interest Rate': 'Zinssatz',
+        'Scheduled Payment': 'Planmäßige Rate',
+        'Property Tax': 'Grundsteuer',
+        'Homeowners Insurance': 'Gebäudeversicherung',
+        'Total Interest Paid': 'Gezahlte Zinsen insgesamt',
+        'Worst-Case Total Interest': 'Zinsen insgesamt im ungünstigsten Fall',
+        'Amortizing Payment': 'Tilgungsrate',
+        'Amortizing Payment Starts': 'Beginn der Tilgungsrate',
+        'Balloon Payment Due': 'Fälligkeit der Schlussrate',
+        'Total {frequency} Payment (PITI)': 'Gesamtrate ({frequency}, PITI)',
+        'Total Property Tax': 'Grundsteuer insgesamt',
+        'Total Homeowners Insurance': 'Gebäudeversicherung insgesamt',
+        'Total PMI': 'PMI insgesamt',
+        'Total HOA Dues': 'Hausgeld insgesamt',
+        'Prepaid Finance Charges': 'Vorab gezahlte Kreditkosten',
+        'Annual Percentage Rate (APR, %)': 'Effektiver Jahreszins (%)',
+        'Prepayment: {description}': 'Sondertilgung: {description}',
+        '{description} (saves {amount} interest)': '{description} (spart {amount} Zinsen)',
+        '{rate} until {ltv}% LTV': '{rate} bis {ltv} % Beleihungsauslauf',
+        '{amount} from {date}': '{amount} ab {date}',
+        '{amount} due {date}': '{amount} fällig am {date}',
+        'Daily simple interest (Actual/Actual)': 'Tägliche einfache Zinsen (Act/Act)',
+        'Canadian (compounded semi-annually)': 'Kanadisch (halbjährliche Verzinsung)',
+
+        // Refinance
+        'Note:': 'Hinweis:',
+        'Please calculate your original loan first using the Loan Calculator tab to enable refinance analysis. The current balance is taken from its amortization schedule.': 'Bitte berechnen Sie zuerst Ihren ursprünglichen Kredit im Kreditrechner, um die Umschuldung zu prüfen. Die aktuelle Restschuld wird aus dessen Tilgungsplan übernommen.',
+        'Please calculate your original loan first using the Loan Calculator tab': 'Bitte berechnen Sie zuerst Ihren ursprünglichen Kredit im Kreditrechner',
+        'Payments Already Made on the Original Loan': 'Bereits geleistete Zahlungen auf den ursprünglichen Kredit',
+        'payments': 'Zahlungen',
+        'Leave blank to count the payments due up to today': 'Leer lassen, um die bis heute fälligen Zahlungen zu zählen',
+        'Cash-Out Amount': 'Zusätzlicher Auszahlungsbetrag',
+        'Borrowed on top of the current balance': 'Zusätzlich zur aktuellen Restschuld aufgenommen',
+        'New Annual Interest Rate': 'Neuer Jahreszins',
+        'New Loan Term (in years)': 'Neue Laufzeit (in Jahren)',
+        'Refinance Closing Costs (Fees)': 'Kosten der Umschuldung (Gebühren)',
+        'Discount Points': 'Disagio-Punkte',
+        'One point costs 1% of the new loan amount': 'Ein Punkt kostet 1 % des neuen Darlehensbetrags',
+        'Closing Costs & Points': 'Kosten & Punkte',
+        'Paid upfront': 'Vorab bezahlt',
+        'Rolled into the new loan': 'In den neuen Kredit eingerechnet',
+        'Discount Rate for Present Value': 'Abzinsungssatz für den Barwert',
+        'What your money could earn elsewhere, used to value future savings in today\'s money': 'Was Ihr Geld anderswo erwirtschaften könnte; damit werden künftige Ersparnisse in heutigem Geld bewertet',
+        'Calculate Refinance': 'Umschuldung berechnen',
+        'Prepay, Recast or Refinance a Lump Sum': 'Einmalzahlung: Sondertilgung, Neuberechnung oder Umschuldung',
+        'Compare paying a lump sum off the original loan and keeping the payment, which shortens the term, with recasting the loan to a lower payment over the same term, or putting it towards refinancing at the new rate and term above.': 'Vergleichen Sie, ob Sie eine Einmalzahlung als Sondertilgung leisten und die Rate beibehalten, wodurch sich die Laufzeit verkürzt, die Rate über dieselbe Laufzeit neu berechnen lassen oder den Betrag in eine Umschuldung zum neuen Zinssatz und zur neuen Laufzeit oben einbringen.',
+        'Lump Sum': 'Einmalzahlung',
+        'Paid With Payment': 'Gezahlt mit Rate Nr.',
+        'Leave blank for the next payment due': 'Leer lassen für die nächste fällige Rate',
+        'Recast Fee': 'Gebühr für die Neuberechnung',
+        'Lenders often charge a few hundred dollars to recast': 'Kreditgeber verlangen für die Neuberechnung oft einige hundert Dollar',
+        'Compare Lump Sum Options': 'Möglichkeiten vergleichen',
+        'Option': 'Möglichkeit',
+        'Interest From Then On': 'Zinsen ab dann',
+        'Fees': 'Gebühren',
+        'Interest & Fees': 'Zinsen & Gebühren',
+        'No lump sum': 'Keine Einmalzahlung',
+        'Keep the payment': 'Rate beibehalten',
+        'Recast': 'Rate neu berechnen',
+        'Refinance': 'Umschuldung',
+        'Paying {amount} with payment {payment} on {date} leaves a balance of {balance}.': 'Wenn Sie {amount} mit Rate {payment} am {date} zahlen, bleibt eine Restschuld von {balance}.',
+        'Enter the new interest rate and loan term above to compare a refinance as well.': 'Geben Sie oben den neuen Zinssatz und die Laufzeit ein, um auch eine Umschuldung zu vergleichen.',
+        'The lower refinance payment makes up for its costs after {time}.': 'Die niedrigere Rate nach der Umschuldung gleicht deren Kosten nach {time} aus.',
+        'The refinance payment is not lower, so its costs are never made up.': 'Die Rate nach der Umschuldung ist nicht niedriger, daher werden ihre Kosten nie ausgeglichen.',
+        'New loan rate': 'Zinssatz des neuen Kredits',
+        'Refinance Analysis Results': 'Ergebnisse der Umschuldung',
+        'New Monthly Payment': 'Neue Monatsrate',
+        'Monthly Savings': 'Monatliche Ersparnis',
+        'Break-Even Point': 'Gewinnschwelle',
+        'Current Balance': 'Aktuelle Restschuld',
+        'New Loan Amount': 'Neuer Darlehensbetrag',
+        'Lifetime Interest Difference': 'Zinsunterschied über die Laufzeit',
+        'Lifetime Savings': 'Ersparnis über die Laufzeit',
+        'Payments saved, after all costs': 'Gesparte Zahlungen nach allen Kosten',
+        'Net Present Value': 'Kapitalwert',
+        'New Loan APR': 'Effektiver Jahreszins des neuen Kredits',
+        'Finance charge {amount}, including {costs} of closing costs and points': 'Kreditkosten {amount}, davon {costs} Abschlusskosten und Punkte',
+        'See how much more you can save!': 'Sehen Sie, wie viel mehr Sie sparen können!',
+        'Compare today\'s best Refinance & Debt Consolidation Rates.': 'Vergleichen Sie die besten aktuellen Zinsen für Umschuldung und Kreditbündelung.',
+        'View Best Rates Now →': 'Jetzt die besten Zinsen ansehen →',
+        'Refinancing does not recover its costs. The new loan costs more than staying with your current loan.': 'Die Umschuldung holt ihre Kosten nicht wieder herein. Der neue Kredit kostet mehr als Ihr bisheriger.',
+        'Refinancing only recovers its costs after your current loan would have been paid off.': 'Die Umschuldung holt ihre Kosten erst herein, nachdem Ihr bisheriger Kredit abbezahlt gewesen wäre.',
+        'You will break even in {time}, by {date}.': 'Sie erreichen die Gewinnschwelle in {time}, bis {date}.',
+        'After {count} payments, with {remaining} left': { one: 'Nach {count} Zahlung, noch {remaining} offen', other: 'Nach {count} Zahlungen, noch {remaining} offen' },
+        '{amount} cash out': '{amount} zusätzliche Auszahlung',
+        '{amount} costs rolled in': '{amount} Kosten eingerechnet',
+        '{amount} paid upfront': '{amount} vorab bezahlt',
+        'The current balance': 'Die aktuelle Restschuld',
+        'Less interest than the {amount} left on your current loan': 'Weniger Zinsen als die {amount}, die auf Ihren bisherigen Kredit noch anfallen',
+        'More interest than the {amount} left on your current loan': 'Mehr Zinsen als die {amount}, die auf Ihren bisherigen Kredit noch anfallen',
+        'Savings in today\'s money, discounted at {rate}': 'Ersparnis in heutigem Geld, abgezinst mit {rate}',
+
+        // Scenarios
+        'Compare loan options side by side, such as 15 vs. 30 years or different rates. Clone a scenario, change one field and pick a baseline to see the differences.': 'Vergleichen Sie Kreditvarianten nebeneinander, etwa 15 und 30 Jahre oder unterschiedliche Zinssätze. Duplizieren Sie ein Szenario, ändern Sie ein Feld und wählen Sie eine Basis, um die Unterschiede zu sehen.',
+        '+ Add Scenario from Loan Calculator': '+ Szenario aus dem Kreditrechner hinzufügen',
+        'Scenario': 'Szenario',
+        'Monthly Payment': 'Monatsrate',
+        'Total Interest': 'Zinsen insgesamt',
+        'Payoff Date': 'Tilgungsende',
+        'Total Cost': 'Gesamtkosten',
+        'Remaining Balance by Scenario': 'Restschuld je Szenario',
+        'Baseline': 'Basis',
+        'Clone': 'Duplizieren',
+        'Scenario name': 'Name des Szenarios',
+        'Loan principal': 'Darlehensbetrag',
+        'Rate %': 'Zins %',
+        'Annual interest rate': 'Jährlicher Zinssatz',
+        'Years': 'Jahre',
+        'Loan term in years': 'Laufzeit in Jahren',
+        'Extra / month': 'Extra / Monat',
+        'Extra monthly payment': 'Monatliche Sondertilgung',
+        'Payment frequency': 'Zahlungsrhythmus',
+        'Clone scenario': 'Szenario duplizieren',
+        'Remove scenario': 'Szenario entfernen',
+        '{name} (copy)': '{name} (Kopie)',
+        '{count} years at {rate}': { one: '{count} Jahr zu {rate}', other: '{count} Jahre zu {rate}' },
+        'Scenario {number}': 'Szenario {number}',
+        'Enter a principal, rate and term for "{name}" to compare it.': 'Geben Sie für „{name}“ einen Darlehensbetrag, einen Zinssatz und eine Laufzeit ein, um es zu vergleichen.',
+        '{name}: {problem}.': '{name}: {problem}.',
+        'Error: {message}': 'Fehler: {message}',
+        'Same': 'Gleich',
+
+        // Debt planner
+        'Your Debts': 'Ihre Schulden',
+        '+ Add Debt': '+ Schuld hinzufügen',
+        'Car loans, student loans, credit cards and more. For a custom payoff order, list the debts in the order you want to pay them off.': 'Autokredite, Studienkredite, Kreditkarten und mehr. Für eine eigene Reihenfolge listen Sie die Schulden in der Reihenfolge auf, in der Sie sie tilgen möchten.',
+        'Total Monthly Budget for Debts': 'Monatliches Gesamtbudget für Schulden',
+        'Must cover all minimum payments; anything above them speeds up the payoff': 'Muss alle Mindestzahlungen decken; alles darüber beschleunigt die Tilgung',
+        'Plan My Payoff': 'Tilgung planen',
+        'Debt Payoff Plan': 'Tilgungsplan für Schulden',
+        'Strategy': 'Strategie',
+        'Debt-Free Date': 'Schuldenfrei am',
+        'Time to Payoff': 'Dauer bis zur Tilgung',
+        'Total Paid': 'Insgesamt gezahlt',
+        'Total Debt by Strategy': 'Gesamtschulden je Strategie',
+        'Payoff Timeline': 'Tilgungsverlauf',
+        'Avalanche (highest APR first)': 'Lawine (höchster effektiver Jahreszins zuerst)',
+        'Snowball (smallest balance first)': 'Schneeball (kleinster Betrag zuerst)',
+        'Custom order': 'Eigene Reihenfolge',
+        'Debt': 'Schuld',
+        'Timeline': 'Verlauf',
+        'Strategy shown in the timeline': 'Im Verlauf gezeigte Strategie',
+        'Debt name': 'Name der Schuld',
+        'APR %': 'Eff. Zins %',
+        'APR': 'Effektiver Jahreszins',
+        'Minimum / month': 'Minimum / Monat',
+        'Minimum monthly payment': 'Monatliche Mindestzahlung',
+        'Move debt up': 'Schuld nach oben verschieben',
+        'Move debt down': 'Schuld nach unten verschieben',
+        'Remove debt': 'Schuld entfernen',
+        'Debt {number}': 'Schuld {number}',
+        'Paid off after {time}': 'Getilgt nach {time}',
+        'Month {month}': 'Monat {month}',
+        'Months': 'Monate',
+        'Total Debt': 'Gesamtschulden',
+        'Enter at least one debt with a balance': 'Geben Sie mindestens eine Schuld mit offenem Betrag ein',
+
+        // Affordability
+        'Solve For': 'Berechnen',
+        'How much can I borrow?': 'Wie viel kann ich mir leihen?',
+        'What is the highest rate I can afford?': 'Welchen Zinssatz kann ich mir höchstens leisten?',
+        'How short can my term be?': 'Wie kurz kann meine Laufzeit sein?',
+        'What extra payment pays it off by a date?': 'Welche Sondertilgung tilgt den Kredit bis zu einem Datum?',
+        'When will it be paid off?': 'Wann ist er abbezahlt?',
+        'Loan Amount': 'Darlehensbetrag',
+        'Loan Term': 'Laufzeit',
+        'Monthly Payment Budget': 'Monatliches Budget für die Rate',
+        'Principal and interest only. Leave blank when solving for the loan amount to use the most your income allows.': 'Nur Tilgung und Zinsen. Leer lassen, wenn der Darlehensbetrag berechnet wird, um das Maximum zu nutzen, das Ihr Einkommen zulässt.',
+        'Extra Monthly Payment': 'Monatliche Sondertilgung',
+        'Target Payoff Date': 'Gewünschtes Tilgungsende',
+        'Debt-to-Income Check': 'Prüfung der Schuldendienstquote',
+        'Optional. Lenders usually look for a housing payment under 28% and all debt payments under 36% of gross income.': 'Optional. Kreditgeber erwarten meist Wohnkosten unter 28 % und alle Schuldenzahlungen unter 36 % des Bruttoeinkommens.',
+        'Gross Monthly Income': 'Monatliches Bruttoeinkommen',
+        'Other Monthly Debt Payments': 'Sonstige monatliche Schuldenzahlungen',
+        'Solve': 'Berechnen',
+        'Affordability Results': 'Ergebnisse der Finanzierbarkeit',
+        'Housing Ratio (Front-End)': 'Wohnkostenquote',
+        'Total Debt Ratio (Back-End)': 'Gesamtschuldenquote',
+        'Open in Loan Calculator': 'Im Kreditrechner öffnen',
+        'Maximum Loan Amount': 'Maximaler Darlehensbetrag',
+        'Highest Affordable Rate': 'Höchster leistbarer Zinssatz',
+        'Shortest Affordable Term': 'Kürzeste leistbare Laufzeit',
+        'Extra Monthly Payment Needed': 'Nötige monatliche Sondertilgung',
+        'At {rate} over {time}': 'Zu {rate} über {time}',
+        'For {amount} over {time}': 'Für {amount} über {time}',
+        'For {amount} at {rate}': 'Für {amount} zu {rate}',
+        'Paid off by {date}': 'Getilgt bis {date}',
+        'After {time}': 'Nach {time}',
+        'Over {time}': 'Über {time}',
+        'Within limits': 'Im Rahmen',
+        'Above limits': 'Über dem Rahmen',
+        'Lenders usually allow up to {amount} a month for housing': 'Kreditgeber erlauben für Wohnkosten meist bis zu {amount} im Monat',
+
+        // Payment tracker
+        'Please calculate your loan first using the Loan Calculator tab. Log the payments you have actually made to compare them with its schedule.': 'Bitte berechnen Sie zuerst Ihren Kredit im Kreditrechner. Erfassen Sie die tatsächlich geleisteten Zahlungen, um sie mit dessen Plan zu vergleichen.',
+        'Please calculate your loan first using the Loan Calculator tab': 'Bitte berechnen Sie zuerst Ihren Kredit im Kreditrechner',
+        'Payments Made': 'Geleistete Zahlungen',
+        '+ Add Payment': '+ Zahlung hinzufügen',
+        'Fill In Scheduled Payments': 'Geplante Zahlungen eintragen',
+        'Principal and interest only, without taxes, insurance, PMI or HOA dues. Enter 0 for a missed payment.': 'Nur Tilgung und Zinsen, ohne Steuern, Versicherung, PMI oder Hausgeld. Geben Sie 0 für eine ausgefallene Zahlung ein.',
+        'Compare As Of': 'Vergleich zum',
+        'Defaults to today': 'Standardmäßig heute',
+        'Compare With Plan': 'Mit Plan vergleichen',
+        'Actual vs. Planned': 'Ist und Plan',
+        'Balance vs. Plan': 'Restschuld gegenüber Plan',
+        'Projected Payoff': 'Voraussichtliches Tilgungsende',
+        'Interest to Date': 'Bisherige Zinsen',
+        'Lifetime Interest vs. Plan': 'Zinsen über die Laufzeit gegenüber Plan',
+        'Payment to Finish on Time': 'Rate für pünktliche Tilgung',
+        'Payment History': 'Zahlungsverlauf',
+        'Payment #': 'Zahlung Nr.',
+        'Due Date': 'Fälligkeit',
+        'Planned': 'Geplant',
+        'Paid': 'Gezahlt',
+        'Status': 'Status',
+        'Interest': 'Zinsen',
+        'Principal': 'Tilgung',
+        'Balance': 'Restschuld',
+        'vs. Plan': 'ggü. Plan',
+        'Payment date': 'Zahlungsdatum',
+        'Amount paid': 'Gezahlter Betrag',
+        'Remove payment': 'Zahlung entfernen',
+        'Paid extra': 'Mehr gezahlt',
+        'Partial': 'Teilweise',
+        'Missed': 'Ausgefallen',
+        'Plus {amount} of unpaid interest': 'Zuzüglich {amount} unbezahlter Zinsen',
+        'After {count} payments due by {date}': { one: 'Nach {count} bis {date} fälligen Zahlung', other: 'Nach {count} bis {date} fälligen Zahlungen' },
+        'Planned balance {amount}': 'Geplante Restschuld {amount}',
+        '{count} missed': '{count} ausgefallen',
+        '{count} partial': '{count} teilweise',
+        'On schedule with the planned {date}': 'Im Plan mit dem geplanten {date}',
+        '{time} later than the planned {date}': '{time} später als der geplante {date}',
+        '{time} earlier than the planned {date}': '{time} früher als der geplante {date}',
+        'Never': 'Nie',
+        'The planned payment no longer covers the interest': 'Die geplante Rate deckt die Zinsen nicht mehr',
+        '{difference} vs. the planned {amount}': '{difference} gegenüber geplanten {amount}',
+        '{amount} in total, planned {planned}': '{amount} insgesamt, geplant {planned}',
+        'Pays the loan off by the planned {date}': 'Tilgt den Kredit bis zum geplanten {date}',
+        'The planned term is over': 'Die geplante Laufzeit ist vorbei',
+        'The loan is paid off': 'Der Kredit ist getilgt',
+
+        // Saved loans
+        'Save loans and scenario comparisons in this browser to come back to them later. Nothing is uploaded; export the library to a file to move it to another device.': 'Speichern Sie Kredite und Szenariovergleiche in diesem Browser, um später darauf zurückzukommen. Es wird nichts hochgeladen; exportieren Sie die Bibliothek in eine Datei, um sie auf ein anderes Gerät zu übertragen.',
+        'Name': 'Name',
+        'What to Save': 'Was speichern',
+        'Loan calculator and refinance inputs': 'Eingaben aus Kreditrechner und Umschuldung',
+        'Scenario comparison': 'Szenariovergleich',
+        'Saving under an existing name updates that entry': 'Speichern unter einem vorhandenen Namen aktualisiert diesen Eintrag',
+        'Save': 'Speichern',
+        'You have not saved any loans yet.': 'Sie haben noch keine Kredite gespeichert.',
+        'Export Library': 'Bibliothek exportieren',
+        'Import Library': 'Bibliothek importieren',
+        'e.g. Dream house, 15-year option': 'z. B. Traumhaus, Variante mit 15 Jahren',
+        'Load': 'Laden',
+        'Rename': 'Umbenennen',
+        'Duplicate': 'Duplizieren',
+        'Delete saved entry': 'Gespeicherten Eintrag löschen',
+        'Loan': 'Kredit',
+        '{amount} at {rate} for {count} years': { one: '{amount} zu {rate} für {count} Jahr', other: '{amount} zu {rate} für {count} Jahre' },
+        '{count} scenarios': { one: '{count} Szenario', other: '{count} Szenarien' },
+        'Saved {date}': 'Gespeichert am {date}',
+        'The saved entry no longer exists': 'Der gespeicherte Eintrag existiert nicht mehr',
+        'Rename saved entry:': 'Gespeicherten Eintrag umbenennen:',
+        'Delete {name}': '{name} löschen',
+        'Delete "{name}"? This cannot be undone.': '„{name}“ löschen? Das kann nicht rückgängig gemacht werden.',
+        'Saving is not available because this browser blocks local storage.': 'Speichern ist nicht möglich, weil dieser Browser den lokalen Speicher blockiert.',
+        'Please enter a loan in the Loan Calculator first': 'Bitte geben Sie zuerst einen Kredit im Kreditrechner ein',
+        'Please add at least one scenario to compare first': 'Bitte fügen Sie zuerst mindestens ein Szenario zum Vergleichen hinzu',
+        'Imported {count} saved entries.': { one: '{count} gespeicherter Eintrag importiert.', other: '{count} gespeicherte Einträge importiert.' },
+
+        // Form validation
+        '{label} is required': '{label} ist erforderlich',
+        '{label} must be a number': '{label} muss eine Zahl sein',
+        '{label} must be a whole number': '{label} muss eine ganze Zahl sein',
+        '{label} must be more than 0': '{label} muss größer als 0 sein',
+        '{label} cannot be negative': '{label} darf nicht negativ sein',
+        '{label} must be at least {min}': '{label} muss mindestens {min} sein',
+        '{label} must be at most {max}': '{label} darf höchstens {max} sein',
+        '{label} is not a valid date': '{label} ist kein gültiges Datum',
+        '{label} cannot be before {date}': '{label} darf nicht vor dem {date} liegen',
+        '{problem}.': '{problem}.',
+        'Please fix {count} problems: {problems}.': 'Bitte beheben Sie {count} Probleme: {problems}.',
+
+        // Calculation errors (see translateError)
+        'Unknown currency "{currency}"': 'Unbekannte Währung „{currency}“',
+        'The principal must be a positive number': 'Der Darlehensbetrag muss eine positive Zahl sein',
+        'The principal must be at least the smallest unit of the currency': 'Der Darlehensbetrag muss mindestens die kleinste Einheit der Währung betragen',
+        'The interest rate must be between 0% and 100%': 'Der Zinssatz muss zwischen 0 % und 100 % liegen',
+        'The term must be more than 0 and at most 100 years': 'Die Laufzeit muss größer als 0 und höchstens 100 Jahre sein',
+        'The term is too short for a single payment': 'Die Laufzeit ist für eine einzige Zahlung zu kurz',
+        'The extra payment must be zero or more': 'Die Sondertilgung muss null oder mehr betragen',
+        'The start date is not a valid date': 'Der Kreditbeginn ist kein gültiges Datum',
+        'A payment period must end after it starts': 'Ein Zahlungszeitraum muss nach seinem Beginn enden',
+        'Unknown payment frequency "{frequency}"': 'Unbekannter Zahlungsrhythmus „{frequency}“',
+        'Unknown payment rounding rule "{rule}"': 'Unbekannte Rundungsregel „{rule}“',
+        'Unknown interest convention "{convention}"': 'Unbekannte Zinsberechnung „{convention}“',
+        'Each prepayment needs a known type and a positive amount': 'Jede Sondertilgung braucht eine bekannte Art und einen positiven Betrag',
+        'The initial fixed period and adjustment interval must be at least one month': 'Die anfängliche Zinsbindung und das Anpassungsintervall müssen mindestens einen Monat betragen',
+        'Home value, taxes, insurance, PMI and HOA dues cannot be negative': 'Immobilienwert, Steuern, Versicherung, PMI und Hausgeld dürfen nicht negativ sein',
+        'A home value is needed to work out when PMI cancels': 'Ein Immobilienwert wird benötigt, um zu ermitteln, wann die PMI endet',
+        'The payment must be positive': 'Die Rate muss positiv sein',
+        'The loan can only be recast after a whole number of payments': 'Der Kredit kann nur nach einer ganzen Zahl von Zahlungen neu berechnet werden',
+        'Fees and points cannot be negative': 'Gebühren und Punkte dürfen nicht negativ sein',
+        'The fees and points must be less than the loan amount': 'Gebühren und Punkte müssen kleiner als der Darlehensbetrag sein',
+        'The fees and points are too high for an APR under 100%': 'Gebühren und Punkte sind für einen effektiven Jahreszins unter 100 % zu hoch',
+        'The interest-only period must be zero or more months': 'Die tilgungsfreie Zeit muss null oder mehr Monate betragen',
+        'The interest-only period cannot be longer than the term': 'Die tilgungsfreie Zeit darf nicht länger als die Laufzeit sein',
+        'The amortization term must be more than 0 and at most 100 years': 'Die Tilgungsdauer muss größer als 0 und höchstens 100 Jahre sein',
+        'The amortization term cannot end before the loan matures': 'Die Tilgungsdauer darf nicht vor dem Ende der Laufzeit enden',
+        'Monthly payments must be positive and closing costs must be non-negative': 'Monatsraten müssen positiv und Abschlusskosten dürfen nicht negativ sein',
+        'Closing costs, points and cash out must be non-negative': 'Abschlusskosten, Punkte und Auszahlung dürfen nicht negativ sein',
+        'Closing costs and points must be non-negative': 'Abschlusskosten und Punkte dürfen nicht negativ sein',
+        'Points must be less than 100% of the loan': 'Die Punkte müssen unter 100 % des Kredits liegen',
+        'Payments already made must be between 0 and {max}': 'Die bereits geleisteten Zahlungen müssen zwischen 0 und {max} liegen',
+        'The lump sum must be paid with one of payments 1 to {max}': 'Die Einmalzahlung muss mit einer der Zahlungen 1 bis {max} erfolgen',
+        'The lump sum must be more than 0 and less than the balance it pays down': 'Die Einmalzahlung muss größer als 0 und kleiner als die Restschuld sein, die sie tilgt',
+        'The recast fee cannot be negative': 'Die Gebühr für die Neuberechnung darf nicht negativ sein',
+        'Enter an extra monthly payment or a prepayment to compare prepaying with investing': 'Geben Sie eine monatliche Sondertilgung oder eine Sondertilgung ein, um Tilgen und Anlegen zu vergleichen',
+        'The investment return must be more than -100% and at most 100%': 'Die Anlagerendite muss größer als -100 % und höchstens 100 % sein',
+        'The tax rate must be at least 0% and less than 100%': 'Der Steuersatz muss mindestens 0 % und kleiner als 100 % sein',
+        'The inflation rate must be more than -100% and at most 100%': 'Die Inflationsrate muss größer als -100 % und höchstens 100 % sein',
+        'The marginal tax rate must be between 0% and 100%': 'Der Grenzsteuersatz muss zwischen 0 % und 100 % liegen',
+        'Deductions cannot be negative': 'Abzüge dürfen nicht negativ sein',
+        'The home value must be positive and the equity share zero or more': 'Der Immobilienwert muss positiv und der Eigenkapitalanteil null oder mehr sein',
+        'Each payment needs a date and an amount of zero or more': 'Jede Zahlung braucht ein Datum und einen Betrag von null oder mehr',
+        'Payments cannot be dated before the loan starts on {date}': 'Zahlungen dürfen nicht vor dem Kreditbeginn am {date} liegen',
+        'The baseline must be one of the scenarios': 'Die Basis muss eines der Szenarien sein',
+        'Unknown goal "{goal}"': 'Unbekanntes Ziel „{goal}“',
+        'Enter {inputs} to solve for the {goal}': 'Geben Sie {inputs} ein, um {goal} zu berechnen',
+        'the loan amount': 'den Darlehensbetrag',
+        'the interest rate': 'den Zinssatz',
+        'the loan term': 'die Laufzeit',
+        'the extra monthly payment': 'die monatliche Sondertilgung',
+        'the monthly payment budget': 'das monatliche Ratenbudget',
+        'the target payoff date': 'das angestrebte Tilgungsdatum',
+        'maximum loan amount': 'den maximalen Darlehensbetrag',
+        'highest affordable rate': 'den höchsten tragbaren Zinssatz',
+        'shortest affordable term': 'die kürzeste tragbare Laufzeit',
+        'extra monthly payment needed': 'die nötige monatliche Sondertilgung',
+        'payoff date': 'das Tilgungsdatum',
+        'The monthly payment budget is too low for any loan at this rate and term': 'Das monatliche Ratenbudget reicht bei diesem Zinssatz und dieser Laufzeit für keinen Kredit',
+        'The monthly payment budget does not cover this loan even at 0% interest': 'Das monatliche Ratenbudget deckt diesen Kredit selbst bei 0 % Zinsen nicht',
+        'The monthly payment budget does not pay off this loan within 50 years': 'Mit dem monatlichen Ratenbudget ist dieser Kredit nicht innerhalb von 50 Jahren getilgt',
+        'The target payoff date must be after the loan start date': 'Das angestrebte Tilgungsdatum muss nach dem Kreditbeginn liegen',
+        'Income must be positive and payments must be non-negative': 'Das Einkommen muss positiv sein und Zahlungen dürfen nicht negativ sein',
+        'Unknown payoff strategy "{strategy}"': 'Unbekannte Tilgungsstrategie „{strategy}“',
+        'Add at least one debt': 'Fügen Sie mindestens eine Schuld hinzu',
+        'Each debt needs a positive balance and a non-negative APR and minimum payment': 'Jede Schuld braucht einen positiven Saldo sowie einen nicht negativen Zinssatz und eine nicht negative Mindestrate',
+        'The monthly budget must cover the minimum payments of {amount}': 'Das monatliche Budget muss die Mindestraten von {amount} decken',
+        'The monthly budget is too low to ever pay off these debts': 'Das monatliche Budget ist zu niedrig, um diese Schulden jemals zu tilgen',
+        'Enter a name to save under': 'Geben Sie einen Namen zum Speichern ein',
+        'Unknown saved entry type "{type}"': 'Unbekannte Art von gespeichertem Eintrag „{type}“',
+        'The file is not a saved loan library': 'Die Datei ist keine gespeicherte Kreditbibliothek',
+        'The library was saved by a newer version of the calculator': 'Die Bibliothek wurde mit einer neueren Version des Rechners gespeichert',
+        'Could not save to browser storage: {reason}': 'Speichern im Browserspeicher nicht möglich: {reason}'
+    }
+};
+
+/**
+ * Finds the catalog for a locale, falling back from the region (de-AT) to the language (de)
+ * @param {string} locale - The display locale
+ * @returns {Object} The catalog, or an empty one if the language has no translations (English is built in)
+ */
+function getCatalog(locale) {
+    return translations[locale] || translations[String(locale).split('-')[0]] || {};
+}
+
+/**
+ * Translates a UI message into the display language
+ * @param {string|Object} message - The English text, or its plural forms ({ one, other }) if it depends on params.count
+ * @param {Object} [params] - Values for the {name} placeholders
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The translated text with the placeholders filled in, or the English text if there is no translation
+ */
+export function translate(message, params = {}, locale = currentLocale) {
+    const catalog = getCatalog(locale);
+    let text;
+    if (typeof message === 'string') {
+        text = typeof catalog[message] === 'string' ? catalog[message] : message;
+    } else {
+        const translation = catalog[message.other];
+        const forms = typeof translation === 'object' ? translation : message;
+        const category = new Intl.PluralRules(locale).select(params.count);
+        text = forms[category] || forms.other;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+    });
+}
+
+/**
+ * Translates the message of an error thrown by a calculation, without its "Invalid input:" prefix. The text
+ * and list params of an InputError are translated too; other errors keep their (English) message.
+ * @param {Error} error - The error
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {string} The message to show (e.g., "Der Darlehensbetrag muss eine positive Zahl sein")
+ */
+export function translateError(error, locale = currentLocale) {
+    if (!(error instanceof InputError)) return error.message.replace(/^Invalid input:\s*/, '');
+
+    const params = {};
+    Object.entries(error.params).forEach(([name, value]) => {
+        if (Array.isArray(value)) {
+            params[name] = value.map(item => translate(item, {}, locale)).join(', ');
+        } else {
+            params[name] = typeof value === 'string' ? translate(value, {}, locale) : value;
+        }
+    });
+    return translate(error.template.replace(/^Invalid input:\s*/, ''), params, locale);
+}
+
+/**
+ * Names a display locale in its own language, for the locale selector
+ * @param {string} locale - One of the keys of displayLocales
+ * @returns {string} The name (e.g., "Deutsch (Schweiz)"), or the locale itself if the runtime cannot name it
+ */
+export function getLocaleName(locale) {
+    try {
+        const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * Picks the display locale that best matches the browser's preferred languages
+ * @param {Array<string>} preferredLocales - The preferred locales, most preferred first (e.g., navigator.languages)
+ * @returns {string} One of the keys of displayLocales (en-US if none match)
+ */
+export function matchDisplayLocale(preferredLocales) {
+    const locales = Object.keys(displayLocales);
+    for (const preferred of preferredLocales || []) {
+        const exact = locales.find(locale => locale.toLowerCase() === String(preferred).toLowerCase());
+        if (exact) return exact;
+        const sameLanguage = locales.find(locale => locale.split('-')[0] === String(preferred).split('-')[0].toLowerCase());
+        if (sameLanguage) return sameLanguage;
+    }
+    return 'en-US';
+}
+
+/**
+ * Lists the currencies that can be chosen, named in the display language
+ * @param {string} [locale] - Optional locale override (defaults to currentLocale)
+ * @returns {Array} Array of { code, name } objects sorted by name (e.g., { code: 'EUR', name: 'Euro' })
+ */
+export function listCurrencies(locale = currentLocale) {
+    // Older runtimes cannot list their currencies; they still offer the ones the calculator always had
+    const codes = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('currency')
+        : Object.values(currencyMap).map(info => info.currency);
+
+    let names = null;
+    try {
+        names = new Intl.DisplayNames([locale], { type: 'currency' });
+    } catch (error) {
+        // Without display names the codes stand on their own
+    }
+
+    const collator = new Intl.Collator(locale);
+    return codes
+        .map(code => ({ code: code, name: names ? names.of(code) : code }))
+        .sort((a, b) => collator.compare(a.name, b.name));
+}
@@ -0,0 +1,261 @@
+// Saved loan library
+// Keeps named loans and scenario sets in browser storage so they survive a reload, and moves the whole
+// library between machines as a versioned JSON file. Everything stays on the device; there is no backend.
+//
+//     import { saveLibraryEntry, readLibrary } from './loan-library.mjs';
+//
+//     saveLibraryEntry(window.localStorage, 'Dream house', 'loan', { fields: { principal: '400000' } });
+//     readLibrary(window.localStorage).forEach(entry => console.log(entry.name));
+//
+// The storage argument is anything with getItem/setItem (localStorage, sessionStorage or a stand-in in tests).
+// Invalid input, and storage that cannot be written, throw an InputError (see loan-core.mjs) whose message starts
+// with "Invalid input:".
+
+import { InputError } from './loan-core.mjs';
+
+// Where the library is kept in storage
+export const libraryStorageKey = 'loanCalculator.library';
+
+// Identifies exported library files, and the version of their layout
+export const libraryFormat = 'loan-calculator-library';
+export const libraryVersion = 1;
+
+// Kinds of saved entries and their display names. A loan holds the loan calculator and refinance inputs;
+// a scenario set holds the rows of the scenario comparison workspace.
+export const libraryEntryTypes = {
+    'loan': 'Loan',
+    'scenarios': 'Scenario comparison'
+};
+
+/**
+ * Lists the saved entries, most recently updated first
+ * @param {Storage} storage - Where the library is kept (e.g., window.localStorage)
+ * @returns {Array} Array of entry objects with { id, name, type, createdAt, updatedAt (ISO 8601 strings), state }
+ */
+export function readLibrary(storage) {
+    let data = null;
+    try {
+        data = JSON.parse(storage.getItem(libraryStorageKey));
+    } catch (error) {
+        // Unreadable data is treated like an empty library rather than breaking the page
+        console.error('Could not read the saved loan library:', error.message);
+    }
+
+    const entries = data && Array.isArray(data.entries) ? data.entries.filter(isValidEntry) : [];
+    return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Finds a saved entry
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} id - The entry id
+ * @returns {Object|null} The entry, or null if there is none with that id
+ */
+export function getLibraryEntry(storage, id) {
+    return readLibrary(storage).find(entry => entry.id === id) || null;
+}
+
+/**
+ * Saves the current inputs under a name. Saving again under the name of an existing entry of the same type
+ * updates that entry.
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} name - The name to save under
+ * @param {string} type - One of the keys of libraryEntryTypes
+ * @param {Object} state - The inputs to save (any JSON-serializable object)
+ * @param {Date} [date] - Optional time of the save (defaults to now)
+ * @returns {Object} The saved entry
+ */
+export function saveLibraryEntry(storage, name, type, state, date = new Date()) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+        throw new InputError('Invalid input: Enter a name to save under', 'name');
+    }
+    if (!libraryEntryTypes[type]) {
+        throw new InputError('Invalid input: Unknown saved entry type "{type}"', 'type', null, { type: type });
+    }
+
+    const entries = readLibrary(storage);
+    const timestamp = date.toISOString();
+    const existing = entries.find(entry => entry.type === type && entry.name === trimmedName);
+    const entry = {
+        id: existing ? existing.id : createEntryId(entries),
+        name: trimmedName,
+        type: type,
+        createdAt: existing ? existing.createdAt : timestamp,
+        updatedAt: timestamp,
+        state: state
+    };
+
+    writeLibrary(storage, [entry, ...entries.filter(other => other !== existing)]);
+    return entry;
+}
+
+/**
+ * Renames a saved entry
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} id - The entry id
+ * @param {string} name - The new name
+ * @param {Date} [date] - Optional time of the change (defaults to now)
+ * @returns {Object} The renamed entry
+ */
+export function renameLibraryEntry(storage, id, name, date = new Date()) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+        throw new InputError('Invalid input: Enter a name to save under', 'name');
+    }
+
+    const entries = readLibrary(storage);
+    const entry = findEntry(entries, id);
+    entry.name = trimmedName;
+    entry.updatedAt = date.toISOString();
+    writeLibrary(storage, entries);
+    return entry;
+}
+
+/**
+ * Copies a saved entry under a new name (e.g., "Dream house (copy)")
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} id - The id of the entry to copy
+ * @param {Date} [date] - Optional time of the copy (defaults to now)
+ * @returns {Object} The new entry
+ */
+export function duplicateLibraryEntry(storage, id, date = new Date()) {
+    const entries = readLibrary(storage);
+    const original = findEntry(entries, id);
+    const timestamp = date.toISOString();
+    const copy = {
+        id: createEntryId(entries),
+        name: `${original.name} (copy)`,
+        type: original.type,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        state: JSON.parse(JSON.stringify(original.state))
+    };
+
+    writeLibrary(storage, [copy, ...entries]);
+    return copy;
+}
+
+/**
+ * Deletes a saved entry
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} id - The entry id
+ */
+export function deleteLibraryEntry(storage, id) {
+    const entries = readLibrary(storage);
+    findEntry(entries, id);
+    writeLibrary(storage, entries.filter(entry => entry.id !== id));
+}
+
+/**
+ * Builds the JSON file for exporting the whole library
+ * @param {Storage} storage - Where the library is kept
+ * @param {Date} [date] - Optional export time (defaults to now)
+ * @returns {string} The JSON document
+ */
+export function exportLibrary(storage, date = new Date()) {
+    return JSON.stringify({
+        format: libraryFormat,
+        version: libraryVersion,
+        exportedAt: date.toISOString(),
+        entries: readLibrary(storage)
+    }, null, 2);
+}
+
+/**
+ * Adds the entries of an exported library file to the library. Entries that are already in the library
+ * (same id, or else same type and name) are replaced if the file has a newer copy; malformed entries are skipped.
+ * Matching by name keeps names unique per type, which saveLibraryEntry relies on.
+ * @param {Storage} storage - Where the library is kept
+ * @param {string} json - The contents of a file made by exportLibrary
+ * @returns {number} The number of entries added or updated
+ */
+export function importLibrary(storage, json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new InputError('Invalid input: The file is not a saved loan library', 'json');
+    }
+    if (!data || data.format !== libraryFormat || !Array.isArray(data.entries)) {
+        throw new InputError('Invalid input: The file is not a saved loan library', 'json');
+    }
+    if (!(data.version <= libraryVersion)) {
+        throw new InputError('Invalid input: The library was saved by a newer version of the calculator', 'json');
+    }
+
+    const entries = readLibrary(storage);
+    let imported = 0;
+    data.entries.filter(isValidEntry).forEach(entry => {
+        let index = entries.findIndex(existing => existing.id === entry.id);
+        if (index === -1) {
+            index = entries.findIndex(existing => existing.type === entry.type && existing.name === entry.name);
+        }
+        if (index === -1) {
+            entries.push(entry);
+            imported++;
+        } else if (entry.updatedAt > entries[index].updatedAt) {
+            entries[index] = entry;
+            imported++;
+        }
+    });
+
+    writeLibrary(storage, entries);
+    return imported;
+}
+
+/**
+ * Writes the library to storage
+ * @param {Storage} storage - Where the library is kept
+ * @param {Array} entries - The entries to keep
+ */
+function writeLibrary(storage, entries) {
+    try {
+        storage.setItem(libraryStorageKey, JSON.stringify({ version: libraryVersion, entries: entries }));
+    } catch (error) {
+        // Storage can be full, or switched off in private browsing
+        throw new InputError('Invalid input: Could not save to browser storage: {reason}', null, null, { reason: error.message });
+    }
+}
+
+/**
+ * Finds an entry by id
+ * @param {Array} entries - The entries of the library
+ * @param {string} id - The entry id
+ * @returns {Object} The entry
+ */
+function findEntry(entries, id) {
+    const entry = entries.find(other => other.id === id);
+    if (!entry) {
+        throw new InputError('Invalid input: The saved entry no longer exists', 'id');
+    }
+    return entry;
+}
+
+/**
+ * Checks that a stored or imported entry has everything the library needs
+ * @param {*} entry - The entry to check
+ * @returns {boolean} True if the entry is usable
+ */
+function isValidEntry(entry) {
+    return Boolean(entry)
+        && typeof entry.id === 'string'
+        && typeof entry.name === 'string'
+        && Boolean(libraryEntryTypes[entry.type])
+        && typeof entry.createdAt === 'string'
+        && typeof entry.updatedAt === 'string'
+        && typeof entry.state === 'object' && entry.state !== null;
+}
+
+/**
+ * Makes an id that is not used by any entry yet
+ * @param {Array} entries - The entries of the library
+ * @returns {string} The new id
+ */
+function createEntryId(entries) {
+    let id;
+    do {
+        id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    } while (entries.some(entry => entry.id === id));
+    return id;
+}
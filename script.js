@@ -1,375 +1,939 @@
 // Loan Calculator JavaScript
-// This file contains the core calculation logic for Phase 1
-
-// Global variables for currency and locale
-let currentLocale = 'en-US';
-let currentCurrency = 'USD';
-
-// Currency mapping: locale code -> { symbol, currency code }
-const currencyMap = {
-    'en-US': { symbol: '$', currency: 'USD' },
-    'de-DE': { symbol: '€', currency: 'EUR' },
-    'en-GB': { symbol: '£', currency: 'GBP' },
-    'en-IN': { symbol: '₹', currency: 'INR' },
-    'ja-JP': { symbol: '¥', currency: 'JPY' }
-};
+// This file wires the calculator pages to the DOM. The calculations live in loan-core.mjs.
+
+import {
+    currentLocale,
+    currentCurrency,
+    currencyMap,
+    setCurrentLocale,
+    setCurrentCurrency,
+    paymentFrequencies,
+    prepaymentTypes,
+    calculateAmortization,
+    calculateRefinanceAnalysis,
+    lumpSumOutcomes,
+    compareLumpSumOptions,
+    prepayInvestStrategies,
+    comparePrepayingWithInvesting,
+    countPaymentsMade,
+    groupScheduleByYear,
+    calculateInterestStatements,
+    findEquityThreshold,
+    compareActualPayments,
+    compareScenarios,
+    goalSeekUnknowns,
+    solveForUnknown,
+    calculateDebtToIncome,
+    debtStrategies,
+    calculateDebtPayoff,
+    formatCurrency,
+    formatPercent,
+    formatPayoffTime,
+    formatDate,
+    formatIsoDate,
+    parseDateInput,
+    parseNumber,
+    formatInputNumber,
+    getCurrencySymbol,
+    describePrepayment,
+    buildScheduleCsv,
+    buildInterestStatementCsv,
+    buildScheduleSpreadsheet,
+    buildPrintableReport,
+    InputError
+} from './loan-core.mjs';
+import {
+    libraryEntryTypes,
+    readLibrary,
+    getLibraryEntry,
+    saveLibraryEntry,
+    renameLibraryEntry,
+    duplicateLibraryEntry,
+    deleteLibraryEntry,
+    exportLibrary,
+    importLibrary
+} from './loan-library.mjs';
+import {
+    buildLoanChart,
+    buildChartSvg
+} from './loan-charts.mjs';
+import {
+    translate,
+    translateError,
+    displayLocales,
+    getLocaleName,
+    matchDisplayLocale,
+    listCurrencies
+} from './loan-i18n.mjs';
+
+// Display language and currency
+// The display locale sets the language of the page and how numbers and dates are written and typed in; the
+// currency is chosen on its own. Static text to translate is marked in the HTML with data-i18n (its text) or
+// data-i18n-attrs (a list of its attributes). The English source is kept on the element the first time it
+// is translated, so the page can be translated again when the locale changes.
+
+// Where the chosen display locale is remembered between visits (it is not part of shared links)
+const localeStorageKey = 'loanCalculator.locale';
 
 /**
- * Updates the currency symbol display based on the selected currency
+ * Applies the selected currency to the calculations and the currency symbols next to the amount inputs
  */
 function updateCurrencyDisplay() {
     const currencySelector = document.getElementById('currency-selector');
     if (!currencySelector) return;
     
-    const selectedLocale = currencySelector.value;
-    const currencyInfo = currencyMap[selectedLocale];
-    
-    if (currencyInfo) {
-        currentLocale = selectedLocale;
-        currentCurrency = currencyInfo.currency;
-        
-        // Update all currency symbol spans in the loan calculator form
-        const currencySymbols = document.querySelectorAll('#loan-calculator-tab .currency-symbol');
-        currencySymbols.forEach(symbol => {
-            symbol.textContent = currencyInfo.symbol;
+    if (setCurrentCurrency(currencySelector.value)) {
+        const symbol = getCurrencySymbol();
+        document.querySelectorAll('.tab-content .currency-symbol, .results-container .currency-symbol').forEach(element => {
+            element.textContent = symbol;
         });
+        // Symbols such as "CHF" need more room in front of the amount than "$"
+        document.documentElement.style.setProperty('--currency-symbol-width', `${symbol.length}ch`);
     }
 }
 
 /**
- * Calculates the amortization schedule and returns key metrics
- * @param {number} principal - The loan principal amount (P)
- * @param {number} annualRate - The annual interest rate as a percentage (r)
- * @param {number} termYears - The loan term in years (n)
- * @param {number} [extraMonthlyPayment=0] - Optional extra monthly payment amount
- * @param {Date} [startDate] - Optional start date for the loan (defaults to current date)
- * @returns {Object} An object containing:
- *   - monthsToPayoff: Total number of months to pay off the loan
- *   - totalInterestPaid: Total interest paid over the life of the loan
- *   - totalInterestSaved: Total interest saved compared to no extra payments
- *   - monthlyPayment: Standard monthly payment amount
- *   - schedule: Array of payment objects with payment number, date, interest paid, principal paid, and remaining balance
+ * Translates the static text of the page, and of the row templates, into the display language
+ */
+function translatePage() {
+    document.documentElement.lang = currentLocale;
+    const roots = [document, ...Array.from(document.querySelectorAll('template'), template => template.content)];
+    roots.forEach(root => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (element.dataset.i18nSource === undefined) {
+                element.dataset.i18nSource = element.textContent.trim().replace(/\s+/g, ' ');
+            }
+            element.textContent = translate(element.dataset.i18nSource);
+        });
+        root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+            element.dataset.i18nAttrs.split(/\s+/).forEach(attribute => {
+                const sourceAttribute = `data-i18n-source-${attribute}`;
+                if (!element.hasAttribute(attribute) && !element.hasAttribute(sourceAttribute)) return;
+                if (!element.hasAttribute(sourceAttribute)) {
+                    element.setAttribute(sourceAttribute, element.getAttribute(attribute));
+                }
+                element.setAttribute(attribute, translate(element.getAttribute(sourceAttribute)));
+            });
+        });
+    });
+}
+
+/**
+ * Fills the locale selector with the display locales, and the currency selector with every currency
+ * named in the display language. The selected currency is kept.
  */
-function calculateAmortization(principal, annualRate, termYears, extraMonthlyPayment = 0, startDate = new Date()) {
-    // Validate inputs
-    if (principal <= 0 || annualRate < 0 || termYears <= 0 || extraMonthlyPayment < 0) {
-        throw new Error('Invalid input: All values must be positive (or zero for extra payment)');
+function populateLocaleSelectors() {
+    const localeSelector = document.getElementById('locale-selector');
+    if (localeSelector) {
+        if (localeSelector.options.length === 0) {
+            Object.keys(displayLocales).forEach(locale => {
+                localeSelector.add(new Option(getLocaleName(locale), locale));
+            });
+        }
+        localeSelector.value = currentLocale;
+    }
+
+    const currencySelector = document.getElementById('currency-selector');
+    if (currencySelector) {
+        currencySelector.innerHTML = '';
+        listCurrencies().forEach(({ code, name }) => {
+            const option = new Option(name === code ? code : `${name} (${code})`, code);
+            // US dollars are what links without a currency have always meant
+            option.defaultSelected = code === 'USD';
+            currencySelector.add(option);
+        });
+        currencySelector.value = currentCurrency;
     }
+}
 
-    // Convert annual rate to decimal and calculate monthly rate
-    const monthlyRate = (annualRate / 100) / 12;
-    const totalMonths = termYears * 12;
+/**
+ * Picks the display locale to start with: the one chosen on an earlier visit, or else the best match
+ * for the browser's languages
+ * @returns {string} One of the keys of displayLocales
+ */
+function getInitialLocale() {
+    const storage = getLibraryStorage();
+    const savedLocale = storage ? storage.getItem(localeStorageKey) : null;
+    if (savedLocale && displayLocales[savedLocale]) return savedLocale;
+    return matchDisplayLocale(navigator.languages || [navigator.language]);
+}
 
-    // Calculate standard monthly payment using the formula:
-    // M = P * (r/12 * (1 + r/12)^(12n)) / ((1 + r/12)^(12n) - 1)
-    let monthlyPayment;
+/**
+ * Switches the display locale: translates the page, rewrites the numbers in the inputs in the new
+ * locale's notation and redraws the results that are shown
+ * @param {string} locale - One of the keys of displayLocales
+ */
+function changeDisplayLocale(locale) {
+    const previousLocale = currentLocale;
+    if (!displayLocales[locale] || !setCurrentLocale(locale)) return;
     
-    if (monthlyRate === 0) {
-        // Handle zero interest case (simple division)
-        monthlyPayment = principal / totalMonths;
-    } else {
-        const compoundFactor = Math.pow(1 + monthlyRate, totalMonths);
-        monthlyPayment = principal * (monthlyRate * compoundFactor) / (compoundFactor - 1);
+    const storage = getLibraryStorage();
+    try {
+        if (storage) storage.setItem(localeStorageKey, locale);
+    } catch (error) {
+        // The choice then only lasts until the page is closed
+    }
+    
+    document.querySelectorAll('input[inputmode]').forEach(input => {
+        const value = parseNumber(input.value, previousLocale);
+        if (Number.isFinite(value)) input.value = formatInputNumber(value);
+    });
+    
+    translatePage();
+    populateLocaleSelectors();
+    updateCurrencyDisplay();
+    
+    if (document.getElementById('results').style.display === 'block') {
+        calculateLoanFromForm(true);
     }
+    updateScenarioComparison();
+    [['debtPlannerForm', 'debtResults'], ['affordabilityForm', 'affordabilityResults'], ['paymentTrackerForm', 'trackerResults']]
+        .forEach(([formId, resultsId]) => {
+            const form = document.getElementById(formId);
+            const results = document.getElementById(resultsId);
+            if (form && results && results.style.display === 'block') form.requestSubmit();
+        });
+    renderSavedLoans();
+}
 
-    // Round monthly payment to 2 decimal places
-    monthlyPayment = Math.round(monthlyPayment * 100) / 100;
+// Form validation
+// Inputs are checked before anything is calculated. Each problem is shown under its input, which is
+// flagged with aria-invalid and points at the message with aria-describedby, and the form's error
+// summary (role="alert") announces what needs fixing. Forms that validate this way are marked novalidate.
+// While a form is recalculated live, problems are shown quietly: no summary, no focus change, and required
+// inputs that are still empty are not flagged yet.
 
-    // Calculate total interest without extra payments (for comparison)
-    const totalInterestWithoutExtra = (monthlyPayment * totalMonths) - principal;
+// Counter for the ids of error messages under inputs that have no id of their own (e.g., in list rows)
+let fieldErrorCount = 0;
 
-    // Simulate the loan payment-by-payment with extra payments
-    let balance = principal;
-    let totalInterestPaid = 0;
-    let monthsToPayoff = 0;
-    const maxMonths = totalMonths * 2; // Safety limit to prevent infinite loops
-    const schedule = []; // Array to store payment-by-payment data
+/**
+ * Gets the name of an input to use in error messages
+ * @param {HTMLElement} input - The input
+ * @returns {string} The text of its label, or its aria-label
+ */
+function getFieldLabel(input) {
+    const label = input.labels && input.labels[0];
+    const text = label ? label.textContent : input.getAttribute('aria-label') || input.name;
+    return text.trim().replace(/\s+/g, ' ');
+}
 
-    // Create a date object for tracking payment dates
-    const baseDate = new Date(startDate);
-    baseDate.setDate(1); // Set to first of the month for consistency
+/**
+ * Reads a number input in the display locale's notation (see parseNumber), checking it against its required,
+ * min, max and step attributes
+ * @param {HTMLInputElement} input - The input
+ * @param {Array} errors - The problems found so far; an { input, message, missing } is added if the value is not
+ *     valid (missing is true when a required input is empty)
+ * @param {Object} [rules] - Optional { required, positive, min, max, integer } to use instead of the attributes
+ * @returns {number|null} The value, or null if the input is empty or not valid
+ */
+function readNumberField(input, errors, rules = {}) {
+    const label = getFieldLabel(input);
+    const required = rules.required !== undefined ? rules.required : input.required;
+    const min = rules.min !== undefined ? rules.min : (input.min !== '' ? parseFloat(input.min) : null);
+    const max = rules.max !== undefined ? rules.max : (input.max !== '' ? parseFloat(input.max) : null);
+    const integer = rules.integer !== undefined ? rules.integer : input.getAttribute('step') === '1';
+    const text = input.value.trim();
+    
+    // Number inputs report text the browser cannot read as a number as badInput, with an empty value
+    const badInput = Boolean(input.validity && input.validity.badInput);
+    if (text === '' && !badInput) {
+        if (required) {
+            errors.push({ input: input, message: translate('{label} is required', { label: label }), missing: true });
+        }
+        return null;
+    }
+    
+    const value = parseNumber(text);
+    let message = null;
+    if (badInput || text === '' || !Number.isFinite(value)) {
+        message = translate('{label} must be a number', { label: label });
+    } else if (integer && !Number.isInteger(value)) {
+        message = translate('{label} must be a whole number', { label: label });
+    } else if (rules.positive && value <= 0) {
+        message = translate('{label} must be more than 0', { label: label });
+    } else if (min !== null && value < min) {
+        message = min === 0
+            ? translate('{label} cannot be negative', { label: label })
+            : translate('{label} must be at least {min}', { label: label, min: min });
+    } else if (max !== null && value > max) {
+        message = translate('{label} must be at most {max}', { label: label, max: max });
+    }
+    
+    if (message) {
+        errors.push({ input: input, message: message });
+        return null;
+    }
+    return value;
+}
 
-    while (balance > 0.01 && monthsToPayoff < maxMonths) { // 0.01 threshold for floating point precision
-        monthsToPayoff++;
-        
-        // Calculate interest for this month
-        const monthlyInterest = balance * monthlyRate;
-        totalInterestPaid += monthlyInterest;
-        
-        // Calculate principal payment (standard payment minus interest)
-        let principalPayment = monthlyPayment - monthlyInterest;
-        
-        // Add extra payment to principal payment
-        const totalPrincipalPayment = principalPayment + extraMonthlyPayment;
-        
-        // Store payment data before updating balance
-        const paymentNumber = monthsToPayoff;
-        const interestPaid = Math.round(monthlyInterest * 100) / 100;
-        const principalPaid = Math.round(totalPrincipalPayment * 100) / 100;
-        
-        // Update balance
-        balance = balance - totalPrincipalPayment;
-        
-        // If balance becomes negative, adjust (overpayment)
-        let remainingBalance = balance;
-        if (balance < 0) {
-            // Adjust total interest paid if we overpaid
-            const overpayment = Math.abs(balance);
-            totalInterestPaid = Math.max(0, totalInterestPaid - overpayment);
-            remainingBalance = 0;
+/**
+ * Reads a date input, checking that it holds a real calendar date
+ * @param {HTMLInputElement} input - The input
+ * @param {Array} errors - The problems found so far; an { input, message, missing } is added if the date is not valid
+ * @param {Object} [rules] - Optional { required, min (a Date) }
+ * @returns {Date|null} The date, or null if the input is empty or not valid
+ */
+function readDateField(input, errors, rules = {}) {
+    const label = getFieldLabel(input);
+    const required = rules.required !== undefined ? rules.required : input.required;
+    const text = input.value.trim();
+    const badInput = Boolean(input.validity && input.validity.badInput);
+    if (text === '' && !badInput) {
+        if (required) {
+            errors.push({ input: input, message: translate('{label} is required', { label: label }), missing: true });
         }
+        return null;
+    }
+    
+    // parseDateInput rolls dates like February 30 over into the next month, so check the round trip
+    const date = parseDateInput(text);
+    if (!date || formatIsoDate(date) !== text) {
+        errors.push({ input: input, message: translate('{label} is not a valid date', { label: label }) });
+        return null;
+    }
+    if (rules.min && date < rules.min) {
+        errors.push({ input: input, message: translate('{label} cannot be before {date}', { label: label, date: formatDate(rules.min) }) });
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Shows a problem under an input and marks the input as not valid
+ * @param {HTMLElement} input - The input
+ * @param {string} message - What is wrong
+ */
+function showFieldError(input, message) {
+    let errorEl = input.dataset.errorId ? document.getElementById(input.dataset.errorId) : null;
+    if (!errorEl) {
+        errorEl = document.createElement('p');
+        errorEl.className = 'field-error';
+        errorEl.id = input.id ? `${input.id}-error` : `field-error-${++fieldErrorCount}`;
+        input.dataset.errorId = errorEl.id;
         
-        // Round remaining balance
-        remainingBalance = Math.round(remainingBalance * 100) / 100;
-        
-        // Create payment date for this payment (first payment is 1 month after start date)
-        // Use EDATE logic: add the payment number of months to the base date
-        const currentPaymentDate = new Date(baseDate);
-        currentPaymentDate.setMonth(baseDate.getMonth() + paymentNumber);
-        
-        // Add payment object to schedule
-        schedule.push({
-            paymentNumber: paymentNumber,
-            date: new Date(currentPaymentDate),
-            interestPaid: interestPaid,
-            principalPaid: principalPaid,
-            remainingBalance: remainingBalance
-        });
+        // Inputs in list rows get the message under the whole row, so the row layout is kept
+        const anchor = input.closest('.input-wrapper, .prepayment-row, .debt-row, .actual-payment-row') || input;
+        anchor.after(errorEl);
+        input.setAttribute('aria-describedby', [input.getAttribute('aria-describedby'), errorEl.id].filter(Boolean).join(' '));
+    }
+    
+    errorEl.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+}
+
+/**
+ * Removes the problem shown under an input
+ * @param {HTMLElement} input - The input
+ */
+function clearFieldError(input) {
+    const errorId = input.dataset.errorId;
+    if (errorId) {
+        const errorEl = document.getElementById(errorId);
+        if (errorEl) errorEl.remove();
         
-        // Update balance for next iteration
-        balance = remainingBalance;
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+        if (describedBy.length > 0) {
+            input.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+        delete input.dataset.errorId;
+    }
+    input.removeAttribute('aria-invalid');
+}
+
+/**
+ * Removes every problem shown in a form, and its error summary
+ * @param {HTMLElement} form - The form, or another element holding inputs (e.g., the scenario list)
+ */
+function clearFormErrors(form) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+    const summary = form.querySelector('.form-error-summary');
+    if (summary) {
+        summary.textContent = '';
+        summary.hidden = true;
     }
+}
 
-    // Round values to 2 decimal places for currency
-    totalInterestPaid = Math.round(totalInterestPaid * 100) / 100;
+/**
+ * Shows the problems found in a form: each under its input, and all of them in the form's error summary.
+ * The first input with a problem gets the focus.
+ * @param {HTMLElement} form - The form, or another element holding inputs (e.g., the scenario list)
+ * @param {Array} errors - Array of { input, message, missing } objects; the input is null for problems with the
+ *     whole form
+ * @param {boolean} [quiet] - Whether the form is being recalculated live (only the messages under the inputs
+ *     are shown, leaving out required inputs that are still empty)
+ * @returns {boolean} True if there were any problems
+ */
+function reportFormErrors(form, errors, quiet = false) {
+    if (errors.length === 0) return false;
+    
+    errors.forEach(error => {
+        if (error.input && !(quiet && error.missing)) {
+            showFieldError(error.input, error.message);
+        }
+    });
+    if (quiet) return true;
+    
+    const summary = form.querySelector('.form-error-summary');
+    if (summary) {
+        summary.textContent = errors.length === 1
+            ? translate('{problem}.', { problem: errors[0].message })
+            : translate('Please fix {count} problems: {problems}.', { count: errors.length, problems: errors.map(error => error.message).join('; ') });
+        summary.hidden = false;
+    }
     
-    // Calculate interest saved
-    const totalInterestSaved = Math.max(0, totalInterestWithoutExtra - totalInterestPaid);
-    const roundedInterestSaved = Math.round(totalInterestSaved * 100) / 100;
+    const firstInvalid = errors.find(error => error.input);
+    if (firstInvalid) {
+        firstInvalid.input.focus();
+    }
+    return true;
+}
 
-    return {
-        monthsToPayoff: monthsToPayoff,
-        totalInterestPaid: totalInterestPaid,
-        totalInterestSaved: roundedInterestSaved,
-        monthlyPayment: monthlyPayment, // Bonus: also return the standard monthly payment
-        schedule: schedule // Return the detailed payment schedule
-    };
+/**
+ * Shows an error thrown by a calculation in a form. An InputError is shown under the input it names.
+ * @param {HTMLFormElement} form - The form
+ * @param {Error} error - The error
+ * @param {Object} [fields] - InputError field -> id of the form input it comes from
+ * @param {boolean} [quiet] - Whether the form is being recalculated live (see reportFormErrors)
+ */
+function reportCalculationError(form, error, fields = {}, quiet = false) {
+    const fieldId = error instanceof InputError ? fields[error.field] : null;
+    reportFormErrors(form, [{
+        input: fieldId ? document.getElementById(fieldId) : null,
+        message: translateError(error)
+    }], quiet);
 }
 
+// Amortization table
+
+// The schedule shown in the amortization table, grouped by year. Only the rows in view are rendered,
+// so schedules with thousands of payments (weekly over 40 years) stay fast to scroll.
+let amortizationTableState = null;
+
+// Rows rendered beyond each edge of the visible area, and the row height used until a row can be measured
+const scheduleOverscanRows = 10;
+const defaultScheduleRowHeight = 41;
+
+// Whether a scroll has already queued a redraw of the amortization table
+let amortizationRenderPending = false;
+
 /**
- * Formats a number as currency using the selected locale
- * @param {number} amount - The amount to format
- * @param {string} [locale] - Optional locale override (defaults to currentLocale)
- * @param {string} [currency] - Optional currency override (defaults to currentCurrency)
- * @returns {string} Formatted currency string (e.g., "$1,234.56")
+ * Lists the columns of the amortization table. The optional columns are only shown when the schedule uses them.
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @returns {Array} Array of column objects with the headerId of optional columns, whether the column is visible,
+ *   cell(payment) for the text of a payment row, badge(payment) for an optional badge after it, and
+ *   total(year) for the text of a year row (null for the columns the year label spans)
  */
-function formatCurrency(amount, locale = currentLocale, currency = currentCurrency) {
-    return new Intl.NumberFormat(locale, {
-        style: 'currency',
-        currency: currency,
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(amount);
+function getAmortizationColumns(schedule) {
+    // Day-count conventions show the days each row's interest accrued over
+    const hasDayCount = schedule.some(payment => payment.daysInPeriod !== null);
+    // Only show the rate and prepayment columns when the schedule uses them
+    const hasRateChanges = schedule.some(payment => payment.rateChanged || payment.paymentChanged);
+    const hasPrepayments = schedule.some(payment => payment.prepaymentPaid > 0);
+    // Likewise for the taxes, insurance, PMI and HOA dues paid on top of principal and interest
+    const hasEscrow = schedule.some(payment => payment.taxPaid > 0 || payment.insurancePaid > 0);
+    const hasPmi = schedule.some(payment => payment.pmiPaid > 0);
+    const hasHoa = schedule.some(payment => payment.hoaPaid > 0);
+    const dashIfNone = amount => (amount > 0 ? formatCurrency(amount) : '—');
+    
+    return [
+        { visible: true, cell: payment => payment.paymentNumber, total: null },
+        { visible: true, cell: payment => formatDate(payment.date), total: null },
+        { headerId: 'daysColumnHeader', visible: hasDayCount, cell: payment => payment.daysInPeriod, total: null },
+        {
+            // Rate and scheduled payment, flagged on the rows where an adjustable rate resets
+            headerId: 'rateColumnHeader',
+            visible: hasRateChanges,
+            cell: payment => `${formatPercent(payment.interestRate)} / ${formatCurrency(payment.scheduledPayment)}`,
+            badge: payment => (payment.rateChanged ? translate('Rate reset') : payment.paymentChanged ? translate('New payment') : null),
+            total: null
+        },
+        // Principal and interest actually paid, including any extra payment, flagged on the balloon payment
+        {
+            visible: true,
+            cell: payment => formatCurrency(payment.payment),
+            badge: payment => (payment.balloonPaid > 0 ? translate('Balloon payment') : null),
+            total: year => formatCurrency(year.payment)
+        },
+        // The interest accrued over the period, which each payment covers first
+        {
+            visible: true,
+            cell: payment => formatCurrency(hasDayCount ? payment.accruedInterest : payment.interestPaid),
+            total: year => formatCurrency(year.interestPaid)
+        },
+        { visible: true, cell: payment => formatCurrency(payment.principalPaid), total: year => formatCurrency(year.principalPaid) },
+        // Prepayment (included in the principal paid)
+        {
+            headerId: 'prepaymentColumnHeader',
+            visible: hasPrepayments,
+            cell: payment => dashIfNone(payment.prepaymentPaid),
+            total: year => dashIfNone(year.prepaymentPaid)
+        },
+        // Running totals, shown at the end of the year on year rows
+        { visible: true, cell: payment => formatCurrency(payment.cumulativeInterest), total: year => formatCurrency(year.cumulativeInterest) },
+        { visible: true, cell: payment => formatCurrency(payment.cumulativePrincipal), total: year => formatCurrency(year.cumulativePrincipal) },
+        // Property tax and homeowners insurance held in escrow
+        {
+            headerId: 'escrowColumnHeader',
+            visible: hasEscrow,
+            cell: payment => formatCurrency(payment.taxPaid + payment.insurancePaid),
+            total: year => formatCurrency(year.taxPaid + year.insurancePaid)
+        },
+        // PMI, shown as a dash once it has been cancelled
+        { headerId: 'pmiColumnHeader', visible: hasPmi, cell: payment => dashIfNone(payment.pmiPaid), total: year => dashIfNone(year.pmiPaid) },
+        { headerId: 'hoaColumnHeader', visible: hasHoa, cell: payment => formatCurrency(payment.hoaPaid), total: year => formatCurrency(year.hoaPaid) },
+        // Total Payment (principal, interest, taxes, insurance, PMI and HOA)
+        {
+            headerId: 'totalPaymentColumnHeader',
+            visible: hasEscrow || hasPmi || hasHoa,
+            cell: payment => formatCurrency(payment.totalPayment),
+            total: year => formatCurrency(year.totalPayment)
+        },
+        { visible: true, cell: payment => formatCurrency(payment.remainingBalance), total: year => formatCurrency(year.remainingBalance) }
+    ];
 }
 
 /**
- * Converts total months to a human-readable format
- * @param {number} totalMonths - Total number of months
- * @returns {string} Formatted string (e.g., "5 years and 3 months" or "11 months")
+ * Shows a schedule in the amortization table, with every year expanded
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {number} [homeValue] - Optional home value for the equity highlight (defaults to the loan principal)
+ * @param {boolean} [keepView] - Whether to keep the years the user collapsed and the scroll position, for
+ *     updates while the loan is being edited
  */
-function formatPayoffTime(totalMonths) {
-    const years = Math.floor(totalMonths / 12);
-    const months = totalMonths % 12;
+function populateAmortizationTable(schedule, homeValue, keepView = false) {
+    const columns = getAmortizationColumns(schedule);
+    columns.filter(column => column.headerId).forEach(column => {
+        const header = document.getElementById(column.headerId);
+        if (header) {
+            header.hidden = !column.visible;
+        }
+    });
+    const interestHeader = document.getElementById('interestColumnHeader');
+    if (interestHeader) {
+        interestHeader.textContent = translate(schedule.some(payment => payment.daysInPeriod !== null) ? 'Accrued Interest' : 'Interest Paid');
+    }
     
-    if (years === 0) {
-        return months === 1 ? '1 month' : `${months} months`;
-    } else if (months === 0) {
-        return years === 1 ? '1 year' : `${years} years`;
-    } else {
-        const yearsText = years === 1 ? '1 year' : `${years} years`;
-        const monthsText = months === 1 ? '1 month' : `${months} months`;
-        return `${yearsText} and ${monthsText}`;
+    const previous = amortizationTableState;
+    amortizationTableState = {
+        years: groupScheduleByYear(schedule),
+        columns: columns.filter(column => column.visible),
+        collapsedYears: keepView && previous ? previous.collapsedYears : new Set(),
+        items: [],
+        activeIndex: keepView && previous ? previous.activeIndex : 0,
+        rowHeight: previous ? previous.rowHeight : defaultScheduleRowHeight,
+        rowHeightMeasured: false,
+        homeValue: homeValue > 0 ? homeValue : schedule[0].remainingBalance + schedule[0].principalPaid,
+        isHomeValue: homeValue > 0,
+        equityPaymentNumber: null,
+        jumpPaymentNumber: null
+    };
+    buildAmortizationItems();
+    
+    if (!keepView) {
+        document.getElementById('amortizationTableWrapper').scrollTop = 0;
     }
+    updateEquityHighlight();
+    showScheduleNativeAd(schedule.length);
 }
 
 /**
- * Formats a date as a readable string (MM/DD/YYYY)
- * @param {Date} date - The date to format
- * @returns {string} Formatted date string
+ * Flattens the year groups into the rows of the amortization table, leaving out the payments of collapsed years
  */
-function formatDate(date) {
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const year = date.getFullYear();
-    return `${month}/${day}/${year}`;
+function buildAmortizationItems() {
+    const state = amortizationTableState;
+    state.items = [];
+    state.years.forEach(year => {
+        const collapsed = state.collapsedYears.has(year.year);
+        state.items.push({ type: 'year', year: year, collapsed: collapsed });
+        if (!collapsed) {
+            year.payments.forEach(payment => state.items.push({ type: 'payment', year: year, payment: payment }));
+        }
+    });
+    state.activeIndex = Math.min(state.activeIndex, state.items.length - 1);
+    document.getElementById('amortizationTable').setAttribute('aria-rowcount', state.items.length + 1);
 }
 
 /**
- * Calculates the monthly payment for a loan
- * @param {number} principal - The loan principal amount
- * @param {number} annualRate - The annual interest rate as a percentage
- * @param {number} termYears - The loan term in years
- * @returns {number} The monthly payment amount
+ * Creates an empty row that stands in for the rows above or below the rendered ones
+ * @param {number} height - The height of the rows it stands in for, in pixels
+ * @returns {HTMLElement} The spacer row
  */
-function calculateMonthlyPayment(principal, annualRate, termYears) {
-    if (principal <= 0 || termYears <= 0) {
-        return 0;
-    }
+function createScheduleSpacer(height) {
+    const row = document.createElement('tr');
+    row.className = 'schedule-spacer';
+    row.setAttribute('aria-hidden', 'true');
+    const cell = document.createElement('td');
+    cell.colSpan = amortizationTableState.columns.length;
+    cell.style.height = `${height}px`;
+    row.appendChild(cell);
+    return row;
+}
+
+/**
+ * Creates the table row for a year or a payment of the amortization table
+ * @param {Object} item - The row (see buildAmortizationItems)
+ * @param {number} index - Its position among the rows
+ * @returns {HTMLElement} The row
+ */
+function createScheduleRow(item, index) {
+    const state = amortizationTableState;
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    row.tabIndex = index === state.activeIndex ? 0 : -1;
+    row.setAttribute('aria-rowindex', index + 2);
     
-    const monthlyRate = (annualRate / 100) / 12;
-    const totalMonths = termYears * 12;
+    if (item.type === 'year') {
+        // The year label spans the columns that have no yearly total
+        const labelSpan = state.columns.findIndex(column => column.total !== null);
+        row.className = 'schedule-year';
+        row.setAttribute('aria-level', 1);
+        row.setAttribute('aria-expanded', String(!item.collapsed));
+        
+        const labelCell = document.createElement('th');
+        labelCell.scope = 'row';
+        labelCell.colSpan = labelSpan;
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'schedule-year-toggle';
+        toggle.tabIndex = -1;
+        toggle.setAttribute('aria-expanded', String(!item.collapsed));
+        const count = item.year.payments.length;
+        toggle.textContent = translate({ one: '{year} ({count} payment)', other: '{year} ({count} payments)' }, { year: String(item.year.year), count: count });
+        toggle.addEventListener('click', () => toggleAmortizationYear(item.year.year));
+        labelCell.appendChild(toggle);
+        row.appendChild(labelCell);
+        
+        state.columns.slice(labelSpan).forEach(column => {
+            const cell = document.createElement('td');
+            cell.textContent = column.total(item.year);
+            row.appendChild(cell);
+        });
+        return row;
+    }
     
-    if (monthlyRate === 0) {
-        // Handle zero interest case (simple division)
-        return principal / totalMonths;
-    } else {
-        const compoundFactor = Math.pow(1 + monthlyRate, totalMonths);
-        const monthlyPayment = principal * (monthlyRate * compoundFactor) / (compoundFactor - 1);
-        return Math.round(monthlyPayment * 100) / 100;
+    const payment = item.payment;
+    row.setAttribute('aria-level', 2);
+    const classes = [];
+    if (payment.balloonPaid > 0) {
+        classes.push('balloon-payment');
+    } else if (payment.rateChanged || payment.paymentChanged) {
+        classes.push('rate-change');
+    } else if (payment.prepaymentPaid > 0) {
+        classes.push('prepayment-payment');
+    }
+    if (payment.paymentNumber === state.equityPaymentNumber) {
+        classes.push('equity-threshold');
     }
+    if (payment.paymentNumber === state.jumpPaymentNumber) {
+        classes.push('schedule-jump-target');
+    }
+    row.className = classes.join(' ');
+    
+    state.columns.forEach((column, columnIndex) => {
+        const cell = document.createElement(columnIndex === 0 ? 'th' : 'td');
+        if (columnIndex === 0) {
+            cell.scope = 'row';
+        }
+        cell.textContent = column.cell(payment);
+        const badgeText = column.badge ? column.badge(payment) : null;
+        if (badgeText) {
+            const badge = document.createElement('span');
+            badge.className = 'rate-change-badge';
+            badge.textContent = badgeText;
+            cell.appendChild(badge);
+        }
+        row.appendChild(cell);
+    });
+    return row;
 }
 
 /**
- * Calculates the refinance break-even point
- * @param {number} originalMonthlyPayment - The original loan's monthly payment
- * @param {number} newMonthlyPayment - The new loan's monthly payment
- * @param {number} closingCosts - The total refinance closing costs
- * @returns {Object} An object containing:
- *   - breakEvenMonths: Number of months to break even (null if no savings)
- *   - monthlySavings: Monthly savings amount
- *   - totalSavingsOverRemainingTerm: Total savings over the remaining loan term (if applicable)
- *   - isValid: Whether the refinance makes financial sense
+ * Renders the rows of the amortization table that are in view, with spacers standing in for the rest
  */
-function calculateRefinanceBreakEven(originalMonthlyPayment, newMonthlyPayment, closingCosts) {
-    // Validate inputs
-    if (originalMonthlyPayment <= 0 || newMonthlyPayment < 0 || closingCosts < 0) {
-        throw new Error('Invalid input: Monthly payments must be positive and closing costs must be non-negative');
+function renderAmortizationRows() {
+    const state = amortizationTableState;
+    const wrapper = document.getElementById('amortizationTableWrapper');
+    const tableBody = document.getElementById('amortizationTableBody');
+    if (!state || !wrapper || !tableBody) return;
+    
+    // Size the rows from a real one once the table is laid out, then keep that height for this schedule
+    if (!state.rowHeightMeasured) {
+        const rowHeight = measureScheduleRowHeight(tableBody);
+        if (rowHeight) {
+            state.rowHeight = rowHeight;
+            state.rowHeightMeasured = true;
+        }
     }
     
-    // Calculate monthly savings
-    const monthlySavings = originalMonthlyPayment - newMonthlyPayment;
+    const hadFocus = tableBody.contains(document.activeElement);
+    const viewportHeight = wrapper.clientHeight || 500;
+    const first = Math.min(Math.max(0, Math.floor(wrapper.scrollTop / state.rowHeight) - scheduleOverscanRows), state.items.length);
+    const last = Math.min(state.items.length, first + Math.ceil(viewportHeight / state.rowHeight) + 2 * scheduleOverscanRows);
     
-    // If there are no savings or negative savings, refinancing doesn't make sense
-    if (monthlySavings <= 0) {
-        return {
-            breakEvenMonths: null,
-            monthlySavings: monthlySavings,
-            totalSavingsOverRemainingTerm: null,
-            isValid: false
-        };
+    tableBody.innerHTML = '';
+    if (first > 0) {
+        tableBody.appendChild(createScheduleSpacer(first * state.rowHeight));
+    }
+    for (let index = first; index < last; index++) {
+        tableBody.appendChild(createScheduleRow(state.items[index], index));
+    }
+    if (last < state.items.length) {
+        tableBody.appendChild(createScheduleSpacer((state.items.length - last) * state.rowHeight));
     }
     
-    // Calculate break-even point: closing costs divided by monthly savings
-    const breakEvenMonths = closingCosts / monthlySavings;
+    // Keep keyboard focus on the active row when it is redrawn
+    if (hadFocus) {
+        const activeRow = tableBody.querySelector(`tr[data-index="${state.activeIndex}"]`);
+        if (activeRow) {
+            activeRow.focus({ preventScroll: true });
+        }
+    }
+}
+
+/**
+ * Measures the height of a payment row of the amortization table, which the spacers and scrolling are sized from.
+ * One payment row is laid out on its own, so year rows, which can be of another height, cannot skew it.
+ * @param {HTMLElement} tableBody - The body of the amortization table
+ * @returns {number|null} The row height in pixels, or null if the table is not laid out yet (e.g., hidden)
+ */
+function measureScheduleRowHeight(tableBody) {
+    const state = amortizationTableState;
+    const index = state.items.findIndex(item => item.type === 'payment');
+    if (index === -1) return null;
     
-    // Round to 2 decimal places
-    const roundedBreakEvenMonths = Math.round(breakEvenMonths * 100) / 100;
+    const row = createScheduleRow(state.items[index], index);
+    row.style.visibility = 'hidden';
+    tableBody.appendChild(row);
+    const height = row.offsetHeight;
+    tableBody.removeChild(row);
+    return height > 0 ? height : null;
+}
+
+/**
+ * Redraws the amortization table after a scroll, at most once per animation frame
+ */
+function scheduleAmortizationRender() {
+    if (amortizationRenderPending) return;
+    amortizationRenderPending = true;
+    window.requestAnimationFrame(() => {
+        amortizationRenderPending = false;
+        renderAmortizationRows();
+    });
+}
+
+/**
+ * Scrolls a row of the amortization table into view and moves keyboard focus to it
+ * @param {number} index - The position of the row
+ * @param {boolean} [alignTop=false] - Whether to scroll the row to the top of the table rather than just into view
+ */
+function focusAmortizationRow(index, alignTop = false) {
+    const state = amortizationTableState;
+    const wrapper = document.getElementById('amortizationTableWrapper');
+    state.activeIndex = Math.max(0, Math.min(index, state.items.length - 1));
     
-    return {
-        breakEvenMonths: roundedBreakEvenMonths,
-        monthlySavings: Math.round(monthlySavings * 100) / 100,
-        totalSavingsOverRemainingTerm: null, // Can be calculated later if we know the remaining term
-        isValid: true
-    };
+    // The sticky header covers the top of the scrolled area
+    const headerHeight = document.getElementById('amortizationTable').tHead.offsetHeight;
+    const rowTop = state.activeIndex * state.rowHeight;
+    if (alignTop || rowTop < wrapper.scrollTop) {
+        wrapper.scrollTop = rowTop;
+    } else if (rowTop + state.rowHeight + headerHeight > wrapper.scrollTop + wrapper.clientHeight) {
+        wrapper.scrollTop = rowTop + state.rowHeight + headerHeight - wrapper.clientHeight;
+    }
+    
+    renderAmortizationRows();
+    const row = document.querySelector(`#amortizationTableBody tr[data-index="${state.activeIndex}"]`);
+    if (row) {
+        row.focus({ preventScroll: true });
+    }
 }
 
 /**
- * Populates the amortization table with payment schedule data
- * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * Collapses or expands the payments of a year in the amortization table
+ * @param {number} year - The calendar year
+ * @param {boolean} [collapse] - Whether to collapse the year (toggles it if left out)
  */
-function populateAmortizationTable(schedule) {
-    const tableBody = document.getElementById('amortizationTableBody');
+function toggleAmortizationYear(year, collapse) {
+    const state = amortizationTableState;
+    const shouldCollapse = collapse !== undefined ? collapse : !state.collapsedYears.has(year);
+    if (shouldCollapse) {
+        state.collapsedYears.add(year);
+    } else {
+        state.collapsedYears.delete(year);
+    }
+    buildAmortizationItems();
+    focusAmortizationRow(state.items.findIndex(item => item.type === 'year' && item.year.year === year));
+}
+
+/**
+ * Collapses or expands every year of the amortization table
+ * @param {boolean} collapse - Whether to collapse the years
+ */
+function setAllAmortizationYears(collapse) {
+    const state = amortizationTableState;
+    if (!state) return;
+    state.collapsedYears = new Set(collapse ? state.years.map(year => year.year) : []);
+    state.activeIndex = 0;
+    buildAmortizationItems();
+    document.getElementById('amortizationTableWrapper').scrollTop = 0;
+    renderAmortizationRows();
+}
+
+/**
+ * Moves around the amortization table with the keyboard: the arrow keys, Page Up/Down and Home/End move
+ * between rows, and Enter, Space or the left and right arrows collapse and expand years
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleAmortizationKeydown(event) {
+    const state = amortizationTableState;
+    const row = event.target.closest('tr[data-index]');
+    if (!state || !row) return;
     
-    // Clear existing rows
-    tableBody.innerHTML = '';
+    // Let the year buttons handle their own activation
+    if (event.target.tagName === 'BUTTON' && (event.key === 'Enter' || event.key === ' ')) return;
     
-    // Determine where to insert the native ad (after 10 rows, or in the middle if fewer than 20 rows)
-    const adInsertPosition = schedule.length > 20 ? 10 : Math.floor(schedule.length / 2);
-    let nativeAdInserted = false;
-    
-    // Create a row for each payment
-    schedule.forEach((payment, index) => {
-        // Insert native ad at the determined position
-        if (index === adInsertPosition && !nativeAdInserted && schedule.length > 5) {
-            const adRow = document.createElement('tr');
-            const adCell = document.createElement('td');
-            adCell.colSpan = 5;
-            adCell.className = 'ads-native-cell';
-            adCell.innerHTML = `
-                <div class="ads-native-container">
-                    <ins class="adsbygoogle"
-                         style="display:block"
-                         data-ad-client="ca-pub-XXXXXXXXXXXXXXXX"
-                         data-ad-slot="XXXXXXXXXX"
-                         data-ad-format="fluid"
-                         data-layout="in-article"
-                         data-full-width-responsive="true"></ins>
-                </div>
-            `;
-            adRow.appendChild(adCell);
-            tableBody.appendChild(adRow);
-            
-            // Push the ad to AdSense
-            try {
-                (adsbygoogle = window.adsbygoogle || []).push({});
-            } catch (e) {
-                console.log('AdSense not loaded yet');
+    const index = Number(row.dataset.index);
+    const item = state.items[index];
+    const pageSize = 10;
+    switch (event.key) {
+        case 'ArrowDown':
+            focusAmortizationRow(index + 1);
+            break;
+        case 'ArrowUp':
+            focusAmortizationRow(index - 1);
+            break;
+        case 'PageDown':
+            focusAmortizationRow(index + pageSize);
+            break;
+        case 'PageUp':
+            focusAmortizationRow(index - pageSize);
+            break;
+        case 'Home':
+            focusAmortizationRow(0);
+            break;
+        case 'End':
+            focusAmortizationRow(state.items.length - 1);
+            break;
+        case 'ArrowRight':
+            if (item.type === 'year' && item.collapsed) {
+                toggleAmortizationYear(item.year.year, false);
             }
-            
-            nativeAdInserted = true;
+            break;
+        case 'ArrowLeft':
+            if (item.type === 'year' && !item.collapsed) {
+                toggleAmortizationYear(item.year.year, true);
+            } else if (item.type === 'payment') {
+                focusAmortizationRow(state.items.findIndex(other => other.type === 'year' && other.year === item.year));
+            }
+            break;
+        case 'Enter':
+        case ' ':
+            if (item.type !== 'year') return;
+            toggleAmortizationYear(item.year.year);
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Scrolls the amortization table to the first payment on or after a date, expanding its year
+ * @param {Date} date - The date to jump to
+ */
+function jumpToScheduleDate(date) {
+    const state = amortizationTableState;
+    if (!state) return;
+    
+    // Past the end of the schedule, jump to the last payment
+    const payments = state.years.flatMap(year => year.payments);
+    const payment = payments.find(other => other.date >= date) || payments[payments.length - 1];
+    state.collapsedYears.delete(payment.date.getFullYear());
+    state.jumpPaymentNumber = payment.paymentNumber;
+    buildAmortizationItems();
+    focusAmortizationRow(state.items.findIndex(item => item.payment === payment), true);
+}
+
+/**
+ * Highlights the payment after which the equity reaches the share entered, and describes when that is
+ */
+function updateEquityHighlight() {
+    const state = amortizationTableState;
+    const description = document.getElementById('equityThresholdDescription');
+    const input = document.getElementById('equityThreshold');
+    if (!state || !input) return;
+    
+    const threshold = parseNumber(input.value);
+    state.equityPaymentNumber = null;
+    description.textContent = '';
+    if (input.value !== '' && threshold >= 0 && threshold <= 100) {
+        const payments = state.years.flatMap(year => year.payments);
+        const index = findEquityThreshold(payments, state.homeValue, threshold);
+        if (index !== -1) {
+            const payment = payments[index];
+            state.equityPaymentNumber = payment.paymentNumber;
+            state.collapsedYears.delete(payment.date.getFullYear());
+            buildAmortizationItems();
+            const params = { share: formatPercent(threshold), payment: payment.paymentNumber, date: formatDate(payment.date) };
+            description.textContent = state.isHomeValue
+                ? translate('Your equity reaches {share} of the home\'s value with payment {payment}, on {date}.', params)
+                : translate('{share} of the loan is paid off with payment {payment}, on {date}.', params);
         }
-        
-        const row = document.createElement('tr');
-        
-        // Payment Number
-        const paymentNumberCell = document.createElement('td');
-        paymentNumberCell.textContent = payment.paymentNumber;
-        row.appendChild(paymentNumberCell);
-        
-        // Date
-        const dateCell = document.createElement('td');
-        dateCell.textContent = formatDate(payment.date);
-        row.appendChild(dateCell);
-        
-        // Interest Paid
-        const interestCell = document.createElement('td');
-        interestCell.textContent = formatCurrency(payment.interestPaid);
-        row.appendChild(interestCell);
-        
-        // Principal Paid
-        const principalCell = document.createElement('td');
-        principalCell.textContent = formatCurrency(payment.principalPaid);
-        row.appendChild(principalCell);
-        
-        // Remaining Balance
-        const balanceCell = document.createElement('td');
-        balanceCell.textContent = formatCurrency(payment.remainingBalance);
-        row.appendChild(balanceCell);
-        
-        tableBody.appendChild(row);
-    });
+    }
+    renderAmortizationRows();
+}
+
+/**
+ * Shows the in-article ad under the amortization schedule, loading it the first time
+ * @param {number} paymentCount - The number of payments in the schedule (short schedules get no ad)
+ */
+function showScheduleNativeAd(paymentCount) {
+    const container = document.getElementById('amortizationNativeAd');
+    if (!container) return;
+    container.hidden = paymentCount <= 5;
+    if (container.hidden || container.querySelector('.adsbygoogle')) return;
+    
+    container.innerHTML = `
+        <ins class="adsbygoogle"
+             style="display:block"
+             data-ad-client="ca-pub-XXXXXXXXXXXXXXXX"
+             data-ad-slot="XXXXXXXXXX"
+             data-ad-format="fluid"
+             data-layout="in-article"
+             data-full-width-responsive="true"></ins>
+    `;
+    
+    // Push the ad to AdSense
+    try {
+        (window.adsbygoogle = window.adsbygoogle || []).push({});
+    } catch (e) {
+        console.log('AdSense not loaded yet');
+    }
 }
 
 // Global variable to store the chart instance
 let loanChartInstance = null;
 
+// Global variable to store the loan chart shown, as described by buildLoanChart (used by the chart downloads)
+let lastLoanChart = null;
+
+// Global variable to store the last prepay vs. invest analysis, for the 'invest' loan chart
+let lastPrepayInvestAnalysis = null;
+
+// Global variable to store the yearly interest statements shown (used by their downloads)
+let lastInterestStatements = null;
+
 // Function to update chart on resize
 function updateChartOnResize() {
     if (loanChartInstance) {
         // Update font sizes based on screen width
         const fontSize = window.innerWidth < 768 ? 10 : 12;
         
-        // Update x-axis title and ticks
-        loanChartInstance.options.scales.x.title.font.size = fontSize;
-        loanChartInstance.options.scales.x.ticks.font.size = fontSize;
-        
-        // Update y-axis title and ticks
-        loanChartInstance.options.scales.y.title.font.size = fontSize;
-        loanChartInstance.options.scales.y.ticks.font.size = fontSize;
-        
-        // Update y1-axis title and ticks
-        loanChartInstance.options.scales.y1.title.font.size = fontSize;
-        loanChartInstance.options.scales.y1.ticks.font.size = fontSize;
+        // Update the titles and ticks of every axis
+        Object.values(loanChartInstance.options.scales).forEach(scale => {
+            scale.title.font.size = fontSize;
+            scale.ticks.font.size = fontSize;
+        });
         
         // Update legend labels
         loanChartInstance.options.plugins.legend.labels.font.size = fontSize;
@@ -385,114 +949,149 @@ window.addEventListener('resize', updateChartOnResize);
 // Global variable to store the original loan's monthly payment for refinance calculations
 let originalLoanMonthlyPayment = null;
 
+// Global variable to store the inputs and results of the last loan calculation (used by the exports)
+let lastLoanCalculation = null;
+
 /**
- * Creates or updates the loan visualization chart
- * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * Formats a value on a currency axis of the loan chart, without decimals
+ * @param {number} value - The axis value
+ * @returns {string} The formatted value (e.g., "$150,000")
  */
-function createLoanChart(schedule) {
-    const canvas = document.getElementById('loanChart');
-    const ctx = canvas.getContext('2d');
-    
-    // Destroy existing chart if it exists
-    if (loanChartInstance) {
-        loanChartInstance.destroy();
-    }
-    
-    // Prepare data for the chart
-    // For better visualization, we'll show all payments but may aggregate for very long loans
-    const labels = [];
-    const remainingBalanceData = [];
-    const principalPaidData = [];
-    const interestPaidData = [];
+function formatCurrencyTick(value) {
+    return value.toLocaleString(currentLocale, {
+        style: 'currency',
+        currency: currentCurrency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    });
+}
+
+/**
+ * Calculates the last loan again without its extra payments and prepayments, for the "with vs. without" chart
+ * @returns {Array|null} The schedule without extra payments, or null if the loan has none
+ */
+function getScheduleWithoutExtraPayments() {
+    const inputs = lastLoanCalculation.inputs;
+    if (!(inputs.extraMonthlyPayment > 0) && inputs.prepayments.length === 0) return null;
     
-    // Determine if we should aggregate by year (for loans longer than 5 years)
-    const shouldAggregate = schedule.length > 60;
-    let aggregationPeriod = 12; // Aggregate by year (12 months)
+    return calculateAmortization(inputs.principal, inputs.annualRate, inputs.termYears, 0, inputs.startDate, {
+        frequency: inputs.frequency,
+        rateSchedule: inputs.rateSchedule,
+        loanStructure: inputs.loanStructure,
+        escrow: inputs.escrow,
+        paymentRounding: inputs.paymentRounding,
+        interestConvention: inputs.interestConvention,
+        includeComparisons: false
+    }).schedule;
+}
+
+/**
+ * Turns a chart described by buildLoanChart into a Chart.js configuration
+ * @param {Object} chart - The chart (see buildLoanChart)
+ * @returns {Object} The Chart.js configuration
+ */
+function getLoanChartConfig(chart) {
+    const fontSize = window.innerWidth < 768 ? 10 : 12;
+    const hasBars = chart.datasets.some(dataset => dataset.kind === 'bar');
     
-    if (shouldAggregate) {
-        // Aggregate data by year
-        const aggregatedData = {};
-        
-        schedule.forEach(payment => {
-            const year = Math.floor((payment.paymentNumber - 1) / aggregationPeriod);
-            const yearLabel = `Year ${year + 1}`;
-            
-            if (!aggregatedData[year]) {
-                aggregatedData[year] = {
-                    label: yearLabel,
-                    principal: 0,
-                    interest: 0,
-                    balance: payment.remainingBalance
-                };
-            }
-            
-            aggregatedData[year].principal += payment.principalPaid;
-            aggregatedData[year].interest += payment.interestPaid;
-            aggregatedData[year].balance = payment.remainingBalance; // Keep the last balance of the year
-        });
+    const datasets = chart.datasets.map((dataset, index) => {
+        if (dataset.kind === 'bar') {
+            return {
+                label: dataset.label,
+                data: dataset.data,
+                backgroundColor: `rgba(${dataset.color}, 0.7)`,
+                borderColor: `rgb(${dataset.color})`,
+                borderWidth: 1,
+                yAxisID: dataset.axis,
+                order: 1
+            };
+        }
         
-        // Convert aggregated data to arrays
-        Object.values(aggregatedData).forEach(data => {
-            labels.push(data.label);
-            remainingBalanceData.push(data.balance);
-            principalPaidData.push(data.principal);
-            interestPaidData.push(data.interest);
-        });
-    } else {
-        // Show monthly data
-        schedule.forEach(payment => {
-            labels.push(`Payment ${payment.paymentNumber}`);
-            remainingBalanceData.push(payment.remainingBalance);
-            principalPaidData.push(payment.principalPaid);
-            interestPaidData.push(payment.interestPaid);
-        });
-    }
+        // Stacked areas fill down to the area under them, the others down to zero
+        const isArea = dataset.kind === 'area';
+        const stacksOnArea = chart.axes[dataset.axis].stacked
+            && chart.datasets.slice(0, index).some(other => other.kind === 'area' && other.axis === dataset.axis);
+        return {
+            label: dataset.label,
+            data: dataset.data,
+            type: 'line',
+            borderColor: `rgb(${dataset.color})`,
+            backgroundColor: `rgba(${dataset.color}, ${isArea ? 0.35 : 0.1})`,
+            borderWidth: isArea ? 1 : 3,
+            borderDash: dataset.dashed ? [8, 6] : [],
+            fill: isArea ? (stacksOnArea ? '-1' : 'origin') : false,
+            showLine: !dataset.points,
+            tension: 0.1,
+            yAxisID: dataset.axis,
+            order: isArea ? 3 : 2,
+            pointRadius: dataset.points ? 6 : 0,
+            pointHoverRadius: dataset.points ? 8 : 4
+        };
+    });
     
-    // Create the chart with dual y-axes
-    loanChartInstance = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: labels,
-            datasets: [
-                {
-                    label: 'Principal Paid',
-                    data: principalPaidData,
-                    backgroundColor: 'rgba(16, 185, 129, 0.7)',
-                    borderColor: 'rgb(16, 185, 129)',
-                    borderWidth: 1,
-                    yAxisID: 'y1',
-                    order: 1
-                },
-                {
-                    label: 'Interest Paid',
-                    data: interestPaidData,
-                    backgroundColor: 'rgba(239, 68, 68, 0.7)',
-                    borderColor: 'rgb(239, 68, 68)',
-                    borderWidth: 1,
-                    yAxisID: 'y1',
-                    order: 1
-                },
-                {
-                    label: 'Remaining Balance',
-                    data: remainingBalanceData,
-                    type: 'line',
-                    borderColor: 'rgb(37, 99, 235)',
-                    backgroundColor: 'rgba(37, 99, 235, 0.1)',
-                    borderWidth: 3,
-                    fill: false,
-                    tension: 0.1,
-                    yAxisID: 'y',
-                    order: 2,
-                    pointRadius: 0,
-                    pointHoverRadius: 4
+    const scales = {
+        x: {
+            stacked: hasBars && Object.values(chart.axes).some(axis => axis.stacked),
+            title: {
+                display: true,
+                text: chart.xTitle,
+                font: {
+                    size: fontSize
                 }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            aspectRatio: 2, // Better aspect ratio for mobile
-            resizeDelay: 100, // Delay resizing to prevent flickering
+            },
+            ticks: {
+                // Reduce the number of labels shown on mobile
+                autoSkip: true,
+                maxTicksLimit: 20,
+                // Rotate labels to prevent overlapping
+                maxRotation: 45,
+                minRotation: 45,
+                font: {
+                    size: fontSize
+                }
+            },
+            grid: {
+                display: false
+            }
+        }
+    };
+    Object.entries(chart.axes).forEach(([axisId, axis]) => {
+        scales[axisId] = {
+            type: 'linear',
+            display: true,
+            position: axisId === 'y' ? 'left' : 'right',
+            stacked: axis.stacked,
+            title: {
+                display: true,
+                text: `${axis.title} (${getCurrencySymbol()})`,
+                // Add padding to prevent overlap with axis labels
+                padding: { top: 10, bottom: 10 },
+                font: {
+                    size: fontSize
+                }
+            },
+            ticks: {
+                font: {
+                    size: fontSize
+                },
+                callback: formatCurrencyTick
+            },
+            // Only the left axis draws grid lines across the chart
+            grid: axisId === 'y' ? { color: 'rgba(37, 99, 235, 0.1)' } : { drawOnChartArea: false }
+        };
+    });
+    
+    return {
+        type: hasBars ? 'bar' : 'line',
+        data: {
+            labels: chart.labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2, // Better aspect ratio for mobile
+            resizeDelay: 100, // Delay resizing to prevent flickering
             interaction: {
                 mode: 'index',
                 intersect: false,
@@ -506,7 +1105,7 @@ function createLoanChart(schedule) {
                     position: 'top',
                     labels: {
                         font: {
-                            size: window.innerWidth < 768 ? 10 : 12
+                            size: fontSize
                         }
                     }
                 },
@@ -514,6 +1113,8 @@ function createLoanChart(schedule) {
                     // Improve tooltip for mobile by enabling vertical mode
                     mode: 'index',
                     intersect: false,
+                    // Leave out datasets without a point here, like the crossover marker
+                    filter: item => item.parsed.y !== null,
                     callbacks: {
                         label: function(context) {
                             let label = context.dataset.label || '';
@@ -528,132 +1129,604 @@ function createLoanChart(schedule) {
                     }
                 }
             },
-            scales: {
-                x: {
-                    stacked: true,
-                    title: {
-                        display: true,
-                        text: shouldAggregate ? 'Year' : 'Payment Number',
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        }
-                    },
-                    ticks: {
-                        // Reduce the number of labels shown on mobile
-                        autoSkip: true,
-                        maxTicksLimit: 20,
-                        // Rotate labels to prevent overlapping
-                        maxRotation: 45,
-                        minRotation: 45,
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        }
-                    },
-                    grid: {
-                        display: false
-                    }
-                },
-                y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
-                    title: {
-                        display: true,
-                        text: `Remaining Balance (${currencyMap[currentLocale].symbol})`,
-                        // Add padding to prevent overlap with axis labels
-                        padding: { top: 10, bottom: 10 },
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        }
-                    },
-                    ticks: {
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        },
-                        callback: function(value) {
-                            return value.toLocaleString(currentLocale, {
-                                style: 'currency',
-                                currency: currentCurrency,
-                                minimumFractionDigits: 0,
-                                maximumFractionDigits: 0
-                            });
-                        }
-                    },
-                    grid: {
-                        color: 'rgba(37, 99, 235, 0.1)'
-                    }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    title: {
-                        display: true,
-                        text: `Amount Paid (${currencyMap[currentLocale].symbol})`,
-                        // Add padding to prevent overlap with axis labels
-                        padding: { top: 10, bottom: 10 },
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        }
-                    },
-                    stacked: true,
-                    ticks: {
-                        font: {
-                            size: window.innerWidth < 768 ? 10 : 12
-                        },
-                        callback: function(value) {
-                            return value.toLocaleString(currentLocale, {
-                                style: 'currency',
-                                currency: currentCurrency,
-                                minimumFractionDigits: 0,
-                                maximumFractionDigits: 0
-                            });
-                        }
-                    },
-                    grid: {
-                        drawOnChartArea: false,
-                    }
-                }
-            }
+            scales: scales
         }
+    };
+}
+
+/**
+ * Creates or updates the loan chart, showing the chart picked above it
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {number} [periodsPerYear=12] - Number of payments per year, used to group the payments into years
+ */
+function createLoanChart(schedule, periodsPerYear = 12) {
+    const typeSelector = document.getElementById('loanChartType');
+    const granularitySelector = document.getElementById('chartGranularity');
+    const type = typeSelector ? typeSelector.value : 'breakdown';
+    const escrow = lastLoanCalculation ? lastLoanCalculation.inputs.escrow : null;
+    const appreciationGroup = document.getElementById('chartAppreciationGroup');
+    if (appreciationGroup) {
+        appreciationGroup.hidden = type !== 'equity';
+    }
+    
+    const chart = buildLoanChart(type, schedule, {
+        granularity: granularitySelector ? granularitySelector.value : 'auto',
+        periodsPerYear: periodsPerYear,
+        homeValue: escrow && escrow.homeValue > 0 ? escrow.homeValue : null,
+        appreciationRate: appreciationGroup ? parseNumber(document.getElementById('chartAppreciationRate').value) || 0 : 0,
+        baselineSchedule: type === 'extra' && lastLoanCalculation ? getScheduleWithoutExtraPayments() : null,
+        investment: type === 'invest' ? lastPrepayInvestAnalysis : null
     });
+    lastLoanChart = chart;
+    
+    const titleEl = document.getElementById('loanChartTitle');
+    if (titleEl) {
+        titleEl.textContent = chart.title;
+        document.getElementById('loanChartDescription').textContent = chart.description;
+    }
+    
+    // Update the chart in place while it keeps its kind (bar or line), so live edits animate the change
+    const config = getLoanChartConfig(chart);
+    if (loanChartInstance && loanChartInstance.config.type === config.type) {
+        loanChartInstance.data = config.data;
+        loanChartInstance.options = config.options;
+        loanChartInstance.update();
+        return;
+    }
+    
+    if (loanChartInstance) {
+        loanChartInstance.destroy();
+    }
+    loanChartInstance = new Chart(document.getElementById('loanChart').getContext('2d'), config);
 }
 
 /**
  * Displays the calculation results in the results container
  * @param {Object} results - The results object from calculateAmortization
+ * @param {boolean} [live] - Whether the results follow a live edit (the table keeps its scroll position and
+ *     collapsed years, and the page does not scroll to the results)
  */
-function displayResults(results) {
+function displayResults(results, live = false) {
     const resultsContainer = document.getElementById('results');
     const standardPaymentEl = document.getElementById('standardPayment');
+    const standardPaymentLabelEl = document.getElementById('standardPaymentLabel');
     const newPayoffTimeEl = document.getElementById('newPayoffTime');
     const totalInterestSavedEl = document.getElementById('totalInterestSaved');
+    const frequency = paymentFrequencies[results.frequency] || paymentFrequencies.monthly;
     
     // Update the result values
-    standardPaymentEl.textContent = formatCurrency(results.monthlyPayment);
+    standardPaymentLabelEl.textContent = translate('Standard {frequency} Payment', { frequency: translate(frequency.label) });
+    standardPaymentEl.textContent = formatCurrency(results.periodicPayment);
     newPayoffTimeEl.textContent = formatPayoffTime(results.monthsToPayoff);
     totalInterestSavedEl.textContent = formatCurrency(results.totalInterestSaved);
     
+    // Show the cost of credit, the interest-only and balloon payments, the full PITI payment, the comparison
+    // with monthly payments, the adjustable-rate outlook and how much interest each prepayment saved
+    displayLoanCost(results);
+    displayLoanStructure(results);
+    displayPitiSummary(results);
+    displayFrequencyComparison(results);
+    displayArmSummary(results);
+    displayPrepaymentSavings(results.prepaymentSavings || []);
+    
     // Populate the amortization table
     if (results.schedule && results.schedule.length > 0) {
-        populateAmortizationTable(results.schedule);
+        const escrow = lastLoanCalculation ? lastLoanCalculation.inputs.escrow : null;
+        populateAmortizationTable(results.schedule, escrow ? escrow.homeValue : null, live);
+        calculateInterestStatementsFromForm(true);
         // Create the loan chart
-        createLoanChart(results.schedule);
+        createLoanChart(results.schedule, frequency.periodsPerYear);
     }
     
     // Show the results container
     resultsContainer.style.display = 'block';
     
-    // Smooth scroll to results
-    resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    // Smooth scroll to results, unless they are being updated while the user types
+    if (!live) {
+        resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+/**
+ * Displays the cost of credit: the APR, finance charge, amount financed and total of payments
+ * @param {Object} results - The results object from calculateAmortization
+ */
+function displayLoanCost(results) {
+    const container = document.getElementById('loanCostSummary');
+    if (!container) return;
+    
+    const loanCost = results.loanCost;
+    container.hidden = !loanCost;
+    if (!loanCost) return;
+    
+    document.getElementById('loanApr').textContent = formatPercent(loanCost.apr);
+    document.getElementById('loanAprDescription').textContent = translate('Interest rate {rate}, with the fees and points spread over the loan',
+        { rate: formatPercent(lastLoanCalculation.inputs.annualRate) });
+    document.getElementById('loanFinanceCharge').textContent = formatCurrency(loanCost.financeCharge);
+    document.getElementById('loanAmountFinanced').textContent = formatCurrency(loanCost.amountFinanced);
+    document.getElementById('loanTotalOfPayments').textContent = formatCurrency(loanCost.totalOfPayments);
+}
+
+/**
+ * Displays the payments of interest-only and balloon loans: the interest-only payment, the payment it jumps
+ * to once the balance starts to amortize and the balloon payment due at maturity
+ * @param {Object} results - The results object from calculateAmortization
+ */
+function displayLoanStructure(results) {
+    const container = document.getElementById('loanStructureSummary');
+    if (!container) return;
+    
+    const structure = results.loanStructure;
+    container.hidden = !structure;
+    if (!structure) return;
+    
+    const interestOnlyPaymentEl = document.getElementById('interestOnlyPayment');
+    const interestOnlyDescriptionEl = document.getElementById('interestOnlyDescription');
+    if (structure.interestOnlyPayment !== null) {
+        interestOnlyPaymentEl.textContent = formatCurrency(structure.interestOnlyPayment);
+        interestOnlyDescriptionEl.textContent = translate({ one: 'For the first {count} payment', other: 'For the first {count} payments' },
+            { count: structure.interestOnlyPayments });
+    } else {
+        interestOnlyPaymentEl.textContent = translate('N/A');
+        interestOnlyDescriptionEl.textContent = translate('The payments amortize from the start');
+    }
+    
+    const amortizingPaymentEl = document.getElementById('amortizingPayment');
+    const amortizingDescriptionEl = document.getElementById('amortizingPaymentDescription');
+    if (structure.amortizationStart) {
+        amortizingPaymentEl.textContent = formatCurrency(structure.amortizationStart.periodicPayment);
+        amortizingDescriptionEl.textContent = translate('From {date}, {amount} more per payment', {
+            date: formatDate(structure.amortizationStart.date),
+            amount: formatCurrency(structure.amortizationStart.periodicPayment - structure.interestOnlyPayment)
+        });
+    } else {
+        amortizingPaymentEl.textContent = translate('N/A');
+        amortizingDescriptionEl.textContent = structure.amortizationYears === null
+            ? translate('The loan is interest-only until it matures')
+            : structure.interestOnlyPayment !== null
+                ? translate('The loan is paid off before the interest-only period ends')
+                : translate('There is no interest-only period');
+    }
+    
+    const balloonPaymentEl = document.getElementById('balloonPayment');
+    const balloonDescriptionEl = document.getElementById('balloonPaymentDescription');
+    if (structure.balloon) {
+        balloonPaymentEl.textContent = formatCurrency(structure.balloon.amount);
+        balloonDescriptionEl.textContent = translate('Due {date}, on top of the last payment of {amount}', {
+            date: formatDate(structure.balloon.date),
+            amount: formatCurrency(structure.balloon.totalPayment - structure.balloon.amount)
+        });
+    } else {
+        balloonPaymentEl.textContent = translate('N/A');
+        balloonDescriptionEl.textContent = translate('The payments pay off the loan by maturity');
+    }
+}
+
+/**
+ * Displays the full payment with taxes, insurance, PMI and HOA dues, and when PMI is removed
+ * @param {Object} results - The results object from calculateAmortization
+ */
+function displayPitiSummary(results) {
+    const container = document.getElementById('pitiSummary');
+    if (!container) return;
+    
+    const summary = results.escrowSummary;
+    container.hidden = !summary;
+    if (container.hidden) return;
+    
+    const frequency = paymentFrequencies[results.frequency] || paymentFrequencies.monthly;
+    document.getElementById('pitiPaymentLabel').textContent = translate('Total {frequency} Payment', { frequency: translate(frequency.label) });
+    document.getElementById('pitiPayment').textContent = formatCurrency(summary.totalPayment);
+    document.getElementById('pitiBreakdown').textContent = [
+        translate('{amount} principal & interest', { amount: formatCurrency(summary.principalAndInterest) }),
+        summary.propertyTax > 0 && translate('{amount} tax', { amount: formatCurrency(summary.propertyTax) }),
+        summary.insurance > 0 && translate('{amount} insurance', { amount: formatCurrency(summary.insurance) }),
+        summary.pmi > 0 && translate('{amount} PMI', { amount: formatCurrency(summary.pmi) }),
+        summary.hoa > 0 && translate('{amount} HOA', { amount: formatCurrency(summary.hoa) })
+    ].filter(Boolean).join(' + ');
+    document.getElementById('pitiTotalCosts').textContent = formatCurrency(
+        summary.totalTaxes + summary.totalInsurance + summary.totalPmi + summary.totalHoa
+    );
+    
+    const pmiRemovalDateEl = document.getElementById('pmiRemovalDate');
+    const pmiRemovalDescriptionEl = document.getElementById('pmiRemovalDescription');
+    if (summary.pmiCancellation) {
+        pmiRemovalDateEl.textContent = formatDate(summary.pmiCancellation.date);
+        pmiRemovalDescriptionEl.textContent = translate('After payment {payment}, with {amount} PMI paid',
+            { payment: summary.pmiCancellation.paymentNumber, amount: formatCurrency(summary.totalPmi) });
+    } else if (summary.pmi > 0) {
+        pmiRemovalDateEl.textContent = translate('N/A');
+        pmiRemovalDescriptionEl.textContent = translate('PMI is paid until the loan is paid off');
+    } else {
+        pmiRemovalDateEl.textContent = translate('N/A');
+        pmiRemovalDescriptionEl.textContent = translate('No PMI is charged on this loan');
+    }
+}
+
+/**
+ * Displays how much sooner and cheaper the selected payment frequency is than paying monthly
+ * @param {Object} results - The results object from calculateAmortization
+ */
+function displayFrequencyComparison(results) {
+    const container = document.getElementById('frequencyComparison');
+    if (!container) return;
+    
+    const comparison = results.frequencyComparison;
+    container.hidden = !comparison;
+    if (!comparison) return;
+    
+    document.getElementById('frequencyTimeSaved').textContent = comparison.monthsSaved > 0
+        ? formatPayoffTime(comparison.monthsSaved)
+        : translate('None');
+    document.getElementById('frequencyInterestSaved').textContent = formatCurrency(Math.max(0, comparison.interestSaved));
+    document.getElementById('frequencyComparisonDescription').textContent = translate('{frequency} payments of {payment} vs. {monthly} a month', {
+        frequency: translate(paymentFrequencies[results.frequency].label),
+        payment: formatCurrency(results.periodicPayment),
+        monthly: formatCurrency(results.periodicPayment * paymentFrequencies[results.frequency].periodsPerYear / 12)
+    });
+}
+
+/**
+ * Displays the payment outlook for adjustable-rate loans: the payment after the first reset,
+ * the highest expected payment and the worst case
+ * @param {Object} results - The results object from calculateAmortization
+ */
+function displayArmSummary(results) {
+    const container = document.getElementById('armSummary');
+    if (!container) return;
+    
+    const rateAdjustments = results.rateAdjustments || [];
+    container.hidden = rateAdjustments.length === 0 && !results.worstCase;
+    if (container.hidden) return;
+    
+    const firstReset = rateAdjustments[0];
+    document.getElementById('armFirstResetPayment').textContent = formatCurrency(firstReset ? firstReset.periodicPayment : results.periodicPayment);
+    document.getElementById('armFirstResetDescription').textContent = firstReset
+        ? translate('From {date} at {rate}', { date: formatDate(firstReset.date), rate: formatPercent(firstReset.annualRate) })
+        : translate('The rate does not change');
+    document.getElementById('armMaxPayment').textContent = formatCurrency(results.maxPeriodicPayment);
+    
+    const worstCasePaymentEl = document.getElementById('armWorstCasePayment');
+    const worstCaseDescriptionEl = document.getElementById('armWorstCaseDescription');
+    if (results.worstCase) {
+        worstCasePaymentEl.textContent = formatCurrency(results.worstCase.maxPeriodicPayment);
+        worstCaseDescriptionEl.textContent = translate('At {rate}, with {amount} total interest',
+            { rate: formatPercent(results.worstCase.maxRate), amount: formatCurrency(results.worstCase.totalInterestPaid) });
+    } else {
+        worstCasePaymentEl.textContent = translate('N/A');
+        worstCaseDescriptionEl.textContent = translate('Enter a periodic or lifetime cap to see the worst case');
+    }
+}
+
+/**
+ * Displays the total paid and interest saved for each prepayment
+ * @param {Array} prepaymentSavings - The prepaymentSavings array from calculateAmortization
+ */
+function displayPrepaymentSavings(prepaymentSavings) {
+    const container = document.getElementById('prepaymentSavingsContainer');
+    const tableBody = document.getElementById('prepaymentSavingsTableBody');
+    if (!container || !tableBody) return;
+    
+    tableBody.innerHTML = '';
+    prepaymentSavings.forEach(saving => {
+        const row = document.createElement('tr');
+        [
+            `${translate(prepaymentTypes[saving.prepayment.type])}: ${describePrepayment(saving.prepayment)}`,
+            formatCurrency(saving.totalPaid),
+            formatCurrency(saving.interestSaved)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+    
+    container.hidden = prepaymentSavings.length === 0;
+}
+
+/**
+ * Displays which of prepaying the loan and investing the difference ends up ahead, where it takes the lead and
+ * the interest and last payment in today's money
+ * @param {Object} analysis - The analysis from comparePrepayingWithInvesting
+ */
+function displayPrepayInvestComparison(analysis) {
+    const container = document.getElementById('prepayInvestResults');
+    if (!container) return;
+    const { prepay, invest } = analysis.strategies;
+    const endDate = analysis.points[analysis.points.length - 1].date;
+    
+    document.getElementById('prepayInvestLeader').textContent = analysis.leader
+        ? translate(prepayInvestStrategies[analysis.leader])
+        : translate('Level');
+    document.getElementById('prepayInvestLeaderDescription').textContent = analysis.leader
+        ? translate('By {amount} on {date}, or {real} in today\'s money', {
+            amount: formatCurrency(analysis.advantage),
+            date: formatDate(endDate),
+            real: formatCurrency(analysis.realAdvantage)
+        })
+        : translate('Both end with a net worth of {amount} on {date}', { amount: formatCurrency(prepay.netWorth), date: formatDate(endDate) });
+    
+    const crossover = analysis.crossover;
+    document.getElementById('prepayInvestCrossover').textContent = crossover ? formatDate(crossover.date) : translate('None');
+    document.getElementById('prepayInvestCrossoverDescription').textContent = crossover
+        ? translate('{strategy} takes the lead for good with payment {payment}', {
+            strategy: translate(crossover.leader === 'invest' ? 'Investing the difference' : 'Prepaying the loan'),
+            payment: crossover.paymentNumber
+        })
+        : (analysis.leader ? translate('The leader stays ahead throughout') : '');
+    
+    // Prepaying pays the loan off sooner, so its interest is in earlier and less inflated money too
+    [['prepay', prepay], ['invest', invest]].forEach(([strategy, summary]) => {
+        document.getElementById(`${strategy}RealInterest`).textContent = formatCurrency(summary.realTotalInterest);
+        document.getElementById(`${strategy}RealInterestDescription`).textContent = translate('{amount} before inflation, paid off on {date}', {
+            amount: formatCurrency(summary.totalInterest),
+            date: formatDate(summary.payoffDate)
+        });
+    });
+    
+    document.getElementById('realFinalPayment').textContent = formatCurrency(analysis.finalPayment.realAmount);
+    document.getElementById('realFinalPaymentDescription').textContent = translate('The {amount} payment due on {date}', {
+        amount: formatCurrency(analysis.finalPayment.amount),
+        date: formatDate(analysis.finalPayment.date)
+    });
+    
+    container.hidden = false;
+}
+
+/**
+ * Displays the yearly interest statements, with the estimated tax savings when a deduction is given
+ * @param {Object} statements - The statements from calculateInterestStatements
+ */
+function displayInterestStatements(statements) {
+    const tableBody = document.getElementById('interestStatementTableBody');
+    if (!tableBody) return;
+    const hasDeduction = statements.totals.taxSavings !== null;
+    document.getElementById('taxSavingsColumnHeader').hidden = !hasDeduction;
+    document.getElementById('afterTaxInterestColumnHeader').hidden = !hasDeduction;
+    
+    tableBody.innerHTML = '';
+    statements.years.forEach(statement => {
+        const row = document.createElement('tr');
+        [
+            statement.year,
+            statement.firstPaymentNumber === statement.lastPaymentNumber
+                ? statement.firstPaymentNumber
+                : `${statement.firstPaymentNumber}–${statement.lastPaymentNumber}`,
+            formatCurrency(statement.interestPaid),
+            formatCurrency(statement.principalPaid),
+            formatCurrency(statement.endingBalance),
+            ...(hasDeduction ? [formatCurrency(statement.taxSavings), formatCurrency(statement.afterTaxInterest)] : [])
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        const downloadCell = document.createElement('td');
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.className = 'secondary-button';
+        downloadButton.setAttribute('data-statement-year', statement.year);
+        downloadButton.textContent = translate('Download CSV');
+        downloadButton.setAttribute('aria-label', translate('Download the {year} statement as CSV', { year: String(statement.year) }));
+        downloadCell.appendChild(downloadButton);
+        row.appendChild(downloadCell);
+        tableBody.appendChild(row);
+    });
+    
+    const { totals } = statements;
+    const summary = [translate('Over the whole loan: {interest} of interest and {principal} of principal.', {
+        interest: formatCurrency(totals.interestPaid),
+        principal: formatCurrency(totals.principalPaid)
+    })];
+    if (hasDeduction) {
+        summary.push(translate('Deducting the interest saves an estimated {savings} of tax, for an after-tax interest cost of {amount}.', {
+            savings: formatCurrency(totals.taxSavings),
+            amount: formatCurrency(totals.afterTaxInterest)
+        }));
+        summary.push(translate('Itemizing beats the standard deduction in {count} of the {years} years.', {
+            count: statements.years.filter(statement => statement.itemizes).length,
+            years: statements.years.length
+        }));
+    }
+    document.getElementById('interestStatementSummary').textContent = summary.join(' ');
+}
+
+/**
+ * Adds a prepayment row to the loan form
+ * @param {Object} [prepayment] - Optional prepayment to fill the row with (see getPrepaymentDue)
+ * @returns {HTMLElement} The new row
+ */
+function addPrepaymentRow(prepayment) {
+    const template = document.getElementById('prepaymentRowTemplate');
+    const list = document.getElementById('prepaymentList');
+    const row = template.content.firstElementChild.cloneNode(true);
+    
+    if (prepayment) {
+        row.querySelector('.prepayment-type').value = prepayment.type;
+        row.querySelector('.prepayment-amount').value = formatInputNumber(prepayment.amount);
+        row.querySelector('.prepayment-payment-number').value = prepayment.paymentNumber || '';
+        row.querySelector('.prepayment-date').value = prepayment.date ? formatIsoDate(prepayment.date) : '';
+        row.querySelector('.prepayment-month').value = prepayment.month || 1;
+        row.querySelector('.prepayment-start-year').value = prepayment.startYear || '';
+        row.querySelector('.prepayment-step-amount').value = prepayment.stepAmount ? formatInputNumber(prepayment.stepAmount) : '';
+        row.querySelector('.prepayment-step-months').value = prepayment.stepMonths || '';
+    }
+    
+    row.querySelector('.prepayment-type').addEventListener('change', () => updatePrepaymentRowFields(row));
+    row.querySelector('.prepayment-remove').addEventListener('click', () => {
+        row.remove();
+        recalculateLoanLive();
+    });
+    updatePrepaymentRowFields(row);
+    
+    list.appendChild(row);
+    return row;
+}
+
+/**
+ * Shows only the inputs that apply to the selected prepayment type
+ * @param {HTMLElement} row - The prepayment row
+ */
+function updatePrepaymentRowFields(row) {
+    const type = row.querySelector('.prepayment-type').value;
+    row.querySelectorAll('[data-prepayment-types]').forEach(field => {
+        field.hidden = !field.getAttribute('data-prepayment-types').split(' ').includes(type);
+    });
+}
+
+/**
+ * Reads the prepayments entered in the loan form, skipping rows without an amount
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Array} Array of prepayment objects (see getPrepaymentDue)
+ */
+function readPrepayments(errors = []) {
+    const prepayments = [];
+    
+    document.querySelectorAll('#prepaymentList .prepayment-row').forEach(row => {
+        const type = row.querySelector('.prepayment-type').value;
+        const amount = readNumberField(row.querySelector('.prepayment-amount'), errors, { positive: true });
+        if (amount === null) return;
+        
+        if (type === 'one-time') {
+            const date = readDateField(row.querySelector('.prepayment-date'), errors);
+            const paymentNumber = readNumberField(row.querySelector('.prepayment-payment-number'), errors) || 1;
+            prepayments.push(date ? { type, amount, date } : { type, amount, paymentNumber });
+        } else if (type === 'yearly') {
+            prepayments.push({
+                type,
+                amount,
+                month: parseInt(row.querySelector('.prepayment-month').value, 10),
+                startYear: readNumberField(row.querySelector('.prepayment-start-year'), errors) || null
+            });
+        } else if (type === 'step-up') {
+            prepayments.push({
+                type,
+                amount,
+                stepAmount: readNumberField(row.querySelector('.prepayment-step-amount'), errors) || 0,
+                stepMonths: readNumberField(row.querySelector('.prepayment-step-months'), errors) || 12
+            });
+        }
+    });
+    
+    return prepayments;
+}
+
+/**
+ * Shows the adjustable-rate settings only when the adjustable rate type is selected
+ */
+function updateLoanTypeFields() {
+    const loanType = document.getElementById('loanType');
+    const armSettings = document.getElementById('armSettings');
+    if (!loanType || !armSettings) return;
+    
+    armSettings.hidden = loanType.value !== 'arm';
+    
+    // Select the preset that matches the fixed period and adjustment interval, if any
+    const armPreset = document.getElementById('armPreset');
+    const presetValue = `${document.getElementById('armFixedMonths').value}/${document.getElementById('armAdjustmentMonths').value}`;
+    armPreset.value = Array.from(armPreset.options).some(option => option.value === presetValue) ? presetValue : 'custom';
+}
+
+/**
+ * Reads a percentage input that may be left empty
+ * @param {string} fieldId - The input id
+ * @param {Array} errors - The problems found so far (see readNumberField)
+ * @returns {number|null} The value, or null if the input is empty
+ */
+function readOptionalRate(fieldId, errors) {
+    return readNumberField(document.getElementById(fieldId), errors);
+}
+
+/**
+ * Reads the adjustable-rate settings from the loan form
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Object|null} The rate schedule (see getAdjustedArmRate), or null for fixed-rate loans
+ */
+function readRateSchedule(errors = []) {
+    const loanType = document.getElementById('loanType');
+    if (!loanType || loanType.value !== 'arm') return null;
+    
+    return {
+        fixedMonths: readNumberField(document.getElementById('armFixedMonths'), errors, { required: true }) || 0,
+        adjustmentMonths: readNumberField(document.getElementById('armAdjustmentMonths'), errors, { required: true }) || 0,
+        indexRate: readOptionalRate('armIndexRate', errors) || 0,
+        margin: readOptionalRate('armMargin', errors) || 0,
+        initialCap: readOptionalRate('armInitialCap', errors),
+        periodicCap: readOptionalRate('armPeriodicCap', errors),
+        lifetimeCap: readOptionalRate('armLifetimeCap', errors),
+        floorRate: readOptionalRate('armFloorRate', errors)
+    };
+}
+
+/**
+ * Reads the taxes, insurance, PMI and HOA settings from the loan form
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Object|null} The escrow settings for calculateAmortization, or null if none were entered
+ */
+function readEscrow(errors = []) {
+    const readAmount = fieldId => {
+        const field = document.getElementById(fieldId);
+        return field ? readNumberField(field, errors) || 0 : 0;
+    };
+    const escrow = {
+        homeValue: readAmount('homeValue'),
+        propertyTax: readAmount('propertyTax'),
+        insurance: readAmount('homeInsurance'),
+        pmiRate: readAmount('pmiRate'),
+        pmiCancelLtv: parseInt(document.getElementById('pmiCancelLtv').value, 10) || 78,
+        hoaDues: readAmount('hoaDues')
+    };
+    
+    return escrow.propertyTax > 0 || escrow.insurance > 0 || escrow.pmiRate > 0 || escrow.hoaDues > 0 ? escrow : null;
+}
+
+/**
+ * Reads the lender's fees and points from the loan form
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Object|null} The fees for calculateAmortization, or null if none were entered
+ */
+function readLoanFees(errors = []) {
+    const readAmount = fieldId => {
+        const field = document.getElementById(fieldId);
+        return field ? readNumberField(field, errors) || 0 : 0;
+    };
+    const fees = {
+        originationFee: readAmount('originationFee'),
+        points: readAmount('loanPoints'),
+        otherCharges: readAmount('otherFinanceCharges')
+    };
+    
+    return fees.originationFee > 0 || fees.points > 0 || fees.otherCharges > 0 ? fees : null;
+}
+
+/**
+ * Reads the interest-only period and amortization term from the loan form
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Object|null} The loanStructure for calculateAmortization, or null if neither was entered
+ */
+function readLoanStructure(errors = []) {
+    const interestOnlyInput = document.getElementById('interestOnlyMonths');
+    const amortizationInput = document.getElementById('amortizationYears');
+    if (!interestOnlyInput || !amortizationInput) return null;
+    
+    const interestOnlyMonths = readNumberField(interestOnlyInput, errors) || 0;
+    const amortizationYears = readNumberField(amortizationInput, errors);
+    if (!(interestOnlyMonths > 0) && amortizationYears === null) return null;
+    
+    return {
+        interestOnlyMonths: interestOnlyMonths,
+        amortizationYears: amortizationYears
+    };
 }
 
 /**
  * Displays the refinance analysis results
- * @param {Object} breakEvenResult - The break-even calculation result
- * @param {number} newMonthlyPayment - The new loan's monthly payment
+ * @param {Object} analysis - The refinance analysis from calculateRefinanceAnalysis
+ * @param {boolean} [live] - Whether the results follow a live edit (the page does not scroll to them)
  */
-function displayRefinanceResults(breakEvenResult, newMonthlyPayment) {
+function displayRefinanceResults(analysis, live = false) {
     const refinanceResultsContainer = document.getElementById('refinanceResults');
     const breakEvenTextEl = document.getElementById('breakEvenText');
     const monthlySavingsEl = document.getElementById('monthlySavings');
@@ -666,52 +1739,1844 @@ function displayRefinanceResults(breakEvenResult, newMonthlyPayment) {
     
     // Display new monthly payment
     if (newPaymentEl) {
-        newPaymentEl.textContent = formatCurrency(newMonthlyPayment);
+        newPaymentEl.textContent = formatCurrency(analysis.newMonthlyPayment);
     }
     
     // Display monthly savings
     if (monthlySavingsEl) {
-        monthlySavingsEl.textContent = formatCurrency(breakEvenResult.monthlySavings);
+        monthlySavingsEl.textContent = formatCurrency(analysis.monthlySavings);
     }
     
     // Display break-even point or warning message
-    if (!breakEvenResult.isValid || breakEvenResult.monthlySavings <= 0) {
-        breakEvenTextEl.textContent = 'Refinancing does not provide monthly savings. The new monthly payment is equal to or higher than your current payment.';
+    if (!analysis.isValid) {
+        breakEvenTextEl.textContent = analysis.breakEvenMonths === null
+            ? translate('Refinancing does not recover its costs. The new loan costs more than staying with your current loan.')
+            : translate('Refinancing only recovers its costs after your current loan would have been paid off.');
         breakEvenTextEl.style.color = 'var(--text-secondary)';
         breakEvenTextEl.classList.remove('highlight-value');
         breakEvenTextEl.style.fontSize = '1rem';
     } else {
-        const breakEvenMonths = breakEvenResult.breakEvenMonths;
-        const years = Math.floor(breakEvenMonths / 12);
-        const months = Math.round(breakEvenMonths % 12);
-        
-        let breakEvenText = 'You will break even in ';
-        if (years > 0 && months > 0) {
-            breakEvenText += `${years} ${years === 1 ? 'year' : 'years'} and ${months} ${months === 1 ? 'month' : 'months'}`;
-        } else if (years > 0) {
-            breakEvenText += `${years} ${years === 1 ? 'year' : 'years'}`;
-        } else if (months > 0) {
-            breakEvenText += `${months} ${months === 1 ? 'month' : 'months'}`;
-        } else {
-            // Less than 1 month
-            const days = Math.round(breakEvenMonths * 30);
-            breakEvenText += `${days} ${days === 1 ? 'day' : 'days'}`;
-        }
-        breakEvenText += '.';
-        
-        breakEvenTextEl.textContent = breakEvenText;
+        breakEvenTextEl.textContent = translate('You will break even in {time}, by {date}.',
+            { time: formatPayoffTime(analysis.breakEvenMonths), date: formatDate(analysis.breakEvenDate) });
         breakEvenTextEl.style.color = 'var(--success-color)';
         breakEvenTextEl.classList.add('highlight-value');
         breakEvenTextEl.style.fontSize = '1.5rem';
     }
     
-    // Show the results container
+    // Display where the original loan stands and what the new loan is made of
+    document.getElementById('refinanceCurrentBalance').textContent = formatCurrency(analysis.currentBalance);
+    document.getElementById('refinanceCurrentBalanceDescription').textContent = translate(
+        { one: 'After {count} payment, with {remaining} left', other: 'After {count} payments, with {remaining} left' },
+        { count: analysis.paymentsMade, remaining: analysis.remainingPayments }
+    );
+    document.getElementById('refinanceNewLoanAmount').textContent = formatCurrency(analysis.newLoanAmount);
+    document.getElementById('refinanceNewLoanDescription').textContent = [
+        analysis.cashOut > 0 && translate('{amount} cash out', { amount: formatCurrency(analysis.cashOut) }),
+        analysis.financedCosts > 0 && translate('{amount} costs rolled in', { amount: formatCurrency(analysis.financedCosts) }),
+        analysis.upfrontCosts > 0 && translate('{amount} paid upfront', { amount: formatCurrency(analysis.upfrontCosts) })
+    ].filter(Boolean).join(', ') || translate('The current balance');
+    
+    // Display the lifetime comparison
+    document.getElementById('refinanceInterestDifference').textContent = formatCurrency(analysis.interestDifference);
+    document.getElementById('refinanceInterestDescription').textContent = analysis.interestDifference >= 0
+        ? translate('Less interest than the {amount} left on your current loan', { amount: formatCurrency(analysis.remainingInterestCurrent) })
+        : translate('More interest than the {amount} left on your current loan', { amount: formatCurrency(analysis.remainingInterestCurrent) });
+    document.getElementById('refinanceLifetimeSavings').textContent = formatCurrency(analysis.lifetimeSavings);
+    document.getElementById('refinanceNetPresentValue').textContent = formatCurrency(analysis.netPresentValue);
+    document.getElementById('refinanceNetPresentValueDescription').textContent =
+        translate('Savings in today\'s money, discounted at {rate}', { rate: formatPercent(analysis.discountRate) });
+    
+    // The APR counts the closing costs and points, so offers with different rates and costs can be compared
+    document.getElementById('refinanceApr').textContent = formatPercent(analysis.newLoanCost.apr);
+    document.getElementById('refinanceAprDescription').textContent = translate('Finance charge {amount}, including {costs} of closing costs and points', {
+        amount: formatCurrency(analysis.newLoanCost.financeCharge),
+        costs: formatCurrency(analysis.newLoanCost.prepaidFinanceCharges)
+    });
+    
+    // Show the results container
     refinanceResultsContainer.style.display = 'block';
     
-    // Smooth scroll to results
-    refinanceResultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    // Smooth scroll to results, unless they are being updated while the user types
+    if (!live) {
+        refinanceResultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+/**
+ * Displays the lump-sum comparison table, with the differences from carrying on without the lump sum
+ * under each value
+ * @param {Object} comparison - The comparison from compareLumpSumOptions
+ * @param {boolean} [live] - Whether the results follow a live edit (the page does not scroll to them)
+ */
+function displayLumpSumComparison(comparison, live = false) {
+    const container = document.getElementById('lumpSumResults');
+    const tableBody = document.getElementById('lumpSumTableBody');
+    if (!container || !tableBody) return;
+    
+    document.getElementById('lumpSumSummary').textContent = translate('Paying {amount} with payment {payment} on {date} leaves a balance of {balance}.', {
+        amount: formatCurrency(comparison.lumpSum),
+        payment: comparison.paymentNumber,
+        date: formatDate(comparison.date),
+        balance: formatCurrency(comparison.balance)
+    });
+    
+    tableBody.innerHTML = '';
+    comparison.outcomes.forEach(outcome => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = translate(lumpSumOutcomes[outcome.type]);
+        row.appendChild(nameCell);
+        
+        // Lower payments, less interest, lower cost and earlier payoff are all better
+        [
+            [formatCurrency(outcome.monthlyPayment), outcome.deltas.monthlyPayment, value => formatCurrency(value)],
+            [formatCurrency(outcome.interestPaid), outcome.deltas.interestPaid, value => formatCurrency(value)],
+            [formatCurrency(outcome.costs), null],
+            [formatDate(outcome.payoffDate), outcome.deltas.monthsToPayoff, formatPayoffTime],
+            [formatCurrency(outcome.totalCost), outcome.deltas.totalCost, value => formatCurrency(value)]
+        ].forEach(([text, delta, formatDelta]) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (!outcome.isBaseline && delta !== null) {
+                const deltaEl = document.createElement('span');
+                deltaEl.className = 'scenario-delta';
+                if (delta !== 0) {
+                    deltaEl.classList.add(delta < 0 ? 'is-better' : 'is-worse');
+                }
+                deltaEl.textContent = formatScenarioDelta(delta, formatDelta);
+                cell.appendChild(deltaEl);
+            }
+            row.appendChild(cell);
+        });
+        
+        tableBody.appendChild(row);
+    });
+    
+    // The refinance pays for its costs out of the difference from the payment without the lump sum
+    const breakEven = comparison.refinanceBreakEven;
+    const refinanceNoteEl = document.getElementById('lumpSumRefinanceNote');
+    if (!breakEven) {
+        refinanceNoteEl.textContent = translate('Enter the new interest rate and loan term above to compare a refinance as well.');
+    } else if (breakEven.isValid) {
+        refinanceNoteEl.textContent = translate('The lower refinance payment makes up for its costs after {time}.',
+            { time: formatPayoffTime(Math.ceil(breakEven.breakEvenMonths)) });
+    } else {
+        refinanceNoteEl.textContent = translate('The refinance payment is not lower, so its costs are never made up.');
+    }
+    
+    container.hidden = false;
+    if (!live) {
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+// Global variable to store the scenario comparison chart instance
+let scenarioChartInstance = null;
+
+// Line colors for the scenario comparison chart, reused in order
+const scenarioColors = ['37, 99, 235', '239, 68, 68', '16, 185, 129', '245, 158, 11', '139, 92, 246', '236, 72, 153'];
+
+/**
+ * Adds a scenario row to the comparison workspace
+ * @param {Object} [scenario] - Optional scenario to fill the row with (see compareScenarios)
+ * @param {HTMLElement} [afterRow] - Optional row to insert the new row after (defaults to the end of the list)
+ * @returns {HTMLElement} The new row
+ */
+function addScenarioRow(scenario, afterRow) {
+    const template = document.getElementById('scenarioRowTemplate');
+    const list = document.getElementById('scenarioList');
+    const row = template.content.firstElementChild.cloneNode(true);
+    
+    if (scenario) {
+        row.querySelector('.scenario-name').value = scenario.name || '';
+        row.querySelector('.scenario-principal').value = scenario.principal ? formatInputNumber(scenario.principal) : '';
+        row.querySelector('.scenario-rate').value = scenario.annualRate != null ? formatInputNumber(scenario.annualRate) : '';
+        row.querySelector('.scenario-term').value = scenario.termYears ? formatInputNumber(scenario.termYears) : '';
+        row.querySelector('.scenario-extra').value = scenario.extraMonthlyPayment ? formatInputNumber(scenario.extraMonthlyPayment) : '';
+        row.querySelector('.scenario-frequency').value = scenario.frequency || 'monthly';
+    }
+    
+    row.querySelector('.scenario-clone').addEventListener('click', () => {
+        const copy = readScenarioRow(row);
+        copy.name = translate('{name} (copy)', { name: copy.name || translate('Scenario') });
+        addScenarioRow(copy, row).querySelector('.scenario-name').select();
+        updateScenarioComparison();
+    });
+    row.querySelector('.scenario-remove').addEventListener('click', () => {
+        row.remove();
+        updateScenarioComparison();
+    });
+    
+    if (afterRow) {
+        afterRow.after(row);
+    } else {
+        list.appendChild(row);
+    }
+    
+    // The first scenario starts out as the baseline
+    if (!list.querySelector('.scenario-baseline:checked')) {
+        list.querySelector('.scenario-baseline').checked = true;
+    }
+    return row;
+}
+
+/**
+ * Reads a scenario row of the comparison workspace
+ * @param {HTMLElement} row - The scenario row
+ * @param {Array} [errors] - The problems found so far; one is added for each input that is missing or not
+ *     valid (see readNumberField)
+ * @returns {Object} The scenario (see compareScenarios), with null for the inputs that are missing or not valid
+ */
+function readScenarioRow(row, errors = []) {
+    return {
+        name: row.querySelector('.scenario-name').value.trim(),
+        principal: readNumberField(row.querySelector('.scenario-principal'), errors, { required: true, positive: true }),
+        annualRate: readNumberField(row.querySelector('.scenario-rate'), errors, { required: true }),
+        termYears: readNumberField(row.querySelector('.scenario-term'), errors, { required: true }),
+        extraMonthlyPayment: readNumberField(row.querySelector('.scenario-extra'), errors) || 0,
+        frequency: row.querySelector('.scenario-frequency').value
+    };
+}
+
+/**
+ * Builds a scenario from the inputs of the loan calculator form. If they are not valid, the loan calculator
+ * is shown with its problems instead.
+ * @returns {Object|null} The scenario (see compareScenarios), or null if the loan calculator inputs are not valid
+ */
+function readScenarioFromLoanForm() {
+    const form = document.getElementById('loanCalculatorForm');
+    clearFormErrors(form);
+    const errors = [];
+    const frequencySelector = document.getElementById('paymentFrequency');
+    const scenario = {
+        principal: readNumberField(document.getElementById('loanPrincipal'), errors, { positive: true }),
+        annualRate: readNumberField(document.getElementById('annualInterestRate'), errors),
+        termYears: readNumberField(document.getElementById('loanTerm'), errors),
+        extraMonthlyPayment: readNumberField(document.getElementById('extraMonthlyPayment'), errors) || 0,
+        frequency: frequencySelector ? frequencySelector.value : 'monthly'
+    };
+    if (errors.length > 0) {
+        document.querySelector('.tab-button[data-tab="loan-calculator"]').click();
+        reportFormErrors(form, errors);
+        return null;
+    }
+    scenario.name = translate({ one: '{count} year at {rate}', other: '{count} years at {rate}' },
+        { count: scenario.termYears, rate: formatPercent(scenario.annualRate) });
+    return scenario;
+}
+
+/**
+ * Recalculates and displays the scenario comparison from the rows in the workspace
+ */
+function updateScenarioComparison() {
+    const list = document.getElementById('scenarioList');
+    const resultsContainer = document.getElementById('scenarioResults');
+    const errorEl = document.getElementById('scenarioError');
+    if (!list || !resultsContainer) return;
+    
+    const rows = Array.from(list.querySelectorAll('.scenario-row'));
+    rows.forEach(row => {
+        row.classList.toggle('is-baseline', row.querySelector('.scenario-baseline').checked);
+    });
+    
+    clearFormErrors(list);
+    const errors = [];
+    const scenarios = rows.map((row, index) => {
+        const scenario = readScenarioRow(row, errors);
+        scenario.name = scenario.name || translate('Scenario {number}', { number: index + 1 });
+        return scenario;
+    });
+    const baselineIndex = Math.max(0, rows.findIndex(row => row.querySelector('.scenario-baseline').checked));
+    
+    errorEl.hidden = true;
+    if (scenarios.length === 0) {
+        resultsContainer.hidden = true;
+        return;
+    }
+    
+    // Scenarios are edited live, so problems are shown quietly under their inputs and next to the list
+    if (reportFormErrors(list, errors, true)) {
+        const error = errors.find(problem => !problem.missing) || errors[0];
+        const name = scenarios[rows.indexOf(error.input.closest('.scenario-row'))].name;
+        errorEl.textContent = error.missing
+            ? translate('Enter a principal, rate and term for "{name}" to compare it.', { name: name })
+            : translate('{name}: {problem}.', { name: name, problem: error.message });
+        errorEl.hidden = false;
+        resultsContainer.hidden = true;
+        return;
+    }
+    
+    const loanStartDateInput = document.getElementById('loan-start-date');
+    const startDate = loanStartDateInput && loanStartDateInput.value ? parseDateInput(loanStartDateInput.value) : new Date();
+    
+    try {
+        const comparison = compareScenarios(scenarios, baselineIndex, startDate);
+        resultsContainer.hidden = false;
+        displayScenarioComparison(comparison);
+        createScenarioChart(comparison);
+    } catch (error) {
+        errorEl.textContent = translate('Error: {message}', { message: translateError(error) });
+        errorEl.hidden = false;
+        resultsContainer.hidden = true;
+    }
+}
+
+/**
+ * Formats the difference from the baseline scenario
+ * @param {number} delta - The difference (positive when the scenario is higher or later)
+ * @param {Function} format - Formats the absolute difference (e.g., formatCurrency)
+ * @returns {string} The formatted difference (e.g., "+$1,200.00"), or "Same" if there is none
+ */
+function formatScenarioDelta(delta, format) {
+    if (delta === 0) return translate('Same');
+    return `${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}`;
+}
+
+/**
+ * Displays the scenario comparison table, with the differences from the baseline under each value
+ * @param {Array} comparison - The scenario comparison from compareScenarios
+ */
+function displayScenarioComparison(comparison) {
+    const tableBody = document.getElementById('scenarioComparisonTableBody');
+    tableBody.innerHTML = '';
+    
+    comparison.forEach(scenario => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = scenario.name;
+        if (scenario.isBaseline) {
+            const badge = document.createElement('span');
+            badge.className = 'scenario-delta';
+            badge.textContent = translate('Baseline');
+            nameCell.appendChild(badge);
+        }
+        row.appendChild(nameCell);
+        
+        // Lower payments, less interest, lower cost and earlier payoff are all better
+        [
+            [formatCurrency(scenario.monthlyPayment), scenario.deltas.monthlyPayment, value => formatCurrency(value)],
+            [formatCurrency(scenario.totalInterestPaid), scenario.deltas.totalInterestPaid, value => formatCurrency(value)],
+            [formatDate(scenario.payoffDate), scenario.deltas.monthsToPayoff, formatPayoffTime],
+            [formatCurrency(scenario.totalCost), scenario.deltas.totalCost, value => formatCurrency(value)]
+        ].forEach(([text, delta, formatDelta]) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (!scenario.isBaseline) {
+                const deltaEl = document.createElement('span');
+                deltaEl.className = 'scenario-delta';
+                if (delta !== 0) {
+                    deltaEl.classList.add(delta < 0 ? 'is-better' : 'is-worse');
+                }
+                deltaEl.textContent = formatScenarioDelta(delta, formatDelta);
+                cell.appendChild(deltaEl);
+            }
+            row.appendChild(cell);
+        });
+        
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Creates or updates the chart that overlays the remaining balance of each scenario
+ * @param {Array} comparison - The scenario comparison from compareScenarios
+ */
+function createScenarioChart(comparison) {
+    const canvas = document.getElementById('scenarioChart');
+    const ctx = canvas.getContext('2d');
+    
+    // Destroy existing chart if it exists
+    if (scenarioChartInstance) {
+        scenarioChartInstance.destroy();
+    }
+    
+    // Plot against years elapsed, so scenarios with different payment frequencies line up
+    const datasets = comparison.map((scenario, index) => {
+        const periodsPerYear = paymentFrequencies[scenario.frequency].periodsPerYear;
+        const color = scenarioColors[index % scenarioColors.length];
+        const startingBalance = scenario.schedule.length > 0
+            ? scenario.schedule[0].remainingBalance + scenario.schedule[0].principalPaid
+            : 0;
+        
+        return {
+            label: scenario.name,
+            data: [
+                { x: 0, y: startingBalance },
+                ...scenario.schedule.map(payment => ({
+                    x: Math.round(payment.paymentNumber / periodsPerYear * 100) / 100,
+                    y: payment.remainingBalance
+                }))
+            ],
+            borderColor: `rgb(${color})`,
+            backgroundColor: `rgba(${color}, 0.1)`,
+            borderWidth: scenario.isBaseline ? 3 : 2,
+            borderDash: scenario.isBaseline ? [] : [6, 3],
+            fill: false,
+            tension: 0.1,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        };
+    });
+    
+    const fontSize = window.innerWidth < 768 ? 10 : 12;
+    const formatAxisCurrency = value => value.toLocaleString(currentLocale, {
+        style: 'currency',
+        currency: currentCurrency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    });
+    
+    scenarioChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: { datasets: datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            resizeDelay: 100,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { font: { size: fontSize } }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(items) {
+                            const year = items.length > 0
+                                ? new Intl.NumberFormat(currentLocale, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(items[0].parsed.x)
+                                : null;
+                            return year ? translate('Year {year}', { year: year }) : '';
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: translate('Years'), font: { size: fontSize } },
+                    ticks: { font: { size: fontSize } },
+                    grid: { display: false }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: `${translate('Remaining Balance')} (${getCurrencySymbol()})`,
+                        font: { size: fontSize }
+                    },
+                    ticks: {
+                        font: { size: fontSize },
+                        callback: formatAxisCurrency
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Global variables to store the debt planner chart and the plans for each strategy
+let debtChartInstance = null;
+let lastDebtPlans = null;
+
+/**
+ * Adds a debt row to the debt planner form
+ * @param {Object} [debt] - Optional debt to fill the row with (see calculateDebtPayoff)
+ * @returns {HTMLElement} The new row
+ */
+function addDebtRow(debt) {
+    const template = document.getElementById('debtRowTemplate');
+    const list = document.getElementById('debtList');
+    const row = template.content.firstElementChild.cloneNode(true);
+    
+    if (debt) {
+        row.querySelector('.debt-name').value = debt.name || '';
+        row.querySelector('.debt-balance').value = debt.balance ? formatInputNumber(debt.balance) : '';
+        row.querySelector('.debt-apr').value = debt.apr != null ? formatInputNumber(debt.apr) : '';
+        row.querySelector('.debt-minimum').value = debt.minimumPayment ? formatInputNumber(debt.minimumPayment) : '';
+    }
+    
+    // The row order is the custom payoff order
+    row.querySelectorAll('.debt-move').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.getAttribute('data-direction') === 'up' && row.previousElementSibling) {
+                row.previousElementSibling.before(row);
+            } else if (button.getAttribute('data-direction') === 'down' && row.nextElementSibling) {
+                row.nextElementSibling.after(row);
+            }
+        });
+    });
+    row.querySelector('.debt-remove').addEventListener('click', () => row.remove());
+    
+    list.appendChild(row);
+    return row;
+}
+
+/**
+ * Reads the debts entered in the debt planner form, skipping rows without a balance
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @returns {Array} Array of debt objects (see calculateDebtPayoff), in the custom payoff order
+ */
+function readDebts(errors = []) {
+    const debts = [];
+    document.querySelectorAll('#debtList .debt-row').forEach((row, index) => {
+        const balance = readNumberField(row.querySelector('.debt-balance'), errors);
+        if (!(balance > 0)) return;
+        
+        debts.push({
+            name: row.querySelector('.debt-name').value.trim() || translate('Debt {number}', { number: index + 1 }),
+            balance: balance,
+            apr: readNumberField(row.querySelector('.debt-apr'), errors) || 0,
+            minimumPayment: readNumberField(row.querySelector('.debt-minimum'), errors) || 0
+        });
+    });
+    return debts;
+}
+
+/**
+ * Displays the debt payoff plans: the strategy comparison, the chart and the per-debt timeline
+ * @param {Object} plans - The results of calculateDebtPayoff, keyed by strategy
+ */
+function displayDebtPlans(plans) {
+    const resultsContainer = document.getElementById('debtResults');
+    const tableBody = document.getElementById('debtStrategyTableBody');
+    tableBody.innerHTML = '';
+    
+    // Highlight the strategy with the least interest
+    const cheapest = Object.values(plans).reduce((best, plan) => plan.totalInterestPaid < best.totalInterestPaid ? plan : best);
+    
+    Object.values(plans).forEach(plan => {
+        const row = document.createElement('tr');
+        if (plan === cheapest) {
+            row.className = 'prepayment-payment';
+        }
+        [
+            translate(debtStrategies[plan.strategy].label),
+            formatDate(plan.payoffDate),
+            formatPayoffTime(plan.monthsToPayoff),
+            formatCurrency(plan.totalInterestPaid),
+            formatCurrency(plan.totalPaid)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+    
+    createDebtChart(plans);
+    displayDebtTimeline(plans[document.getElementById('debtTimelineStrategy').value] || cheapest);
+    
+    // Show the results container
+    resultsContainer.style.display = 'block';
+    
+    // Smooth scroll to results
+    resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Displays when each debt is paid off under one strategy, as a table with a timeline bar per debt
+ * @param {Object} plan - The result of calculateDebtPayoff
+ */
+function displayDebtTimeline(plan) {
+    const tableBody = document.getElementById('debtTimelineBody');
+    tableBody.innerHTML = '';
+    
+    // List the debts in the order they are paid off
+    const debts = plan.debts.slice().sort((a, b) => a.payoffMonth - b.payoffMonth);
+    debts.forEach((debt, index) => {
+        const row = document.createElement('tr');
+        
+        [index + 1, debt.name, formatDate(debt.payoffDate), formatCurrency(debt.totalInterestPaid)].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        const timelineCell = document.createElement('td');
+        const track = document.createElement('div');
+        track.className = 'debt-timeline-track';
+        const bar = document.createElement('div');
+        bar.className = 'debt-timeline-bar';
+        bar.style.width = `${Math.max(1, debt.payoffMonth / plan.monthsToPayoff * 100)}%`;
+        bar.title = translate('Paid off after {time}', { time: formatPayoffTime(debt.payoffMonth) });
+        track.appendChild(bar);
+        timelineCell.appendChild(track);
+        row.appendChild(timelineCell);
+        
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Creates or updates the chart that compares the total debt balance of each strategy over time
+ * @param {Object} plans - The results of calculateDebtPayoff, keyed by strategy
+ */
+function createDebtChart(plans) {
+    const canvas = document.getElementById('debtChart');
+    const ctx = canvas.getContext('2d');
+    
+    // Destroy existing chart if it exists
+    if (debtChartInstance) {
+        debtChartInstance.destroy();
+    }
+    
+    const datasets = Object.values(plans).map((plan, index) => {
+        const color = scenarioColors[index % scenarioColors.length];
+        const startingBalance = plan.timeline.length > 0
+            ? plan.timeline[0].totalBalance + plan.timeline[0].payments.reduce((total, payment) => total + payment, 0)
+            : 0;
+        
+        return {
+            label: translate(debtStrategies[plan.strategy].label),
+            data: [
+                { x: 0, y: startingBalance },
+                ...plan.timeline.map(month => ({ x: month.month, y: month.totalBalance }))
+            ],
+            borderColor: `rgb(${color})`,
+            backgroundColor: `rgba(${color}, 0.1)`,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        };
+    });
+    
+    const fontSize = window.innerWidth < 768 ? 10 : 12;
+    
+    debtChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: { datasets: datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            resizeDelay: 100,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { font: { size: fontSize } }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(items) {
+                            return items.length > 0 ? translate('Month {month}', { month: items[0].parsed.x }) : '';
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    title: { display: true, text: translate('Months'), font: { size: fontSize } },
+                    ticks: { font: { size: fontSize } },
+                    grid: { display: false }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: `${translate('Total Debt')} (${getCurrencySymbol()})`,
+                        font: { size: fontSize }
+                    },
+                    ticks: {
+                        font: { size: fontSize },
+                        callback: function(value) {
+                            return value.toLocaleString(currentLocale, {
+                                style: 'currency',
+                                currency: currentCurrency,
+                                minimumFractionDigits: 0,
+                                maximumFractionDigits: 0
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Global variable to store the last goal-seek solution (used to open it in the loan calculator)
+let lastGoalSolution = null;
+
+/**
+ * Shows only the affordability inputs needed for the selected unknown
+ */
+function updateGoalFields() {
+    const unknown = document.getElementById('solveFor').value;
+    document.querySelectorAll('#affordabilityForm [data-goal-inputs]').forEach(group => {
+        group.hidden = !group.getAttribute('data-goal-inputs').split(' ').includes(unknown);
+    });
+}
+
+/**
+ * Displays a goal-seek solution and the optional debt-to-income check
+ * @param {Object} solution - The result of solveForUnknown
+ * @param {Object|null} debtToIncome - The result of calculateDebtToIncome, or null without an income
+ */
+function displayAffordabilityResults(solution, debtToIncome) {
+    const resultsContainer = document.getElementById('affordabilityResults');
+    const { loan, results } = solution;
+    
+    // Display the solved value
+    let valueText;
+    let description;
+    switch (solution.unknown) {
+        case 'principal':
+            valueText = formatCurrency(solution.value);
+            description = translate('At {rate} over {time}', { rate: formatPercent(loan.annualRate), time: formatPayoffTime(loan.termYears * 12) });
+            break;
+        case 'rate':
+            valueText = formatPercent(solution.value);
+            description = translate('For {amount} over {time}', { amount: formatCurrency(loan.principal), time: formatPayoffTime(loan.termYears * 12) });
+            break;
+        case 'term':
+            valueText = formatPayoffTime(Math.round(solution.value * 12));
+            description = translate('For {amount} at {rate}', { amount: formatCurrency(loan.principal), rate: formatPercent(loan.annualRate) });
+            break;
+        case 'extra':
+            valueText = formatCurrency(solution.value);
+            description = translate('Paid off by {date}', { date: formatDate(results.schedule[results.schedule.length - 1].date) });
+            break;
+        default:
+            valueText = formatDate(solution.value);
+            description = translate('After {time}', { time: formatPayoffTime(results.monthsToPayoff) });
+            break;
+    }
+    document.getElementById('goalResultLabel').textContent = translate(goalSeekUnknowns[solution.unknown].label);
+    document.getElementById('goalResultValue').textContent = valueText;
+    document.getElementById('goalResultDescription').textContent = description;
+    document.getElementById('goalMonthlyPayment').textContent = formatCurrency(results.monthlyPayment + loan.extraMonthlyPayment);
+    document.getElementById('goalTotalInterest').textContent = formatCurrency(results.totalInterestPaid);
+    document.getElementById('goalPayoffDescription').textContent = translate('Over {time}', { time: formatPayoffTime(results.monthsToPayoff) });
+    
+    // Display the debt-to-income check
+    const debtToIncomeContainer = document.getElementById('debtToIncomeSummary');
+    debtToIncomeContainer.hidden = !debtToIncome;
+    if (debtToIncome) {
+        document.getElementById('frontEndRatio').textContent = formatPercent(debtToIncome.frontEndRatio);
+        document.getElementById('backEndRatio').textContent = formatPercent(debtToIncome.backEndRatio);
+        document.getElementById('debtToIncomeStatus').textContent = translate(debtToIncome.isWithinLimits ? 'Within limits' : 'Above limits');
+        document.getElementById('debtToIncomeDescription').textContent =
+            translate('Lenders usually allow up to {amount} a month for housing', { amount: formatCurrency(debtToIncome.maxHousingPayment) });
+    }
+    
+    // Show the results container
+    resultsContainer.style.display = 'block';
+    
+    // Smooth scroll to results
+    resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Returns a PNG data URL of the current loan chart, or null if there is no chart
+ * @returns {string|null} The chart image
+ */
+function getLoanChartImage() {
+    if (!loanChartInstance) return null;
+    return loanChartInstance.toBase64Image('image/png', 1);
+}
+
+/**
+ * Triggers a browser download for generated content
+ * @param {string} content - The file content
+ * @param {string} fileName - The suggested file name
+ * @param {string} mimeType - The MIME type of the file
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Asks for a loan calculation before anything can be exported from it, in the loan calculator's error summary
+ */
+function reportLoanNotCalculated() {
+    const form = document.getElementById('loanCalculatorForm');
+    clearFormErrors(form);
+    reportFormErrors(form, [{ input: null, message: translate('Please calculate your loan first') }]);
+}
+
+/**
+ * Downloads the loan chart shown as an image
+ * @param {string} format - 'png' for the picture drawn on the page, or 'svg' for a scalable drawing of the same data
+ */
+function downloadLoanChart(format) {
+    if (!loanChartInstance || !lastLoanChart) {
+        reportLoanNotCalculated();
+        return;
+    }
+    
+    const fileBase = `loan-chart-${lastLoanChart.type}-${formatIsoDate(new Date())}`;
+    if (format === 'svg') {
+        downloadFile(buildChartSvg(lastLoanChart, { formatTick: formatCurrencyTick }), `${fileBase}.svg`, 'image/svg+xml');
+        return;
+    }
+    
+    // The PNG is already encoded as a data URL, so it is downloaded directly
+    const link = document.createElement('a');
+    link.href = getLoanChartImage();
+    link.download = `${fileBase}.png`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Downloads one calendar year's interest statement as a CSV file
+ * @param {number} year - The calendar year
+ */
+function downloadInterestStatement(year) {
+    const statement = lastInterestStatements ? lastInterestStatements.years.find(entry => entry.year === year) : null;
+    if (!statement) {
+        reportLoanNotCalculated();
+        return;
+    }
+    
+    // Prefix a byte order mark so Excel detects UTF-8 (needed for €, £, ₹ and ¥)
+    downloadFile('\uFEFF' + buildInterestStatementCsv(statement), `interest-statement-${year}.csv`, 'text/csv;charset=utf-8');
+}
+
+/**
+ * Handles a click on one of the export buttons on the results panel
+ * @param {string} format - One of 'csv', 'spreadsheet', 'html' or 'print'
+ */
+function exportLoanCalculation(format) {
+    if (!lastLoanCalculation) {
+        reportLoanNotCalculated();
+        return;
+    }
+    
+    // Problems with the last export are shown next to the export buttons until the next one
+    const exportActions = document.getElementById('exportActions');
+    clearFormErrors(exportActions);
+
+    const fileBase = `amortization-schedule-${formatIsoDate(new Date())}`;
+
+    switch (format) {
+        case 'csv':
+            // Prefix a byte order mark so Excel detects UTF-8 (needed for €, £, ₹ and ¥)
+            downloadFile('\uFEFF' + buildScheduleCsv(lastLoanCalculation.results.schedule), `${fileBase}.csv`, 'text/csv;charset=utf-8');
+            break;
+        case 'spreadsheet':
+            downloadFile(buildScheduleSpreadsheet(lastLoanCalculation), `${fileBase}.xls`, 'application/vnd.ms-excel');
+            break;
+        case 'html':
+            downloadFile(buildPrintableReport(lastLoanCalculation, getLoanChartImage(), lastLoanChart ? lastLoanChart.title : undefined), `${fileBase}.html`, 'text/html;charset=utf-8');
+            break;
+        case 'print': {
+            const reportWindow = window.open('', '_blank');
+            if (!reportWindow) {
+                reportFormErrors(exportActions, [{ input: null, message: translate('Please allow pop-ups for this site to print the report') }]);
+                return;
+            }
+            reportWindow.document.open();
+            reportWindow.document.write(buildPrintableReport(lastLoanCalculation, getLoanChartImage(), lastLoanChart ? lastLoanChart.title : undefined));
+            reportWindow.document.close();
+            // Wait for the chart image to load before opening the print dialog
+            if (reportWindow.document.readyState === 'complete') {
+                reportWindow.print();
+            } else {
+                reportWindow.addEventListener('load', () => reportWindow.print());
+            }
+            break;
+        }
+        default:
+            console.error('Unknown export format:', format);
+    }
+}
+
+// URL parameter name -> form field id, for sharing the calculator state as a link
+const urlStateFields = {
+    currency: 'currency-selector',
+    principal: 'loanPrincipal',
+    rate: 'annualInterestRate',
+    term: 'loanTerm',
+    extra: 'extraMonthlyPayment',
+    start: 'loan-start-date',
+    frequency: 'paymentFrequency',
+    rounding: 'paymentRounding',
+    interest: 'interestConvention',
+    rateType: 'loanType',
+    armFixed: 'armFixedMonths',
+    armAdjust: 'armAdjustmentMonths',
+    armIndex: 'armIndexRate',
+    armMargin: 'armMargin',
+    armInitialCap: 'armInitialCap',
+    armPeriodicCap: 'armPeriodicCap',
+    armLifetimeCap: 'armLifetimeCap',
+    armFloor: 'armFloorRate',
+    interestOnly: 'interestOnlyMonths',
+    amortization: 'amortizationYears',
+    homeValue: 'homeValue',
+    tax: 'propertyTax',
+    insurance: 'homeInsurance',
+    pmi: 'pmiRate',
+    pmiLtv: 'pmiCancelLtv',
+    hoa: 'hoaDues',
+    fee: 'originationFee',
+    points: 'loanPoints',
+    otherFees: 'otherFinanceCharges',
+    refiPayments: 'refinancePaymentsMade',
+    refiCashOut: 'refinanceCashOut',
+    refiRate: 'refinanceInterestRate',
+    refiTerm: 'refinanceTerm',
+    refiCosts: 'refinanceClosingCosts',
+    refiPoints: 'refinancePoints',
+    refiCostHandling: 'refinanceCostHandling',
+    refiDiscount: 'refinanceDiscountRate',
+    lumpSum: 'lumpSumAmount',
+    lumpSumPayment: 'lumpSumPaymentNumber',
+    recastFee: 'recastFee',
+    invest: 'investmentReturn',
+    investTax: 'investmentTaxRate',
+    inflation: 'inflationRate',
+    marginalTax: 'marginalTaxRate',
+    stdDeduction: 'standardDeduction',
+    otherDeductions: 'otherDeductions'
+};
+
+/**
+ * Encodes the current form inputs and active tab as URL search parameters
+ * @returns {URLSearchParams} The encoded calculator state
+ */
+function serializeCalculatorState() {
+    const params = new URLSearchParams();
+
+    // Only fields that differ from their defaults go into the URL, to keep links short
+    Object.entries(urlStateFields).forEach(([param, fieldId]) => {
+        const field = document.getElementById(fieldId);
+        if (field && !isDefaultFieldValue(field)) {
+            params.set(param, getStateFieldValue(field));
+        }
+    });
+
+    readPrepayments().forEach(prepayment => {
+        params.append('prepay', encodePrepayment(prepayment));
+    });
+
+    const activeTab = document.querySelector('.tab-button.active');
+    if (activeTab) {
+        params.set('tab', activeTab.getAttribute('data-tab'));
+    }
+
+    return params;
+}
+
+/**
+ * Encodes a prepayment as a compact URL parameter value (e.g., "yearly:2000:month=3")
+ * @param {Object} prepayment - The prepayment (see getPrepaymentDue)
+ * @returns {string} The encoded prepayment
+ */
+function encodePrepayment(prepayment) {
+    const parts = [prepayment.type, prepayment.amount];
+    ['paymentNumber', 'date', 'month', 'startYear', 'stepAmount', 'stepMonths'].forEach(key => {
+        const value = prepayment[key];
+        if (value === undefined || value === null) return;
+        parts.push(`${key}=${value instanceof Date ? formatIsoDate(value) : value}`);
+    });
+    return parts.join(':');
+}
+
+/**
+ * Decodes a prepayment encoded by encodePrepayment
+ * @param {string} value - The encoded prepayment
+ * @returns {Object|null} The prepayment, or null if the value is not valid
+ */
+function decodePrepayment(value) {
+    const [type, amount, ...fields] = value.split(':');
+    if (!prepaymentTypes[type] || !(parseFloat(amount) > 0)) return null;
+
+    const prepayment = { type: type, amount: parseFloat(amount) };
+    fields.forEach(field => {
+        const [key, fieldValue] = field.split('=');
+        if (key === 'date') {
+            prepayment.date = parseDateInput(fieldValue);
+        } else if (['paymentNumber', 'month', 'startYear', 'stepAmount', 'stepMonths'].includes(key)) {
+            prepayment[key] = parseFloat(fieldValue);
+        }
+    });
+    return prepayment;
+}
+
+/**
+ * Reads a form field for a link or a saved loan. Numbers are written the same way in every display locale
+ * (e.g., "1234.5"), so a link made in one locale opens in any other.
+ * @param {HTMLInputElement|HTMLSelectElement} field - The form field
+ * @returns {string} The value
+ */
+function getStateFieldValue(field) {
+    if (!field.hasAttribute('inputmode')) return field.value;
+    const value = parseNumber(field.value);
+    return Number.isFinite(value) ? String(value) : field.value;
+}
+
+/**
+ * Fills a form field from a link or a saved loan (see getStateFieldValue)
+ * @param {HTMLInputElement|HTMLSelectElement} field - The form field
+ * @param {string} value - The value
+ */
+function setStateFieldValue(field, value) {
+    if (field.id === 'currency-selector' && currencyMap[value]) {
+        // Links and loans saved before the currency could be chosen on its own name a locale instead
+        value = currencyMap[value].currency;
+    }
+    if (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === value)) return;
+    
+    field.value = field.hasAttribute('inputmode') && String(value).trim() !== '' && isFinite(value)
+        ? formatInputNumber(Number(value))
+        : value;
+}
+
+/**
+ * Checks whether a form field still has the value it had when the page loaded
+ * @param {HTMLInputElement|HTMLSelectElement} field - The form field
+ * @returns {boolean} True if the field has its default value
+ */
+function isDefaultFieldValue(field) {
+    if (field.tagName === 'SELECT') {
+        const defaultOption = Array.from(field.options).find(option => option.defaultSelected) || field.options[0];
+        return !defaultOption || field.value === defaultOption.value;
+    }
+    return field.value === field.defaultValue;
+}
+
+/**
+ * Replaces the current URL with one that encodes the calculator state,
+ * so that reloading or bookmarking the page keeps the scenario
+ */
+function updateUrlFromState() {
+    const query = serializeCalculatorState().toString();
+    const url = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Restores the form inputs and active tab from the URL search parameters
+ * @returns {Object} Which forms received values: { loan, refinance, lumpSum }
+ */
+function restoreStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const restored = { loan: false, refinance: false, lumpSum: false };
+
+    Object.entries(urlStateFields).forEach(([param, fieldId]) => {
+        const field = document.getElementById(fieldId);
+        if (!field || !params.has(param)) return;
+
+        setStateFieldValue(field, params.get(param));
+        if (field.closest('#loanCalculatorForm') && field.id !== 'currency-selector') {
+            restored.loan = true;
+        } else if (field.closest('#refinanceForm')) {
+            restored.refinance = true;
+        } else if (field.closest('#lumpSumForm')) {
+            restored.lumpSum = true;
+        }
+    });
+
+    params.getAll('prepay').map(decodePrepayment).filter(Boolean).forEach(prepayment => {
+        addPrepaymentRow(prepayment);
+    });
+
+    updateCurrencyDisplay();
+    updateLoanTypeFields();
+
+    // Switch tabs through the regular tab button click handling
+    const tabButton = params.has('tab') ? document.querySelector(`.tab-button[data-tab="${CSS.escape(params.get('tab'))}"]`) : null;
+    if (tabButton) {
+        tabButton.click();
+    }
+
+    return restored;
+}
+
+/**
+ * Copies a link to the current scenario to the clipboard
+ * @param {HTMLElement} button - The share button, used to show feedback
+ */
+function copyShareLink(button) {
+    updateUrlFromState();
+    const link = window.location.href;
+    const originalText = button.textContent;
+
+    const showFeedback = text => {
+        button.textContent = text;
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link)
+            .then(() => showFeedback(translate('Link Copied!')))
+            .catch(() => window.prompt(translate('Copy this link to share the scenario:'), link));
+    } else {
+        window.prompt(translate('Copy this link to share the scenario:'), link);
+    }
+}
+
+// Payment tracker
+
+/**
+ * Adds a payment row to the payment tracker form
+ * @param {Object} [payment] - Optional { date, amount } to fill the row with
+ * @returns {HTMLElement} The new row
+ */
+function addActualPaymentRow(payment) {
+    const template = document.getElementById('actualPaymentRowTemplate');
+    const list = document.getElementById('actualPaymentList');
+    const row = template.content.firstElementChild.cloneNode(true);
+    
+    if (payment) {
+        row.querySelector('.actual-payment-date').value = payment.date ? formatIsoDate(payment.date) : '';
+        row.querySelector('.actual-payment-amount').value = payment.amount != null ? formatInputNumber(payment.amount) : '';
+    }
+    row.querySelector('.actual-payment-remove').addEventListener('click', () => row.remove());
+    
+    list.appendChild(row);
+    return row;
+}
+
+/**
+ * Reads the payments entered in the payment tracker form, skipping empty rows
+ * @param {Array} [errors] - Optional list to add the problems found to (see readNumberField)
+ * @param {Date} [startDate] - Optional loan start date that no payment may be dated before
+ * @returns {Array} Array of { date, amount } objects (see compareActualPayments)
+ */
+function readActualPayments(errors = [], startDate = null) {
+    const payments = [];
+    document.querySelectorAll('#actualPaymentList .actual-payment-row').forEach(row => {
+        const dateInput = row.querySelector('.actual-payment-date');
+        const amountInput = row.querySelector('.actual-payment-amount');
+        if (!dateInput.value && amountInput.value === '' && !(amountInput.validity && amountInput.validity.badInput)) return;
+        
+        const date = readDateField(dateInput, errors, { required: true, min: startDate });
+        const amount = readNumberField(amountInput, errors, { required: true });
+        if (date === null || amount === null) return;
+        
+        payments.push({ date: date, amount: amount });
+    });
+    return payments;
+}
+
+/**
+ * Reads the date the payment tracker compares on
+ * @param {Array} [errors] - Optional list to add the problems found to (see readDateField)
+ * @returns {Date} The chosen date, or today
+ */
+function readTrackerAsOfDate(errors = []) {
+    return readDateField(document.getElementById('trackerAsOfDate'), errors) || new Date();
+}
+
+/**
+ * Displays how the payments made compare with the planned schedule
+ * @param {Object} comparison - The result of compareActualPayments
+ */
+function displayPaymentComparison(comparison) {
+    const resultsContainer = document.getElementById('trackerResults');
+    const tableBody = document.getElementById('trackerLedgerBody');
+    const statusLabels = { paid: translate('Paid'), extra: translate('Paid extra'), partial: translate('Partial'), missed: translate('Missed') };
+    
+    // Where the loan stands now
+    document.getElementById('trackerCurrentBalance').textContent = formatCurrency(comparison.currentBalance);
+    document.getElementById('trackerCurrentBalanceDescription').textContent = comparison.pastDueInterest > 0
+        ? translate('Plus {amount} of unpaid interest', { amount: formatCurrency(comparison.pastDueInterest) })
+        : translate({ one: 'After {count} payment due by {date}', other: 'After {count} payments due by {date}' },
+            { count: comparison.periodsElapsed, date: formatDate(comparison.asOfDate) });
+    document.getElementById('trackerBalanceVariance').textContent = formatScenarioDelta(comparison.balanceVariance, formatCurrency);
+    document.getElementById('trackerBalanceVarianceDescription').textContent = [
+        translate('Planned balance {amount}', { amount: formatCurrency(comparison.plannedBalance) }),
+        comparison.missedPayments > 0 && translate('{count} missed', { count: comparison.missedPayments }),
+        comparison.partialPayments > 0 && translate('{count} partial', { count: comparison.partialPayments })
+    ].filter(Boolean).join(', ');
+    
+    // When the loan is now paid off, keeping up the planned payment
+    const payoffEl = document.getElementById('trackerPayoffDate');
+    const payoffDescriptionEl = document.getElementById('trackerPayoffDescription');
+    if (comparison.projectedPayoffDate) {
+        payoffEl.textContent = formatDate(comparison.projectedPayoffDate);
+        const months = comparison.payoffVarianceMonths;
+        const params = { time: formatPayoffTime(Math.abs(months)), date: formatDate(comparison.plannedPayoffDate) };
+        if (months === 0) {
+            payoffDescriptionEl.textContent = translate('On schedule with the planned {date}', params);
+        } else {
+            payoffDescriptionEl.textContent = months > 0
+                ? translate('{time} later than the planned {date}', params)
+                : translate('{time} earlier than the planned {date}', params);
+        }
+    } else {
+        payoffEl.textContent = translate('Never');
+        payoffDescriptionEl.textContent = translate('The planned payment no longer covers the interest');
+    }
+    
+    // Interest so far and over the life of the loan
+    document.getElementById('trackerInterestToDate').textContent = formatCurrency(comparison.interestChargedToDate);
+    document.getElementById('trackerInterestDescription').textContent = translate('{difference} vs. the planned {amount}', {
+        difference: formatScenarioDelta(comparison.interestVariance, formatCurrency),
+        amount: formatCurrency(comparison.plannedInterestToDate)
+    });
+    document.getElementById('trackerLifetimeInterest').textContent = comparison.lifetimeInterestVariance !== null
+        ? formatScenarioDelta(comparison.lifetimeInterestVariance, formatCurrency)
+        : '-';
+    document.getElementById('trackerLifetimeInterestDescription').textContent = comparison.projectedTotalInterest !== null
+        ? translate('{amount} in total, planned {planned}',
+            { amount: formatCurrency(comparison.projectedTotalInterest), planned: formatCurrency(comparison.plannedTotalInterest) })
+        : '';
+    document.getElementById('trackerReamortizedPayment').textContent = comparison.reamortizedPayment !== null
+        ? formatCurrency(comparison.reamortizedPayment)
+        : '-';
+    document.getElementById('trackerReamortizedDescription').textContent = comparison.reamortizedPayment !== null
+        ? translate('Pays the loan off by the planned {date}', { date: formatDate(comparison.plannedPayoffDate) })
+        : translate(comparison.currentBalance + comparison.pastDueInterest > 0 ? 'The planned term is over' : 'The loan is paid off');
+    
+    // Payment-by-payment history, most recent first
+    tableBody.innerHTML = '';
+    comparison.ledger.slice().reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        if (entry.status === 'missed' || entry.status === 'partial') {
+            row.className = 'missed-payment';
+        } else if (entry.status === 'extra') {
+            row.className = 'prepayment-payment';
+        }
+        [
+            entry.paymentNumber,
+            formatDate(entry.dueDate),
+            formatCurrency(entry.plannedPayment),
+            formatCurrency(entry.amountPaid),
+            statusLabels[entry.status],
+            formatCurrency(entry.interestPaid),
+            formatCurrency(entry.principalPaid),
+            formatCurrency(entry.remainingBalance),
+            formatScenarioDelta(entry.balanceVariance, formatCurrency)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+    
+    // Show the results container
+    resultsContainer.style.display = 'block';
+    
+    // Smooth scroll to results
+    resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Saved loan library
+
+/**
+ * Opens the browser storage that the saved loan library is kept in
+ * @returns {Storage|null} localStorage, or null if the browser blocks it
+ */
+function getLibraryStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Collects the loan calculator, refinance and payment tracker inputs to save in the library
+ * @returns {Object} The { fields, prepayments, actualPayments } state, with the fields keyed by their URL
+ *   parameter names (see urlStateFields), the prepayments encoded by encodePrepayment and the payments
+ *   made as { date (YYYY-MM-DD), amount }
+ */
+function readLoanState() {
+    const fields = {};
+    Object.entries(urlStateFields).forEach(([param, fieldId]) => {
+        const field = document.getElementById(fieldId);
+        if (field) {
+            fields[param] = getStateFieldValue(field);
+        }
+    });
+    return {
+        fields: fields,
+        prepayments: readPrepayments().map(encodePrepayment),
+        actualPayments: readActualPayments().map(payment => ({ date: formatIsoDate(payment.date), amount: payment.amount }))
+    };
+}
+
+/**
+ * Fills the loan calculator and refinance forms from a saved loan and recalculates both
+ * @param {Object} state - The saved state (see readLoanState)
+ */
+function applyLoanState(state) {
+    const fields = state.fields || {};
+    Object.entries(urlStateFields).forEach(([param, fieldId]) => {
+        const field = document.getElementById(fieldId);
+        if (field && param in fields) {
+            setStateFieldValue(field, fields[param]);
+        }
+    });
+    
+    document.getElementById('prepaymentList').innerHTML = '';
+    (state.prepayments || []).map(decodePrepayment).filter(Boolean).forEach(prepayment => {
+        addPrepaymentRow(prepayment);
+    });
+    document.getElementById('actualPaymentList').innerHTML = '';
+    (state.actualPayments || []).forEach(payment => {
+        addActualPaymentRow({ date: parseDateInput(payment.date), amount: payment.amount });
+    });
+    document.getElementById('trackerResults').style.display = 'none';
+    
+    updateCurrencyDisplay();
+    updateLoanTypeFields();
+    document.querySelector('.tab-button[data-tab="loan-calculator"]').click();
+    
+    if (fields.principal) {
+        document.getElementById('loanCalculatorForm').requestSubmit();
+        if (fields.refiRate && fields.refiTerm) {
+            document.getElementById('refinanceForm').requestSubmit();
+        }
+    }
+}
+
+/**
+ * Collects the rows of the scenario comparison workspace to save in the library
+ * @returns {Object} The { scenarios, baselineIndex } state (see compareScenarios)
+ */
+function readScenarioState() {
+    const rows = Array.from(document.querySelectorAll('#scenarioList .scenario-row'));
+    return {
+        scenarios: rows.map(readScenarioRow),
+        baselineIndex: Math.max(0, rows.findIndex(row => row.querySelector('.scenario-baseline').checked))
+    };
+}
+
+/**
+ * Replaces the scenario comparison workspace with a saved scenario set
+ * @param {Object} state - The saved state (see readScenarioState)
+ */
+function applyScenarioState(state) {
+    const list = document.getElementById('scenarioList');
+    list.innerHTML = '';
+    (state.scenarios || []).forEach(scenario => addScenarioRow(scenario));
+    
+    const baseline = list.querySelectorAll('.scenario-baseline')[state.baselineIndex || 0];
+    if (baseline) {
+        baseline.checked = true;
+    }
+    
+    document.querySelector('.tab-button[data-tab="scenario-comparison"]').click();
+    updateScenarioComparison();
+}
+
+/**
+ * Summarizes a saved entry for the library list
+ * @param {Object} entry - The saved entry (see readLibrary)
+ * @returns {string} The description (e.g., "Loan · $300,000.00 at 6% for 30 years · Saved 03/05/2025")
+ */
+function describeLibraryEntry(entry) {
+    const parts = [translate(libraryEntryTypes[entry.type])];
+    
+    if (entry.type === 'loan') {
+        // Saved fields hold numbers in the same notation in every locale (see getStateFieldValue)
+        const fields = entry.state.fields || {};
+        const currency = currencyMap[fields.currency] ? currencyMap[fields.currency].currency : fields.currency || currentCurrency;
+        const principal = parseFloat(fields.principal);
+        if (principal > 0) {
+            parts.push(translate({ one: '{amount} at {rate} for {count} year', other: '{amount} at {rate} for {count} years' }, {
+                amount: formatCurrency(principal, currentLocale, currency),
+                rate: formatPercent(parseFloat(fields.rate) || 0),
+                count: parseFloat(fields.term) || 0
+            }));
+        }
+    } else {
+        const count = (entry.state.scenarios || []).length;
+        parts.push(translate({ one: '{count} scenario', other: '{count} scenarios' }, { count: count }));
+    }
+    
+    parts.push(translate('Saved {date}', { date: formatDate(new Date(entry.updatedAt)) }));
+    return parts.join(' · ');
+}
+
+/**
+ * Lists the saved loans and scenario sets
+ */
+function renderSavedLoans() {
+    const list = document.getElementById('savedLoanList');
+    const emptyMessage = document.getElementById('savedLoansEmpty');
+    const storage = getLibraryStorage();
+    if (!list || !storage) return;
+    
+    const template = document.getElementById('savedLoanRowTemplate');
+    const entries = readLibrary(storage);
+    list.innerHTML = '';
+    emptyMessage.hidden = entries.length > 0;
+    
+    entries.forEach(entry => {
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.querySelector('.saved-loan-name').textContent = entry.name;
+        row.querySelector('.saved-loan-description').textContent = describeLibraryEntry(entry);
+        
+        // Every action re-reads the entry, in case another tab changed the library meanwhile
+        const runAction = action => {
+            try {
+                action();
+            } catch (error) {
+                console.error('Saved loan library error:', error.message);
+                const saveLoanForm = document.getElementById('saveLoanForm');
+                clearFormErrors(saveLoanForm);
+                reportCalculationError(saveLoanForm, error);
+            }
+            renderSavedLoans();
+        };
+        
+        row.querySelector('.saved-loan-load').addEventListener('click', () => runAction(() => {
+            const saved = getLibraryEntry(storage, entry.id);
+            if (!saved) {
+                throw new Error(translate('The saved entry no longer exists'));
+            }
+            if (saved.type === 'loan') {
+                applyLoanState(saved.state);
+            } else {
+                applyScenarioState(saved.state);
+            }
+        }));
+        row.querySelector('.saved-loan-rename').addEventListener('click', () => runAction(() => {
+            const name = window.prompt(translate('Rename saved entry:'), entry.name);
+            if (name !== null) {
+                renameLibraryEntry(storage, entry.id, name);
+            }
+        }));
+        row.querySelector('.saved-loan-duplicate').addEventListener('click', () => runAction(() => {
+            duplicateLibraryEntry(storage, entry.id);
+        }));
+        row.querySelector('.saved-loan-delete').setAttribute('aria-label', translate('Delete {name}', { name: entry.name }));
+        row.querySelector('.saved-loan-delete').addEventListener('click', () => runAction(() => {
+            if (window.confirm(translate('Delete "{name}"? This cannot be undone.', { name: entry.name }))) {
+                deleteLibraryEntry(storage, entry.id);
+            }
+        }));
+        
+        list.appendChild(row);
+    });
+}
+
+// Loan and refinance calculations
+// The loan calculator and refinance forms recalculate as their inputs change. Edits are debounced, so
+// typing a number or dragging a slider recalculates once the input settles instead of on every keystroke.
+
+// How long the inputs have to settle before a live recalculation, in milliseconds
+const liveRecalculationDelay = 300;
+
+// InputError field -> loan calculator input
+const loanFormFields = {
+    principal: 'loanPrincipal',
+    annualRate: 'annualInterestRate',
+    termYears: 'loanTerm',
+    extraMonthlyPayment: 'extraMonthlyPayment',
+    startDate: 'loan-start-date',
+    fixedMonths: 'armFixedMonths',
+    adjustmentMonths: 'armAdjustmentMonths',
+    interestOnlyMonths: 'interestOnlyMonths',
+    amortizationYears: 'amortizationYears',
+    homeValue: 'homeValue',
+    propertyTax: 'propertyTax',
+    insurance: 'homeInsurance',
+    pmiRate: 'pmiRate',
+    hoaDues: 'hoaDues',
+    originationFee: 'originationFee',
+    points: 'loanPoints',
+    otherCharges: 'otherFinanceCharges',
+    prepaidFinanceCharges: 'originationFee'
+};
+
+// InputError field -> refinance input
+const refinanceFormFields = {
+    paymentsMade: 'refinancePaymentsMade',
+    annualRate: 'refinanceInterestRate',
+    termYears: 'refinanceTerm',
+    closingCosts: 'refinanceClosingCosts',
+    points: 'refinancePoints',
+    cashOut: 'refinanceCashOut'
+};
+
+// InputError field -> lump-sum comparison input
+const lumpSumFormFields = {
+    lumpSum: 'lumpSumAmount',
+    paymentNumber: 'lumpSumPaymentNumber',
+    recastFee: 'recastFee'
+};
+
+// InputError field -> prepay vs. invest input
+const prepayInvestFormFields = {
+    investmentReturn: 'investmentReturn',
+    taxRate: 'investmentTaxRate',
+    inflationRate: 'inflationRate'
+};
+
+// InputError field -> interest statement input
+const interestStatementFormFields = {
+    marginalRate: 'marginalTaxRate',
+    standardDeduction: 'standardDeduction',
+    otherDeductions: 'otherDeductions'
+};
+
+/**
+ * Wraps a function so it only runs once calls to it have stopped for a while
+ * @param {Function} callback - The function to run
+ * @param {number} wait - How long to wait after the last call, in milliseconds
+ * @returns {Function} The debounced function, with a cancel() method that drops a pending call
+ */
+function debounce(callback, wait) {
+    let timer = null;
+    const debounced = function(...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => callback.apply(this, args), wait);
+    };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
+}
+
+/**
+ * Moves each slider to the value of the input it belongs to (e.g., after the form is filled from a link)
+ */
+function updateInputSliders() {
+    document.querySelectorAll('[data-slider-for]').forEach(slider => {
+        const input = document.getElementById(slider.getAttribute('data-slider-for'));
+        const value = input ? parseNumber(input.value) : NaN;
+        if (Number.isFinite(value)) {
+            slider.value = value;
+        }
+    });
+}
+
+/**
+ * Validates the loan calculator form and shows the loan's results, table and chart
+ * @param {boolean} [live] - Whether this is a live recalculation while the inputs are edited (problems are
+ *     shown quietly, see reportFormErrors, and the page does not scroll to the results)
+ */
+function calculateLoanFromForm(live = false) {
+    const form = document.getElementById('loanCalculatorForm');
+    clearFormErrors(form);
+    updateInputSliders();
+    
+    // Get form values
+    const errors = [];
+    const principal = readNumberField(document.getElementById('loanPrincipal'), errors, { positive: true });
+    const annualRate = readNumberField(document.getElementById('annualInterestRate'), errors);
+    const termYears = readNumberField(document.getElementById('loanTerm'), errors);
+    const extraPaymentInput = document.getElementById('extraMonthlyPayment');
+    const extraPayment = readNumberField(extraPaymentInput, errors) || 0;
+    if (principal !== null && extraPayment > principal) {
+        errors.push({ input: extraPaymentInput, message: translate('The extra payment cannot be more than the loan principal') });
+    }
+    
+    // Get loan start date
+    const loanStartDateInput = document.getElementById('loan-start-date');
+    const startDate = (loanStartDateInput && readDateField(loanStartDateInput, errors)) || new Date();
+    
+    // Get any lump-sum or scheduled prepayments, the adjustable-rate settings, the interest-only period and
+    // amortization term, the taxes, insurance, PMI and HOA dues and the lender's fees and points
+    const prepayments = readPrepayments(errors);
+    const rateSchedule = readRateSchedule(errors);
+    const loanStructure = readLoanStructure(errors);
+    const escrow = readEscrow(errors);
+    const fees = readLoanFees(errors);
+    const frequencySelector = document.getElementById('paymentFrequency');
+    const frequency = frequencySelector ? frequencySelector.value : 'monthly';
+    const roundingSelector = document.getElementById('paymentRounding');
+    const paymentRounding = roundingSelector ? roundingSelector.value : 'nearest';
+    const conventionSelector = document.getElementById('interestConvention');
+    const interestConvention = conventionSelector ? conventionSelector.value : 'standard';
+    
+    if (reportFormErrors(form, errors, live)) return;
+    
+    try {
+        // Calculate amortization with the selected start date
+        const results = calculateAmortization(principal, annualRate, termYears, extraPayment, startDate, {
+            frequency: frequency,
+            prepayments: prepayments,
+            rateSchedule: rateSchedule,
+            loanStructure: loanStructure,
+            escrow: escrow,
+            fees: fees,
+            paymentRounding: paymentRounding,
+            interestConvention: interestConvention
+        });
+        
+        // Store the original loan's monthly payment (or its monthly equivalent) for refinance calculations
+        originalLoanMonthlyPayment = results.monthlyPayment;
+
+        // Keep the inputs and results around for the export actions
+        lastLoanCalculation = {
+            inputs: {
+                principal: principal,
+                annualRate: annualRate,
+                termYears: termYears,
+                extraMonthlyPayment: extraPayment,
+                startDate: startDate,
+                frequency: frequency,
+                paymentRounding: paymentRounding,
+                interestConvention: interestConvention,
+                prepayments: prepayments,
+                rateSchedule: rateSchedule,
+                loanStructure: loanStructure,
+                escrow: escrow,
+                fees: fees
+            },
+            results: results
+        };
+
+        // Display results in the UI
+        displayResults(results, live);
+
+        // Keep the URL in sync so the scenario can be bookmarked or shared
+        updateUrlFromState();
+        
+        // The refinance tab and the prepay vs. invest comparison follow the loan (nothing is shown until their
+        // inputs are filled in)
+        calculateRefinanceFromForm(true);
+        updateLumpSumComparison();
+        updatePrepayInvestComparison();
+    } catch (error) {
+        console.error('Calculation error:', error.message);
+        reportCalculationError(form, error, loanFormFields, live);
+    }
+}
+
+/**
+ * Validates the refinance form and shows the refinance analysis of the last loan calculation
+ * @param {boolean} [live] - Whether this is a live recalculation (see calculateLoanFromForm)
+ */
+function calculateRefinanceFromForm(live = false) {
+    const refinanceForm = document.getElementById('refinanceForm');
+    if (!refinanceForm) return;
+    clearFormErrors(refinanceForm);
+    
+    // Check if original loan data is available
+    if (!originalLoanMonthlyPayment || originalLoanMonthlyPayment <= 0 || !lastLoanCalculation) {
+        reportFormErrors(refinanceForm, [{ input: null, message: translate('Please calculate your original loan first using the Loan Calculator tab') }], live);
+        return;
+    }
+    
+    // Get refinance form values
+    const errors = [];
+    const originalSchedule = lastLoanCalculation.results.schedule;
+    const enteredPaymentsMade = readNumberField(document.getElementById('refinancePaymentsMade'), errors, { max: originalSchedule.length - 1 });
+    const refinanceInterestRate = readNumberField(document.getElementById('refinanceInterestRate'), errors, { required: true });
+    const refinanceTerm = readNumberField(document.getElementById('refinanceTerm'), errors, { required: true });
+    const refinanceClosingCosts = readNumberField(document.getElementById('refinanceClosingCosts'), errors) || 0;
+    const points = readNumberField(document.getElementById('refinancePoints'), errors) || 0;
+    const cashOut = readNumberField(document.getElementById('refinanceCashOut'), errors) || 0;
+    const discountRate = readNumberField(document.getElementById('refinanceDiscountRate'), errors);
+    if (reportFormErrors(refinanceForm, errors, live)) return;
+    
+    // Without a payment count, refinance the balance after the payments due up to today
+    const paymentsMade = enteredPaymentsMade !== null
+        ? enteredPaymentsMade
+        : Math.min(countPaymentsMade(originalSchedule), originalSchedule.length - 1);
+    
+    try {
+        const analysis = calculateRefinanceAnalysis({
+            schedule: originalSchedule,
+            principal: lastLoanCalculation.inputs.principal,
+            startDate: lastLoanCalculation.inputs.startDate,
+            monthlyPayment: originalLoanMonthlyPayment
+        }, paymentsMade, {
+            annualRate: refinanceInterestRate,
+            termYears: refinanceTerm,
+            closingCosts: refinanceClosingCosts,
+            points: points,
+            cashOut: cashOut,
+            rollInCosts: document.getElementById('refinanceCostHandling').value === 'rolled',
+            discountRate: discountRate
+        });
+        
+        // Display the refinance analysis results
+        displayRefinanceResults(analysis, live);
+
+        updateUrlFromState();
+    } catch (error) {
+        console.error('Refinance calculation error:', error.message);
+        reportCalculationError(refinanceForm, error, refinanceFormFields, live);
+    }
+}
+
+/**
+ * Validates the lump-sum form and compares prepaying, recasting and refinancing with the lump sum. The
+ * refinance side uses the new rate, term, closing costs and points of the refinance form when they are filled in.
+ * @param {boolean} [live] - Whether this is a live recalculation (see calculateLoanFromForm)
+ */
+function calculateLumpSumFromForm(live = false) {
+    const lumpSumForm = document.getElementById('lumpSumForm');
+    if (!lumpSumForm) return;
+    clearFormErrors(lumpSumForm);
+    
+    if (!lastLoanCalculation) {
+        reportFormErrors(lumpSumForm, [{ input: null, message: translate('Please calculate your original loan first using the Loan Calculator tab') }], live);
+        return;
+    }
+    
+    const errors = [];
+    const schedule = lastLoanCalculation.results.schedule;
+    const lumpSum = readNumberField(document.getElementById('lumpSumAmount'), errors, { positive: true });
+    const enteredPaymentNumber = readNumberField(document.getElementById('lumpSumPaymentNumber'), errors, { max: schedule.length - 1 });
+    const recastFee = readNumberField(document.getElementById('recastFee'), errors) || 0;
+    if (reportFormErrors(lumpSumForm, errors, live)) return;
+    
+    // Problems with the refinance inputs are shown on the refinance form, so a refinance is only added once they are valid
+    const refinanceErrors = [];
+    const refinance = {
+        annualRate: readNumberField(document.getElementById('refinanceInterestRate'), refinanceErrors),
+        termYears: readNumberField(document.getElementById('refinanceTerm'), refinanceErrors),
+        closingCosts: readNumberField(document.getElementById('refinanceClosingCosts'), refinanceErrors) || 0,
+        points: readNumberField(document.getElementById('refinancePoints'), refinanceErrors) || 0
+    };
+    const hasRefinance = refinanceErrors.length === 0 && refinance.annualRate !== null && refinance.termYears !== null;
+    
+    // Without a payment number, pay the lump sum with the next payment due
+    const paymentNumber = enteredPaymentNumber !== null
+        ? enteredPaymentNumber
+        : Math.max(1, Math.min(countPaymentsMade(schedule) + 1, schedule.length - 1));
+    
+    try {
+        const comparison = compareLumpSumOptions(lastLoanCalculation, paymentNumber, lumpSum, {
+            recastFee: recastFee,
+            refinance: hasRefinance ? refinance : null
+        });
+        displayLumpSumComparison(comparison, live);
+        updateUrlFromState();
+    } catch (error) {
+        console.error('Lump sum comparison error:', error.message);
+        reportCalculationError(lumpSumForm, error, lumpSumFormFields, live);
+    }
+}
+
+/**
+ * Recalculates the lump-sum comparison once it is shown, so it follows the loan and refinance inputs
+ */
+function updateLumpSumComparison() {
+    const results = document.getElementById('lumpSumResults');
+    if (results && !results.hidden) {
+        calculateLumpSumFromForm(true);
+    }
+}
+
+/**
+ * Validates the prepay vs. invest form and compares prepaying the loan with investing the extra payments. A
+ * comparison asked for with the button also switches the loan chart to show it.
+ * @param {boolean} [live] - Whether this is a live recalculation (see calculateLoanFromForm)
+ */
+function calculatePrepayInvestFromForm(live = false) {
+    const prepayInvestForm = document.getElementById('prepayInvestForm');
+    if (!prepayInvestForm || !lastLoanCalculation) return;
+    clearFormErrors(prepayInvestForm);
+    
+    const errors = [];
+    const investmentReturn = readNumberField(document.getElementById('investmentReturn'), errors);
+    const taxRate = readNumberField(document.getElementById('investmentTaxRate'), errors) || 0;
+    const inflationRate = readNumberField(document.getElementById('inflationRate'), errors) || 0;
+    
+    // Without a comparison the results and the chart are cleared, rather than left showing an older one
+    lastPrepayInvestAnalysis = null;
+    if (!reportFormErrors(prepayInvestForm, errors, live)) {
+        try {
+            lastPrepayInvestAnalysis = comparePrepayingWithInvesting(lastLoanCalculation, {
+                investmentReturn: investmentReturn,
+                taxRate: taxRate,
+                inflationRate: inflationRate
+            });
+            displayPrepayInvestComparison(lastPrepayInvestAnalysis);
+            updateUrlFromState();
+        } catch (error) {
+            console.error('Prepay vs. invest error:', error.message);
+            reportCalculationError(prepayInvestForm, error, prepayInvestFormFields, live);
+        }
+    }
+    document.getElementById('prepayInvestResults').hidden = !lastPrepayInvestAnalysis;
+    
+    const typeSelector = document.getElementById('loanChartType');
+    if (typeSelector && !live && lastPrepayInvestAnalysis) {
+        typeSelector.value = 'invest';
+    }
+    if (typeSelector && typeSelector.value === 'invest') {
+        createLoanChart(lastLoanCalculation.results.schedule, paymentFrequencies[lastLoanCalculation.results.frequency].periodsPerYear);
+    }
+}
+
+/**
+ * Recalculates the prepay vs. invest comparison once an investment return is entered, so it follows the loan
+ */
+function updatePrepayInvestComparison() {
+    const investmentReturnInput = document.getElementById('investmentReturn');
+    if (investmentReturnInput && investmentReturnInput.value.trim() !== '') {
+        calculatePrepayInvestFromForm(true);
+    }
+}
+
+/**
+ * Validates the deduction inputs and shows the yearly interest statements of the last loan calculation. The
+ * tax savings are only estimated once a marginal tax rate is entered.
+ * @param {boolean} [live] - Whether this is a live recalculation (see calculateLoanFromForm)
+ */
+function calculateInterestStatementsFromForm(live = false) {
+    const interestStatementForm = document.getElementById('interestStatementForm');
+    if (!interestStatementForm || !lastLoanCalculation) return;
+    clearFormErrors(interestStatementForm);
+    
+    // The statements are shown without the estimate while the deduction inputs have problems
+    const errors = [];
+    const marginalRate = readNumberField(document.getElementById('marginalTaxRate'), errors);
+    const standardDeduction = readNumberField(document.getElementById('standardDeduction'), errors) || 0;
+    const otherDeductions = readNumberField(document.getElementById('otherDeductions'), errors) || 0;
+    const hasDeduction = !reportFormErrors(interestStatementForm, errors, live) && marginalRate !== null;
+    
+    try {
+        lastInterestStatements = calculateInterestStatements(lastLoanCalculation.results.schedule, {
+            deduction: hasDeduction
+                ? { marginalRate: marginalRate, standardDeduction: standardDeduction, otherDeductions: otherDeductions }
+                : null
+        });
+        displayInterestStatements(lastInterestStatements);
+        updateUrlFromState();
+    } catch (error) {
+        console.error('Interest statement error:', error.message);
+        reportCalculationError(interestStatementForm, error, interestStatementFormFields, live);
+    }
 }
 
+// Live recalculations of the loan calculator, refinance, lump-sum and prepay vs. invest forms
+const recalculateLoanLive = debounce(() => calculateLoanFromForm(true), liveRecalculationDelay);
+const recalculateRefinanceLive = debounce(() => {
+    calculateRefinanceFromForm(true);
+    updateLumpSumComparison();
+}, liveRecalculationDelay);
+const recalculateLumpSumLive = debounce(() => calculateLumpSumFromForm(true), liveRecalculationDelay);
+const recalculatePrepayInvestLive = debounce(() => calculatePrepayInvestFromForm(true), liveRecalculationDelay);
+const recalculateInterestStatementsLive = debounce(() => calculateInterestStatementsFromForm(true), liveRecalculationDelay);
+
 // DOMContentLoaded event listener for form handling
 document.addEventListener('DOMContentLoaded', function() {
     // Tab switching functionality
@@ -736,94 +3601,451 @@ document.addEventListener('DOMContentLoaded', function() {
                 targetContent.classList.add('active');
                 targetContent.style.display = 'block';
             }
+
+            updateUrlFromState();
         });
     });
     
+    // Display locale and currency: start from the locale chosen on an earlier visit (or the browser's
+    // language) in the currency usually used there, until a link or a saved loan says otherwise
+    setCurrentLocale(getInitialLocale());
+    setCurrentCurrency(displayLocales[currentLocale]);
+    populateLocaleSelectors();
+    translatePage();
+    
+    const localeSelector = document.getElementById('locale-selector');
+    if (localeSelector) {
+        localeSelector.addEventListener('change', function() {
+            changeDisplayLocale(this.value);
+        });
+    }
+    
     // Currency selector event listener
     const currencySelector = document.getElementById('currency-selector');
     if (currencySelector) {
-        currencySelector.addEventListener('change', updateCurrencyDisplay);
+        currencySelector.addEventListener('change', function() {
+            updateCurrencyDisplay();
+            updateScenarioComparison();
+            updateUrlFromState();
+        });
     }
     
     // Initialize currency display on page load
     updateCurrencyDisplay();
     
-    // Loan calculator form handling
+    // Export buttons on the results panel
+    document.querySelectorAll('.export-button[data-export]').forEach(button => {
+        button.addEventListener('click', function() {
+            exportLoanCalculation(this.getAttribute('data-export'));
+        });
+    });
+    
+    // Loan chart picker and downloads
+    ['loanChartType', 'chartGranularity', 'chartAppreciationRate'].forEach(fieldId => {
+        const field = document.getElementById(fieldId);
+        if (!field) return;
+        field.addEventListener(fieldId === 'chartAppreciationRate' ? 'input' : 'change', function() {
+            if (lastLoanCalculation) {
+                createLoanChart(lastLoanCalculation.results.schedule, paymentFrequencies[lastLoanCalculation.results.frequency].periodsPerYear);
+            }
+        });
+    });
+    document.querySelectorAll('[data-chart-download]').forEach(button => {
+        button.addEventListener('click', function() {
+            downloadLoanChart(this.getAttribute('data-chart-download'));
+        });
+    });
+    
+    const shareLinkButton = document.getElementById('shareLinkButton');
+    if (shareLinkButton) {
+        shareLinkButton.addEventListener('click', function() {
+            copyShareLink(this);
+        });
+    }
+    
+    // Adjustable-rate settings
+    const loanTypeSelector = document.getElementById('loanType');
+    if (loanTypeSelector) {
+        loanTypeSelector.addEventListener('change', updateLoanTypeFields);
+        
+        document.getElementById('armPreset').addEventListener('change', function() {
+            if (this.value === 'custom') return;
+            const [fixedMonths, adjustmentMonths] = this.value.split('/');
+            document.getElementById('armFixedMonths').value = fixedMonths;
+            document.getElementById('armAdjustmentMonths').value = adjustmentMonths;
+        });
+        ['armFixedMonths', 'armAdjustmentMonths'].forEach(fieldId => {
+            document.getElementById(fieldId).addEventListener('input', updateLoanTypeFields);
+        });
+    }
+    
+    // Amortization table: draw the rows in view as it scrolls, and move around it by year, date or keyboard
+    const amortizationTableWrapper = document.getElementById('amortizationTableWrapper');
+    if (amortizationTableWrapper) {
+        amortizationTableWrapper.addEventListener('scroll', scheduleAmortizationRender);
+        window.addEventListener('resize', scheduleAmortizationRender);
+        document.getElementById('amortizationTableBody').addEventListener('keydown', handleAmortizationKeydown);
+        document.getElementById('expandAllYearsButton').addEventListener('click', () => setAllAmortizationYears(false));
+        document.getElementById('collapseAllYearsButton').addEventListener('click', () => setAllAmortizationYears(true));
+        document.getElementById('equityThreshold').addEventListener('input', updateEquityHighlight);
+        document.getElementById('scheduleJumpForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            const date = parseDateInput(document.getElementById('scheduleJumpDate').value);
+            if (date) {
+                jumpToScheduleDate(date);
+            }
+        });
+    }
+    
+    // Prepayment rows
+    const addPrepaymentButton = document.getElementById('addPrepaymentButton');
+    if (addPrepaymentButton) {
+        addPrepaymentButton.addEventListener('click', function() {
+            addPrepaymentRow().querySelector('.prepayment-amount').focus();
+        });
+    }
+    
+    // Validated forms drop the message under an input as soon as the input is edited
+    document.querySelectorAll('form[novalidate]').forEach(validatedForm => {
+        validatedForm.addEventListener('input', function(e) {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                clearFieldError(e.target);
+            }
+        });
+    });
+    
+    // Loan calculator form handling: results follow the inputs as they are typed, and submitting
+    // recalculates right away
     const form = document.getElementById('loanCalculatorForm');
     
     form.addEventListener('submit', function(e) {
         e.preventDefault();
-        
-        // Get form values
-        const principal = parseFloat(document.getElementById('loanPrincipal').value);
-        const annualRate = parseFloat(document.getElementById('annualInterestRate').value);
-        const termYears = parseFloat(document.getElementById('loanTerm').value);
-        const extraPayment = parseFloat(document.getElementById('extraMonthlyPayment').value) || 0;
-        
-        // Get loan start date
-        const loanStartDateInput = document.getElementById('loan-start-date');
-        let startDate = new Date();
-        if (loanStartDateInput && loanStartDateInput.value) {
-            startDate = new Date(loanStartDateInput.value);
-        }
-        
-        try {
-            // Calculate amortization with the selected start date
-            const results = calculateAmortization(principal, annualRate, termYears, extraPayment, startDate);
-            
-            // Store the original loan's monthly payment for refinance calculations
-            originalLoanMonthlyPayment = results.monthlyPayment;
-            
-            // Display results in the UI
-            displayResults(results);
-        } catch (error) {
-            console.error('Calculation error:', error.message);
-            alert('Error: ' + error.message);
-        }
+        recalculateLoanLive.cancel();
+        calculateLoanFromForm();
+    });
+    form.addEventListener('input', recalculateLoanLive);
+    form.addEventListener('change', recalculateLoanLive);
+    
+    // Sliders move the input they belong to, which then recalculates like any other edit
+    document.querySelectorAll('[data-slider-for]').forEach(slider => {
+        const input = document.getElementById(slider.getAttribute('data-slider-for'));
+        slider.addEventListener('input', function() {
+            input.value = formatInputNumber(Number(this.value));
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        input.addEventListener('input', updateInputSliders);
     });
     
-    // Refinance form handling
+    // Refinance form handling, recalculated live in the same way
     const refinanceForm = document.getElementById('refinanceForm');
     if (refinanceForm) {
         refinanceForm.addEventListener('submit', function(e) {
             e.preventDefault();
+            recalculateRefinanceLive.cancel();
+            calculateRefinanceFromForm();
+        });
+        refinanceForm.addEventListener('input', recalculateRefinanceLive);
+        refinanceForm.addEventListener('change', recalculateRefinanceLive);
+    }
+    
+    // Lump-sum comparison, recalculated live in the same way
+    const lumpSumForm = document.getElementById('lumpSumForm');
+    if (lumpSumForm) {
+        lumpSumForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            recalculateLumpSumLive.cancel();
+            calculateLumpSumFromForm();
+        });
+        lumpSumForm.addEventListener('input', recalculateLumpSumLive);
+        lumpSumForm.addEventListener('change', recalculateLumpSumLive);
+    }
+    
+    // Prepay vs. invest comparison, recalculated live in the same way
+    const prepayInvestForm = document.getElementById('prepayInvestForm');
+    if (prepayInvestForm) {
+        prepayInvestForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            recalculatePrepayInvestLive.cancel();
+            calculatePrepayInvestFromForm();
+        });
+        prepayInvestForm.addEventListener('input', recalculatePrepayInvestLive);
+        prepayInvestForm.addEventListener('change', recalculatePrepayInvestLive);
+    }
+    
+    // Yearly interest statements follow the deduction inputs as they are edited, and download one year at a time
+    const interestStatementForm = document.getElementById('interestStatementForm');
+    if (interestStatementForm) {
+        interestStatementForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            recalculateInterestStatementsLive.cancel();
+            calculateInterestStatementsFromForm();
+        });
+        interestStatementForm.addEventListener('input', recalculateInterestStatementsLive);
+        interestStatementForm.addEventListener('change', recalculateInterestStatementsLive);
+        document.getElementById('interestStatementTableBody').addEventListener('click', function(e) {
+            const button = e.target.closest('[data-statement-year]');
+            if (button) {
+                downloadInterestStatement(Number(button.getAttribute('data-statement-year')));
+            }
+        });
+    }
+    
+    // Scenario comparison: start from the loan calculator inputs, then clone and edit
+    const addScenarioButton = document.getElementById('addScenarioButton');
+    const scenarioList = document.getElementById('scenarioList');
+    if (addScenarioButton && scenarioList) {
+        addScenarioButton.addEventListener('click', function() {
+            const scenario = readScenarioFromLoanForm();
+            if (!scenario) return;
+            addScenarioRow(scenario);
+            updateScenarioComparison();
+        });
+        scenarioList.addEventListener('input', updateScenarioComparison);
+        scenarioList.addEventListener('change', updateScenarioComparison);
+    }
+    
+    // Debt planner: simulate every strategy so they can be compared
+    const debtPlannerForm = document.getElementById('debtPlannerForm');
+    if (debtPlannerForm) {
+        addDebtRow();
+        document.getElementById('addDebtButton').addEventListener('click', () => addDebtRow());
+        document.getElementById('debtTimelineStrategy').addEventListener('change', function() {
+            if (lastDebtPlans) {
+                displayDebtTimeline(lastDebtPlans[this.value]);
+            }
+        });
+        
+        debtPlannerForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            
+            clearFormErrors(debtPlannerForm);
+            
+            const errors = [];
+            const debts = readDebts(errors);
+            if (debts.length === 0 && errors.length === 0) {
+                const firstBalance = document.querySelector('#debtList .debt-balance');
+                errors.push({ input: firstBalance, message: translate('Enter at least one debt with a balance') });
+            }
+            const monthlyBudget = readNumberField(document.getElementById('debtBudget'), errors, { required: true, positive: true });
+            if (reportFormErrors(debtPlannerForm, errors)) return;
+            
+            try {
+                const plans = {};
+                Object.keys(debtStrategies).forEach(strategy => {
+                    plans[strategy] = calculateDebtPayoff(debts, monthlyBudget, strategy);
+                });
+                lastDebtPlans = plans;
+                displayDebtPlans(plans);
+            } catch (error) {
+                console.error('Debt payoff calculation error:', error.message);
+                reportCalculationError(debtPlannerForm, error, { monthlyBudget: 'debtBudget' });
+            }
+        });
+    }
+    
+    // Affordability: solve for whichever input is unknown
+    const affordabilityForm = document.getElementById('affordabilityForm');
+    if (affordabilityForm) {
+        document.getElementById('solveFor').addEventListener('change', updateGoalFields);
+        updateGoalFields();
+        
+        affordabilityForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            clearFormErrors(affordabilityForm);
             
-            // Check if original loan data is available
-            if (!originalLoanMonthlyPayment || originalLoanMonthlyPayment <= 0) {
-                alert('Please calculate your original loan first using the Loan Calculator tab.');
+            // Inputs hidden for the chosen goal are not used, so they are not checked either
+            const errors = [];
+            const isShown = input => !input.closest('[hidden]');
+            const readNumber = fieldId => {
+                const input = document.getElementById(fieldId);
+                return isShown(input) ? readNumberField(input, errors) : null;
+            };
+            const unknown = document.getElementById('solveFor').value;
+            const targetDateInput = document.getElementById('goalTargetDate');
+            const income = readNumber('goalIncome');
+            const otherDebts = readNumber('goalOtherDebts') || 0;
+            const known = {
+                principal: readNumber('goalPrincipal'),
+                annualRate: readNumber('goalRate'),
+                termYears: readNumber('goalTerm'),
+                extraMonthlyPayment: readNumber('goalExtra') || 0,
+                monthlyPayment: readNumber('goalPayment'),
+                targetPayoffDate: isShown(targetDateInput) ? readDateField(targetDateInput, errors) : null
+            };
+            if (reportFormErrors(affordabilityForm, errors)) return;
+            
+            try {
+                // Without a payment budget, borrow as much as the debt-to-income limits allow
+                if (unknown === 'principal' && known.monthlyPayment === null && income !== null) {
+                    known.monthlyPayment = calculateDebtToIncome(0, otherDebts, income).maxHousingPayment;
+                }
+                
+                const solution = solveForUnknown(unknown, known);
+                const debtToIncome = income !== null
+                    ? calculateDebtToIncome(solution.results.monthlyPayment + solution.loan.extraMonthlyPayment, otherDebts, income)
+                    : null;
+                lastGoalSolution = solution;
+                displayAffordabilityResults(solution, debtToIncome);
+            } catch (error) {
+                console.error('Affordability calculation error:', error.message);
+                reportCalculationError(affordabilityForm, error, {
+                    principal: 'goalPrincipal',
+                    annualRate: 'goalRate',
+                    termYears: 'goalTerm',
+                    extraMonthlyPayment: 'goalExtra',
+                    monthlyPayment: 'goalPayment',
+                    targetPayoffDate: 'goalTargetDate',
+                    grossMonthlyIncome: 'goalIncome',
+                    otherMonthlyDebts: 'goalOtherDebts'
+                });
+            }
+        });
+        
+        // Copy the solved loan into the loan calculator and run it there
+        document.getElementById('useGoalInCalculatorButton').addEventListener('click', function() {
+            if (!lastGoalSolution) return;
+            const { loan } = lastGoalSolution;
+            document.getElementById('loanPrincipal').value = formatInputNumber(loan.principal);
+            document.getElementById('annualInterestRate').value = formatInputNumber(loan.annualRate);
+            // The loan calculator takes whole years, so a term in months is rounded up
+            document.getElementById('loanTerm').value = Math.ceil(loan.termYears - 1e-9);
+            document.getElementById('extraMonthlyPayment').value = loan.extraMonthlyPayment ? formatInputNumber(loan.extraMonthlyPayment) : '';
+            document.querySelector('.tab-button[data-tab="loan-calculator"]').click();
+            form.requestSubmit();
+        });
+    }
+    
+    // Payment tracker: compare the payments actually made with the loan calculator's schedule
+    const paymentTrackerForm = document.getElementById('paymentTrackerForm');
+    if (paymentTrackerForm) {
+        document.getElementById('trackerAsOfDate').value = formatIsoDate(new Date());
+        document.getElementById('addActualPaymentButton').addEventListener('click', function() {
+            addActualPaymentRow().querySelector('.actual-payment-date').focus();
+        });
+        
+        // Start from the planned payments due so far, to edit into what was actually paid
+        document.getElementById('fillScheduledPaymentsButton').addEventListener('click', function() {
+            clearFormErrors(paymentTrackerForm);
+            if (!lastLoanCalculation) {
+                reportFormErrors(paymentTrackerForm, [{ input: null, message: translate('Please calculate your loan first using the Loan Calculator tab') }]);
                 return;
             }
             
-            // Get refinance form values
-            const refinancePrincipal = parseFloat(document.getElementById('refinancePrincipal').value) || 0;
-            const refinanceInterestRate = parseFloat(document.getElementById('refinanceInterestRate').value) || 0;
-            const refinanceTerm = parseFloat(document.getElementById('refinanceTerm').value) || 0;
-            const refinanceClosingCosts = parseFloat(document.getElementById('refinanceClosingCosts').value) || 0;
+            const errors = [];
+            const asOfDate = readTrackerAsOfDate(errors);
+            if (reportFormErrors(paymentTrackerForm, errors)) return;
+            
+            document.getElementById('actualPaymentList').innerHTML = '';
+            compareActualPayments(lastLoanCalculation, [], asOfDate).ledger.forEach(entry => {
+                addActualPaymentRow({ date: entry.dueDate, amount: entry.plannedPayment });
+            });
+        });
+        
+        paymentTrackerForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            clearFormErrors(paymentTrackerForm);
             
-            // Validate inputs
-            if (refinancePrincipal <= 0 || refinanceInterestRate < 0 || refinanceTerm <= 0) {
-                alert('Please enter valid values for the new loan principal, interest rate, and term.');
+            if (!lastLoanCalculation) {
+                reportFormErrors(paymentTrackerForm, [{ input: null, message: translate('Please calculate your loan first using the Loan Calculator tab') }]);
                 return;
             }
             
+            const errors = [];
+            const payments = readActualPayments(errors, lastLoanCalculation.inputs.startDate);
+            const asOfDate = readTrackerAsOfDate(errors);
+            if (reportFormErrors(paymentTrackerForm, errors)) return;
+            
             try {
-                // Calculate the new loan's monthly payment
-                const newMonthlyPayment = calculateMonthlyPayment(refinancePrincipal, refinanceInterestRate, refinanceTerm);
-                
-                // Calculate the break-even point
-                const breakEvenResult = calculateRefinanceBreakEven(
-                    originalLoanMonthlyPayment,
-                    newMonthlyPayment,
-                    refinanceClosingCosts
-                );
-                
-                // Display the refinance analysis results
-                displayRefinanceResults(breakEvenResult, newMonthlyPayment);
+                const comparison = compareActualPayments(lastLoanCalculation, payments, asOfDate);
+                displayPaymentComparison(comparison);
+            } catch (error) {
+                console.error('Payment tracker error:', error.message);
+                reportCalculationError(paymentTrackerForm, error);
+            }
+        });
+    }
+    
+    // Saved loan library, kept in this browser's local storage
+    const saveLoanForm = document.getElementById('saveLoanForm');
+    if (saveLoanForm) {
+        const storage = getLibraryStorage();
+        if (!storage) {
+            const emptyMessage = document.getElementById('savedLoansEmpty');
+            emptyMessage.dataset.i18nSource = 'Saving is not available because this browser blocks local storage.';
+            emptyMessage.textContent = translate(emptyMessage.dataset.i18nSource);
+            saveLoanForm.querySelector('[type="submit"]').disabled = true;
+        }
+        renderSavedLoans();
+        
+        saveLoanForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            clearFormErrors(saveLoanForm);
+            if (!storage) return;
+            
+            const nameInput = document.getElementById('saveLoanName');
+            const type = document.getElementById('saveLoanType').value;
+            const state = type === 'loan' ? readLoanState() : readScenarioState();
+            const errors = [];
+            if (!nameInput.value.trim()) {
+                errors.push({ input: nameInput, message: translate('{label} is required', { label: getFieldLabel(nameInput) }) });
+            }
+            if (type === 'loan' && !state.fields.principal) {
+                errors.push({ input: null, message: translate('Please enter a loan in the Loan Calculator first') });
+            }
+            if (type === 'scenarios' && state.scenarios.length === 0) {
+                errors.push({ input: null, message: translate('Please add at least one scenario to compare first') });
+            }
+            if (reportFormErrors(saveLoanForm, errors)) return;
+            
+            try {
+                saveLibraryEntry(storage, document.getElementById('saveLoanName').value, type, state);
+                saveLoanForm.reset();
+                renderSavedLoans();
             } catch (error) {
-                console.error('Refinance calculation error:', error.message);
-                alert('Error: ' + error.message);
+                console.error('Saved loan library error:', error.message);
+                reportCalculationError(saveLoanForm, error, { name: 'saveLoanName' });
             }
         });
+        
+        document.getElementById('exportLibraryButton').addEventListener('click', function() {
+            if (!storage) return;
+            downloadFile(exportLibrary(storage), `loan-library-${formatIsoDate(new Date())}.json`, 'application/json');
+        });
+        
+        const importInput = document.getElementById('importLibraryInput');
+        document.getElementById('importLibraryButton').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', function() {
+            const file = this.files[0];
+            this.value = '';
+            if (!file || !storage) return;
+            
+            const libraryStatus = document.getElementById('libraryStatus');
+            libraryStatus.textContent = '';
+            clearFormErrors(saveLoanForm);
+            file.text().then(text => {
+                const count = importLibrary(storage, text);
+                renderSavedLoans();
+                libraryStatus.textContent = translate({ one: 'Imported {count} saved entry.', other: 'Imported {count} saved entries.' }, { count: count });
+            }).catch(error => {
+                console.error('Library import error:', error.message);
+                reportCalculationError(saveLoanForm, error);
+            });
+        });
+        
+        // Keep the list current when another tab changes the library
+        window.addEventListener('storage', renderSavedLoans);
+    }
+    
+    // Restore a shared or bookmarked scenario and recompute its results
+    const restoredState = restoreStateFromUrl();
+    if (restoredState.loan) {
+        form.requestSubmit();
+        if (restoredState.refinance && refinanceForm) {
+            refinanceForm.requestSubmit();
+        }
+        if (restoredState.lumpSum && lumpSumForm) {
+            lumpSumForm.requestSubmit();
+        }
     }
 });
 
@@ -0,0 +1,130 @@
+// Unit tests for the loan chart data and SVG export
+// Run with: node --test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateAmortization, comparePrepayingWithInvesting } from '../loan-core.mjs';
+import {
+    aggregateSchedule,
+    findCumulativeCrossover,
+    buildLoanChart,
+    buildChartSvg
+} from '../loan-charts.mjs';
+
+const startDate = new Date(2024, 0, 1);
+const standard = calculateAmortization(200000, 6, 30, 0, startDate, { includeComparisons: false });
+const withExtra = calculateAmortization(200000, 6, 30, 200, startDate, { includeComparisons: false });
+
+describe('aggregateSchedule', () => {
+    test('shows long schedules per loan year and short ones per payment unless asked otherwise', () => {
+        const yearly = aggregateSchedule(standard.schedule);
+        const short = calculateAmortization(10000, 5, 4, 0, startDate, { includeComparisons: false });
+
+        assert.equal(yearly.granularity, 'year');
+        assert.equal(yearly.points.length, 30);
+        assert.equal(yearly.points[0].label, 'Year 1');
+        assert.equal(aggregateSchedule(short.schedule).granularity, 'payment');
+        assert.equal(aggregateSchedule(standard.schedule, { granularity: 'payment' }).points.length, 360);
+        assert.equal(aggregateSchedule(short.schedule, { granularity: 'year' }).points.length, 4);
+        assert.throws(() => aggregateSchedule(standard.schedule, { granularity: 'daily' }), /Invalid input/);
+    });
+
+    test('keeps exact totals and the balance at the end of each year', () => {
+        const points = aggregateSchedule(standard.schedule, { granularity: 'year' }).points;
+        const lastPoint = points[points.length - 1];
+
+        assert.equal(points[0].balance, standard.schedule[11].remainingBalance);
+        assert.equal(Math.round((points[0].principal + points[0].interest) * 100) / 100, Math.round(standard.periodicPayment * 12 * 100) / 100);
+        assert.equal(lastPoint.cumulativeInterest, standard.totalInterestPaid);
+        assert.equal(lastPoint.cumulativePrincipal, 200000);
+    });
+
+    test('projects the home value and equity with appreciation', () => {
+        const points = aggregateSchedule(standard.schedule, { granularity: 'year', homeValue: 250000, appreciationRate: 4 }).points;
+
+        assert.equal(points[0].homeValue, 260000);
+        assert.equal(points[1].homeValue, 270400);
+        assert.equal(points[0].equity, Math.round((260000 - points[0].balance) * 100) / 100);
+        assert.throws(() => aggregateSchedule(standard.schedule, { homeValue: 0 }), /Invalid input/);
+    });
+});
+
+describe('findCumulativeCrossover', () => {
+    test('finds where the principal paid overtakes the interest paid, if ever', () => {
+        const index = findCumulativeCrossover(withExtra.schedule);
+        const paidUpTo = (count, field) => withExtra.schedule.slice(0, count).reduce((total, payment) => total + payment[field], 0);
+
+        assert.ok(paidUpTo(index + 1, 'principalPaid') >= paidUpTo(index + 1, 'interestPaid'));
+        assert.ok(paidUpTo(index, 'principalPaid') < paidUpTo(index, 'interestPaid'));
+        // At 6% over 30 years the interest adds up to more than the principal
+        assert.equal(findCumulativeCrossover(standard.schedule), -1);
+    });
+});
+
+describe('buildLoanChart', () => {
+    test('describes the payment breakdown with the amounts stacked on the right axis', () => {
+        const chart = buildLoanChart('breakdown', standard.schedule);
+
+        assert.deepEqual(chart.datasets.map(dataset => dataset.label), ['Principal Paid', 'Interest Paid', 'Remaining Balance']);
+        assert.equal(chart.axes.y1.stacked, true);
+        assert.equal(chart.xTitle, 'Year');
+        assert.throws(() => buildLoanChart('pie', standard.schedule), /Invalid input/);
+    });
+
+    test('marks the crossover on the cumulative chart', () => {
+        const chart = buildLoanChart('cumulative', withExtra.schedule, { granularity: 'payment' });
+        const crossover = chart.datasets.find(dataset => dataset.label === 'Crossover');
+        const index = findCumulativeCrossover(withExtra.schedule);
+
+        assert.equal(crossover.data.filter(value => value !== null).length, 1);
+        assert.equal(crossover.data[index], chart.datasets[1].data[index]);
+        assert.match(chart.description, new RegExp(`payment ${index + 1},`));
+    });
+
+    test('overlays the balance without extra payments over the whole original term', () => {
+        const chart = buildLoanChart('extra', withExtra.schedule, { baselineSchedule: standard.schedule });
+
+        assert.equal(chart.labels.length, 30);
+        assert.equal(chart.datasets[0].data[29], 0);
+        assert.equal(chart.datasets[1].data[0], standard.schedule[11].remainingBalance);
+        assert.match(chart.description, /9 years sooner/);
+        assert.equal(buildLoanChart('extra', standard.schedule).datasets.length, 1);
+    });
+
+    test('charts the net worth of prepaying and investing to the later payoff', () => {
+        const calculation = {
+            inputs: { principal: 200000, annualRate: 6, termYears: 30, extraMonthlyPayment: 200, startDate: startDate, prepayments: [] },
+            results: withExtra
+        };
+        const investment = comparePrepayingWithInvesting(calculation, { investmentReturn: 3, inflationRate: 2 });
+        const chart = buildLoanChart('invest', withExtra.schedule, { investment: investment });
+
+        assert.equal(chart.labels.length, 30);
+        assert.equal(chart.datasets.length, 4);
+        assert.equal(chart.datasets[0].data[29], investment.strategies.prepay.netWorth);
+        assert.equal(chart.datasets[3].data[0], investment.points[11].realInvest);
+        assert.match(chart.description, /^Prepaying the loan stays ahead/);
+        assert.match(buildLoanChart('invest', withExtra.schedule).description, /investment return/);
+    });
+});
+
+describe('buildChartSvg', () => {
+    test('draws a standalone SVG with the title, legend and formatted ticks', () => {
+        const chart = buildLoanChart('composition', withExtra.schedule);
+        const svg = buildChartSvg(chart, { formatTick: value => `$${value / 1000}k` });
+
+        assert.match(svg, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        assert.match(svg, /<title>Payment Composition<\/title>/);
+        assert.match(svg, />Interest<\/text>/);
+        assert.match(svg, />\$0k<\/text>/);
+        assert.equal((svg.match(/<polygon /g) || []).length, 2);
+        assert.ok(svg.trimEnd().endsWith('</svg>'));
+    });
+
+    test('escapes the text it draws', () => {
+        const chart = buildLoanChart('breakdown', standard.schedule);
+        chart.title = 'Taxes & <Insurance>';
+        assert.match(buildChartSvg(chart), /<title>Taxes &amp; &lt;Insurance&gt;<\/title>/);
+    });
+});
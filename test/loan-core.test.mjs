@@ -0,0 +1,1176 @@
+// Unit tests for the loan calculation core
+// Run with: node --test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateAmortization,
+    calculateMonthlyPayment,
+    calculatePeriodicPayment,
+    calculateRefinanceBreakEven,
+    calculateRefinanceAnalysis,
+    calculateLoanCost,
+    compareLumpSumOptions,
+    comparePrepayingWithInvesting,
+    compareActualPayments,
+    groupScheduleByYear,
+    calculateInterestStatements,
+    buildInterestStatementCsv,
+    findEquityThreshold,
+    compareScenarios,
+    calculateDebtPayoff,
+    solveForUnknown,
+    calculateDebtToIncome,
+    amortizePeriod,
+    getPaymentDate,
+    formatCurrency,
+    formatPercent,
+    formatPayoffTime,
+    formatDate,
+    parseDateInput,
+    parseNumber,
+    formatInputNumber,
+    getCurrencySymbol,
+    buildScheduleCsv,
+    setCurrentLocale,
+    setCurrentCurrency,
+    currentLocale,
+    currentCurrency,
+    getCurrencyMinorUnits,
+    roundPayment,
+    countDays,
+    InputError
+} from '../loan-core.mjs';
+
+const startDate = new Date(2024, 0, 1);
+
+/**
+ * Sums a field of every row in a schedule, to the cent
+ * @param {Array} schedule - Array of payment objects from calculateAmortization
+ * @param {string} field - The field to sum
+ * @returns {number} The rounded total
+ */
+function sumField(schedule, field) {
+    return Math.round(schedule.reduce((total, payment) => total + payment[field], 0) * 100) / 100;
+}
+
+describe('calculateMonthlyPayment', () => {
+    test('matches published reference payments', () => {
+        assert.equal(calculateMonthlyPayment(200000, 6, 30), 1199.10);
+        assert.equal(calculateMonthlyPayment(100000, 5, 15), 790.79);
+        assert.equal(calculateMonthlyPayment(300000, 7, 30), 1995.91);
+    });
+
+    test('divides the principal evenly at zero interest', () => {
+        assert.equal(calculateMonthlyPayment(12000, 0, 1), 1000);
+    });
+
+    test('returns zero when there is nothing to repay', () => {
+        assert.equal(calculateMonthlyPayment(-1, 5, 30), 0);
+        assert.equal(calculateMonthlyPayment(100000, 5, 0), 0);
+    });
+});
+
+describe('calculateAmortization', () => {
+    test('follows the reference schedule for $200,000 at 6% over 30 years', () => {
+        const results = calculateAmortization(200000, 6, 30, 0, startDate);
+        const [first, second] = results.schedule;
+
+        assert.equal(results.periodicPayment, 1199.10);
+        assert.deepEqual(
+            [first.interestPaid, first.principalPaid, first.remainingBalance],
+            [1000.00, 199.10, 199800.90]
+        );
+        assert.deepEqual(
+            [second.interestPaid, second.principalPaid, second.remainingBalance],
+            [999.00, 200.10, 199600.80]
+        );
+        assert.equal(results.schedule.length, 360);
+        assert.equal(results.totalInterestPaid, 231677.04);
+    });
+
+    test('keeps every amount exact to the cent and settles the final payment', () => {
+        const results = calculateAmortization(200000, 6, 30, 0, startDate);
+        const last = results.schedule[359];
+
+        assert.equal(sumField(results.schedule, 'principalPaid'), 200000);
+        assert.equal(sumField(results.schedule, 'interestPaid'), results.totalInterestPaid);
+        assert.deepEqual([last.interestPaid, last.principalPaid, last.remainingBalance], [5.97, 1194.17, 0]);
+    });
+
+    test('applies the selected payment rounding rule', () => {
+        const rounded = mode => calculateAmortization(100000, 5, 15, 0, startDate, { paymentRounding: mode });
+
+        assert.equal(rounded('nearest').periodicPayment, 790.79);
+        assert.equal(rounded('truncate').periodicPayment, 790.79);
+        assert.equal(rounded('up').periodicPayment, 790.80);
+        assert.equal(rounded('up-whole').periodicPayment, 791);
+        assert.equal(calculateAmortization(200000, 6, 30, 0, startDate, { paymentRounding: 'truncate' }).periodicPayment, 1199.10);
+
+        // Rounding the payment up leaves less for the final payment; every rule still repays the principal exactly
+        const finalPayment = mode => rounded(mode).schedule[179].totalPayment;
+        assert.ok(finalPayment('up-whole') < finalPayment('up') && finalPayment('up') < finalPayment('truncate'));
+        ['nearest', 'truncate', 'up', 'up-whole'].forEach(mode => {
+            assert.equal(sumField(rounded(mode).schedule, 'principalPaid'), 100000);
+        });
+        assert.throws(() => rounded('bankers'), /Invalid input/);
+    });
+
+    test('uses whole yen for currencies without minor units', () => {
+        const results = calculateAmortization(30000000, 1.5, 35, 0, startDate, { currency: 'JPY' });
+
+        assert.equal(results.periodicPayment, 91855);
+        assert.ok(results.schedule.every(payment => Number.isInteger(payment.interestPaid) && Number.isInteger(payment.remainingBalance)));
+        assert.equal(sumField(results.schedule, 'principalPaid'), 30000000);
+        assert.throws(() => calculateAmortization(0.4, 1.5, 35, 0, startDate, { currency: 'JPY' }), /Invalid input/);
+    });
+
+    test('dates payments on the first of each following month', () => {
+        const { schedule } = calculateAmortization(10000, 5, 1, 0, new Date(2024, 0, 15));
+
+        assert.equal(formatDate(schedule[0].date), '02/01/2024');
+        assert.equal(formatDate(schedule[11].date), '01/01/2025');
+    });
+
+    test('charges no interest at a zero rate', () => {
+        const results = calculateAmortization(12000, 0, 1, 0, startDate);
+
+        assert.equal(results.schedule.length, 12);
+        assert.equal(results.totalInterestPaid, 0);
+        assert.ok(results.schedule.every(payment => payment.interestPaid === 0 && payment.principalPaid === 1000));
+        assert.equal(results.schedule[11].remainingBalance, 0);
+    });
+
+    test('pays off tiny balances and caps the final payment at what is left', () => {
+        const results = calculateAmortization(1, 6, 1, 0, startDate);
+        const last = results.schedule[results.schedule.length - 1];
+
+        assert.equal(results.periodicPayment, 0.09);
+        assert.equal(results.schedule.length, 12);
+        assert.equal(last.principalPaid, 0.02);
+        assert.equal(last.remainingBalance, 0);
+    });
+
+    test('settles a balance too small for a payment with the final payment', () => {
+        // The payment on five cents rounds to zero, so the last scheduled payment repays all of it
+        const results = calculateAmortization(0.05, 6, 1, 0, startDate);
+
+        assert.equal(results.periodicPayment, 0);
+        assert.equal(results.schedule.length, 12);
+        assert.equal(results.schedule[10].remainingBalance, 0.05);
+        assert.equal(results.schedule[11].principalPaid, 0.05);
+        assert.equal(results.schedule[11].remainingBalance, 0);
+    });
+
+    test('only applies as much of an overpayment as the balance needs', () => {
+        const results = calculateAmortization(1000, 12, 1, 5000, startDate);
+        const [payment] = results.schedule;
+
+        assert.equal(results.schedule.length, 1);
+        assert.equal(payment.interestPaid, 10);
+        assert.equal(payment.principalPaid, 1000);
+        assert.equal(payment.remainingBalance, 0);
+        assert.equal(results.totalInterestPaid, 10);
+    });
+
+    test('saves interest and time with an extra monthly payment', () => {
+        const results = calculateAmortization(200000, 6, 30, 200, startDate);
+
+        assert.ok(results.monthsToPayoff < 360);
+        assert.ok(results.totalInterestSaved > 0);
+        assert.equal(
+            Math.round((calculateAmortization(200000, 6, 30, 0, startDate).totalInterestPaid - results.totalInterestPaid) * 100) / 100,
+            results.totalInterestSaved
+        );
+    });
+
+    test('applies a one-time prepayment on its payment number', () => {
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, {
+            prepayments: [{ type: 'one-time', amount: 10000, paymentNumber: 12 }]
+        });
+
+        assert.equal(results.schedule[11].prepaymentPaid, 10000);
+        assert.equal(sumField(results.schedule, 'prepaymentPaid'), 10000);
+        assert.equal(results.prepaymentSavings.length, 1);
+        assert.ok(results.prepaymentSavings[0].interestSaved > 0);
+    });
+
+    test('applies a yearly prepayment on the payment in its month, from its start year', () => {
+        const yearly = { type: 'yearly', amount: 2000, month: 6, startYear: 2026 };
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, { prepayments: [yearly] });
+        const withoutPrepayments = calculateAmortization(200000, 6, 30, 0, startDate);
+        const prepaid = results.schedule.filter(payment => payment.prepaymentPaid > 0);
+
+        // The first payment (February 2024) is number 1, so June 2026 is payment 29
+        assert.deepEqual(prepaid.slice(0, 3).map(payment => payment.paymentNumber), [29, 41, 53]);
+        assert.ok(prepaid.slice(0, -1).every(payment => payment.prepaymentPaid === 2000));
+        assert.equal(results.prepaymentSavings[0].totalPaid, sumField(results.schedule, 'prepaymentPaid'));
+        assert.equal(results.prepaymentSavings[0].interestSaved,
+            Math.round((withoutPrepayments.totalInterestPaid - results.totalInterestPaid) * 100) / 100);
+        assert.equal(results.prepaymentSavings[0].interestSaved, results.totalInterestSaved);
+    });
+
+    test('steps up a monthly prepayment every stepMonths months from its start payment', () => {
+        const stepUp = { type: 'step-up', amount: 100, stepAmount: 50, stepMonths: 12, startPayment: 13 };
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, { prepayments: [stepUp] });
+        const prepaymentOn = paymentNumber => results.schedule[paymentNumber - 1].prepaymentPaid;
+
+        assert.equal(prepaymentOn(12), 0);
+        assert.equal(prepaymentOn(13), 100);
+        assert.equal(prepaymentOn(24), 100);
+        assert.equal(prepaymentOn(25), 150);
+        assert.equal(prepaymentOn(37), 200);
+        assert.equal(results.prepaymentSavings[0].interestSaved, results.totalInterestSaved);
+        assert.ok(results.prepaymentSavings[0].interestSaved > 0);
+
+        // Spread over the payments of each month for other frequencies
+        const biWeekly = calculateAmortization(200000, 6, 30, 0, startDate, { frequency: 'bi-weekly', prepayments: [{ ...stepUp, startPayment: 1 }] });
+        assert.equal(biWeekly.schedule[0].prepaymentPaid, Math.round(100 * 12 / 26 * 100) / 100);
+    });
+
+    test('credits each prepayment with the interest it saves on top of the ones before it', () => {
+        const yearly = { type: 'yearly', amount: 2000, month: 6, startYear: 2026 };
+        const stepUp = { type: 'step-up', amount: 100, stepAmount: 50, stepMonths: 12, startPayment: 13 };
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, { prepayments: [yearly, stepUp] });
+        const yearlyOnly = calculateAmortization(200000, 6, 30, 0, startDate, { prepayments: [yearly] });
+        const [yearlySavings, stepUpSavings] = results.prepaymentSavings;
+
+        assert.equal(results.schedule[28].prepaymentPaid, 2150);
+        assert.equal(yearlySavings.interestSaved, yearlyOnly.totalInterestSaved);
+        assert.equal(stepUpSavings.interestSaved,
+            Math.round((yearlyOnly.totalInterestPaid - results.totalInterestPaid) * 100) / 100);
+        assert.equal(Math.round((yearlySavings.interestSaved + stepUpSavings.interestSaved) * 100) / 100, results.totalInterestSaved);
+    });
+
+    test('pays bi-weekly every 14 days and saves interest compared with monthly', () => {
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, { frequency: 'accelerated-bi-weekly' });
+
+        assert.equal(results.periodicPayment, 599.55);
+        assert.equal((results.schedule[1].date - results.schedule[0].date) / 86400000, 14);
+        assert.ok(results.frequencyComparison.monthsSaved > 0);
+        assert.ok(results.frequencyComparison.interestSaved > 0);
+    });
+
+    test('resets adjustable rates within their caps', () => {
+        const results = calculateAmortization(200000, 5, 30, 0, startDate, {
+            rateSchedule: { fixedMonths: 60, adjustmentMonths: 12, indexRate: 5, margin: 2.75, initialCap: 2, periodicCap: 1, lifetimeCap: 5 }
+        });
+        const [firstReset, secondReset] = results.rateAdjustments;
+
+        assert.equal(firstReset.paymentNumber, 61);
+        assert.equal(firstReset.annualRate, 7);
+        assert.equal(secondReset.annualRate, 7.75);
+        assert.equal(results.worstCase.maxRate, 10);
+    });
+
+    test('raises the payment by the full cap at every reset in the worst case', () => {
+        const rateSchedule = { fixedMonths: 60, adjustmentMonths: 12, indexRate: 5, margin: 2.75, initialCap: 2, periodicCap: 1, lifetimeCap: 5 };
+        const { worstCase } = calculateAmortization(200000, 5, 30, 0, startDate, { rateSchedule: rateSchedule });
+        const { rateAdjustments, schedule } = calculateAmortization(200000, 5, 30, 0, startDate, {
+            rateSchedule: { ...rateSchedule, worstCase: true }
+        });
+
+        assert.deepEqual(rateAdjustments.map(adjustment => adjustment.annualRate), [7, 8, 9, 10]);
+        rateAdjustments.forEach(adjustment => {
+            const balance = schedule[adjustment.paymentNumber - 2].remainingBalance;
+            assert.equal(adjustment.periodicPayment,
+                calculatePeriodicPayment(balance, adjustment.annualRate, (361 - adjustment.paymentNumber) / 12));
+        });
+        assert.equal(worstCase.maxPeriodicPayment, rateAdjustments[3].periodicPayment);
+        assert.equal(worstCase.maxPeriodicPayment, 1649.57);
+    });
+
+    test('keeps the payment when an adjustable rate resets to the same rate', () => {
+        const results = calculateAmortization(293400, 6.75, 30, 0, startDate, {
+            rateSchedule: { fixedMonths: 60, adjustmentMonths: 12, indexRate: 4, margin: 2.75 }
+        });
+
+        assert.deepEqual(results.rateAdjustments, []);
+        assert.ok(results.schedule.every(payment => !payment.paymentChanged && !payment.rateChanged));
+        assert.ok(results.schedule.slice(0, -1).every(payment => payment.scheduledPayment === results.periodicPayment));
+    });
+
+    test('cancels PMI once the balance reaches 78% of the home value', () => {
+        const results = calculateAmortization(190000, 6, 30, 0, startDate, {
+            escrow: { homeValue: 200000, propertyTax: 2400, insurance: 1200, pmiRate: 0.6, pmiCancelLtv: 78 }
+        });
+        const { pmiCancellation } = results.escrowSummary;
+        const lastWithPmi = results.schedule[pmiCancellation.paymentNumber - 1];
+        const firstWithoutPmi = results.schedule[pmiCancellation.paymentNumber];
+
+        assert.equal(results.escrowSummary.pmi, 95);
+        assert.equal(results.escrowSummary.totalPayment, Math.round((results.periodicPayment + 200 + 100 + 95) * 100) / 100);
+        assert.ok(lastWithPmi.pmiPaid > 0 && lastWithPmi.remainingBalance <= 156000);
+        assert.equal(firstWithoutPmi.pmiPaid, 0);
+    });
+
+    test('rejects invalid input', () => {
+        assert.throws(() => calculateAmortization(0, 5, 30), /Invalid input/);
+        assert.throws(() => calculateAmortization(100000, 5, 30, 0, startDate, { frequency: 'daily' }), /Invalid input/);
+        assert.throws(() => calculateAmortization(100000, 5, 30, 0, startDate, {
+            prepayments: [{ type: 'one-time', amount: -5, paymentNumber: 1 }]
+        }), /Invalid input/);
+    });
+
+    test('names the input at fault', () => {
+        const rejects = (run, field, index = null) => assert.throws(run, error => {
+            assert.ok(error instanceof InputError);
+            assert.match(error.message, /^Invalid input:/);
+            assert.equal(error.field, field);
+            assert.equal(error.index, index);
+            return true;
+        });
+
+        rejects(() => calculateAmortization(NaN, 5, 30, 0, startDate), 'principal');
+        rejects(() => calculateAmortization(100000, NaN, 30, 0, startDate), 'annualRate');
+        rejects(() => calculateAmortization(100000, 150, 30, 0, startDate), 'annualRate');
+        rejects(() => calculateAmortization(100000, 5, 0, 0, startDate), 'termYears');
+        rejects(() => calculateAmortization(100000, 5, 0.01, 0, startDate), 'termYears');
+        rejects(() => calculateAmortization(100000, 5, 30, NaN, startDate), 'extraMonthlyPayment');
+        rejects(() => calculateAmortization(100000, 5, 30, 0, new Date('not a date')), 'startDate');
+        rejects(() => calculateAmortization(100000, 5, 30, 0, startDate, {
+            prepayments: [{ type: 'one-time', amount: 500, paymentNumber: 1 }, { type: 'one-time', amount: 0, paymentNumber: 2 }]
+        }), 'prepayments', 1);
+        rejects(() => calculateAmortization(100000, 5, 30, 0, startDate, { escrow: { homeValue: 0, pmiRate: 0.5 } }), 'homeValue');
+    });
+});
+
+describe('amortizePeriod', () => {
+    test('charges interest first and never pays down more than the balance', () => {
+        assert.deepEqual(amortizePeriod(100000, 0.01, 11000), { interest: 1000, principal: 10000, remainingBalance: 90000 });
+        assert.deepEqual(amortizePeriod(5000, 0.01, 11000), { interest: 50, principal: 5000, remainingBalance: 0 });
+    });
+
+    test('rounds the interest to the nearest minor unit', () => {
+        assert.deepEqual(amortizePeriod(12345, 0.005, 1000), { interest: 62, principal: 938, remainingBalance: 11407 });
+        assert.deepEqual(amortizePeriod(12345, 0.005, Infinity), { interest: 62, principal: 12345, remainingBalance: 0 });
+    });
+});
+
+describe('interest conventions', () => {
+    test('count actual and 30/360 days', () => {
+        assert.equal(countDays(new Date(2024, 1, 1), new Date(2024, 2, 1)), 29);
+        assert.equal(countDays(new Date(2024, 2, 1), new Date(2024, 3, 1)), 31);
+        assert.equal(countDays(new Date(2024, 1, 1), new Date(2024, 2, 1), '30/360'), 30);
+        assert.equal(countDays(new Date(2024, 0, 31), new Date(2024, 2, 31), '30/360'), 60);
+        assert.throws(() => countDays(new Date(2024, 1, 1), new Date(2024, 1, 1)), InputError);
+        assert.throws(() => countDays(new Date(2024, 1, 1), new Date(2024, 0, 27), '30/360'), /Invalid input/);
+    });
+
+    test('never charge negative interest on semi-monthly loans starting after the 15th', () => {
+        const { schedule } = calculateAmortization(200000, 6, 30, 0, new Date(2024, 0, 20), {
+            frequency: 'semi-monthly',
+            interestConvention: 'actual/365'
+        });
+
+        assert.equal(formatDate(schedule[0].date), '02/01/2024');
+        assert.equal(schedule[0].daysInPeriod, 12);
+        assert.ok(schedule.every(payment => payment.daysInPeriod > 0 && payment.interestPaid >= 0));
+    });
+
+    test('charge interest for the actual days in each period', () => {
+        const results = calculateAmortization(200000, 6, 30, 0, startDate, { interestConvention: 'actual/365' });
+        const [january, february] = results.schedule;
+
+        assert.equal(results.interestConvention, 'actual/365');
+        assert.deepEqual([january.daysInPeriod, january.accruedInterest], [31, 1019.18]);
+        assert.deepEqual([february.daysInPeriod, february.accruedInterest], [29, 952.56]);
+        assert.equal(sumField(results.schedule, 'principalPaid'), 200000);
+    });
+
+    test('base the Actual/360 payment on the longer day-count year', () => {
+        const actual360 = calculateAmortization(200000, 6, 30, 0, startDate, { interestConvention: 'actual/360' });
+        const last = actual360.schedule[actual360.schedule.length - 1];
+
+        assert.equal(actual360.schedule[0].accruedInterest, 1033.33);
+        assert.ok(actual360.periodicPayment > 1199.10);
+        assert.ok(last.totalPayment <= actual360.periodicPayment);
+    });
+
+    test('split daily simple interest across leap and ordinary years', () => {
+        const { schedule } = calculateAmortization(36500, 10, 1, 0, new Date(2023, 11, 1), { interestConvention: 'daily-simple' });
+
+        // 31 days of December 2023 at 10% / 365
+        assert.deepEqual([schedule[0].daysInPeriod, schedule[0].accruedInterest], [31, 310]);
+        assert.equal(schedule[1].daysInPeriod, 31);
+        assert.ok(schedule[1].accruedInterest < schedule[0].accruedInterest);
+    });
+
+    test('match 30/360 with the standard schedule when payments fall on the 1st', () => {
+        const standard = calculateAmortization(100000, 5, 15, 0, startDate);
+        const thirty360 = calculateAmortization(100000, 5, 15, 0, startDate, { interestConvention: '30/360' });
+
+        assert.ok(thirty360.schedule.every(payment => payment.daysInPeriod === 30));
+        assert.equal(thirty360.schedule[0].interestPaid, standard.schedule[0].interestPaid);
+        assert.ok(Math.abs(thirty360.totalInterestPaid - standard.totalInterestPaid) < 1);
+    });
+
+    test('compound Canadian mortgages semi-annually', () => {
+        const results = calculateAmortization(500000, 5, 25, 0, startDate, { interestConvention: 'canadian' });
+
+        assert.equal(results.periodicPayment, 2908.02);
+        assert.equal(results.schedule[0].daysInPeriod, null);
+        assert.equal(results.schedule[0].accruedInterest, null);
+        assert.equal(calculatePeriodicPayment(500000, 5, 25, 'accelerated-bi-weekly', { interestConvention: 'canadian' }), 1454.01);
+    });
+
+    test('rejects an unknown convention', () => {
+        assert.throws(() => calculateAmortization(100000, 5, 15, 0, startDate, { interestConvention: 'actual/366' }), /Invalid input/);
+    });
+
+    test('exports the days and accrued interest', () => {
+        const { schedule } = calculateAmortization(1200, 12, 1, 0, startDate, { interestConvention: 'actual/365' });
+        const [header, firstRow] = buildScheduleCsv(schedule, 'en-US', 'USD').split('\r\n');
+
+        assert.equal(header, 'Payment #,Date,Days,Accrued Interest (USD),Principal Paid (USD),Remaining Balance (USD)');
+        assert.match(firstRow, /^1,2024-02-01,31,12\.23,/);
+    });
+});
+
+describe('groupScheduleByYear', () => {
+    test('totals each calendar year and keeps running totals of interest and principal', () => {
+        const { schedule, totalInterestPaid } = calculateAmortization(200000, 6, 30, 0, startDate);
+        const years = groupScheduleByYear(schedule, 'USD');
+        const lastYear = years[years.length - 1];
+
+        assert.equal(years.length, 31);
+        assert.deepEqual([years[0].year, years[0].payments.length, years[1].payments.length, lastYear.payments.length], [2024, 11, 12, 1]);
+        assert.equal(years[0].interestPaid, sumField(schedule.slice(0, 11), 'interestPaid'));
+        assert.equal(years[1].cumulativeInterest, sumField(schedule.slice(0, 23), 'interestPaid'));
+        assert.equal(years[1].payments[0].payment, Math.round((schedule[11].interestPaid + schedule[11].principalPaid) * 100) / 100);
+        assert.equal(years[1].remainingBalance, schedule[22].remainingBalance);
+        assert.equal(lastYear.cumulativeInterest, totalInterestPaid);
+        assert.equal(lastYear.cumulativePrincipal, 200000);
+    });
+});
+
+describe('calculateInterestStatements', () => {
+    const { schedule, totalInterestPaid } = calculateAmortization(200000, 6, 30, 0, startDate);
+
+    test('states each calendar year\'s interest, principal and balances', () => {
+        const { years, totals } = calculateInterestStatements(schedule);
+
+        assert.equal(years.length, 31);
+        assert.deepEqual([years[1].firstPaymentNumber, years[1].lastPaymentNumber], [12, 23]);
+        assert.equal(years[1].interestPaid, sumField(schedule.slice(11, 23), 'interestPaid'));
+        assert.equal(years[0].startingBalance, 200000);
+        assert.equal(years[1].startingBalance, years[0].endingBalance);
+        assert.equal(years[1].endingBalance, schedule[22].remainingBalance);
+        assert.equal(years[1].taxSavings, null);
+        assert.deepEqual(totals, { interestPaid: totalInterestPaid, principalPaid: 200000, taxSavings: null, afterTaxInterest: null });
+    });
+
+    test('saves the marginal rate on the itemized deductions above the standard deduction, up to the interest', () => {
+        const { years, totals } = calculateInterestStatements(schedule, {
+            deduction: { marginalRate: 24, standardDeduction: 15000, otherDeductions: 5000 }
+        });
+        const [, second] = years;
+        const last = years[years.length - 1];
+
+        assert.equal(second.itemizedDeductions, Math.round((second.interestPaid + 5000) * 100) / 100);
+        assert.equal(second.itemizes, true);
+        assert.equal(second.taxSavings, Math.round((second.itemizedDeductions - 15000) * 24) / 100);
+        assert.equal(second.afterTaxInterest, Math.round((second.interestPaid - second.taxSavings) * 100) / 100);
+        assert.equal(last.itemizes, false);
+        assert.equal(last.afterTaxInterest, last.interestPaid);
+        assert.equal(totals.afterTaxInterest, Math.round((totalInterestPaid - totals.taxSavings) * 100) / 100);
+
+        // Other deductions above the standard deduction leave all of the interest deductible
+        const itemizer = calculateInterestStatements(schedule, { deduction: { marginalRate: 24, standardDeduction: 15000, otherDeductions: 20000 } });
+        assert.equal(itemizer.years[1].taxSavings, Math.round(second.interestPaid * 24) / 100);
+    });
+
+    test('names the input at fault', () => {
+        const deductionError = deduction => {
+            try {
+                calculateInterestStatements(schedule, { deduction: deduction });
+            } catch (error) {
+                return error.field;
+            }
+            return null;
+        };
+
+        assert.equal(deductionError({ marginalRate: 101 }), 'marginalRate');
+        assert.equal(deductionError({ marginalRate: 24, standardDeduction: -1 }), 'standardDeduction');
+        assert.equal(deductionError({ marginalRate: 24, otherDeductions: -1 }), 'otherDeductions');
+    });
+
+    test('exports one year\'s statement with its payments', () => {
+        const { years } = calculateInterestStatements(schedule, { deduction: { marginalRate: 24, standardDeduction: 0 } });
+        const lines = buildInterestStatementCsv(years[1], 'en-US', 'USD').split('\r\n');
+
+        assert.equal(lines[0], 'Year,2025');
+        assert.equal(lines[1], 'Payments,12-23');
+        assert.equal(lines[2], `Interest Paid (USD),${years[1].interestPaid.toFixed(2)}`);
+        assert.ok(lines.includes(`Estimated Tax Savings (USD),${years[1].taxSavings.toFixed(2)}`));
+        assert.equal(lines.filter(line => /^\d+,2025-/.test(line)).length, 12);
+        assert.equal(buildInterestStatementCsv(years[1], 'de-DE', 'EUR').split('\r\n')[0], 'Jahr;2025');
+    });
+});
+
+describe('findEquityThreshold', () => {
+    test('finds the payment where the equity first reaches the share', () => {
+        const { schedule } = calculateAmortization(200000, 6, 30, 0, startDate);
+        const index = findEquityThreshold(schedule, 250000, 25);
+
+        assert.ok(schedule[index].remainingBalance <= 187500);
+        assert.ok(schedule[index - 1].remainingBalance > 187500);
+        assert.equal(findEquityThreshold(schedule, 250000, 20), 0);
+        assert.equal(findEquityThreshold(schedule, 200000, 100), schedule.length - 1);
+        assert.throws(() => findEquityThreshold(schedule, 0, 20), /Invalid input/);
+    });
+});
+
+describe('getPaymentDate', () => {
+    test('pays semi-monthly on the 1st and 15th', () => {
+        const dates = [1, 2, 3].map(paymentNumber => formatDate(getPaymentDate(startDate, paymentNumber, 'semi-monthly')));
+        assert.deepEqual(dates, ['01/15/2024', '02/01/2024', '02/15/2024']);
+    });
+
+    test('starts semi-monthly payments after a start date on or after the 15th', () => {
+        const dates = [new Date(2024, 0, 20), new Date(2024, 0, 15)].map(start => [1, 2, 3].map(paymentNumber =>
+            formatDate(getPaymentDate(start, paymentNumber, 'semi-monthly'))));
+        assert.deepEqual(dates[0], ['02/01/2024', '02/15/2024', '03/01/2024']);
+        assert.deepEqual(dates[1], ['02/01/2024', '02/15/2024', '03/01/2024']);
+    });
+});
+
+describe('calculatePeriodicPayment', () => {
+    test('divides the monthly payment for accelerated frequencies', () => {
+        const monthly = calculatePeriodicPayment(200000, 6, 30);
+        assert.equal(calculatePeriodicPayment(200000, 6, 30, 'accelerated-weekly'), Math.round(monthly / 4 * 100) / 100);
+    });
+
+    test('calculateAmortization can make a fixed payment instead', () => {
+        const result = calculateAmortization(10000, 6, 10, 0, startDate, { periodicPayment: 1000, includeComparisons: false });
+        const lastRow = result.schedule[result.schedule.length - 1];
+
+        assert.equal(result.periodicPayment, 1000);
+        assert.equal(result.paymentsToPayoff, 11);
+        assert.ok(lastRow.interestPaid + lastRow.principalPaid < 1000);
+        assert.throws(() => calculateAmortization(10000, 6, 10, 0, startDate, { periodicPayment: 0 }), /payment must be positive/);
+    });
+});
+
+describe('interest-only and balloon loans', () => {
+    test('pay only the interest, then jump to the amortizing payment', () => {
+        const result = calculateAmortization(300000, 6, 30, 0, startDate, { loanStructure: { interestOnlyMonths: 120 } });
+        const { schedule, loanStructure } = result;
+
+        assert.equal(result.periodicPayment, 1500);
+        assert.ok(schedule.slice(0, 120).every(row => row.interestOnly && row.principalPaid === 0 && row.interestPaid === 1500));
+        assert.equal(schedule[119].remainingBalance, 300000);
+        assert.equal(schedule[120].scheduledPayment, calculatePeriodicPayment(300000, 6, 20));
+        assert.equal(schedule[120].paymentChanged, true);
+        assert.equal(result.maxPeriodicPayment, schedule[120].scheduledPayment);
+        assert.equal(schedule.length, 360);
+        assert.equal(schedule[359].remainingBalance, 0);
+        assert.equal(loanStructure.interestOnlyPayments, 120);
+        assert.equal(loanStructure.amortizationYears, 20);
+        assert.deepEqual(loanStructure.amortizationStart, {
+            paymentNumber: 121,
+            date: schedule[120].date,
+            periodicPayment: schedule[120].scheduledPayment
+        });
+        assert.equal(loanStructure.balloon, null);
+    });
+
+    test('leave a balloon when the amortization term runs past maturity', () => {
+        const { schedule, loanStructure } = calculateAmortization(1000000, 7, 5, 0, startDate, {
+            loanStructure: { interestOnlyMonths: 24, amortizationYears: 25 }
+        });
+        const lastRow = schedule[schedule.length - 1];
+
+        assert.equal(schedule.length, 60);
+        assert.equal(schedule[24].scheduledPayment, calculatePeriodicPayment(1000000, 7, 25));
+        assert.equal(lastRow.balloonPaid, Math.round((lastRow.interestPaid + lastRow.principalPaid - lastRow.scheduledPayment) * 100) / 100);
+        assert.ok(schedule.slice(0, -1).every(row => row.balloonPaid === 0));
+        assert.equal(sumField(schedule, 'principalPaid'), 1000000);
+        assert.deepEqual(loanStructure.balloon, {
+            paymentNumber: 60,
+            date: lastRow.date,
+            amount: lastRow.balloonPaid,
+            totalPayment: Math.round((lastRow.interestPaid + lastRow.principalPaid) * 100) / 100
+        });
+    });
+
+    test('repay the whole principal at maturity when the loan is interest-only throughout', () => {
+        const { schedule, loanStructure } = calculateAmortization(500000, 8, 2, 0, startDate, { loanStructure: { interestOnlyMonths: 24 } });
+
+        assert.equal(loanStructure.amortizationStart, null);
+        assert.equal(loanStructure.amortizationYears, null);
+        assert.equal(loanStructure.balloon.amount, 500000);
+        assert.equal(schedule[23].principalPaid, 500000);
+    });
+
+    test('have no balloon once extra payments pay the loan off early', () => {
+        const { loanStructure, loanCost } = calculateAmortization(200000, 6, 5, 4000, startDate, {
+            loanStructure: { amortizationYears: 30 }
+        });
+
+        assert.equal(loanStructure.interestOnlyPayment, null);
+        assert.equal(loanStructure.balloon, null);
+        assert.ok(loanCost.totalOfPayments > 200000 * 1.1);
+    });
+
+    test('re-amortize adjustable-rate resets over the amortization term', () => {
+        const rateSchedule = { fixedMonths: 24, adjustmentMonths: 12, indexRate: 4, margin: 2.75 };
+        const { rateAdjustments, schedule } = calculateAmortization(250000, 5, 10, 0, startDate, {
+            rateSchedule: rateSchedule,
+            loanStructure: { interestOnlyMonths: 36, amortizationYears: 30 }
+        });
+
+        assert.equal(rateAdjustments[0].periodicPayment, 1406.25);
+        assert.equal(rateAdjustments[1].paymentNumber, 37);
+        assert.equal(rateAdjustments[1].periodicPayment, calculatePeriodicPayment(250000, 6.75, 30));
+        assert.ok(schedule[schedule.length - 1].balloonPaid > 200000);
+    });
+
+    test('names the input at fault', () => {
+        const structureError = loanStructure => {
+            try {
+                calculateAmortization(100000, 5, 5, 0, startDate, { loanStructure: loanStructure });
+            } catch (error) {
+                return error.field;
+            }
+            return null;
+        };
+
+        assert.equal(structureError({ interestOnlyMonths: -1 }), 'interestOnlyMonths');
+        assert.equal(structureError({ interestOnlyMonths: 61 }), 'interestOnlyMonths');
+        assert.equal(structureError({ amortizationYears: 0 }), 'amortizationYears');
+        assert.equal(structureError({ interestOnlyMonths: 12, amortizationYears: 3 }), 'amortizationYears');
+        assert.equal(structureError({ interestOnlyMonths: 12, amortizationYears: 4 }), null);
+    });
+});
+
+describe('refinancing', () => {
+    test('calculateRefinanceBreakEven divides the closing costs by the monthly savings', () => {
+        const result = calculateRefinanceBreakEven(2000, 1800, 3000, 120);
+
+        assert.equal(result.breakEvenMonths, 15);
+        assert.equal(result.monthlySavings, 200);
+        assert.equal(result.totalSavingsOverRemainingTerm, 21000);
+        assert.equal(calculateRefinanceBreakEven(1800, 2000, 3000).isValid, false);
+    });
+
+    test('calculateRefinanceBreakEven keeps amounts in the minor units of the currency', () => {
+        const yen = calculateRefinanceBreakEven(200040.4, 180020.2, 300000.3, 120, { currency: 'JPY' });
+
+        assert.equal(yen.monthlySavings, 20020);
+        assert.equal(yen.breakEvenMonths, 14.99);
+        assert.equal(yen.totalSavingsOverRemainingTerm, 2102400);
+        assert.equal(calculateRefinanceBreakEven(2000.004, 1800.001, 3000, 120).monthlySavings, 200);
+    });
+
+    test('calculateRefinanceAnalysis starts from the balance after the payments already made', () => {
+        const original = calculateAmortization(300000, 7.5, 30, 0, startDate);
+        const analysis = calculateRefinanceAnalysis({
+            schedule: original.schedule,
+            principal: 300000,
+            startDate: startDate,
+            monthlyPayment: original.monthlyPayment
+        }, 48, { annualRate: 6, termYears: 30, closingCosts: 5000 });
+
+        assert.equal(analysis.currentBalance, original.schedule[47].remainingBalance);
+        assert.equal(analysis.newLoanAmount, analysis.currentBalance);
+        assert.equal(analysis.upfrontCosts, 5000);
+        assert.ok(analysis.interestDifference > 0);
+        assert.ok(analysis.isValid);
+        assert.ok(analysis.breakEvenMonths > 0 && analysis.breakEvenMonths < 60);
+    });
+
+    test('calculateRefinanceAnalysis rolls closing costs and points into the new loan', () => {
+        const original = calculateAmortization(200000, 7, 30, 0, startDate);
+        const analysis = calculateRefinanceAnalysis({
+            schedule: original.schedule,
+            principal: 200000,
+            startDate: startDate,
+            monthlyPayment: original.monthlyPayment
+        }, 12, { annualRate: 6, termYears: 30, closingCosts: 3000, points: 1, rollInCosts: true, cashOut: 10000 });
+
+        assert.equal(analysis.upfrontCosts, 0);
+        assert.equal(Math.round((analysis.currentBalance + 10000 + analysis.financedCosts) * 100) / 100, analysis.newLoanAmount);
+        assert.equal(analysis.pointsCost, Math.round(analysis.newLoanAmount) / 100);
+    });
+
+    test('calculateRefinanceAnalysis keeps the amounts in the minor units of the loan\'s currency', () => {
+        const original = calculateAmortization(30000000, 3, 30, 0, startDate, { currency: 'JPY' });
+        const analysis = calculateRefinanceAnalysis({
+            schedule: original.schedule,
+            principal: 30000000,
+            startDate: startDate,
+            monthlyPayment: original.monthlyPayment,
+            currency: 'JPY'
+        }, 24, { annualRate: 2, termYears: 25, closingCosts: 300000.4, points: 1.5, rollInCosts: true });
+
+        ['newLoanAmount', 'pointsCost', 'financedCosts', 'newMonthlyPayment', 'monthlySavings', 'remainingInterestCurrent',
+            'interestDifference', 'lifetimeSavings', 'netPresentValue'].forEach(field => {
+            assert.ok(Number.isInteger(analysis[field]), `${field}: ${analysis[field]}`);
+        });
+        assert.equal(analysis.newLoanAmount, analysis.currentBalance + analysis.financedCosts);
+        assert.ok(analysis.newSchedule.every(payment => Number.isInteger(payment.interestPaid)));
+    });
+
+    test('calculateRefinanceAnalysis compares offers on APR', () => {
+        const original = calculateAmortization(300000, 7.5, 30, 0, startDate);
+        const loan = { schedule: original.schedule, principal: 300000, startDate: startDate, monthlyPayment: original.monthlyPayment };
+        const lowRate = calculateRefinanceAnalysis(loan, 48, { annualRate: 5.75, termYears: 30, closingCosts: 4000, points: 2 });
+        const noPoints = calculateRefinanceAnalysis(loan, 48, { annualRate: 6, termYears: 30, closingCosts: 4000 });
+
+        assert.equal(lowRate.newLoanCost.prepaidFinanceCharges, Math.round((4000 + lowRate.pointsCost) * 100) / 100);
+        assert.ok(lowRate.newLoanCost.apr > 5.75);
+        assert.ok(noPoints.newLoanCost.apr > 6);
+        // Held for the full term, two points for a quarter point off the rate cost less than they save
+        assert.equal(lowRate.newLoanCost.apr, 6.07);
+        assert.equal(noPoints.newLoanCost.apr, 6.131);
+    });
+});
+
+describe('compareLumpSumOptions', () => {
+    const inputs = { principal: 300000, annualRate: 6.5, termYears: 30, extraMonthlyPayment: 0, startDate: startDate, prepayments: [] };
+    const calculation = { inputs: inputs, results: calculateAmortization(300000, 6.5, 30, 0, startDate) };
+
+    test('calculateAmortization recasts the balance over the rest of the term', () => {
+        const { schedule } = calculateAmortization(300000, 6.5, 30, 0, startDate, {
+            prepayments: [{ type: 'one-time', amount: 50000, paymentNumber: 60 }],
+            recastPaymentNumber: 60
+        });
+
+        assert.equal(schedule[60].paymentChanged, true);
+        assert.equal(schedule[60].scheduledPayment, calculatePeriodicPayment(schedule[59].remainingBalance, 6.5, 25));
+        assert.equal(schedule.length, 360);
+        assert.equal(sumField(schedule, 'principalPaid'), 300000);
+    });
+
+    test('compares keeping the payment, recasting and refinancing from the lump sum on', () => {
+        const comparison = compareLumpSumOptions(calculation, 60, 50000, {
+            recastFee: 250,
+            refinance: { annualRate: 5.5, termYears: 25, closingCosts: 4000 }
+        });
+        const [none, prepay, recast, refinance] = comparison.outcomes;
+
+        assert.deepEqual(comparison.outcomes.map(outcome => outcome.type), ['none', 'prepay', 'recast', 'refinance']);
+        assert.equal(comparison.balance, Math.round((calculation.results.schedule[59].remainingBalance - 50000) * 100) / 100);
+        assert.equal(none.isBaseline, true);
+        assert.equal(none.monthsToPayoff, 300);
+
+        // Keeping the payment shortens the term; a recast lowers the payment over the same term
+        assert.equal(prepay.deltas.monthlyPayment, 0);
+        assert.ok(prepay.deltas.monthsToPayoff < 0);
+        assert.ok(recast.deltas.monthlyPayment < 0);
+        assert.equal(recast.deltas.monthsToPayoff, 0);
+        assert.equal(recast.costs, 250);
+        assert.ok(prepay.interestPaid < recast.interestPaid);
+
+        assert.equal(refinance.costs, 4000);
+        assert.equal(refinance.monthlyPayment, calculatePeriodicPayment(comparison.balance, 5.5, 25));
+        assert.equal(comparison.refinanceBreakEven.monthlySavings, Math.round((none.monthlyPayment - refinance.monthlyPayment) * 100) / 100);
+        assert.equal(comparison.refinanceBreakEven.isValid, true);
+    });
+
+    test('leaves out the refinance without its terms', () => {
+        const comparison = compareLumpSumOptions(calculation, 12, 10000);
+        assert.deepEqual(comparison.outcomes.map(outcome => outcome.type), ['none', 'prepay', 'recast']);
+        assert.equal(comparison.refinanceBreakEven, null);
+    });
+
+    test('names the input at fault', () => {
+        const lumpSumError = (paymentNumber, lumpSum, options) => {
+            try {
+                compareLumpSumOptions(calculation, paymentNumber, lumpSum, options);
+            } catch (error) {
+                return error.field;
+            }
+            return null;
+        };
+
+        assert.equal(lumpSumError(0, 10000), 'paymentNumber');
+        assert.equal(lumpSumError(360, 10000), 'paymentNumber');
+        assert.equal(lumpSumError(12, 0), 'lumpSum');
+        assert.equal(lumpSumError(12, 300000), 'lumpSum');
+        assert.equal(lumpSumError(12, 10000, { recastFee: -1 }), 'recastFee');
+    });
+});
+
+describe('comparePrepayingWithInvesting', () => {
+    const inputs = { principal: 300000, annualRate: 6.5, termYears: 30, extraMonthlyPayment: 300, startDate: startDate, prepayments: [] };
+    const calculation = { inputs: inputs, results: calculateAmortization(300000, 6.5, 30, 300, startDate) };
+
+    test('spends the same on both strategies and runs to the later payoff', () => {
+        const analysis = comparePrepayingWithInvesting(calculation, { investmentReturn: 4 });
+        const { prepay, invest } = analysis.strategies;
+        const standard = calculateAmortization(300000, 6.5, 30, 0, startDate);
+
+        // Both start out owing the balance less the extra payment, one way or the other
+        assert.equal(analysis.points.length, 360);
+        assert.equal(analysis.points[0].prepay, analysis.points[0].invest);
+        assert.equal(analysis.points[0].prepay, -calculation.results.schedule[0].remainingBalance);
+        assert.equal(invest.totalInterest, standard.totalInterestPaid);
+        assert.equal(prepay.totalInterest, calculation.results.totalInterestPaid);
+        assert.equal(invest.monthsToPayoff, 360);
+
+        // A low return loses to the loan's rate from start to finish
+        assert.equal(analysis.leader, 'prepay');
+        assert.equal(analysis.crossover, null);
+        assert.equal(analysis.advantage, Math.round((prepay.netWorth - invest.netWorth) * 100) / 100);
+    });
+
+    test('finds where investing overtakes prepaying once the tax on gains is deferred long enough', () => {
+        const analysis = comparePrepayingWithInvesting(calculation, { investmentReturn: 7.5, taxRate: 15 });
+        const crossover = analysis.crossover.paymentNumber;
+
+        assert.equal(analysis.leader, 'invest');
+        assert.equal(analysis.crossover.leader, 'invest');
+        assert.ok(analysis.points[crossover - 2].prepay > analysis.points[crossover - 2].invest);
+        analysis.points.slice(crossover - 1).forEach(point => assert.ok(point.invest > point.prepay));
+        assert.ok(comparePrepayingWithInvesting(calculation, { investmentReturn: 7.5 }).crossover === null);
+    });
+
+    test('deflates the interest, net worth and payment by inflation', () => {
+        const nominal = comparePrepayingWithInvesting(calculation, { investmentReturn: 6 });
+        const real = comparePrepayingWithInvesting(calculation, { investmentReturn: 6, inflationRate: 3 });
+
+        assert.equal(nominal.strategies.invest.realTotalInterest, nominal.strategies.invest.totalInterest);
+        assert.equal(real.strategies.invest.totalInterest, nominal.strategies.invest.totalInterest);
+        assert.ok(real.strategies.invest.realTotalInterest < real.strategies.invest.totalInterest);
+        assert.equal(real.finalPayment.amount, calculation.results.periodicPayment);
+        assert.equal(real.finalPayment.realAmount, Math.round(real.finalPayment.amount / Math.pow(1.03, 30) * 100) / 100);
+        assert.equal(real.strategies.prepay.realNetWorth, real.points[359].realPrepay);
+    });
+
+    test('names the input at fault', () => {
+        const investError = (options, extraMonthlyPayment = 300) => {
+            try {
+                comparePrepayingWithInvesting({ ...calculation, inputs: { ...inputs, extraMonthlyPayment: extraMonthlyPayment } }, options);
+            } catch (error) {
+                return error.field;
+            }
+            return null;
+        };
+
+        assert.equal(investError({ investmentReturn: 5 }), null);
+        assert.equal(investError({ investmentReturn: 5 }, 0), 'extraMonthlyPayment');
+        assert.equal(investError({}), 'investmentReturn');
+        assert.equal(investError({ investmentReturn: 5, taxRate: 100 }), 'taxRate');
+        assert.equal(investError({ investmentReturn: 5, inflationRate: -100 }), 'inflationRate');
+    });
+});
+
+describe('calculateLoanCost', () => {
+    test('the APR is the note rate when there are no fees', () => {
+        const { loanCost } = calculateAmortization(300000, 6, 30, 0, startDate);
+
+        assert.equal(loanCost.apr, 6);
+        assert.equal(loanCost.amountFinanced, 300000);
+        assert.equal(loanCost.totalOfPayments, 647515.44);
+        assert.equal(loanCost.financeCharge, 347515.44);
+    });
+
+    test('fees and points raise the APR above the note rate', () => {
+        const { loanCost } = calculateAmortization(300000, 6, 30, 0, startDate, {
+            fees: { originationFee: 3000, points: 1, otherCharges: 1500 }
+        });
+
+        assert.equal(loanCost.prepaidFinanceCharges, 7500);
+        assert.equal(loanCost.amountFinanced, 292500);
+        assert.equal(loanCost.apr, 6.238);
+        assert.equal(loanCost.financeCharge, Math.round((loanCost.totalOfPayments - 292500) * 100) / 100);
+    });
+
+    test('leaves out the extra payments and counts PMI', () => {
+        const escrow = { homeValue: 300000, pmiRate: 0.5 };
+        const withExtra = calculateAmortization(285000, 6.5, 30, 300, startDate, { escrow: escrow }).loanCost;
+        const scheduled = calculateAmortization(285000, 6.5, 30, 0, startDate, { escrow: escrow }).loanCost;
+        const withoutPmi = calculateAmortization(285000, 6.5, 30, 0, startDate).loanCost;
+
+        assert.deepEqual(withExtra, scheduled);
+        assert.ok(scheduled.apr > withoutPmi.apr);
+    });
+
+    test('uses the payments per year as the unit period', () => {
+        const { schedule } = calculateAmortization(300000, 6, 30, 0, startDate, { frequency: 'bi-weekly', includeComparisons: false });
+        assert.equal(calculateLoanCost(schedule, 300000, 0, { periodsPerYear: 26 }).apr, 6);
+    });
+
+    test('rejects fees that are negative or as large as the loan', () => {
+        assert.throws(() => calculateAmortization(300000, 6, 30, 0, startDate, { fees: { points: -1 } }), /Invalid input/);
+        const { schedule } = calculateAmortization(1000, 6, 1, 0, startDate, { includeComparisons: false });
+        assert.throws(() => calculateLoanCost(schedule, 1000, 1000), /less than the loan amount/);
+    });
+});
+
+describe('compareActualPayments', () => {
+    const inputs = { principal: 200000, annualRate: 6, termYears: 30, extraMonthlyPayment: 0, startDate: startDate };
+    const results = calculateAmortization(200000, 6, 30, 0, startDate, { includeComparisons: false });
+    const planned = { inputs, results };
+    const asOfDate = new Date(2025, 0, 15);
+    const onPlan = results.schedule.slice(0, 12).map(row => ({ date: row.date, amount: results.periodicPayment }));
+
+    test('shows no variance when every payment is made as planned', () => {
+        const comparison = compareActualPayments(planned, onPlan, asOfDate);
+
+        assert.equal(comparison.periodsElapsed, 12);
+        assert.equal(comparison.currentBalance, results.schedule[11].remainingBalance);
+        assert.equal(comparison.balanceVariance, 0);
+        assert.equal(comparison.interestVariance, 0);
+        assert.equal(comparison.payoffVarianceMonths, 0);
+        assert.equal(comparison.lifetimeInterestVariance, 0);
+        assert.equal(comparison.reamortizedPayment, results.periodicPayment);
+    });
+
+    test('carries the interest of a missed payment and pushes the payoff back', () => {
+        const payments = onPlan.map((payment, index) => (index === 3 ? { date: payment.date, amount: 0 } : payment));
+        const comparison = compareActualPayments(planned, payments, asOfDate);
+
+        assert.equal(comparison.missedPayments, 1);
+        assert.equal(comparison.ledger[3].status, 'missed');
+        assert.equal(comparison.ledger[3].unpaidInterest, comparison.ledger[3].interestCharged);
+        // The next payment goes to the interest owed before any principal
+        assert.equal(comparison.ledger[4].interestPaid, results.periodicPayment);
+        assert.equal(comparison.ledger[4].principalPaid, 0);
+        assert.ok(comparison.balanceVariance > 0);
+        assert.ok(comparison.interestVariance > 0);
+        assert.ok(comparison.payoffVarianceMonths > 0);
+        assert.ok(comparison.reamortizedPayment > results.periodicPayment);
+    });
+
+    test('counts partial payments and the unpaid interest still owed', () => {
+        const payments = [...onPlan.slice(0, 11), { date: onPlan[11].date, amount: 500 }];
+        const comparison = compareActualPayments(planned, payments, asOfDate);
+        const lastRow = comparison.ledger[11];
+
+        assert.equal(comparison.partialPayments, 1);
+        assert.equal(lastRow.status, 'partial');
+        assert.equal(lastRow.interestPaid, 500);
+        assert.equal(lastRow.principalPaid, 0);
+        assert.equal(comparison.pastDueInterest, Math.round((lastRow.interestCharged - 500) * 100) / 100);
+    });
+
+    test('keeps the amounts in the minor units of the loan\'s currency', () => {
+        const yenInputs = { principal: 30000000, annualRate: 1.5, termYears: 35, extraMonthlyPayment: 0, startDate: startDate, currency: 'JPY' };
+        const yenResults = calculateAmortization(30000000, 1.5, 35, 0, startDate, { currency: 'JPY', includeComparisons: false });
+        const yenPayments = yenResults.schedule.slice(0, 12).map((row, index) => ({
+            date: row.date,
+            amount: index === 5 ? 20000.4 : yenResults.periodicPayment
+        }));
+        const comparison = compareActualPayments({ inputs: yenInputs, results: yenResults }, yenPayments, asOfDate);
+
+        comparison.ledger.forEach(row => {
+            [row.interestCharged, row.interestPaid, row.principalPaid, row.unpaidInterest, row.remainingBalance].forEach(amount => {
+                assert.ok(Number.isInteger(amount), `payment ${row.paymentNumber}: ${amount}`);
+            });
+        });
+        assert.ok(Number.isInteger(comparison.reamortizedPayment));
+        assert.ok(comparison.projection.schedule.every(row => Number.isInteger(row.interestPaid)));
+    });
+
+    test('pulls the payoff forward when paying extra', () => {
+        const payments = onPlan.map(payment => ({ date: payment.date, amount: payment.amount + 500 }));
+        const comparison = compareActualPayments(planned, payments, asOfDate);
+
+        assert.equal(comparison.ledger[0].status, 'extra');
+        assert.ok(comparison.balanceVariance < -6000);
+        assert.ok(comparison.payoffVarianceMonths < 0);
+        assert.ok(comparison.lifetimeInterestVariance < 0);
+        assert.ok(comparison.projectedPayoffDate < comparison.plannedPayoffDate);
+    });
+
+    test('counts an early payment towards the next due date', () => {
+        const comparison = compareActualPayments(planned, [{ date: new Date(2024, 0, 20), amount: results.periodicPayment }], new Date(2024, 0, 25));
+
+        assert.equal(comparison.periodsElapsed, 1);
+        assert.equal(comparison.ledger[0].status, 'paid');
+        assert.equal(comparison.balanceVariance, 0);
+    });
+
+    test('rejects payments without a date or with a negative amount', () => {
+        assert.throws(() => compareActualPayments(planned, [{ date: null, amount: 100 }]), /Invalid input/);
+        assert.throws(() => compareActualPayments(planned, [{ date: startDate, amount: -1 }]), /Invalid input/);
+        assert.throws(() => compareActualPayments(planned, [{ date: new Date(2023, 0, 1), amount: 100 }]), /before the loan starts/);
+        assert.throws(() => compareActualPayments(planned, [{ date: new Date(2024, 1, 1), amount: 100 }, { date: null, amount: 100 }]),
+            { name: 'InputError', field: 'payments', index: 1 });
+    });
+});
+
+describe('compareScenarios', () => {
+    test('reports the differences from the baseline', () => {
+        const comparison = compareScenarios([
+            { name: '30 years', principal: 200000, annualRate: 6, termYears: 30 },
+            { name: '15 years', principal: 200000, annualRate: 5.5, termYears: 15 }
+        ], 0, startDate);
+
+        assert.equal(comparison[0].isBaseline, true);
+        assert.deepEqual(comparison[0].deltas, { monthlyPayment: 0, totalInterestPaid: 0, totalCost: 0, monthsToPayoff: 0 });
+        assert.ok(comparison[1].deltas.monthlyPayment > 0);
+        assert.ok(comparison[1].deltas.totalInterestPaid < 0);
+        assert.equal(comparison[1].totalCost, Math.round((200000 + comparison[1].totalInterestPaid) * 100) / 100);
+    });
+
+    test('keeps the amounts in the minor units of the currency', () => {
+        const comparison = compareScenarios([
+            { name: '35 years', principal: 30000000, annualRate: 1.5, termYears: 35, extraMonthlyPayment: 10000.4 },
+            { name: '20 years', principal: 30000000, annualRate: 1.2, termYears: 20 }
+        ], 0, startDate, { currency: 'JPY' });
+
+        comparison.forEach(scenario => {
+            [scenario.monthlyPayment, scenario.totalInterestPaid, scenario.totalCost, ...Object.values(scenario.deltas)].forEach(amount => {
+                assert.ok(Number.isInteger(amount), `${scenario.name}: ${amount}`);
+            });
+        });
+        assert.equal(comparison[1].deltas.totalCost, comparison[1].totalCost - comparison[0].totalCost);
+    });
+});
+
+describe('calculateDebtPayoff', () => {
+    const debts = [
+        { name: 'Card', balance: 5000, apr: 22.9, minimumPayment: 150 },
+        { name: 'Car', balance: 12000, apr: 6.5, minimumPayment: 300 },
+        { name: 'Store', balance: 800, apr: 26, minimumPayment: 35 }
+    ];
+
+    test('avalanche pays the highest APR first and never costs more interest than snowball', () => {
+        const avalanche = calculateDebtPayoff(debts, 1000, 'avalanche', startDate);
+        const snowball = calculateDebtPayoff(debts, 1000, 'snowball', startDate);
+
+        assert.deepEqual(avalanche.order, [2, 0, 1]);
+        assert.deepEqual(snowball.order, [2, 0, 1]);
+        assert.ok(avalanche.totalInterestPaid <= snowball.totalInterestPaid);
+        assert.ok(avalanche.timeline.every(month => month.payments.reduce((total, payment) => total + payment, 0) <= 1000.01));
+        assert.equal(avalanche.timeline[avalanche.timeline.length - 1].totalBalance, 0);
+    });
+
+    test('rejects a budget below the minimum payments', () => {
+        assert.throws(() => calculateDebtPayoff(debts, 400), /Invalid input/);
+        assert.throws(() => calculateDebtPayoff(debts, 400), { name: 'InputError', field: 'monthlyBudget' });
+        assert.throws(() => calculateDebtPayoff([debts[0], { ...debts[1], apr: NaN }], 1000), { field: 'debts', index: 1 });
+    });
+
+    test('gives up after 100 years when the payments never cover the interest', () => {
+        const debt = { name: 'Card', balance: 10000, apr: 24, minimumPayment: 150 };
+        assert.throws(() => calculateDebtPayoff([debt], 150), /too low to ever pay off/);
+    });
+});
+
+describe('solveForUnknown', () => {
+    test('finds the largest principal for a payment budget', () => {
+        const solution = solveForUnknown('principal', { annualRate: 6, termYears: 30, monthlyPayment: 1199.10 }, startDate);
+
+        assert.ok(Math.abs(solution.value - 200000) < 5);
+        assert.ok(solution.results.monthlyPayment <= 1199.10);
+    });
+
+    test('solves amounts to the minor unit of the currency', () => {
+        const solution = solveForUnknown('principal', { annualRate: 1.5, termYears: 35, monthlyPayment: 100000, currency: 'JPY' }, startDate);
+        const monthlyPayment = principal => calculateAmortization(principal, 1.5, 35, 0, startDate, { currency: 'JPY' }).monthlyPayment;
+
+        assert.ok(Number.isInteger(solution.value));
+        assert.ok(monthlyPayment(solution.value) <= 100000);
+        assert.ok(monthlyPayment(solution.value + 1) > 100000);
+        assert.equal(solution.results.monthlyPayment, monthlyPayment(solution.value));
+    });
+
+    test('finds the extra payment that pays off by a target date', () => {
+        const solution = solveForUnknown('extra', {
+            principal: 200000, annualRate: 6, termYears: 30, targetPayoffDate: new Date(2039, 0, 1)
+        }, startDate);
+
+        assert.ok(solution.results.monthsToPayoff <= 180);
+        assert.ok(calculateAmortization(200000, 6, 30, solution.value - 1, startDate).monthsToPayoff > 180);
+    });
+
+    test('explains which inputs are missing', () => {
+        assert.throws(() => solveForUnknown('rate', { principal: 200000, termYears: 30 }), /monthly payment budget/);
+        assert.throws(() => solveForUnknown('principal', { annualRate: 6, termYears: null, monthlyPayment: 1000 }),
+            { name: 'InputError', field: 'termYears' });
+    });
+});
+
+describe('calculateDebtToIncome', () => {
+    test('checks the front-end and back-end ratios', () => {
+        assert.deepEqual(calculateDebtToIncome(2000, 600, 8000), {
+            frontEndRatio: 25,
+            backEndRatio: 32.5,
+            maxHousingPayment: 2240,
+            isWithinLimits: true
+        });
+    });
+
+    test('rounds the largest housing payment in the minor units of the currency', () => {
+        assert.equal(calculateDebtToIncome(0, 0, 3333.33).maxHousingPayment, 933.33);
+        assert.equal(calculateDebtToIncome(0, 0, 333333, { currency: 'JPY' }).maxHousingPayment, 93333);
+    });
+});
+
+describe('formatters', () => {
+    test('format currency, percentages, payoff times and dates', () => {
+        assert.equal(formatCurrency(1234.5, 'en-US', 'USD'), '$1,234.50');
+        assert.equal(formatCurrency(1234.5, 'en-US', 'JPY'), '¥1,235');
+        assert.equal(getCurrencyMinorUnits('JPY'), 0);
+        assert.equal(roundPayment(1199.1, 'up'), 119910);
+        assert.equal(formatPercent(6.5, 'en-US'), '6.5%');
+        assert.equal(formatPayoffTime(25), '2 years and 1 month');
+        assert.equal(formatPayoffTime(12), '1 year');
+        assert.equal(formatDate(new Date(2024, 2, 5)), '03/05/2024');
+        assert.equal(formatDate(parseDateInput('2024-03-05')), '03/05/2024');
+    });
+
+    test('setCurrentLocale changes the default locale', () => {
+        assert.equal(setCurrentLocale('xx-XX'), false);
+        assert.equal(setCurrentLocale('de-DE'), true);
+        assert.equal(currentLocale, 'de-DE');
+        assert.match(formatCurrency(1234.5), /1\.234,50/);
+        setCurrentLocale('en-US');
+    });
+
+    test('setCurrentCurrency changes the currency on its own', () => {
+        assert.equal(setCurrentCurrency('eur'), false);
+        assert.equal(setCurrentCurrency('CHF'), true);
+        assert.equal(currentCurrency, 'CHF');
+        assert.equal(currentLocale, 'en-US');
+        assert.equal(getCurrencySymbol(), 'CHF');
+        assert.equal(getCurrencySymbol('EUR', 'de-DE'), '€');
+        setCurrentCurrency('USD');
+    });
+
+    test('format payoff times and dates for the locale', () => {
+        assert.equal(formatPayoffTime(25, 'de-DE'), '2 Jahre und 1 Monat');
+        assert.equal(formatDate(new Date(2024, 2, 5), 'de-DE'), '05.03.2024');
+        assert.equal(formatDate(new Date(2024, 2, 5), 'en-GB'), '05/03/2024');
+    });
+
+    test('parseNumber reads numbers written in the locale\'s notation', () => {
+        assert.equal(parseNumber('1,234.5', 'en-US'), 1234.5);
+        assert.equal(parseNumber('1.234,5', 'de-DE'), 1234.5);
+        assert.equal(parseNumber('6,5', 'de-DE'), 6.5);
+        assert.equal(parseNumber('1 234,5', 'fr-FR'), 1234.5);
+        assert.equal(parseNumber("1'234.5", 'de-CH'), 1234.5);
+        assert.equal(parseNumber('12,34,567', 'en-IN'), 1234567);
+        assert.equal(parseNumber('1,234,567', 'en-IN'), 1234567);
+        assert.equal(parseNumber('-5', 'en-US'), -5);
+        assert.equal(parseNumber('.5', 'en-US'), 0.5);
+
+        // A separator that cannot be grouping is taken as the decimal point
+        assert.equal(parseNumber('6.5', 'de-DE'), 6.5);
+
+        assert.ok(Number.isNaN(parseNumber('', 'en-US')));
+        assert.ok(Number.isNaN(parseNumber('abc', 'en-US')));
+        assert.ok(Number.isNaN(parseNumber('1e5', 'en-US')));
+    });
+
+    test('formatInputNumber writes numbers back into inputs without grouping', () => {
+        assert.equal(formatInputNumber(300000, 'en-US'), '300000');
+        assert.equal(formatInputNumber(6.125, 'de-DE'), '6,125');
+        assert.equal(parseNumber(formatInputNumber(1234.56, 'fr-FR'), 'fr-FR'), 1234.56);
+        assert.equal(formatInputNumber(NaN, 'en-US'), '');
+    });
+
+    test('buildScheduleCsv uses a semicolon delimiter and translated headers for decimal-comma locales', () => {
+        const { schedule } = calculateAmortization(1200, 0, 1, 0, startDate);
+        const [header, firstRow] = buildScheduleCsv(schedule, 'de-DE', 'EUR').split('\r\n');
+
+        assert.equal(header, 'Zahlung Nr.;Datum;Gezahlte Zinsen (EUR);Gezahlte Tilgung (EUR);Restschuld (EUR)');
+        assert.equal(firstRow, '1;2024-02-01;0,00;100,00;1100,00');
+    });
+});
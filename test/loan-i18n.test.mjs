@@ -0,0 +1,156 @@
+// Unit tests for the translations
+// Run with: node --test
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    displayLocales,
+    translations,
+    translate,
+    translateError,
+    getLocaleName,
+    matchDisplayLocale,
+    listCurrencies
+} from '../loan-i18n.mjs';
+import {
+    calculateAmortization,
+    compareActualPayments,
+    solveForUnknown,
+    describePrepayment,
+    describeRateSchedule,
+    setCurrentLocale
+} from '../loan-core.mjs';
+
+const payments = { one: '{count} payment', other: '{count} payments' };
+
+/**
+ * Lists the {name} placeholders of a message
+ * @param {string} text - The message
+ * @returns {string} The placeholder names, sorted and joined
+ */
+function placeholders(text) {
+    return (text.match(/\{\w+\}/g) || []).sort().join(',');
+}
+
+describe('translate', () => {
+    test('shows the English text when there is no translation', () => {
+        assert.equal(translate('Loan Principal', {}, 'en-US'), 'Loan Principal');
+        assert.equal(translate('Loan Principal', {}, 'fr-FR'), 'Loan Principal');
+        assert.equal(translate('Not a message {name}', { name: 'Test' }, 'de-DE'), 'Not a message Test');
+    });
+
+    test('looks up the language of a regional locale', () => {
+        assert.equal(translate('Loan Principal', {}, 'de-DE'), 'Darlehensbetrag');
+        assert.equal(translate('Loan Principal', {}, 'de-AT'), 'Darlehensbetrag');
+    });
+
+    test('fills in placeholders, formatting numbers for the locale', () => {
+        assert.equal(translate('{label} must be at least {min}', { label: 'Amount', min: 1000 }, 'en-US'), 'Amount must be at least 1,000');
+        assert.equal(translate('{label} must be at least {min}', { label: 'Betrag', min: 1000 }, 'de-DE'), 'Betrag muss mindestens 1.000 sein');
+        assert.equal(translate('Year {year}', { year: '2030' }, 'en-US'), 'Year 2030');
+        assert.equal(translate('{label} is required', {}, 'en-US'), '{label} is required');
+    });
+
+    test('picks the plural form for the count', () => {
+        assert.equal(translate(payments, { count: 1 }, 'en-US'), '1 payment');
+        assert.equal(translate(payments, { count: 1200 }, 'en-US'), '1,200 payments');
+        assert.equal(translate({ one: '{count} scenario', other: '{count} scenarios' }, { count: 1 }, 'de-DE'), '1 Szenario');
+        assert.equal(translate({ one: '{count} scenario', other: '{count} scenarios' }, { count: 3 }, 'de-DE'), '3 Szenarien');
+    });
+});
+
+describe('catalogs', () => {
+    test('keep the placeholders of every message', () => {
+        Object.entries(translations).forEach(([language, catalog]) => {
+            Object.entries(catalog).forEach(([message, translation]) => {
+                const forms = typeof translation === 'object' ? Object.values(translation) : [translation];
+                forms.forEach(form => {
+                    assert.equal(placeholders(form), placeholders(message), `${language}: ${message}`);
+                });
+                if (typeof translation === 'object') {
+                    assert.ok(translation.other, `${language}: ${message} has no 'other' form`);
+                }
+            });
+        });
+    });
+});
+
+describe('calculation text', () => {
+    /**
+     * Runs a calculation and returns the error it throws
+     * @param {Function} calculate - The calculation
+     * @returns {Error} The error
+     */
+    function thrown(calculate) {
+        try {
+            calculate();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('The calculation did not throw');
+    }
+
+    test('translate input errors with their params', () => {
+        const principal = thrown(() => calculateAmortization(-1, 6, 30, 0, new Date(2024, 0, 1)));
+        assert.equal(translateError(principal, 'en-US'), 'The principal must be a positive number');
+        assert.equal(translateError(principal, 'de-DE'), 'Der Darlehensbetrag muss eine positive Zahl sein');
+
+        const inputs = { principal: 1000, annualRate: 6, termYears: 1, extraMonthlyPayment: 0, startDate: new Date(2024, 0, 1) };
+        const calculation = { inputs: inputs, results: calculateAmortization(1000, 6, 1, 0, inputs.startDate) };
+        const early = thrown(() => compareActualPayments(calculation, [{ date: new Date(2023, 11, 1), amount: 100 }]));
+        assert.equal(early.message, 'Invalid input: Payments cannot be dated before the loan starts on 01/01/2024');
+        assert.equal(translateError(early, 'de-DE'), 'Zahlungen dürfen nicht vor dem Kreditbeginn am 01/01/2024 liegen');
+
+        const goal = thrown(() => solveForUnknown('principal', { termYears: 30 }));
+        assert.equal(goal.message, 'Invalid input: Enter the interest rate, the monthly payment budget to solve for the maximum loan amount');
+        assert.equal(translateError(goal, 'de-DE'),
+            'Geben Sie den Zinssatz, das monatliche Ratenbudget ein, um den maximalen Darlehensbetrag zu berechnen');
+
+        assert.equal(translateError(new Error('Invalid input: Something else'), 'de-DE'), 'Something else');
+    });
+
+    test('describe prepayments and rate schedules in the display language', () => {
+        setCurrentLocale('de-DE');
+        try {
+            assert.equal(describePrepayment({ type: 'yearly', amount: 2000, month: 3, startYear: 2026 }), '2.000,00\u00a0$ jeden März ab 2026');
+            assert.equal(describePrepayment({ type: 'step-up', amount: 100, stepAmount: 50, stepMonths: 1 }),
+                '100,00\u00a0$/Monat, steigt nach je 1 Monat um 50,00\u00a0$');
+            assert.equal(describeRateSchedule({ fixedMonths: 60, adjustmentMonths: 12, indexRate: 4, margin: 2.75, lifetimeCap: 5 }),
+                'Variabel: 60 Monate fest, danach alle 12 Monate zum Referenzzins 4\u00a0% + Aufschlag 2,75\u00a0% (über die Laufzeit höchstens 5\u00a0%)');
+        } finally {
+            setCurrentLocale('en-US');
+        }
+        assert.equal(describePrepayment({ type: 'yearly', amount: 2000, month: 3 }), '$2,000.00 every March');
+    });
+});
+
+describe('locales and currencies', () => {
+    test('match the browser languages to a display locale', () => {
+        assert.equal(matchDisplayLocale(['de-AT', 'en-US']), 'de-AT');
+        assert.equal(matchDisplayLocale(['de-LU']), 'de-DE');
+        assert.equal(matchDisplayLocale(['pt-BR', 'de']), 'de-DE');
+        assert.equal(matchDisplayLocale(['fr-FR', 'en-GB']), 'en-GB');
+        assert.equal(matchDisplayLocale(['pt-BR']), 'en-US');
+        assert.equal(matchDisplayLocale(undefined), 'en-US');
+    });
+
+    test('offer only languages with a catalog', () => {
+        Object.keys(displayLocales).forEach(locale => {
+            const language = locale.split('-')[0];
+            assert.ok(language === 'en' || translations[language], locale);
+        });
+    });
+
+    test('name the locales in their own language', () => {
+        assert.equal(getLocaleName('de-DE'), 'Deutsch (Deutschland)');
+        Object.keys(displayLocales).forEach(locale => assert.ok(getLocaleName(locale)));
+    });
+
+    test('list the currencies named in the display language', () => {
+        const currencies = listCurrencies('de-DE');
+        assert.ok(currencies.length >= Object.keys(displayLocales).length);
+        assert.deepEqual(currencies.find(currency => currency.code === 'EUR'), { code: 'EUR', name: 'Euro' });
+        Object.values(displayLocales).forEach(code => assert.ok(currencies.some(currency => currency.code === code), code));
+    });
+});
@@ -0,0 +1,177 @@
+// Unit tests for the saved loan library
+// Run with: node --test
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    libraryStorageKey,
+    libraryVersion,
+    readLibrary,
+    getLibraryEntry,
+    saveLibraryEntry,
+    renameLibraryEntry,
+    duplicateLibraryEntry,
+    deleteLibraryEntry,
+    exportLibrary,
+    importLibrary
+} from '../loan-library.mjs';
+import { InputError } from '../loan-core.mjs';
+import { translateError } from '../loan-i18n.mjs';
+
+/**
+ * Creates an in-memory stand-in for localStorage
+ * @returns {Object} An object with getItem and setItem
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const loanState = { fields: { principal: '300000', rate: '6', term: '30' }, prepayments: ['one-time:10000:paymentNumber=12'] };
+const monday = new Date('2025-03-03T12:00:00Z');
+const tuesday = new Date('2025-03-04T12:00:00Z');
+
+let storage;
+beforeEach(() => {
+    storage = createMemoryStorage();
+});
+
+describe('saving entries', () => {
+    test('lists saved entries, most recently updated first', () => {
+        saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+        saveLibraryEntry(storage, '  Options  ', 'scenarios', { scenarios: [], baselineIndex: 0 }, tuesday);
+
+        const entries = readLibrary(storage);
+        assert.deepEqual(entries.map(entry => entry.name), ['Options', 'Dream house']);
+        assert.deepEqual(entries[1].state, loanState);
+        assert.equal(entries[1].createdAt, '2025-03-03T12:00:00.000Z');
+    });
+
+    test('updates an entry saved again under the same name and type', () => {
+        const first = saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+        const second = saveLibraryEntry(storage, 'Dream house', 'loan', { fields: { principal: '250000' } }, tuesday);
+
+        assert.equal(second.id, first.id);
+        assert.equal(second.createdAt, first.createdAt);
+        assert.equal(readLibrary(storage).length, 1);
+        assert.equal(getLibraryEntry(storage, first.id).state.fields.principal, '250000');
+    });
+
+    test('rejects a missing name or an unknown type', () => {
+        assert.throws(() => saveLibraryEntry(storage, '   ', 'loan', loanState), /Invalid input/);
+        assert.throws(() => saveLibraryEntry(storage, 'Car', 'lease', loanState), /Invalid input/);
+    });
+
+    test('names the input at fault so the message can be shown next to it and translated', () => {
+        assert.throws(() => saveLibraryEntry(storage, '   ', 'loan', loanState), error => {
+            assert.ok(error instanceof InputError);
+            assert.equal(error.field, 'name');
+            assert.equal(translateError(error, 'de-DE'), 'Geben Sie einen Namen zum Speichern ein');
+            return true;
+        });
+        assert.throws(() => saveLibraryEntry(storage, 'Car', 'lease', loanState), error => {
+            assert.equal(error.field, 'type');
+            assert.equal(error.message, 'Invalid input: Unknown saved entry type "lease"');
+            return true;
+        });
+        assert.throws(() => importLibrary(storage, 'not json'), { name: 'InputError', field: 'json' });
+    });
+
+    test('reports storage that cannot be written', () => {
+        const fullStorage = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+        assert.throws(() => saveLibraryEntry(fullStorage, 'Dream house', 'loan', loanState), /Could not save to browser storage/);
+        assert.throws(() => saveLibraryEntry(fullStorage, 'Dream house', 'loan', loanState), error => {
+            assert.ok(error instanceof InputError);
+            assert.equal(error.params.reason, 'QuotaExceededError');
+            assert.equal(translateError(error), 'Could not save to browser storage: QuotaExceededError');
+            assert.equal(translateError(error, 'de-DE'), 'Speichern im Browserspeicher nicht möglich: QuotaExceededError');
+            return true;
+        });
+    });
+
+    test('treats unreadable storage as an empty library', () => {
+        storage.setItem(libraryStorageKey, '{not json');
+        assert.deepEqual(readLibrary(storage), []);
+    });
+});
+
+describe('managing entries', () => {
+    test('renames, duplicates and deletes entries', () => {
+        const entry = saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+
+        renameLibraryEntry(storage, entry.id, 'Lake house', tuesday);
+        const copy = duplicateLibraryEntry(storage, entry.id, tuesday);
+        assert.deepEqual(readLibrary(storage).map(saved => saved.name).sort(), ['Lake house', 'Lake house (copy)']);
+        assert.notEqual(copy.id, entry.id);
+        assert.deepEqual(copy.state, loanState);
+
+        // The copy does not share its state with the original
+        copy.state.fields.principal = '1';
+        assert.equal(getLibraryEntry(storage, entry.id).state.fields.principal, '300000');
+
+        deleteLibraryEntry(storage, entry.id);
+        assert.deepEqual(readLibrary(storage).map(saved => saved.id), [copy.id]);
+        assert.throws(() => deleteLibraryEntry(storage, entry.id), /no longer exists/);
+    });
+});
+
+describe('exporting and importing', () => {
+    test('moves the library to another storage through a versioned file', () => {
+        saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+        saveLibraryEntry(storage, 'Options', 'scenarios', { scenarios: [{ name: '15 years' }], baselineIndex: 0 }, tuesday);
+        const file = exportLibrary(storage, tuesday);
+        const otherStorage = createMemoryStorage();
+
+        assert.equal(JSON.parse(file).version, libraryVersion);
+        assert.equal(importLibrary(otherStorage, file), 2);
+        assert.deepEqual(readLibrary(otherStorage), readLibrary(storage));
+
+        // Importing the same file again changes nothing
+        assert.equal(importLibrary(otherStorage, file), 0);
+        assert.equal(readLibrary(otherStorage).length, 2);
+    });
+
+    test('keeps the newer copy of an entry that is in both libraries', () => {
+        const entry = saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+        const oldFile = exportLibrary(storage);
+        renameLibraryEntry(storage, entry.id, 'Lake house', tuesday);
+
+        assert.equal(importLibrary(storage, oldFile), 0);
+        assert.equal(getLibraryEntry(storage, entry.id).name, 'Lake house');
+    });
+
+    test('matches entries saved separately under the same name', () => {
+        const otherStorage = createMemoryStorage();
+        const older = saveLibraryEntry(storage, 'Dream house', 'loan', loanState, monday);
+        const newer = saveLibraryEntry(otherStorage, 'Dream house', 'loan', { fields: { principal: '350000' } }, tuesday);
+        saveLibraryEntry(otherStorage, 'Dream house', 'scenarios', { scenarios: [], baselineIndex: 0 }, tuesday);
+
+        // The newer copy wins, and a name stays unique per type
+        assert.equal(importLibrary(otherStorage, exportLibrary(storage)), 0);
+        assert.equal(importLibrary(storage, exportLibrary(otherStorage)), 2);
+        assert.deepEqual(readLibrary(storage).map(saved => saved.type).sort(), ['loan', 'scenarios']);
+        assert.equal(getLibraryEntry(storage, older.id), null);
+        assert.equal(getLibraryEntry(storage, newer.id).state.fields.principal, '350000');
+
+        // Saving under the name again updates the one entry
+        saveLibraryEntry(storage, 'Dream house', 'loan', loanState, tuesday);
+        assert.equal(readLibrary(storage).filter(saved => saved.type === 'loan').length, 1);
+    });
+
+    test('skips malformed entries and rejects files that are not libraries', () => {
+        const file = JSON.stringify({
+            format: 'loan-calculator-library',
+            version: 1,
+            entries: [{ id: 'a', name: 'No state', type: 'loan', createdAt: '', updatedAt: '' }]
+        });
+
+        assert.equal(importLibrary(storage, file), 0);
+        assert.throws(() => importLibrary(storage, 'not json'), /not a saved loan library/);
+        assert.throws(() => importLibrary(storage, '{"entries": []}'), /not a saved loan library/);
+        assert.throws(() => importLibrary(storage, JSON.stringify({ format: 'loan-calculator-library', version: libraryVersion + 1, entries: [] })), /newer version/);
+    });
+});